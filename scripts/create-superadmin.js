@@ -0,0 +1,67 @@
+// Creates the initial superadmin from the command line.
+//
+// Usage:
+//   node scripts/create-superadmin.js --name "Jane Doe" --email jane@example.com
+//
+// The password is read from SUPERADMIN_PASSWORD or prompted for, so it never
+// ends up in shell history. Refuses to run once any superadmin exists.
+import readline from "readline/promises";
+import mongoose from "mongoose";
+import db_connection from "../src/db/index.js";
+import { bootstrapSuperadmin } from "../src/utils/superadminBootstrap.utils.js";
+
+const parseArgs = (argv) => {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith("--")) {
+            args[argv[i].slice(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return args;
+};
+
+const prompt = async (rl, question, { silent = false } = {}) => {
+    if (!silent) {
+        return (await rl.question(question)).trim();
+    }
+
+    // Hide typed characters for the password prompt
+    const write = rl._writeToOutput;
+    rl._writeToOutput = (text) => {
+        if (text.includes(question)) write.call(rl, text);
+    };
+    const answer = await rl.question(question);
+    rl._writeToOutput = write;
+    process.stdout.write("\n");
+    return answer;
+};
+
+const main = async () => {
+    const args = parseArgs(process.argv.slice(2));
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+
+    try {
+        const fullName = args.name || process.env.SUPERADMIN_NAME || await prompt(rl, "Full name: ");
+        const email = args.email || process.env.SUPERADMIN_EMAIL || await prompt(rl, "Email: ");
+        const password = process.env.SUPERADMIN_PASSWORD || await prompt(rl, "Password: ", { silent: true });
+
+        await db_connection();
+
+        const superadmin = await bootstrapSuperadmin(
+            { fullName, email, password },
+            { source: "cli", ipAddress: "127.0.0.1", userAgent: "scripts/create-superadmin.js" }
+        );
+
+        console.log(`Superadmin created: ${superadmin.email} (${superadmin._id})`);
+        process.exitCode = 0;
+    } catch (error) {
+        console.error(`Failed to create superadmin: ${error.message}`);
+        process.exitCode = 1;
+    } finally {
+        rl.close();
+        await mongoose.disconnect();
+    }
+};
+
+main();
@@ -0,0 +1,32 @@
+// Grants `manageContacts` to existing admins with the "admin" role.
+//
+// Usage:
+//   node scripts/migrate-admin-contact-access.js
+//
+// Before the contact routes required the manageContacts permission, every admin with the
+// "admin" role could manage contacts whatever their permission flags said. New admins get
+// the permission from the role defaults (Admin.getDefaultPermissions); this keeps the access
+// of admins created before that. Safe to run more than once.
+import mongoose from "mongoose";
+import db_connection from "../src/db/index.js";
+import Admin from "../src/models/admin.model.js";
+
+const main = async () => {
+    try {
+        await db_connection();
+
+        const { modifiedCount } = await Admin.updateMany(
+            { role: "admin", "permissions.manageContacts": { $ne: true } },
+            { $set: { "permissions.manageContacts": true } }
+        );
+        console.log(`Granted manageContacts to ${modifiedCount} admin(s)`);
+        process.exitCode = 0;
+    } catch (error) {
+        console.error(`Failed to grant manageContacts: ${error.message}`);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+main();
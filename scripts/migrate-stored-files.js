@@ -0,0 +1,77 @@
+// Converts file references stored before storage drivers existed into file descriptors
+// ({ url, publicId, resourceType, provider }) so they can be deleted through storage.utils.js.
+//
+// Usage:
+//   node scripts/migrate-stored-files.js
+//
+// Safe to run more than once: only documents still in the old shape are touched.
+// Every legacy file lives on Cloudinary, so the public ID is read from its URL.
+import mongoose from "mongoose";
+import db_connection from "../src/db/index.js";
+
+// https://res.cloudinary.com/<cloud>/<type>/upload/v123/<publicId>[.ext]
+const describeLegacyFile = (url) => {
+    const match = url?.match(/\/(image|video|raw)\/upload\/(?:v\d+\/)?(.+)$/);
+    if (!match) {
+        return { url }; // Not a Cloudinary URL (default image, social avatar)
+    }
+
+    const [, resourceType, path] = match;
+    return {
+        url,
+        // Raw public IDs keep their extension, image and video ones don't
+        publicId: resourceType === "raw" ? path : path.replace(/\.[^./]+$/, ""),
+        resourceType,
+        provider: "cloudinary"
+    };
+};
+
+const migrateField = async (collectionName, field, { isLegacy, getUrl }) => {
+    const collection = mongoose.connection.collection(collectionName);
+    const cursor = collection.find(isLegacy, { projection: { [field]: 1 } });
+
+    let migrated = 0;
+    for await (const doc of cursor) {
+        const current = doc[field];
+        const descriptor = { ...(typeof current === "object" ? current : {}), ...describeLegacyFile(getUrl(current)) };
+        await collection.updateOne({ _id: doc._id }, { $set: { [field]: descriptor } });
+        migrated++;
+    }
+
+    console.log(`${collectionName}.${field}: ${migrated} document(s) migrated`);
+};
+
+const main = async () => {
+    try {
+        await db_connection();
+
+        // Plain URL strings became descriptors
+        await migrateField("clients", "profileImage", {
+            isLegacy: { profileImage: { $type: "string" } },
+            getUrl: (value) => value
+        });
+        await migrateField("services", "thumbnail", {
+            isLegacy: { thumbnail: { $type: "string" } },
+            getUrl: (value) => value
+        });
+
+        // Objects that only kept the URL (or the public ID without its resource type)
+        await migrateField("blogs", "coverImage", {
+            isLegacy: { "coverImage.url": { $nin: [null, ""] }, "coverImage.publicId": { $exists: false } },
+            getUrl: (value) => value.url
+        });
+        await migrateField("careers", "resume", {
+            isLegacy: { "resume.url": { $exists: true }, "resume.provider": { $exists: false } },
+            getUrl: (value) => value.url
+        });
+
+        process.exitCode = 0;
+    } catch (error) {
+        console.error(`Failed to migrate stored files: ${error.message}`);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+main();
@@ -0,0 +1,27 @@
+// Rebuilds MongoDB indexes so they match the Mongoose schemas.
+//
+// Usage:
+//   node scripts/sync-indexes.js
+//
+// Needed after index definitions change, e.g. the client `phone` index became
+// sparse so social-login clients without a phone number don't collide.
+import mongoose from "mongoose";
+import db_connection from "../src/db/index.js";
+import Client from "../src/models/client.model.js";
+
+const main = async () => {
+    try {
+        await db_connection();
+
+        const dropped = await Client.syncIndexes();
+        console.log(`Client indexes synced${dropped.length ? `, rebuilt: ${dropped.join(", ")}` : ""}`);
+        process.exitCode = 0;
+    } catch (error) {
+        console.error(`Failed to sync indexes: ${error.message}`);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+};
+
+main();
@@ -1,6 +1,7 @@
 import express from "express"
 import cors from "cors";
 import cookie_parser from "cookie-parser";
+import { notFoundHandler, errorHandler } from "./middlewares/error.middlewares.js";
 
 const app = express();
 
@@ -9,7 +10,15 @@ app.set("trust proxy", true);
 // we have changed the Cors origin from * to https://codix-studio.vercel.app this on .env file thanks 
 app.use(cors({ origin: process.env.CORS_ORIGIN, credentials: true }));
 app.use(cookie_parser());
-app.use(express.json({ limit: "104kb" }));
+// Keep the raw body around for payment webhook signature checks
+app.use(express.json({
+    limit: "104kb",
+    verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith("/api/v1/payments/webhook")) {
+            req.rawBody = buf;
+        }
+    }
+}));
 app.use(express.static("public"));
 app.use(express.urlencoded({ extended: true, limit: "104kb" }));
 
@@ -26,6 +35,9 @@ import clientServiceRouter from "./routes/clientService.routes.js";
 import blogRouter from "./routes/blog.routes.js";
 import contactRouter from "./routes/contact.routes.js";
 import careerRouter from "./routes/career.routes.js";
+import portfolioRouter from "./routes/portfolio.routes.js";
+import paymentRouter from "./routes/payment.routes.js";
+import fileRouter from "./routes/file.routes.js";
 //initialising router
 app.use("/api/v1/admin", adminRouter);
 app.use("/api/v1/adminDashboard", adminDashboardRouter);
@@ -36,5 +48,12 @@ app.use("/api/v1/clientService", clientServiceRouter);
 app.use("/api/v1/blog", blogRouter);
 app.use("/api/v1/contact", contactRouter);
 app.use("/api/v1/career", careerRouter);
+app.use("/api/v1/portfolio", portfolioRouter);
+app.use("/api/v1/payments", paymentRouter);
+app.use("/api/v1/files", fileRouter);
+
+// 404 catch-all and global error handler (must be registered last)
+app.use(notFoundHandler);
+app.use(errorHandler);
 
 export default app;
\ No newline at end of file
@@ -4,7 +4,8 @@ import ApiResponse from "../utils/ApiResponse.utils.js";
 import Blog from "../models/blog.model.js";
 import Client from "../models/client.model.js";
 import mongoose from "mongoose";
-import { uploadOnCloudinary, deleteFromCloudinary } from "../utils/cloudinary.utils.js";
+import { uploadProcessedImage, queueFileDeletion } from "../utils/storage.utils.js";
+import { queueImageVariants } from "../utils/imageVariants.utils.js";
 import logger from "../utils/logger.utils.js";
 
 // Enhanced permission checking with Client model verification
@@ -227,17 +228,9 @@ const deleteBlog = asyncHandler(async (req, res) => {
             throw new ApiError(404, "Blog not found");
         }
 
-        // 4. Delete cover image from Cloudinary if it exists
-        if (blog.coverImage.url) {
-            try {
-                const publicId = blog.coverImage.url.split('/').pop().split('.')[0];
-                logger.info(`Attempting to delete cover image from Cloudinary with publicId: ${publicId}`);
-                await deleteFromCloudinary(publicId);
-                logger.info('Cover image deleted from Cloudinary successfully');
-            } catch (cloudinaryError) {
-                logger.error('Failed to delete cover image from Cloudinary', { error: cloudinaryError });
-                // Continue with blog deletion even if image deletion fails
-            }
+        // 4. Queue the cover image for deletion once the blog is gone
+        if (blog.coverImage.publicId) {
+            await queueFileDeletion(blog.coverImage, { session });
         }
 
         // 5. Delete the blog
@@ -429,6 +422,7 @@ const toggleLike = asyncHandler(async (req, res) => {
 const uploadCoverImage = asyncHandler(async (req, res) => {
     const session = await mongoose.startSession();
     session.startTransaction();
+    let uploadedImage;
 
     try {
         logger.info(`Starting cover image upload process for client ${req.client._id}`);
@@ -468,39 +462,34 @@ const uploadCoverImage = asyncHandler(async (req, res) => {
             throw new ApiError(403, "Unauthorized: You can only update your own blogs");
         }
 
-        // 4. Check if file exists
-        if (!req.file?.path) {
+        // 4. Check if file exists (normalized by the processImages middleware)
+        if (!req.file?.processed) {
             logger.error("No cover image file uploaded");
             throw new ApiError(400, "Cover image file is required");
         }
 
-        // 5. Upload to Cloudinary
-        const cloudinaryResponse = await uploadOnCloudinary(req.file.path);
-        if (!cloudinaryResponse?.secure_url) {
-            logger.error("Failed to upload cover image to Cloudinary");
+        // 5. Upload the image to storage
+        uploadedImage = await uploadProcessedImage(req.file.processed);
+        if (!uploadedImage?.url) {
+            logger.error("Failed to upload cover image to storage");
             throw new ApiError(500, "Failed to upload cover image");
         }
 
-        // 6. If there was an existing cover image, delete it from Cloudinary
-        if (blog.coverImage.url) {
-            try {
-                const publicId = blog.coverImage.url.split("/").pop().split(".")[0];
-                logger.info(`Attempting to delete previous cover image from Cloudinary: ${publicId}`);
-                await deleteFromCloudinary(publicId);
-                logger.info('Previous cover image deleted successfully');
-            } catch (cloudinaryError) {
-                logger.error('Failed to delete previous cover image', { error: cloudinaryError });
-                // Continue with new image upload even if deletion fails
-            }
+        // 6. If there was an existing cover image, queue it for deletion
+        if (blog.coverImage.publicId) {
+            await queueFileDeletion(blog.coverImage, { session });
         }
 
         // 7. Update blog with new cover image URL
         blog.coverImage = {
-            url: cloudinaryResponse.secure_url,
+            ...uploadedImage,
             altText: req.body.altText || `Cover image for ${blog.title}`
         };
         await blog.save({ session });
 
+        // 8. Responsive variants are built in the background once this commits
+        await queueImageVariants({ model: "Blog", id: blog._id, field: "coverImage" }, uploadedImage, { session });
+
         await session.commitTransaction();
         logger.info(`Cover image uploaded successfully for blog ${blogId} by client ${req.client._id}`);
 
@@ -511,6 +500,12 @@ const uploadCoverImage = asyncHandler(async (req, res) => {
         await session.abortTransaction();
         logger.error(`Error in uploadCoverImage: ${error.message}`, { stack: error.stack });
 
+        // The new image was uploaded but never saved
+        if (uploadedImage) {
+            await queueFileDeletion(uploadedImage)
+                .catch(cleanupError => logger.error(`Failed to queue cleanup of cover image: ${cleanupError.message}`));
+        }
+
         if (error instanceof ApiError) {
             throw error;
         }
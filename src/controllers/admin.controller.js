@@ -6,62 +6,81 @@ import logger from "../utils/logger.utils.js";
 import Admin from "../models/admin.model.js";
 import jwt from "jsonwebtoken";
 import { isPasswordStrong, isEmailValid, areRequiredFieldsProvided } from "../utils/validator.utils.js";
+import { escapeRegex } from "../utils/query.utils.js";
+import AuditLog from "../models/auditLog.model.js";
+import { recordAuditLog, diffChanges } from "../utils/auditLog.utils.js";
+import { bootstrapSuperadmin, isBootstrapSecretValid } from "../utils/superadminBootstrap.utils.js";
+import { createSession, rotateSession, revokeSession, revokeAllSessions } from "../utils/session.utils.js";
+import { generateBackupCodes } from "../utils/totp.utils.js";
+import SecurityPolicy from "../models/securityPolicy.model.js";
+import { assertAccountNotLocked, registerFailedLogin, registerSuccessfulLogin, clearLockout } from "../utils/loginSecurity.utils.js";
+
+// Non-superadmins can only grant permissions they hold themselves; returns the ones they don't
+const getPermissionsNotHeld = (actor, permissions) => {
+    if (actor.role === "superadmin") return [];
+
+    return Object.entries(permissions)
+        .filter(([key, value]) => value && !actor.permissions?.[key])
+        .map(([key]) => key);
+};
+
+// Guardrail: actors can't modify themselves and only superadmins can modify a superadmin
+const assertCanManageAdmin = (actor, target) => {
+    if (actor._id.toString() === target._id.toString()) {
+        logger.error("Admin attempted to modify their own account access");
+        throw new ApiError(400, "You cannot change your own role, permissions or status");
+    }
+    if (target.role === "superadmin" && actor.role !== "superadmin") {
+        logger.error("Non-superadmin attempted to modify a superadmin");
+        throw new ApiError(403, "Unauthorized: Only a superadmin can modify another superadmin");
+    }
+};
+
+// Lockout state snapshot for responses and audit entries
+const pickLockout = (account) => ({
+    failedLoginAttempts: account.failedLoginAttempts || 0,
+    lockCount: account.lockCount || 0,
+    lockUntil: account.lockUntil || null
+});
+
+// Guardrail: never leave the system without an active superadmin
+const assertNotLastSuperadmin = async (target, session) => {
+    if (target.role !== "superadmin" || !target.isActive) return;
+
+    const otherSuperadmins = await Admin.countDocuments({
+        _id: { $ne: target._id },
+        role: "superadmin",
+        isActive: true
+    }).session(session);
+
+    if (otherSuperadmins === 0) {
+        logger.error("Attempted to remove the last active superadmin");
+        throw new ApiError(400, "Cannot demote, deactivate or delete the last active superadmin");
+    }
+};
 
+// One-time bootstrap of the initial superadmin (requires SUPERADMIN_BOOTSTRAP_SECRET)
 const createSuperadmin = asyncHandler(async (req, res) => {
-    const { fullName, email, password } = req.body;
+    const { fullName, email, password, bootstrapSecret } = req.body;
 
-    // Check if any superadmin already exists
-    const existingSuperadmin = await Admin.findOne({ role: "superadmin" });
-    if (existingSuperadmin) {
-        throw new ApiError(403, "Superadmin already exists");
+    // 1. Endpoint is disabled unless a bootstrap secret is configured
+    if (!process.env.SUPERADMIN_BOOTSTRAP_SECRET) {
+        logger.warn("Superadmin bootstrap attempted but SUPERADMIN_BOOTSTRAP_SECRET is not set", { ip: req.ip });
+        throw new ApiError(404, "Superadmin bootstrap is disabled");
     }
 
-    // Create superadmin with all permissions
-    const superadmin = await Admin.create({
-        fullName,
-        email,
-        password,
-        role: "superadmin",
-        permissions: {
-            // Core Site Management
-            manageServices: true,
-            managePortfolio: true,
-            manageClients: true,
-            manageProjects: true,
-
-            // Team & Content
-            manageTeam: true,
-            manageTestimonials: true,
-            manageBlog: true,
-
-            // Communication / CRM
-            manageLeads: true,
-            manageContacts: true,
-            sendBulkEmails: true,
-
-            // Finance
-            manageInvoices: true,
-            managePayments: true,
-            managePlans: true,
-
-            // Internal/DevOps
-            manageDeployments: true,
-            accessLogs: true,
-            manageBackups: true,
-
-            // Admin & Role Control
-            assignRoles: true,
-            managePermissions: true,
-            viewActivityLogs: true,
-
-            // Security / Compliance
-            manageSecuritySettings: true,
-            managePrivacySettings: true,
-
-            // Global Settings
-            manageSiteSettings: true
-        }
-    });
+    // 2. Verify the bootstrap secret (header or body)
+    const providedSecret = req.header("X-Bootstrap-Secret") || bootstrapSecret;
+    if (!isBootstrapSecretValid(providedSecret)) {
+        logger.warn("Superadmin bootstrap attempted with an invalid secret", { ip: req.ip });
+        throw new ApiError(401, "Invalid bootstrap secret");
+    }
+
+    // 3. Create the superadmin (refuses if one already exists)
+    const superadmin = await bootstrapSuperadmin(
+        { fullName, email, password },
+        { source: "api", ipAddress: req.ip, userAgent: req.get("user-agent") || "" }
+    );
 
     res.status(201).json(new ApiResponse(201, superadmin, "Initial superadmin created"));
 });
@@ -74,15 +93,9 @@ const createAdmin = asyncHandler(async (req, res) => {
     try {
         logger.info("Starting createAdmin process");
 
-        // 1. Authorization Check
-        if (req.admin.role !== "superadmin") {
-            logger.error("Unauthorized: Only superadmin can create admin accounts");
-            throw new ApiError(403, "Unauthorized: Only superadmin can create admin accounts");
-        }
-
         const { fullName, email, password, role } = req.body;
 
-        // 2. Input Validation
+        // 1. Input Validation
         if (!areRequiredFieldsProvided([fullName, email, password, role])) {
             logger.error("Missing required fields");
             throw new ApiError(400, "All fields (fullName, email, password, role) are required");
@@ -98,69 +111,24 @@ const createAdmin = asyncHandler(async (req, res) => {
             throw new ApiError(400, "Password must be at least 8 characters with uppercase, lowercase, number, and special character");
         }
 
-        // 3. Role Validation
+        // 2. Role Validation
         const validRoles = ["admin", "moderator", "client"]; // Explicitly excluding superadmin
         if (!validRoles.includes(role)) {
             logger.error("Invalid admin role");
             throw new ApiError(400, `Role must be one of: ${validRoles.join(", ")}`);
         }
 
-        // 4. Check for Existing Admin
+        // 3. Check for Existing Admin
         const existingAdmin = await Admin.findOne({ email }).session(session);
         if (existingAdmin) {
             logger.error("Email already in use");
             throw new ApiError(409, "Email already in use by another admin");
         }
 
-        // 5. Default permissions based on role
-        let defaultPermissions = {};
-        if (role === "admin") {
-            defaultPermissions = {
-                // Core Site Management
-                manageServices: true,
-                managePortfolio: true,
-                manageClients: true,
-                manageProjects: true,
-
-                // Team & Content
-                manageTeam: true,
-                manageTestimonials: true,
-                manageBlog: true,
-
-                // Communication / CRM
-                manageLeads: true,
-                manageContacts: true,
-                sendBulkEmails: true,
-
-                // Finance
-                manageInvoices: true,
-                managePayments: true,
-                managePlans: true,
-
-                // Admin & Role Control
-                viewActivityLogs: true,
-            };
-        } else if (role === "moderator") {
-            defaultPermissions = {
-                // Limited content management
-                manageBlog: true,
-                manageTestimonials: true,
-
-                // Limited client interaction
-                manageLeads: true,
-                manageContacts: true,
-
-                viewActivityLogs: false
-            };
-        } else if (role === "client") {
-            defaultPermissions = {
-                // Very limited access
-                manageProjects: false,
-                viewActivityLogs: false
-            };
-        }
-
-        // 6. Create Admin with Default Permissions
+        // 4. Default permissions based on role
+        const defaultPermissions = Admin.getDefaultPermissions(role);
+
+        // 5. Create Admin with Default Permissions
         const admin = await Admin.create([{
             fullName,
             email,
@@ -169,11 +137,19 @@ const createAdmin = asyncHandler(async (req, res) => {
             permissions: defaultPermissions
         }], { session });
 
-        // 7. Save and Commit Transaction
+        // 6. Record audit trail, save and commit transaction
         await admin[0].save({ session });
+        await recordAuditLog({
+            req,
+            action: "admin.create",
+            targetModel: "Admin",
+            targetId: admin[0]._id,
+            after: { email, role, permissions: defaultPermissions },
+            session
+        });
         await session.commitTransaction();
 
-        // 8. Prepare Response (Exclude Sensitive Data)
+        // 7. Prepare Response (Exclude Sensitive Data)
         const createdAdmin = await Admin.findById(admin[0]._id).select("-password -refreshToken").session(session);
 
         if (!createdAdmin) {
@@ -203,6 +179,41 @@ const createAdmin = asyncHandler(async (req, res) => {
     }
 });
 
+// Starts a session for an authenticated admin and sends tokens (cookies + body)
+const startAdminSession = async (admin, req, res, message, extraData = {}) => {
+    // Each login is its own session, other devices stay logged in
+    const { accessToken, refreshToken } = await createSession(admin, "Admin", req);
+
+    // Record login (resets failed attempts, alerts on a new IP)
+    await registerSuccessfulLogin(admin, req);
+    await admin.save({ validateBeforeSave: false });
+
+    // Prepare response (exclude sensitive data)
+    const loggedInAdmin = await Admin.findById(admin._id).select("-password");
+
+    const cookieOptions = {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === "production",
+        sameSite: process.env.NODE_ENV === "production" ? "none" : "lax", // Changed from strict
+    };
+
+    res.status(200)
+        .cookie("adminAccessToken", accessToken, {
+            ...cookieOptions,
+            maxAge: 15 * 60 * 1000 // 15 minutes
+        })
+        .cookie("adminRefreshToken", refreshToken, {
+            ...cookieOptions,
+            maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
+        })
+        .json(new ApiResponse(200, {
+            admin: loggedInAdmin,
+            accessToken,
+            refreshToken,
+            ...extraData
+        }, message));
+};
+
 // Admin Login Controller
 const loginAdmin = asyncHandler(async (req, res) => {
     const { email, password } = req.body;
@@ -221,8 +232,8 @@ const loginAdmin = asyncHandler(async (req, res) => {
             throw new ApiError(400, "Invalid email format");
         }
 
-        // 2. Find Admin (include refreshToken)
-        const admin = await Admin.findOne({ email }).select("+refreshToken");
+        // 2. Find Admin
+        const admin = await Admin.findOne({ email });
         if (!admin) {
             logger.error("Admin not found with this email");
             throw new ApiError(404, "Admin not found");
@@ -234,48 +245,37 @@ const loginAdmin = asyncHandler(async (req, res) => {
             throw new ApiError(403, "Admin account is inactive. Please contact superadmin.");
         }
 
-        // 4. Verify Password
+        // 4. Reject locked accounts, then verify password
+        assertAccountNotLocked(admin, res);
+
         const isPasswordValid = await admin.comparePassword(password);
         if (!isPasswordValid) {
             logger.error("Invalid credentials");
+            const { locked } = await registerFailedLogin(admin, req);
+            if (locked) {
+                throw new ApiError(423, "Account locked after too many failed login attempts");
+            }
             throw new ApiError(401, "Invalid credentials");
         }
 
-        // 5. Generate Tokens
-        const accessToken = admin.generateAccessToken();
-        const refreshToken = admin.generateRefreshToken();
-
-        // 6. Save refresh token to database
-        admin.refreshToken = refreshToken;
-        admin.lastLogin = new Date();
-        admin.loginIP = req.ip;
-        await admin.save({ validateBeforeSave: false });
+        // 5. Second factor: enrolled admins confirm a code, admins the policy covers must enroll first
+        const policy = await SecurityPolicy.getPolicy();
 
-        // 7. Prepare response (exclude sensitive data)
-        const loggedInAdmin = await Admin.findById(admin._id).select("-password -refreshToken");
-
-        // 8. Set cookies
-        const cookieOptions = {
-            httpOnly: true,
-            secure: process.env.NODE_ENV === "production",
-            sameSite: process.env.NODE_ENV === "production" ? "none" : "lax", // Changed from strict
-        };
+        if (admin.twoFactor?.enabled || policy.requiresTwoFactorFor(admin)) {
+            const purpose = admin.twoFactor?.enabled ? "2fa-login" : "2fa-setup";
+            logger.info(`Admin ${email} passed password check, awaiting ${purpose}`);
 
-        res.status(200)
-            .cookie("adminAccessToken", accessToken, {
-                ...cookieOptions,
-                maxAge: 15 * 60 * 1000 // 15 minutes
-            })
-            .cookie("adminRefreshToken", refreshToken, {
-                ...cookieOptions,
-                maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-            })
-            .json(new ApiResponse(200, {
-                admin: loggedInAdmin,
-                accessToken,
-                refreshToken
-            }, "Admin logged in successfully"));
+            return res.status(200).json(new ApiResponse(200, {
+                twoFactorRequired: purpose === "2fa-login",
+                twoFactorSetupRequired: purpose === "2fa-setup",
+                preAuthToken: admin.generatePreAuthToken(purpose)
+            }, purpose === "2fa-login"
+                ? "Enter the code from your authenticator app"
+                : "Two-factor authentication must be set up before logging in"));
+        }
 
+        // 6. Start session, set cookies
+        await startAdminSession(admin, req, res, "Admin logged in successfully");
         logger.info(`Admin ${email} logged in successfully`);
     } catch (error) {
         logger.error(`Error in loginAdmin: ${error.message}`, { stack: error.stack });
@@ -283,6 +283,63 @@ const loginAdmin = asyncHandler(async (req, res) => {
     }
 });
 
+// Second login step: exchange the pre-auth token and a 2FA code for a session
+const verifyAdminLoginTwoFactor = asyncHandler(async (req, res) => {
+    const { code, backupCode } = req.body;
+
+    if (!code && !backupCode) {
+        throw new ApiError(400, "Authenticator code or backup code is required");
+    }
+
+    const admin = await Admin.findByIdWithTwoFactor(req.admin._id);
+    const isSetup = req.preAuthPurpose === "2fa-setup";
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    assertAccountNotLocked(admin, res);
+
+    if (isSetup && !admin.twoFactor?.pendingSecret) {
+        throw new ApiError(400, "Start two-factor setup first");
+    }
+
+    const factor = await admin.verifyTwoFactor({ code, backupCode, pending: isSetup });
+    if (!factor) {
+        logger.warn(`Failed 2FA login attempt for admin ${admin.email}`, { ip: req.ip });
+        const { locked } = await registerFailedLogin(admin, req);
+        if (locked) {
+            throw new ApiError(423, "Account locked after too many failed login attempts");
+        }
+        throw new ApiError(401, "Invalid authentication code");
+    }
+
+    let extraData = {};
+
+    if (isSetup) {
+        // Enrollment forced by the security policy completes here
+        const { codes, hashes } = generateBackupCodes();
+        admin.twoFactor.secret = admin.twoFactor.pendingSecret;
+        admin.twoFactor.pendingSecret = undefined;
+        admin.twoFactor.backupCodes = hashes;
+        admin.twoFactor.enabled = true;
+        admin.twoFactor.enabledAt = new Date();
+        extraData = { backupCodes: codes };
+
+        await recordAuditLog({
+            req,
+            action: "admin.2fa.enable",
+            targetModel: "Admin",
+            targetId: admin._id,
+            after: { twoFactorEnabled: true },
+            metadata: { duringLogin: true }
+        });
+    } else if (factor === "backup") {
+        logger.warn(`Admin ${admin.email} logged in with a backup code, ${admin.twoFactor.backupCodes.length} left`);
+        extraData = { backupCodesRemaining: admin.twoFactor.backupCodes.length };
+    }
+
+    await startAdminSession(admin, req, res, "Admin logged in successfully", extraData);
+    logger.info(`Admin ${admin.email} logged in successfully with 2FA`);
+});
+
 // Refresh token controller
 const refreshAdminToken = asyncHandler(async (req, res) => {
     try {
@@ -292,30 +349,11 @@ const refreshAdminToken = asyncHandler(async (req, res) => {
             throw new ApiError(401, "Unauthorized request - No refresh token");
         }
 
-        // Verify the refresh token
-        const decodedToken = jwt.verify(
-            incomingRefreshToken,
-            process.env.REFRESH_TOKEN_SECRET
-        );
-
-        // Find admin with refresh token
-        const admin = await Admin.findById(decodedToken._id).select("+refreshToken");
-        if (!admin) {
-            throw new ApiError(401, "Invalid refresh token");
-        }
-
-        // Verify token matches stored token
-        if (incomingRefreshToken !== admin.refreshToken) {
-            throw new ApiError(401, "Refresh token is expired or used");
-        }
-
-        // Generate new tokens
-        const newAccessToken = admin.generateAccessToken();
-        const newRefreshToken = admin.generateRefreshToken();
-
-        // Update refresh token in database
-        admin.refreshToken = newRefreshToken;
-        await admin.save({ validateBeforeSave: false });
+        // Verify and rotate the refresh token (reusing an old one revokes the session)
+        const {
+            accessToken: newAccessToken,
+            refreshToken: newRefreshToken
+        } = await rotateSession(incomingRefreshToken, Admin, req);
 
         // Set cookies
         const cookieOptions = {
@@ -347,14 +385,8 @@ const logoutAdmin = asyncHandler(async (req, res) => {
     try {
         logger.info("Starting admin logout process");
 
-        // Find admin and clear refresh token
-        await Admin.findByIdAndUpdate(
-            req.admin._id,
-            {
-                $unset: { refreshToken: 1 }
-            },
-            { new: true }
-        );
+        // End the current session only (other devices stay logged in)
+        await revokeSession(req.sessionId, "logout");
 
         // Clear the cookies
         res.clearCookie("adminAccessToken", {
@@ -387,33 +419,42 @@ const deleteAdmin = asyncHandler(async (req, res) => {
 
         const { adminId } = req.params;
 
-        // 1. Authorization Check
-        if (req.admin.role !== "superadmin") {
-            logger.error("Unauthorized: Only superadmin can delete admin accounts");
-            throw new ApiError(403, "Unauthorized: Only superadmin can delete admin accounts");
-        }
-
-        // 2. Validate admin ID
+        // 1. Validate admin ID
         if (!mongoose.Types.ObjectId.isValid(adminId)) {
             logger.error("Invalid admin ID");
             throw new ApiError(400, "Invalid admin ID");
         }
 
-        // 3. Prevent self-deletion
+        // 2. Prevent self-deletion
         if (adminId === req.admin._id.toString()) {
             logger.error("Superadmin cannot delete themselves");
             throw new ApiError(400, "Superadmin cannot delete themselves");
         }
 
-        // 4. Find and delete admin
-        const adminToDelete = await Admin.findByIdAndDelete(adminId).session(session);
+        // 3. Find admin and make sure we aren't removing the last superadmin
+        const adminToDelete = await Admin.findById(adminId).session(session);
 
         if (!adminToDelete) {
             logger.error("Admin not found");
             throw new ApiError(404, "Admin not found");
         }
 
-        // 5. Commit transaction
+        await assertNotLastSuperadmin(adminToDelete, session);
+        await Admin.deleteOne({ _id: adminId }).session(session);
+
+        // 4. Record audit trail and commit transaction
+        await recordAuditLog({
+            req,
+            action: "admin.delete",
+            targetModel: "Admin",
+            targetId: adminToDelete._id,
+            before: {
+                fullName: adminToDelete.fullName,
+                email: adminToDelete.email,
+                role: adminToDelete.role
+            },
+            session
+        });
         await session.commitTransaction();
         logger.info(`Admin ${adminToDelete.email} deleted successfully`);
 
@@ -479,9 +520,8 @@ const changePassword = asyncHandler(async (req, res) => {
         admin.password = newPassword;
         await admin.save({ session });
 
-        // 6. Invalidate all sessions by clearing refresh token
-        admin.refreshToken = undefined;
-        await admin.save({ session });
+        // 6. Invalidate all sessions
+        await revokeAllSessions(admin._id, "Admin", "password-changed", { session });
 
         await session.commitTransaction();
         logger.info(`Password changed successfully for admin ${admin.email}`);
@@ -615,8 +655,8 @@ const resetPassword = asyncHandler(async (req, res) => {
         admin.password = newPassword;
         admin.resetToken = undefined;
         admin.resetTokenExpires = undefined;
-        admin.refreshToken = undefined; // Invalidate all sessions
         await admin.save({ session });
+        await revokeAllSessions(admin._id, "Admin", "password-changed", { session }); // Invalidate all sessions
 
         await session.commitTransaction();
         logger.info(`Password reset successfully for admin ${admin.email}`);
@@ -637,15 +677,461 @@ const resetPassword = asyncHandler(async (req, res) => {
     }
 });
 
+// List admins with filtering and pagination
+const getAllAdmins = asyncHandler(async (req, res) => {
+    try {
+        logger.info("Fetching all admins");
+
+        // 1. Parse query parameters
+        const {
+            role,
+            isActive,
+            permission,
+            search,
+            sortBy = "createdAt",
+            sortOrder = "desc",
+            page = 1,
+            limit = 10
+        } = req.query;
+
+        // 2. Build query object
+        const query = {};
+
+        if (role) {
+            query.role = role;
+        }
+
+        if (isActive !== undefined) {
+            query.isActive = isActive === "true";
+        }
+
+        if (permission) {
+            if (!Admin.PERMISSION_KEYS.includes(permission)) {
+                throw new ApiError(400, `Invalid permission. Valid values: ${Admin.PERMISSION_KEYS.join(", ")}`);
+            }
+            query[`permissions.${permission}`] = true;
+        }
+
+        if (search) {
+            const pattern = escapeRegex(String(search));
+            query.$or = [
+                { fullName: { $regex: pattern, $options: "i" } },
+                { email: { $regex: pattern, $options: "i" } }
+            ];
+        }
+
+        // 3. Build sort object
+        const validSortFields = ["createdAt", "updatedAt", "fullName", "email", "role", "lastLogin"];
+        if (!validSortFields.includes(sortBy)) {
+            throw new ApiError(400, `Invalid sort field. Valid fields: ${validSortFields.join(", ")}`);
+        }
+
+        const sort = {};
+        sort[sortBy] = sortOrder === "desc" ? -1 : 1;
+
+        // 4. Calculate pagination
+        const pageNum = Math.max(parseInt(page) || 1, 1);
+        const limitNum = Math.min(Math.max(parseInt(limit) || 10, 1), 100);
+        const skip = (pageNum - 1) * limitNum;
+
+        // 5. Execute query
+        const [admins, total] = await Promise.all([
+            Admin.find(query)
+                .sort(sort)
+                .skip(skip)
+                .limit(limitNum)
+                .select("-password -refreshToken -resetToken -resetTokenExpires"),
+            Admin.countDocuments(query)
+        ]);
+
+        res.status(200).json(
+            new ApiResponse(200, {
+                admins,
+                total,
+                page: pageNum,
+                pages: Math.ceil(total / limitNum)
+            }, "Admins fetched successfully")
+        );
+    } catch (error) {
+        logger.error(`Error in getAllAdmins: ${error.message}`, { stack: error.stack });
+
+        if (error instanceof ApiError) {
+            throw error;
+        }
+        throw new ApiError(500, error.message || "Failed to fetch admins");
+    }
+});
+
+// Get a single admin
+const getAdminById = asyncHandler(async (req, res) => {
+    const { adminId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(adminId)) {
+        throw new ApiError(400, "Invalid admin ID");
+    }
+
+    const admin = await Admin.findById(adminId)
+        .select("-password -refreshToken -resetToken -resetTokenExpires");
+
+    if (!admin) {
+        throw new ApiError(404, "Admin not found");
+    }
+
+    res.status(200).json(new ApiResponse(200, admin, "Admin fetched successfully"));
+});
+
+// Change an admin's role
+const updateAdminRole = asyncHandler(async (req, res) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        logger.info("Starting updateAdminRole process");
+
+        const { adminId } = req.params;
+        const { role, resetPermissions = true } = req.body;
+
+        // 1. Validate input
+        if (!mongoose.Types.ObjectId.isValid(adminId)) {
+            logger.error("Invalid admin ID");
+            throw new ApiError(400, "Invalid admin ID");
+        }
+
+        const validRoles = Admin.schema.path("role").enumValues;
+        if (!role || !validRoles.includes(role)) {
+            logger.error("Invalid admin role");
+            throw new ApiError(400, `Role must be one of: ${validRoles.join(", ")}`);
+        }
+
+        // 2. Only a superadmin can grant the superadmin role
+        if (role === "superadmin" && req.admin.role !== "superadmin") {
+            logger.error("Non-superadmin attempted to grant superadmin role");
+            throw new ApiError(403, "Unauthorized: Only a superadmin can grant the superadmin role");
+        }
+
+        // 3. Find target admin
+        const admin = await Admin.findById(adminId).session(session);
+        if (!admin) {
+            logger.error("Admin not found");
+            throw new ApiError(404, "Admin not found");
+        }
+
+        // 4. Guardrails
+        assertCanManageAdmin(req.admin, admin);
+
+        if (admin.role === role) {
+            throw new ApiError(400, `Admin already has the ${role} role`);
+        }
+
+        if (admin.role === "superadmin") {
+            await assertNotLastSuperadmin(admin, session);
+        }
+
+        // 5. Resetting to the role's defaults grants them, so the same rule as
+        // updateAdminPermissions applies: non-superadmins can't grant what they don't hold
+        const defaultPermissions = Admin.getDefaultPermissions(role);
+        if (resetPermissions) {
+            const notHeld = getPermissionsNotHeld(req.admin, defaultPermissions);
+            if (notHeld.length > 0) {
+                logger.error("Admin attempted to grant a role's default permissions they don't hold", { notHeld });
+                throw new ApiError(403, `Unauthorized: You cannot grant permissions you don't hold: ${notHeld.join(", ")}`);
+            }
+        }
+
+        // 6. Apply role (and optionally that role's default permissions)
+        const before = { role: admin.role, permissions: admin.permissions.toObject() };
+
+        admin.role = role;
+        if (resetPermissions) {
+            admin.permissions = defaultPermissions;
+        }
+        await admin.save({ session, validateModifiedOnly: true });
+
+        // 7. Record audit trail
+        await recordAuditLog({
+            req,
+            action: "admin.role.update",
+            targetModel: "Admin",
+            targetId: admin._id,
+            before,
+            after: { role: admin.role, permissions: admin.permissions.toObject() },
+            session
+        });
+
+        await session.commitTransaction();
+        logger.info(`Admin ${admin.email} role changed from ${before.role} to ${role} by ${req.admin.email}`);
+
+        const updatedAdmin = await Admin.findById(admin._id)
+            .select("-password -refreshToken -resetToken -resetTokenExpires");
+
+        res.status(200).json(new ApiResponse(200, updatedAdmin, "Admin role updated successfully"));
+    } catch (error) {
+        await session.abortTransaction();
+        logger.error(`Error in updateAdminRole: ${error.message}`, { stack: error.stack });
+
+        if (error instanceof ApiError) {
+            throw error;
+        }
+        throw new ApiError(500, error.message || "Failed to update admin role");
+    } finally {
+        session.endSession();
+    }
+});
+
+// Toggle individual permissions of an admin
+const updateAdminPermissions = asyncHandler(async (req, res) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        logger.info("Starting updateAdminPermissions process");
+
+        const { adminId } = req.params;
+        const { permissions } = req.body;
+
+        // 1. Validate input
+        if (!mongoose.Types.ObjectId.isValid(adminId)) {
+            logger.error("Invalid admin ID");
+            throw new ApiError(400, "Invalid admin ID");
+        }
+
+        if (!permissions || typeof permissions !== "object" || Array.isArray(permissions) || Object.keys(permissions).length === 0) {
+            logger.error("Permissions object is required");
+            throw new ApiError(400, "A permissions object such as { \"manageBlog\": true } is required");
+        }
+
+        const invalidKeys = Object.keys(permissions).filter(key => !Admin.PERMISSION_KEYS.includes(key));
+        if (invalidKeys.length > 0) {
+            logger.error("Invalid permission keys", { invalidKeys });
+            throw new ApiError(400, `Invalid permissions: ${invalidKeys.join(", ")}`);
+        }
+
+        const nonBoolean = Object.entries(permissions).filter(([, value]) => typeof value !== "boolean");
+        if (nonBoolean.length > 0) {
+            throw new ApiError(400, "Permission values must be true or false");
+        }
+
+        // 2. Non-superadmins can only grant permissions they hold themselves
+        const notHeld = getPermissionsNotHeld(req.admin, permissions);
+        if (notHeld.length > 0) {
+            logger.error("Admin attempted to grant permissions they don't hold", { notHeld });
+            throw new ApiError(403, `Unauthorized: You cannot grant permissions you don't hold: ${notHeld.join(", ")}`);
+        }
+
+        // 3. Find target admin
+        const admin = await Admin.findById(adminId).session(session);
+        if (!admin) {
+            logger.error("Admin not found");
+            throw new ApiError(404, "Admin not found");
+        }
+
+        // 4. Guardrails
+        assertCanManageAdmin(req.admin, admin);
+
+        if (admin.role === "superadmin") {
+            throw new ApiError(400, "Superadmin permissions cannot be modified; change the role instead");
+        }
+
+        // 5. Apply permission toggles
+        const before = admin.permissions.toObject();
+        Object.entries(permissions).forEach(([key, value]) => {
+            admin.permissions[key] = value;
+        });
+        await admin.save({ session, validateModifiedOnly: true });
+
+        // 6. Record audit trail (changed permissions only)
+        const changes = diffChanges(before, admin.permissions.toObject());
+        await recordAuditLog({
+            req,
+            action: "admin.permissions.update",
+            targetModel: "Admin",
+            targetId: admin._id,
+            before: changes.before,
+            after: changes.after,
+            session
+        });
+
+        await session.commitTransaction();
+        logger.info(`Admin ${admin.email} permissions updated by ${req.admin.email}`, { changes });
+
+        const updatedAdmin = await Admin.findById(admin._id)
+            .select("-password -refreshToken -resetToken -resetTokenExpires");
+
+        res.status(200).json(new ApiResponse(200, updatedAdmin, "Admin permissions updated successfully"));
+    } catch (error) {
+        await session.abortTransaction();
+        logger.error(`Error in updateAdminPermissions: ${error.message}`, { stack: error.stack });
+
+        if (error instanceof ApiError) {
+            throw error;
+        }
+        throw new ApiError(500, error.message || "Failed to update admin permissions");
+    } finally {
+        session.endSession();
+    }
+});
+
+// Shared handler for activating / deactivating an admin account
+const setAdminActiveStatus = (isActive) => asyncHandler(async (req, res) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        logger.info(`Starting ${isActive ? "reactivateAdmin" : "deactivateAdmin"} process`);
+
+        const { adminId } = req.params;
+
+        // 1. Validate admin ID
+        if (!mongoose.Types.ObjectId.isValid(adminId)) {
+            logger.error("Invalid admin ID");
+            throw new ApiError(400, "Invalid admin ID");
+        }
+
+        // 2. Find target admin
+        const admin = await Admin.findById(adminId).session(session);
+        if (!admin) {
+            logger.error("Admin not found");
+            throw new ApiError(404, "Admin not found");
+        }
+
+        // 3. Guardrails
+        assertCanManageAdmin(req.admin, admin);
+
+        if (admin.isActive === isActive) {
+            throw new ApiError(400, `Admin account is already ${isActive ? "active" : "inactive"}`);
+        }
+
+        if (!isActive) {
+            await assertNotLastSuperadmin(admin, session);
+        }
+
+        // 4. Update status (deactivation also ends every session)
+        admin.isActive = isActive;
+        await admin.save({ session, validateModifiedOnly: true });
+        if (!isActive) {
+            await revokeAllSessions(admin._id, "Admin", "account-deactivated", { session });
+        }
+
+        // 5. Record audit trail
+        await recordAuditLog({
+            req,
+            action: isActive ? "admin.reactivate" : "admin.deactivate",
+            targetModel: "Admin",
+            targetId: admin._id,
+            before: { isActive: !isActive },
+            after: { isActive },
+            metadata: { reason: req.body?.reason || "" },
+            session
+        });
+
+        await session.commitTransaction();
+        logger.info(`Admin ${admin.email} ${isActive ? "reactivated" : "deactivated"} by ${req.admin.email}`);
+
+        const updatedAdmin = await Admin.findById(admin._id)
+            .select("-password -refreshToken -resetToken -resetTokenExpires");
+
+        res.status(200).json(
+            new ApiResponse(200, updatedAdmin, `Admin account ${isActive ? "reactivated" : "deactivated"} successfully`)
+        );
+    } catch (error) {
+        await session.abortTransaction();
+        logger.error(`Error in setAdminActiveStatus: ${error.message}`, { stack: error.stack });
+
+        if (error instanceof ApiError) {
+            throw error;
+        }
+        throw new ApiError(500, error.message || "Failed to update admin status");
+    } finally {
+        session.endSession();
+    }
+});
+
+const deactivateAdmin = setAdminActiveStatus(false);
+const reactivateAdmin = setAdminActiveStatus(true);
+
+// Unlock an admin locked out by failed logins
+const unlockAdmin = asyncHandler(async (req, res) => {
+    const { adminId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(adminId)) {
+        throw new ApiError(400, "Invalid admin ID");
+    }
+
+    const admin = await Admin.findById(adminId);
+    if (!admin) {
+        throw new ApiError(404, "Admin not found");
+    }
+
+    assertCanManageAdmin(req.admin, admin);
+
+    const before = pickLockout(admin);
+    clearLockout(admin);
+    await admin.save({ validateBeforeSave: false });
+
+    await recordAuditLog({
+        req,
+        action: "admin.unlock",
+        targetModel: "Admin",
+        targetId: admin._id,
+        before,
+        after: pickLockout(admin)
+    });
+
+    logger.info(`Admin ${admin.email} unlocked by ${req.admin.email}`);
+
+    res.status(200).json(new ApiResponse(200, pickLockout(admin), "Admin account unlocked successfully"));
+});
+
+// Audit trail of changes made to a single admin account
+const getAdminAuditTrail = asyncHandler(async (req, res) => {
+    const { adminId } = req.params;
+    const { page = 1, limit = 20 } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(adminId)) {
+        throw new ApiError(400, "Invalid admin ID");
+    }
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const query = { targetModel: "Admin", targetId: adminId };
+
+    const [entries, total] = await Promise.all([
+        AuditLog.find(query)
+            .sort({ createdAt: -1 })
+            .skip((pageNum - 1) * limitNum)
+            .limit(limitNum)
+            .populate("actor", "fullName email role"),
+        AuditLog.countDocuments(query)
+    ]);
+
+    res.status(200).json(
+        new ApiResponse(200, {
+            entries,
+            total,
+            page: pageNum,
+            pages: Math.ceil(total / limitNum)
+        }, "Admin audit trail fetched successfully")
+    );
+});
+
 export {
     createSuperadmin,
     createAdmin,
     loginAdmin,
+    verifyAdminLoginTwoFactor,
     refreshAdminToken,
     logoutAdmin,
     deleteAdmin,
     changePassword,
     requestPasswordReset,
     resetPassword,
-    getCurrentAdmin
+    getCurrentAdmin,
+    getAllAdmins,
+    getAdminById,
+    updateAdminRole,
+    updateAdminPermissions,
+    deactivateAdmin,
+    reactivateAdmin,
+    unlockAdmin,
+    getAdminAuditTrail
 };
\ No newline at end of file
@@ -4,11 +4,15 @@ import ApiResponse from "../utils/ApiResponse.utils.js";
 import mongoose from "mongoose";
 import logger from "../utils/logger.utils.js";
 import Client from "../models/client.model.js";
-import { isEmailValid, isPhoneValid } from "../utils/validator.utils.js";
+import { isEmailValid, isPhoneValid, isValidObjectId } from "../utils/validator.utils.js";
+import { escapeRegex } from "../utils/query.utils.js";
 import Blog from "../models/blog.model.js";
-
-// Utility to validate MongoDB ID
-const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
+import ClientServiceRequest, { STATUS_TRANSITIONS } from "../models/clientServiceRequest.model.js";
+import { recordAuditLog, diffChanges, pickFields } from "../utils/auditLog.utils.js";
+import { clearLockout } from "../utils/loginSecurity.utils.js";
+import { buildClientExport, purgeClientAccount } from "../utils/clientData.utils.js";
+import { getSignedFileUrl } from "../utils/storage.utils.js";
+import { sendServiceRequestStatusEmail } from "../utils/emailService.js";
 
 
 const getAllClients = asyncHandler(async (req, res) => {
@@ -176,6 +180,18 @@ const updateClient = asyncHandler(async (req, res) => {
             { new: true, session }
         ).select('-password -refreshToken -verificationToken -resetPasswordToken');
 
+        // Record audit trail (changed fields only)
+        const changes = diffChanges(pickFields(client, Object.keys(updates)), pickFields(updatedClient, Object.keys(updates)));
+        await recordAuditLog({
+            req,
+            action: "client.update",
+            targetModel: "Client",
+            targetId: client._id,
+            before: changes.before,
+            after: changes.after,
+            session
+        });
+
         await session.commitTransaction();
 
         res.status(200).json(
@@ -217,6 +233,15 @@ const deleteClient = asyncHandler(async (req, res) => {
 
         // TODO: Add any cleanup operations here (e.g., delete related records, files, etc.)
 
+        await recordAuditLog({
+            req,
+            action: "client.delete",
+            targetModel: "Client",
+            targetId: client._id,
+            before: pickFields(client, ["fullName", "email", "phone", "status", "role"]),
+            session
+        });
+
         await session.commitTransaction();
 
         res.status(200).json(
@@ -235,6 +260,39 @@ const deleteClient = asyncHandler(async (req, res) => {
     }
 });
 
+// Unlock a client locked out by failed logins
+const unlockClient = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+        throw new ApiError(400, "Invalid client ID format");
+    }
+
+    const client = await Client.findById(id);
+    if (!client) {
+        throw new ApiError(404, "Client not found");
+    }
+
+    const lockoutFields = ["failedLoginAttempts", "lockCount", "lockUntil"];
+    const before = pickFields(client, lockoutFields);
+
+    clearLockout(client);
+    await client.save({ validateBeforeSave: false });
+
+    await recordAuditLog({
+        req,
+        action: "client.unlock",
+        targetModel: "Client",
+        targetId: client._id,
+        before,
+        after: pickFields(client, lockoutFields)
+    });
+
+    res.status(200).json(
+        new ApiResponse(200, pickFields(client, lockoutFields), "Client account unlocked successfully")
+    );
+});
+
 const getAllBlogs = asyncHandler(async (req, res) => {
     try {
         // Pagination
@@ -350,6 +408,19 @@ const deleteBlog = asyncHandler(async (req, res) => {
 
         // TODO: Add any cleanup operations here (e.g., delete comments, remove images, etc.)
 
+        await recordAuditLog({
+            req,
+            action: "blog.delete",
+            targetModel: "Blog",
+            targetId: blog._id,
+            before: {
+                title: blog.title,
+                author: blog.author?._id,
+                status: blog.status
+            },
+            session
+        });
+
         await session.commitTransaction();
 
         res.status(200).json(
@@ -381,6 +452,11 @@ const changeBlogStatus = asyncHandler(async (req, res) => {
             throw new ApiError(400, "Invalid status specified");
         }
 
+        const previous = await Blog.findById(id).select('status');
+        if (!previous) {
+            throw new ApiError(404, "Blog not found");
+        }
+
         const blog = await Blog.findByIdAndUpdate(
             id,
             { status },
@@ -391,6 +467,15 @@ const changeBlogStatus = asyncHandler(async (req, res) => {
             throw new ApiError(404, "Blog not found");
         }
 
+        await recordAuditLog({
+            req,
+            action: "blog.status.update",
+            targetModel: "Blog",
+            targetId: blog._id,
+            before: { status: previous.status },
+            after: { status: blog.status }
+        });
+
         res.status(200).json(
             new ApiResponse(200, blog, `Blog status changed to ${status} successfully`)
         );
@@ -421,6 +506,15 @@ const toggleBlogFeatured = asyncHandler(async (req, res) => {
         blog.featured = !blog.featured;
         await blog.save();
 
+        await recordAuditLog({
+            req,
+            action: "blog.featured.toggle",
+            targetModel: "Blog",
+            targetId: blog._id,
+            before: { featured: !blog.featured },
+            after: { featured: blog.featured }
+        });
+
         res.status(200).json(
             new ApiResponse(200, blog, `Blog featured status toggled to ${blog.featured} successfully`)
         );
@@ -435,14 +529,362 @@ const toggleBlogFeatured = asyncHandler(async (req, res) => {
     }
 });
 
+const getAllServiceRequests = asyncHandler(async (req, res) => {
+    try {
+        const { status, category, clientId, from, to, search, sortBy } = req.query;
+
+        // Pagination
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 10;
+        const skip = (page - 1) * limit;
+
+        // Filtering
+        const filter = {};
+
+        const validStatuses = ClientServiceRequest.schema.path('status').enumValues;
+        if (status) {
+            if (!validStatuses.includes(status)) {
+                throw new ApiError(400, `Invalid status. Valid values: ${validStatuses.join(', ')}`);
+            }
+            filter.status = status;
+        }
+
+        const validCategories = ClientServiceRequest.schema.path('category').enumValues;
+        if (category) {
+            if (!validCategories.includes(category)) {
+                throw new ApiError(400, `Invalid category. Valid values: ${validCategories.join(', ')}`);
+            }
+            filter.category = category;
+        }
+
+        if (clientId) {
+            if (!isValidObjectId(clientId)) {
+                throw new ApiError(400, "Invalid client ID format");
+            }
+            filter.createdBy = clientId;
+        }
+
+        // Date range on creation date
+        if (from || to) {
+            filter.createdAt = {};
+            if (from) filter.createdAt.$gte = new Date(from);
+            if (to) filter.createdAt.$lte = new Date(to);
+
+            if (Object.values(filter.createdAt).some(date => isNaN(date.getTime()))) {
+                throw new ApiError(400, "Invalid date range");
+            }
+        }
+
+        if (search) {
+            const searchRegex = new RegExp(escapeRegex(search), 'i');
+            filter.$or = [
+                { title: searchRegex },
+                { description: searchRegex }
+            ];
+        }
+
+        // Sorting
+        const sort = {};
+        const validSortFields = ['createdAt', 'updatedAt', 'budget', 'deliveryDeadline', 'status'];
+        if (sortBy) {
+            const [field, order] = sortBy.split(':');
+            if (!validSortFields.includes(field)) {
+                throw new ApiError(400, `Invalid sort field. Valid fields: ${validSortFields.join(', ')}`);
+            }
+            sort[field] = order === 'desc' ? -1 : 1;
+        } else {
+            sort.createdAt = -1; // Default: newest first
+        }
+
+        const [requests, total] = await Promise.all([
+            ClientServiceRequest.find(filter)
+                .sort(sort)
+                .skip(skip)
+                .limit(limit)
+                .select('+adminNotes')
+                .populate('createdBy', 'fullName email phone'),
+            ClientServiceRequest.countDocuments(filter)
+        ]);
+
+        res.status(200).json(
+            new ApiResponse(200, {
+                requests,
+                pagination: {
+                    total,
+                    page,
+                    pages: Math.ceil(total / limit),
+                    limit
+                }
+            }, "Service requests retrieved successfully")
+        );
+
+    } catch (error) {
+        logger.error(`Admin getAllServiceRequests error: ${error.message}`, { stack: error.stack });
+
+        if (error instanceof ApiError) throw error;
+
+        throw new ApiError(500, "Failed to retrieve service requests");
+    }
+});
+
+const getServiceRequestById = asyncHandler(async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!isValidObjectId(id)) {
+            throw new ApiError(400, "Invalid service request ID format");
+        }
+
+        const request = await ClientServiceRequest.findById(id)
+            .select('+adminNotes')
+            .populate('createdBy', 'fullName email phone');
+
+        if (!request) {
+            throw new ApiError(404, "Service request not found");
+        }
+
+        res.status(200).json(
+            new ApiResponse(200, request, "Service request retrieved successfully")
+        );
+
+    } catch (error) {
+        logger.error(`Admin getServiceRequestById error: ${error.message}`, { stack: error.stack });
+
+        if (error instanceof ApiError) throw error;
+        if (error.name === 'CastError') throw new ApiError(400, "Invalid service request ID");
+
+        throw new ApiError(500, "Failed to retrieve service request");
+    }
+});
+
+const updateServiceRequestStatus = asyncHandler(async (req, res) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const { id } = req.params;
+        const { status, adminNotes, note, rejectionReason } = req.body;
+
+        if (!isValidObjectId(id)) {
+            throw new ApiError(400, "Invalid service request ID format");
+        }
+
+        const validStatuses = ClientServiceRequest.schema.path('status').enumValues;
+        if (!status || !validStatuses.includes(status)) {
+            throw new ApiError(400, `Invalid status. Valid values: ${validStatuses.join(', ')}`);
+        }
+
+        if (adminNotes !== undefined && typeof adminNotes !== 'string') {
+            throw new ApiError(400, "Admin notes must be a string");
+        }
+
+        if (note !== undefined && typeof note !== 'string') {
+            throw new ApiError(400, "Note must be a string");
+        }
+
+        if (status === 'declined' && (typeof rejectionReason !== 'string' || !rejectionReason.trim())) {
+            throw new ApiError(400, "A rejection reason is required when declining a request");
+        }
+
+        const request = await ClientServiceRequest.findById(id)
+            .select('+adminNotes')
+            .session(session);
+
+        if (!request) {
+            throw new ApiError(404, "Service request not found");
+        }
+
+        if (!ClientServiceRequest.canTransition(request.status, status)) {
+            const allowed = STATUS_TRANSITIONS[request.status];
+            throw new ApiError(
+                409,
+                `Cannot change status from ${request.status} to ${status}. ` +
+                (allowed.length ? `Allowed: ${allowed.join(', ')}` : "This request is closed")
+            );
+        }
+
+        const before = pickFields(request, ['status', 'rejectionReason', 'adminNotes']);
+
+        request.transitionTo(status, {
+            changedBy: req.admin._id,
+            changedByModel: "Admin",
+            note,
+            rejectionReason
+        });
+        if (adminNotes !== undefined) request.adminNotes = adminNotes;
+        await request.save({ session });
+
+        const changes = diffChanges(before, pickFields(request, ['status', 'rejectionReason', 'adminNotes']));
+        await recordAuditLog({
+            req,
+            action: "serviceRequest.status.update",
+            targetModel: "ClientServiceRequest",
+            targetId: request._id,
+            before: changes.before,
+            after: changes.after,
+            metadata: { note },
+            session
+        });
+
+        // Let the client know; queued in the transaction so it only goes out if the change sticks
+        const client = await Client.findById(request.createdBy).select('email fullName locale').session(session);
+        if (client) {
+            await sendServiceRequestStatusEmail(request, client, { note, session });
+        }
+
+        await session.commitTransaction();
+
+        await request.populate('createdBy', 'fullName email phone');
+
+        logger.info(`Admin ${req.admin._id} changed status of service request ${id} to ${status}`);
+
+        res.status(200).json(
+            new ApiResponse(200, request, "Service request status updated successfully")
+        );
+
+    } catch (error) {
+        await session.abortTransaction();
+        logger.error(`Admin updateServiceRequestStatus error: ${error.message}`, { stack: error.stack });
+
+        if (error instanceof ApiError) throw error;
+        if (error.name === 'CastError') throw new ApiError(400, "Invalid service request ID");
+        if (error.name === 'ValidationError') throw new ApiError(400, error.message);
+
+        throw new ApiError(500, "Failed to update service request status");
+    } finally {
+        session.endSession();
+    }
+});
+
+const getServiceRequestTimeline = asyncHandler(async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!isValidObjectId(id)) {
+            throw new ApiError(400, "Invalid service request ID format");
+        }
+
+        const request = await ClientServiceRequest.findById(id)
+            .select('status statusHistory rejectionReason')
+            .populate('statusHistory.changedBy', 'fullName email');
+
+        if (!request) {
+            throw new ApiError(404, "Service request not found");
+        }
+
+        res.status(200).json(
+            new ApiResponse(200, request.getTimeline({ includeActors: true }), "Service request timeline retrieved successfully")
+        );
+
+    } catch (error) {
+        logger.error(`Admin getServiceRequestTimeline error: ${error.message}`, { stack: error.stack });
+
+        if (error instanceof ApiError) throw error;
+        if (error.name === 'CastError') throw new ApiError(400, "Invalid service request ID");
+
+        throw new ApiError(500, "Failed to retrieve service request timeline");
+    }
+});
+
+// Short-lived download link for a service request attachment
+const getServiceRequestAttachmentUrl = asyncHandler(async (req, res) => {
+    const { id, publicId } = req.params;
+
+    if (!isValidObjectId(id)) {
+        throw new ApiError(400, "Invalid service request ID format");
+    }
+
+    const request = await ClientServiceRequest.findById(id).select('attachments createdBy');
+    const attachment = request?.findUploadedAttachment(publicId);
+    if (!attachment) {
+        throw new ApiError(404, "Attachment not found in this request");
+    }
+
+    const download = await getSignedFileUrl(attachment);
+
+    await recordAuditLog({
+        req,
+        action: "serviceRequest.attachment.download",
+        targetModel: "ClientServiceRequest",
+        targetId: request._id,
+        metadata: { publicId, expiresAt: download.expiresAt }
+    });
+
+    res.status(200).json(
+        new ApiResponse(200, download, "Attachment download link generated")
+    );
+});
+
+// Export everything stored about a client (data subject access request)
+const exportClientData = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+        throw new ApiError(400, "Invalid client ID format");
+    }
+
+    const data = await buildClientExport(id);
+    if (!data) {
+        throw new ApiError(404, "Client not found");
+    }
+
+    await recordAuditLog({
+        req,
+        action: "client.export",
+        targetModel: "Client",
+        targetId: id
+    });
+
+    res.status(200).json(new ApiResponse(200, data, "Client data exported successfully"));
+});
+
+// Erase a client immediately, skipping the self-service grace period
+const purgeClient = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+        throw new ApiError(400, "Invalid client ID format");
+    }
+
+    const client = await Client.findById(id);
+    if (!client) {
+        throw new ApiError(404, "Client not found");
+    }
+    if (client.deletedAt) {
+        throw new ApiError(409, "Client data has already been erased");
+    }
+
+    const before = pickFields(client, ["fullName", "email", "phone", "status"]);
+
+    await purgeClientAccount(id);
+
+    await recordAuditLog({
+        req,
+        action: "client.purge",
+        targetModel: "Client",
+        targetId: id,
+        before
+    });
+
+    res.status(200).json(new ApiResponse(200, {}, "Client data erased successfully"));
+});
+
 export {
     getAllClients,
     getClientById,
     updateClient,
     deleteClient,
+    unlockClient,
+    exportClientData,
+    purgeClient,
     getAllBlogs,
     getBlogById,
     deleteBlog,
     changeBlogStatus,
     toggleBlogFeatured,
+    getAllServiceRequests,
+    getServiceRequestById,
+    updateServiceRequestStatus,
+    getServiceRequestTimeline,
+    getServiceRequestAttachmentUrl,
 };
\ No newline at end of file
@@ -0,0 +1,126 @@
+import asyncHandler from "../utils/asyncHandler.utils.js";
+import { ApiError } from "../utils/ApiError.utils.js";
+import ApiResponse from "../utils/ApiResponse.utils.js";
+import mongoose from "mongoose";
+import logger from "../utils/logger.utils.js";
+import AuditLog from "../models/auditLog.model.js";
+import { escapeRegex } from "../utils/query.utils.js";
+
+// Get audit logs (filterable, paginated)
+const getAuditLogs = asyncHandler(async (req, res) => {
+    try {
+        logger.info("Fetching audit logs");
+
+        // 1. Parse query parameters
+        const {
+            actor,
+            actorModel,
+            action,
+            targetModel,
+            targetId,
+            from,
+            to,
+            sortOrder = "desc",
+            page = 1,
+            limit = 20
+        } = req.query;
+
+        // 2. Build query object
+        const query = {};
+
+        if (actor) {
+            if (!mongoose.Types.ObjectId.isValid(actor)) {
+                throw new ApiError(400, "Invalid actor ID");
+            }
+            query.actor = actor;
+        }
+
+        if (actorModel) {
+            query.actorModel = actorModel;
+        }
+
+        // "service.update" matches exactly, "service.*" matches every service action
+        if (action) {
+            query.action = action.endsWith(".*")
+                ? { $regex: `^${escapeRegex(action.slice(0, -1))}` }
+                : action;
+        }
+
+        if (targetModel) {
+            query.targetModel = targetModel;
+        }
+
+        if (targetId) {
+            if (!mongoose.Types.ObjectId.isValid(targetId)) {
+                throw new ApiError(400, "Invalid target ID");
+            }
+            query.targetId = targetId;
+        }
+
+        if (from || to) {
+            query.createdAt = {};
+            if (from) query.createdAt.$gte = new Date(from);
+            if (to) query.createdAt.$lte = new Date(to);
+
+            if (Object.values(query.createdAt).some(date => isNaN(date.getTime()))) {
+                throw new ApiError(400, "Invalid date range");
+            }
+        }
+
+        // 3. Calculate pagination
+        const pageNum = Math.max(parseInt(page) || 1, 1);
+        const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+        const skip = (pageNum - 1) * limitNum;
+
+        // 4. Execute query
+        const [entries, total] = await Promise.all([
+            AuditLog.find(query)
+                .sort({ createdAt: sortOrder === "asc" ? 1 : -1 })
+                .skip(skip)
+                .limit(limitNum)
+                .populate("actor", "fullName email role"),
+            AuditLog.countDocuments(query)
+        ]);
+
+        res.status(200).json(
+            new ApiResponse(200, {
+                entries,
+                total,
+                page: pageNum,
+                pages: Math.ceil(total / limitNum)
+            }, "Audit logs fetched successfully")
+        );
+    } catch (error) {
+        logger.error(`Error in getAuditLogs: ${error.message}`, { stack: error.stack });
+
+        if (error instanceof ApiError) {
+            throw error;
+        }
+        throw new ApiError(500, error.message || "Failed to fetch audit logs");
+    }
+});
+
+// Get a single audit log entry
+const getAuditLogById = asyncHandler(async (req, res) => {
+    const { logId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(logId)) {
+        throw new ApiError(400, "Invalid audit log ID");
+    }
+
+    const entry = await AuditLog.findById(logId)
+        .populate("actor", "fullName email role");
+
+    if (!entry) {
+        throw new ApiError(404, "Audit log entry not found");
+    }
+
+    res.status(200).json(
+        new ApiResponse(200, entry, "Audit log entry fetched successfully")
+    );
+});
+
+export {
+    getAuditLogs,
+    getAuditLogById
+};
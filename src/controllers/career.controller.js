@@ -2,9 +2,12 @@ import asyncHandler from "../utils/asyncHandler.utils.js";
 import { ApiError } from "../utils/ApiError.utils.js";
 import ApiResponse from "../utils/ApiResponse.utils.js";
 import Career from "../models/career.model.js";
-import { uploadOnCloudinary, deleteFromCloudinary } from "../utils/cloudinary.utils.js";
+import { uploadFile, queueFileDeletion, getSignedFileUrl } from "../utils/storage.utils.js";
 import { isEmailValid, isPhoneValid } from "../utils/validator.utils.js";
 import logger from "../utils/logger.utils.js";
+import { recordAuditLog } from "../utils/auditLog.utils.js";
+import { sendCareerApplicationReceivedEmail, sendCareerStatusChangedEmail, notifyAdmins } from "../utils/emailService.js";
+import { getRequestLocale } from "../utils/emailTemplate.utils.js";
 
 // @desc    Create a new career application
 // @route   POST /api/careers
@@ -49,10 +52,10 @@ const createCareerApplication = asyncHandler(async (req, res) => {
             throw new ApiError(400, "Resume file is required");
         }
 
-        logger.info('Uploading resume to Cloudinary', { file: req.file });
-        resume = await uploadOnCloudinary(req.file.path);
+        logger.info('Uploading resume to storage', { file: req.file });
+        resume = await uploadFile(req.file.path, { access: "private" }); // CVs are personal data
         if (!resume?.url) {
-            logger.error('Cloudinary upload failed', { file: req.file });
+            logger.error('Resume upload failed', { file: req.file });
             throw new ApiError(500, "Failed to upload resume");
         }
 
@@ -62,26 +65,36 @@ const createCareerApplication = asyncHandler(async (req, res) => {
             email: req.body.email.trim().toLowerCase(),
             phone: req.body.phone.trim(),
             positionApplied: req.body.positionApplied,
-            resume: {
-                url: resume.url,
-                publicId: resume.public_id
-            },
+            resume,
+            locale: getRequestLocale(req),
             ...(req.body.coverLetter && { coverLetter: req.body.coverLetter.trim() })
         };
 
         const application = await Career.create(applicationData);
         logger.info('Career application created successfully', { applicationId: application._id });
 
+        // The application is saved either way, so email problems are only logged
+        try {
+            await sendCareerApplicationReceivedEmail(application);
+            await notifyAdmins("manageTeam", "admin.new-career-application", {
+                applicantName: application.fullName,
+                applicantEmail: application.email,
+                position: application.positionApplied
+            });
+        } catch (emailError) {
+            logger.error('Failed to queue application emails', { applicationId: application._id, error: emailError.message });
+        }
+
         return res.status(201).json(
             new ApiResponse(201, application, "Application submitted successfully")
         );
 
     } catch (error) {
         // Clean up uploaded file if something failed after upload
-        if (resume?.public_id) {
-            logger.info('Cleaning up failed upload', { publicId: resume.public_id });
-            await deleteFromCloudinary(resume.public_id).catch(err => {
-                logger.error('Failed to cleanup Cloudinary file', { error: err.message });
+        if (resume?.publicId) {
+            logger.info('Cleaning up failed upload', { publicId: resume.publicId });
+            await queueFileDeletion(resume).catch(err => {
+                logger.error('Failed to queue cleanup of uploaded file', { error: err.message });
             });
         }
 
@@ -101,12 +114,6 @@ const getAllCareerApplications = asyncHandler(async (req, res) => {
     try {
         logger.info('Fetching all career applications', { adminId: req.admin?._id });
 
-        // Check admin permissions
-        if (!req.admin) {
-            logger.warn('Unauthorized admin access attempt');
-            throw new ApiError(403, "Unauthorized: Admin access required");
-        }
-
         const { status, page = 1, limit = 10 } = req.query;
         logger.debug('Query parameters', { status, page, limit });
 
@@ -158,16 +165,17 @@ const updateApplicationStatus = asyncHandler(async (req, res) => {
             adminId: req.admin?._id
         });
 
-        if (!req.admin) {
-            logger.warn('Unauthorized admin access attempt');
-            throw new ApiError(403, "Unauthorized: Admin access required");
-        }
-
         if (!req.body.status) {
             logger.warn('Status update failed - missing status');
             throw new ApiError(400, "Status is required");
         }
 
+        const previous = await Career.findById(req.params.id).select('status');
+        if (!previous) {
+            logger.warn('Application not found for status update', { applicationId: req.params.id });
+            throw new ApiError(404, "Application not found");
+        }
+
         const application = await Career.findByIdAndUpdate(
             req.params.id,
             { status: req.body.status },
@@ -179,11 +187,26 @@ const updateApplicationStatus = asyncHandler(async (req, res) => {
             throw new ApiError(404, "Application not found");
         }
 
+        await recordAuditLog({
+            req,
+            action: "career.status.update",
+            targetModel: "Career",
+            targetId: application._id,
+            before: { status: previous.status },
+            after: { status: application.status }
+        });
+
         logger.info('Application status updated successfully', {
             applicationId: application._id,
             newStatus: application.status
         });
 
+        if (application.status !== previous.status) {
+            await sendCareerStatusChangedEmail(application).catch(emailError => {
+                logger.error('Failed to queue status change email', { applicationId: application._id, error: emailError.message });
+            });
+        }
+
         return res.status(200).json(
             new ApiResponse(200, application, "Status updated successfully")
         );
@@ -208,11 +231,6 @@ const deleteCareerApplication = asyncHandler(async (req, res) => {
             adminId: req.admin?._id
         });
 
-        if (!req.admin) {
-            logger.warn('Unauthorized admin access attempt');
-            throw new ApiError(403, "Unauthorized: Admin access required");
-        }
-
         const application = await Career.findByIdAndDelete(req.params.id);
 
         if (!application) {
@@ -220,26 +238,26 @@ const deleteCareerApplication = asyncHandler(async (req, res) => {
             throw new ApiError(404, "Application not found");
         }
 
-        // Delete files from Cloudinary if they exist
-        if (application.resume?.publicId) {
-            logger.info('Deleting resume from Cloudinary', { publicId: application.resume.publicId });
-            await deleteFromCloudinary(application.resume.publicId).catch(err => {
-                logger.error('Failed to delete resume from Cloudinary', {
-                    publicId: application.resume.publicId,
-                    error: err.message
-                });
+        // Queue the resume and cover letter for deletion from storage
+        await queueFileDeletion([application.resume, application.coverLetter]).catch(err => {
+            logger.error('Failed to queue deletion of application files', {
+                applicationId: application._id,
+                error: err.message
             });
-        }
+        });
 
-        if (application.coverLetter?.publicId) {
-            logger.info('Deleting cover letter from Cloudinary', { publicId: application.coverLetter.publicId });
-            await deleteFromCloudinary(application.coverLetter.publicId).catch(err => {
-                logger.error('Failed to delete cover letter from Cloudinary', {
-                    publicId: application.coverLetter.publicId,
-                    error: err.message
-                });
-            });
-        }
+        await recordAuditLog({
+            req,
+            action: "career.delete",
+            targetModel: "Career",
+            targetId: application._id,
+            before: {
+                fullName: application.fullName,
+                email: application.email,
+                positionApplied: application.positionApplied,
+                status: application.status
+            }
+        });
 
         logger.info('Application deleted successfully', { applicationId: req.params.id });
         return res.status(200).json(
@@ -256,6 +274,44 @@ const deleteCareerApplication = asyncHandler(async (req, res) => {
     }
 });
 
+// @desc    Get a short-lived download link for an applicant's resume (admin only)
+// @route   GET /api/careers/:id/resume
+// @access  Private/Admin
+const getResumeDownloadUrl = asyncHandler(async (req, res) => {
+    try {
+        const application = await Career.findById(req.params.id).select('fullName resume');
+        if (!application?.resume?.url) {
+            logger.warn('Application or resume not found for download', { applicationId: req.params.id });
+            throw new ApiError(404, "Resume not found");
+        }
+
+        const extension = application.resume.url.split('?')[0].split('.').pop();
+        const download = await getSignedFileUrl(application.resume, {
+            fileName: `${application.fullName} - resume.${extension}`
+        });
+
+        await recordAuditLog({
+            req,
+            action: "career.resume.download",
+            targetModel: "Career",
+            targetId: application._id,
+            metadata: { publicId: application.resume.publicId, expiresAt: download.expiresAt }
+        });
+
+        return res.status(200).json(
+            new ApiResponse(200, download, "Resume download link generated")
+        );
+
+    } catch (error) {
+        logger.error('Failed to generate resume download link', {
+            error: error.message,
+            applicationId: req.params.id
+        });
+        if (error.name === 'CastError') throw new ApiError(400, "Invalid application ID");
+        throw error;
+    }
+});
+
 // @desc    Get client's own career applications
 // @route   GET /api/careers/me
 // @access  Private/Client
@@ -269,4 +325,5 @@ export {
     getAllCareerApplications,
     updateApplicationStatus,
     deleteCareerApplication,
+    getResumeDownloadUrl,
 };
\ No newline at end of file
@@ -3,26 +3,35 @@ import { ApiError } from "../utils/ApiError.utils.js";
 import ApiResponse from "../utils/ApiResponse.utils.js";
 import Client from "../models/client.model.js";
 import jwt from "jsonwebtoken";
-import { sendVerificationEmail, sendPasswordResetEmail } from "../utils/emailService.js";
+import crypto from "crypto";
+import { sendVerificationEmail, sendPasswordResetEmail, sendAccountDeletionScheduledEmail } from "../utils/emailService.js";
 import { isPasswordStrong, isEmailValid, isPhoneValid, areRequiredFieldsProvided } from "../utils/validator.utils.js";
 import mongoose from "mongoose";
-import { uploadOnCloudinary, deleteFromCloudinary } from "../utils/cloudinary.utils.js";
+import { uploadProcessedImage, queueFileDeletion } from "../utils/storage.utils.js";
+import { queueImageVariants } from "../utils/imageVariants.utils.js";
 import logger from "../utils/logger.utils.js";
-
-// Generate access and refresh tokens
-const generateAccessAndRefreshToken = async (clientId) => {
-    try {
-        const client = await Client.findById(clientId);
-        const accessToken = client.generateAccessToken();
-        const refreshToken = client.generateRefreshToken();
-        client.refreshToken = refreshToken;
-        await client.save({ validateBeforeSave: false });
-        return { accessToken, refreshToken };
-    } catch (error) {
-        logger.error(`Error in generateAccessAndRefreshToken: ${error.message}`, { stack: error.stack });
-        throw new ApiError(500, "Failed to generate access and refresh tokens");
-    }
-};
+import { sendPhoneVerificationSms } from "../utils/smsService.js";
+import { createSession, rotateSession, revokeSession, revokeAllSessions } from "../utils/session.utils.js";
+import { assertAccountNotLocked, registerFailedLogin, registerSuccessfulLogin } from "../utils/loginSecurity.utils.js";
+import { buildClientExport, toExportFiles, ACCOUNT_DELETION_GRACE_DAYS } from "../utils/clientData.utils.js";
+import { createZip } from "../utils/zip.utils.js";
+import { getRequestLocale, SUPPORTED_LOCALES } from "../utils/emailTemplate.utils.js";
+
+// Minimum time between verification emails for one account
+const EMAIL_VERIFICATION_RESEND_COOLDOWN_MS = 2 * 60 * 1000;
+
+// Phone verification (OTP) settings
+const PHONE_OTP_TTL_MINUTES = 10;
+const PHONE_OTP_RESEND_COOLDOWN_MS = 60 * 1000;
+const PHONE_OTP_MAX_ATTEMPTS = 5;
+const PHONE_OTP_LOCKOUT_MS = 30 * 60 * 1000;
+
+// OTPs are stored as a keyed hash so a leaked database doesn't expose usable codes
+const hashPhoneOtp = (clientId, code) =>
+    crypto
+        .createHmac("sha256", process.env.OTP_SECRET || process.env.ACCESS_TOKEN_SECRET)
+        .update(`${clientId}:${code}`)
+        .digest("hex");
 
 // Register a new client
 const registerClient = asyncHandler(async (req, res) => {
@@ -68,16 +77,16 @@ const registerClient = asyncHandler(async (req, res) => {
             email,
             password,
             phone,
+            locale: getRequestLocale(req),
             role: "client" // Default role
         }], { session });
 
-        // Generate verification token
-        const verificationToken = client[0].generateAccessToken();
-        client[0].verificationToken = verificationToken;
+        // Generate verification token (only its hash is stored)
+        const verificationToken = client[0].generateEmailVerificationToken();
         await client[0].save({ validateBeforeSave: false, session });
 
-        // Send verification email
-        await sendVerificationEmail(email, verificationToken);
+        // Queue the verification email; it only goes out if the registration commits
+        await sendVerificationEmail(client[0], verificationToken, { session });
 
         await session.commitTransaction();
 
@@ -108,31 +117,60 @@ const verifyClientEmail = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Verification token is required");
     }
 
-    try {
-        const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
-        const client = await Client.findById(decodedToken._id);
+    const client = await Client.findOne({
+        verificationToken: Client.hashVerificationToken(token)
+    });
 
-        if (!client) {
-            throw new ApiError(404, "Client not found");
-        }
+    if (!client || !client.verificationTokenExpires || client.verificationTokenExpires < Date.now()) {
+        throw new ApiError(400, "Invalid or expired token");
+    }
 
-        if (client.isEmailVerified) {
-            throw new ApiError(400, "Email already verified");
-        }
+    if (client.isEmailVerified) {
+        throw new ApiError(400, "Email already verified");
+    }
 
-        client.isEmailVerified = true;
-        client.verificationToken = undefined;
-        await client.save({ validateBeforeSave: false });
+    client.isEmailVerified = true;
+    client.verificationToken = undefined;
+    client.verificationTokenExpires = undefined;
+    await client.save({ validateBeforeSave: false });
 
-        res.status(200).json(new ApiResponse(200, {}, "Email verified successfully"));
-    } catch (error) {
-        logger.error(`Error in verifyClientEmail: ${error.message}`, { stack: error.stack });
+    res.status(200).json(new ApiResponse(200, {}, "Email verified successfully"));
+});
 
-        if (error.name === "JsonWebTokenError") {
-            throw new ApiError(400, "Invalid or expired token");
-        }
-        throw error;
+// Resend the email verification link
+const resendVerificationEmail = asyncHandler(async (req, res) => {
+    const { email } = req.body;
+
+    if (!email) {
+        throw new ApiError(400, "Email is required");
+    }
+
+    // Same response whether or not the account exists, to avoid leaking registered emails
+    const response = new ApiResponse(200, {}, "If the account exists and is unverified, a new verification email has been sent");
+
+    const client = await Client.findOne({ email: String(email).toLowerCase().trim() });
+    if (!client || client.isEmailVerified) {
+        return res.status(200).json(response);
+    }
+
+    if (client.verificationSentAt && Date.now() - client.verificationSentAt < EMAIL_VERIFICATION_RESEND_COOLDOWN_MS) {
+        const retryAfter = Math.ceil((EMAIL_VERIFICATION_RESEND_COOLDOWN_MS - (Date.now() - client.verificationSentAt)) / 1000);
+        res.set("Retry-After", String(retryAfter));
+        throw new ApiError(429, `Please wait ${retryAfter} seconds before requesting another email`);
     }
+
+    // Issuing a new token invalidates the previous link
+    const verificationToken = client.generateEmailVerificationToken();
+    await client.save({ validateBeforeSave: false });
+
+    try {
+        await sendVerificationEmail(client, verificationToken);
+    } catch (error) {
+        logger.error(`Error in resendVerificationEmail: ${error.message}`, { stack: error.stack });
+        throw new ApiError(500, "Failed to queue verification email");
+    }
+
+    res.status(200).json(response);
 });
 
 // Login client
@@ -153,13 +191,24 @@ const loginClient = asyncHandler(async (req, res) => {
             throw new ApiError(403, "Please verify your email first");
         }
 
+        assertAccountNotLocked(client, res);
+
         const isPasswordValid = await client.comparePassword(password);
         if (!isPasswordValid) {
+            const { locked } = await registerFailedLogin(client, req);
+            if (locked) {
+                throw new ApiError(423, "Account locked after too many failed login attempts");
+            }
             throw new ApiError(401, "Invalid credentials");
         }
 
-        const { accessToken, refreshToken } = await generateAccessAndRefreshToken(client._id);
-        const loggedInClient = await Client.findById(client._id).select("-password -refreshToken -verificationToken");
+        // Each login is its own session, so other devices stay logged in
+        const { accessToken, refreshToken } = await createSession(client, "Client", req);
+
+        // Resets failed attempts and alerts on a login from a new IP
+        await registerSuccessfulLogin(client, req);
+        await client.save({ validateBeforeSave: false });
+        const loggedInClient = await Client.findById(client._id).select("-password -verificationToken");
 
         const options = {
             httpOnly: true,
@@ -184,11 +233,7 @@ const loginClient = asyncHandler(async (req, res) => {
 
 // Logout client
 const logoutClient = asyncHandler(async (req, res) => {
-    await Client.findByIdAndUpdate(
-        req.client._id,
-        { $unset: { refreshToken: 1 } },
-        { new: true }
-    );
+    await revokeSession(req.sessionId, "logout");
 
     const options = {
         httpOnly: true,
@@ -212,14 +257,8 @@ const refreshClientAccessToken = asyncHandler(async (req, res) => {
     }
 
     try {
-        const decodedToken = jwt.verify(incomingRefreshToken, process.env.REFRESH_TOKEN_SECRET);
-        const client = await Client.findById(decodedToken._id);
-
-        if (!client || incomingRefreshToken !== client.refreshToken) {
-            throw new ApiError(401, "Invalid refresh token");
-        }
-
-        const { accessToken, refreshToken } = await generateAccessAndRefreshToken(client._id);
+        // Rotates the token; presenting an already rotated token revokes the session
+        const { accessToken, refreshToken } = await rotateSession(incomingRefreshToken, Client, req);
 
         const options = {
             httpOnly: true,
@@ -234,7 +273,7 @@ const refreshClientAccessToken = asyncHandler(async (req, res) => {
             .json(new ApiResponse(200, { accessToken, refreshToken }, "Access token refreshed"));
     } catch (error) {
         logger.error(`Error in refreshClientAccessToken: ${error.message}`, { stack: error.stack });
-        throw new ApiError(500, error.message || "Failed to refresh token");
+        throw new ApiError(error.statusCode || 500, error.message || "Failed to refresh token");
     }
 });
 
@@ -250,13 +289,21 @@ const getCurrentClient = asyncHandler(async (req, res) => {
 
 // Update client details
 const updateClientDetails = asyncHandler(async (req, res) => {
-    const { fullName, email, phone } = req.body;
+    const { fullName, email, phone, locale } = req.body;
 
-    if (!fullName && !email && !phone) {
+    if (!fullName && !email && !phone && !locale) {
         throw new ApiError(400, "At least one field is required");
     }
 
+    if (locale && !SUPPORTED_LOCALES.includes(locale)) {
+        throw new ApiError(400, `Locale must be one of: ${SUPPORTED_LOCALES.join(", ")}`);
+    }
+
     if (email) {
+        if (!isEmailValid(email)) {
+            throw new ApiError(400, "Invalid email format");
+        }
+
         const existingClient = await Client.findOne({ email });
         if (existingClient && existingClient._id.toString() !== req.client._id.toString()) {
             throw new ApiError(409, "Email already in use");
@@ -270,11 +317,43 @@ const updateClientDetails = asyncHandler(async (req, res) => {
         }
     }
 
-    const updatedClient = await Client.findByIdAndUpdate(
-        req.client._id,
-        { $set: { fullName, email, phone } },
-        { new: true }
-    ).select("-password -refreshToken -verificationToken");
+    const client = await Client.findById(req.client._id);
+    if (!client) {
+        throw new ApiError(404, "Client not found");
+    }
+
+    const emailChanged = Boolean(email) && email !== client.email;
+    const phoneChanged = Boolean(phone) && phone !== client.phone;
+
+    if (fullName) client.fullName = fullName;
+    if (locale) client.locale = locale;
+
+    // A new number has to be verified again
+    if (phoneChanged) {
+        client.phone = phone;
+        client.isPhoneVerified = false;
+    }
+
+    // A new address has to be verified again before it unlocks verified-only features
+    // or OAuth linking; the link goes to the new address
+    let verificationToken;
+    if (emailChanged) {
+        client.email = email;
+        client.isEmailVerified = false;
+        verificationToken = client.generateEmailVerificationToken();
+    }
+
+    await client.save({ validateBeforeSave: false });
+
+    if (emailChanged) {
+        try {
+            await sendVerificationEmail(client, verificationToken);
+        } catch (error) {
+            logger.error(`Error in updateClientDetails: ${error.message}`, { stack: error.stack });
+        }
+    }
+
+    const updatedClient = await Client.findById(client._id).select("-password -refreshToken -verificationToken");
 
     res.status(200).json(new ApiResponse(200, updatedClient, "Client updated"));
 });
@@ -292,6 +371,10 @@ const changeClientPassword = asyncHandler(async (req, res) => {
         throw new ApiError(404, "Client not found");
     }
 
+    if (!client.password) {
+        throw new ApiError(400, "This account signs in with a social provider, use password reset to set a password");
+    }
+
     const isPasswordValid = await client.comparePassword(oldPassword);
     if (!isPasswordValid) {
         throw new ApiError(401, "Invalid current password");
@@ -304,6 +387,9 @@ const changeClientPassword = asyncHandler(async (req, res) => {
     client.password = newPassword;
     await client.save({ validateBeforeSave: false });
 
+    // Keep this device logged in, sign out everywhere else
+    await revokeAllSessions(client._id, "Client", "password-changed", { exceptSessionId: req.sessionId });
+
     res.status(200).json(new ApiResponse(200, {}, "Password changed"));
 });
 
@@ -325,7 +411,7 @@ const requestClientPasswordReset = asyncHandler(async (req, res) => {
     client.resetPasswordExpires = Date.now() + 3600000; // 1 hour
     await client.save({ validateBeforeSave: false });
 
-    await sendPasswordResetEmail(email, resetToken);
+    await sendPasswordResetEmail(client, resetToken);
 
     res.status(200).json(new ApiResponse(200, {}, "Reset email sent"));
 });
@@ -353,37 +439,40 @@ const resetClientPassword = asyncHandler(async (req, res) => {
     client.resetPasswordToken = undefined;
     client.resetPasswordExpires = undefined;
     await client.save({ validateBeforeSave: false });
+    await revokeAllSessions(client._id, "Client", "password-changed");
 
     res.status(200).json(new ApiResponse(200, {}, "Password reset"));
 });
 
 // Upload profile image
 const uploadClientProfileImage = asyncHandler(async (req, res) => {
+    // Normalized by the processImages middleware
     const file = req.file;
-    if (!file) {
+    if (!file?.processed) {
         throw new ApiError(400, "Image file required");
     }
 
-    const cloudinaryResponse = await uploadOnCloudinary(file.path);
-    if (!cloudinaryResponse?.secure_url) {
+    const uploadedImage = await uploadProcessedImage(file.processed);
+    if (!uploadedImage?.url) {
         throw new ApiError(500, "Failed to upload image");
     }
 
-    // Delete old image if exists
-    if (req.client.profileImage && req.client.profileImage !== "default-profile.png") {
-        try {
-            const publicId = req.client.profileImage.split("/").pop().split(".")[0];
-            await deleteFromCloudinary(publicId);
-        } catch (error) {
-            logger.error("Failed to delete old image", error);
-        }
+    // The previous document holds the old image as stored now, including variants added since login
+    const previous = await Client.findByIdAndUpdate(
+        req.client._id,
+        { profileImage: uploadedImage }
+    ).select("profileImage");
+
+    await queueImageVariants({ model: "Client", id: req.client._id, field: "profileImage" }, uploadedImage)
+        .catch(error => logger.error(`Failed to queue profile image variants: ${error.message}`));
+
+    // Queue the old image for deletion (the default image and social avatars have no public ID)
+    if (previous?.profileImage?.publicId) {
+        await queueFileDeletion(previous.profileImage)
+            .catch(error => logger.error(`Failed to queue deletion of old profile image: ${error.message}`));
     }
 
-    const client = await Client.findByIdAndUpdate(
-        req.client._id,
-        { profileImage: cloudinaryResponse.secure_url },
-        { new: true }
-    ).select("-password -refreshToken -verificationToken");
+    const client = await Client.findById(req.client._id).select("-password -refreshToken -verificationToken");
 
     res.status(200).json(new ApiResponse(200, client, "Profile image updated"));
 });
@@ -410,9 +499,208 @@ const updateClientAddress = asyncHandler(async (req, res) => {
     res.status(200).json(new ApiResponse(200, updatedClient, "Address updated"));
 });
 
+// Send a phone verification code
+const requestPhoneOtp = asyncHandler(async (req, res) => {
+    const client = await Client.findById(req.client._id);
+    if (!client) {
+        throw new ApiError(404, "Client not found");
+    }
+
+    if (!client.phone) {
+        throw new ApiError(400, "Add a phone number first");
+    }
+
+    if (client.isPhoneVerified) {
+        throw new ApiError(400, "Phone already verified");
+    }
+
+    const now = Date.now();
+
+    if (client.phoneVerificationLockedUntil > now) {
+        const retryAfter = Math.ceil((client.phoneVerificationLockedUntil - now) / 1000);
+        res.set("Retry-After", String(retryAfter));
+        throw new ApiError(429, "Too many failed attempts, try again later");
+    }
+
+    if (client.phoneVerificationSentAt && now - client.phoneVerificationSentAt < PHONE_OTP_RESEND_COOLDOWN_MS) {
+        const retryAfter = Math.ceil((PHONE_OTP_RESEND_COOLDOWN_MS - (now - client.phoneVerificationSentAt)) / 1000);
+        res.set("Retry-After", String(retryAfter));
+        throw new ApiError(429, `Please wait ${retryAfter} seconds before requesting a new code`);
+    }
+
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, "0");
+
+    client.phoneVerificationToken = hashPhoneOtp(client._id, code);
+    client.phoneVerificationExpires = now + PHONE_OTP_TTL_MINUTES * 60 * 1000;
+    client.phoneVerificationSentAt = now;
+    client.phoneVerificationAttempts = 0;
+    client.phoneVerificationLockedUntil = undefined;
+    await client.save({ validateBeforeSave: false });
+
+    try {
+        await sendPhoneVerificationSms(client.phone, code, PHONE_OTP_TTL_MINUTES);
+    } catch (error) {
+        // Allow an immediate retry when delivery failed
+        client.phoneVerificationToken = undefined;
+        client.phoneVerificationExpires = undefined;
+        client.phoneVerificationSentAt = undefined;
+        await client.save({ validateBeforeSave: false });
+        throw new ApiError(502, "Failed to send verification code");
+    }
+
+    res.status(200).json(new ApiResponse(200, {
+        expiresAt: client.phoneVerificationExpires,
+        resendAvailableAt: new Date(now + PHONE_OTP_RESEND_COOLDOWN_MS)
+    }, "Verification code sent"));
+});
+
+// Verify phone with the code sent by SMS
+const verifyPhoneOtp = asyncHandler(async (req, res) => {
+    const { code } = req.body;
+
+    if (!code || !/^\d{6}$/.test(String(code))) {
+        throw new ApiError(400, "A 6-digit code is required");
+    }
+
+    const client = await Client.findById(req.client._id).select("+phoneVerificationToken");
+    if (!client) {
+        throw new ApiError(404, "Client not found");
+    }
+
+    if (client.isPhoneVerified) {
+        throw new ApiError(400, "Phone already verified");
+    }
+
+    if (client.phoneVerificationLockedUntil > Date.now()) {
+        const retryAfter = Math.ceil((client.phoneVerificationLockedUntil - Date.now()) / 1000);
+        res.set("Retry-After", String(retryAfter));
+        throw new ApiError(429, "Too many failed attempts, try again later");
+    }
+
+    if (!client.phoneVerificationToken || client.phoneVerificationExpires < Date.now()) {
+        throw new ApiError(400, "Verification code expired, request a new one");
+    }
+
+    const expected = Buffer.from(client.phoneVerificationToken, "hex");
+    const provided = Buffer.from(hashPhoneOtp(client._id, String(code)), "hex");
+
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+        client.phoneVerificationAttempts += 1;
+
+        if (client.phoneVerificationAttempts >= PHONE_OTP_MAX_ATTEMPTS) {
+            // Burn the code and lock further attempts
+            client.phoneVerificationToken = undefined;
+            client.phoneVerificationExpires = undefined;
+            client.phoneVerificationLockedUntil = Date.now() + PHONE_OTP_LOCKOUT_MS;
+            await client.save({ validateBeforeSave: false });
+
+            logger.warn(`Phone verification locked for client ${client._id} after ${PHONE_OTP_MAX_ATTEMPTS} failed attempts`);
+            throw new ApiError(429, "Too many failed attempts, try again later");
+        }
+
+        await client.save({ validateBeforeSave: false });
+        throw new ApiError(400, `Invalid verification code, ${PHONE_OTP_MAX_ATTEMPTS - client.phoneVerificationAttempts} attempts left`);
+    }
+
+    client.isPhoneVerified = true;
+    client.phoneVerificationToken = undefined;
+    client.phoneVerificationExpires = undefined;
+    client.phoneVerificationSentAt = undefined;
+    client.phoneVerificationLockedUntil = undefined;
+    client.phoneVerificationAttempts = 0;
+    await client.save({ validateBeforeSave: false });
+
+    res.status(200).json(new ApiResponse(200, { isPhoneVerified: true }, "Phone verified successfully"));
+});
+
+// Download all personal data (GET /account/export?format=json|zip)
+const exportMyData = asyncHandler(async (req, res) => {
+    const format = req.query.format === "zip" ? "zip" : "json";
+
+    const data = await buildClientExport(req.client._id);
+    if (!data) {
+        throw new ApiError(404, "Client not found");
+    }
+
+    const fileName = `my-data-${new Date().toISOString().slice(0, 10)}`;
+    logger.info(`Client ${req.client._id} exported their data (${format})`);
+
+    if (format === "zip") {
+        return res.status(200)
+            .set("Content-Type", "application/zip")
+            .set("Content-Disposition", `attachment; filename="${fileName}.zip"`)
+            .send(createZip(toExportFiles(data)));
+    }
+
+    res.status(200)
+        .set("Content-Disposition", `attachment; filename="${fileName}.json"`)
+        .json(new ApiResponse(200, data, "Data export generated"));
+});
+
+// Schedule own account for deletion after a grace period
+const requestAccountDeletion = asyncHandler(async (req, res) => {
+    const { password, confirm } = req.body;
+
+    if (confirm !== "DELETE") {
+        throw new ApiError(400, 'Type "DELETE" in the confirm field to delete your account');
+    }
+
+    const client = await Client.findById(req.client._id);
+    if (!client) {
+        throw new ApiError(404, "Client not found");
+    }
+
+    // Social-only accounts have no password to confirm with
+    if (client.password && !(await client.comparePassword(password))) {
+        throw new ApiError(401, "Invalid password");
+    }
+
+    if (client.deletionScheduledFor) {
+        throw new ApiError(409, "Account deletion is already scheduled");
+    }
+
+    client.deletionRequestedAt = new Date();
+    client.deletionScheduledFor = new Date(Date.now() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+    await client.save({ validateBeforeSave: false });
+
+    // Sign out other devices; this one stays logged in so the client can still cancel
+    await revokeAllSessions(client._id, "Client", "revoked", { exceptSessionId: req.sessionId });
+
+    try {
+        await sendAccountDeletionScheduledEmail(client, client.deletionScheduledFor);
+    } catch (error) {
+        logger.error(`Failed to send deletion confirmation to client ${client._id}: ${error.message}`);
+    }
+
+    logger.info(`Client ${client._id} scheduled account deletion for ${client.deletionScheduledFor.toISOString()}`);
+
+    res.status(200).json(new ApiResponse(200, {
+        deletionScheduledFor: client.deletionScheduledFor
+    }, `Account scheduled for deletion in ${ACCOUNT_DELETION_GRACE_DAYS} days`));
+});
+
+// Cancel a pending account deletion
+const cancelAccountDeletion = asyncHandler(async (req, res) => {
+    const client = await Client.findById(req.client._id);
+    if (!client) {
+        throw new ApiError(404, "Client not found");
+    }
+
+    if (!client.deletionScheduledFor) {
+        throw new ApiError(400, "No account deletion is scheduled");
+    }
+
+    client.deletionRequestedAt = undefined;
+    client.deletionScheduledFor = undefined;
+    await client.save({ validateBeforeSave: false });
+
+    res.status(200).json(new ApiResponse(200, {}, "Account deletion cancelled"));
+});
+
 export {
     registerClient,
     verifyClientEmail,
+    resendVerificationEmail,
     loginClient,
     logoutClient,
     refreshClientAccessToken,
@@ -422,5 +710,10 @@ export {
     requestClientPasswordReset,
     resetClientPassword,
     uploadClientProfileImage,
-    updateClientAddress
+    updateClientAddress,
+    requestPhoneOtp,
+    verifyPhoneOtp,
+    exportMyData,
+    requestAccountDeletion,
+    cancelAccountDeletion
 };
\ No newline at end of file
@@ -4,14 +4,18 @@ import ApiResponse from "../utils/ApiResponse.utils.js";
 import mongoose from "mongoose";
 import logger from "../utils/logger.utils.js";
 import ClientServiceRequest from "../models/clientServiceRequest.model.js";
+import ServiceRequestMessage from "../models/serviceRequestMessage.model.js";
 import Client from "../models/client.model.js";
-import { uploadOnCloudinary, deleteFromCloudinary } from "../utils/cloudinary.utils.js";
+import { uploadFile, queueFileDeletion, getSignedFileUrl } from "../utils/storage.utils.js";
+import { recordAuditLog } from "../utils/auditLog.utils.js";
 import { areRequiredFieldsProvided } from "../utils/validator.utils.js";
+import { notifyAdmins } from "../utils/emailService.js";
 import Admin from "../models/admin.model.js";
 // Upload attachments for service request and update database
 const uploadServiceRequestAttachments = asyncHandler(async (req, res) => {
     const session = await mongoose.startSession();
     session.startTransaction();
+    let uploaded = [];
 
     try {
         const { requestId } = req.params;
@@ -47,29 +51,25 @@ const uploadServiceRequestAttachments = asyncHandler(async (req, res) => {
 
         logger.info(`Processing ${files.length} attachments for request ${requestId}`);
 
-        // Upload files to Cloudinary
-        const uploadPromises = files.map(file => {
-            if (!file.path) {
-                logger.error("File missing path property", { file });
-                throw new ApiError(500, "File processing error");
-            }
-            return uploadOnCloudinary(file.path);
-        });
+        if (files.some(file => !file.path)) {
+            logger.error("File missing path property", { files: files.map(file => file.originalname) });
+            throw new ApiError(500, "File processing error");
+        }
 
-        const uploadResults = await Promise.all(uploadPromises);
-        const successfulUploads = uploadResults.filter(result => result?.secure_url);
+        // Upload files to storage; client documents are confidential
+        const uploadResults = await Promise.allSettled(
+            files.map(file => uploadFile(file.path, { access: "private" }))
+        );
+        uploaded = uploadResults
+            .filter(result => result.status === "fulfilled" && result.value?.url)
+            .map(result => result.value);
 
-        if (successfulUploads.length === 0) {
-            logger.error("All file uploads failed", { uploadResults });
-            throw new ApiError(500, "Failed to upload any attachments");
+        if (uploaded.length < files.length) {
+            logger.error(`${files.length - uploaded.length} of ${files.length} attachment uploads failed`);
+            throw new ApiError(500, "Failed to upload attachments");
         }
 
-        // Prepare attachments data
-        const newAttachments = successfulUploads.map(result => ({
-            url: result.secure_url,
-            publicId: result.public_id,
-            resourceType: result.resource_type
-        }));
+        const newAttachments = uploaded.map(result => ({ ...result, uploadedBy: req.client._id }));
 
         // Update the service request with new attachments
         const updatedRequest = await ClientServiceRequest.findByIdAndUpdate(
@@ -96,6 +96,12 @@ const uploadServiceRequestAttachments = asyncHandler(async (req, res) => {
             errorDetails: error.response?.data || error
         });
 
+        // Files were uploaded but never saved on the request
+        if (uploaded.length > 0) {
+            await queueFileDeletion(uploaded)
+                .catch(cleanupError => logger.error(`Failed to queue cleanup of request attachments: ${cleanupError.message}`));
+        }
+
         if (error instanceof ApiError) throw error;
         throw new ApiError(500, "Attachment upload failed");
     } finally {
@@ -103,7 +109,7 @@ const uploadServiceRequestAttachments = asyncHandler(async (req, res) => {
     }
 });
 
-// Delete service request attachment from both Cloudinary and database
+// Delete service request attachment from both storage and database
 const deleteServiceRequestAttachment = asyncHandler(async (req, res) => {
     const session = await mongoose.startSession();
     session.startTransaction();
@@ -144,19 +150,12 @@ const deleteServiceRequestAttachment = asyncHandler(async (req, res) => {
             throw new ApiError(404, "Attachment not found in this request");
         }
 
-        // Determine resource type from the attachment
-        let resourceType = 'image'; // default
-        if (attachment.resourceType) {
-            resourceType = attachment.resourceType === 'raw' ? 'raw' :
-                attachment.resourceType === 'video' ? 'video' : 'image';
-        }
-
-        // Delete from Cloudinary with proper resource type
-        const deletionResult = await deleteFromCloudinary(publicId, resourceType);
-
-        if (deletionResult?.result !== 'ok') {
-            logger.error("Failed to delete from Cloudinary", { deletionResult });
-            throw new ApiError(500, "Failed to delete attachment from storage");
+        // Queue deletion from storage only for files the server uploaded for this request;
+        // anything else is just dropped from the list
+        if (serviceRequest.findUploadedAttachment(publicId)) {
+            await queueFileDeletion(attachment, { session });
+        } else {
+            logger.warn("Removing attachment without deleting the stored file (not uploaded for this request)", { publicId, requestId });
         }
 
         // Remove from database
@@ -189,18 +188,48 @@ const deleteServiceRequestAttachment = asyncHandler(async (req, res) => {
         session.endSession();
     }
 });
+
+// Short-lived download link for one of the client's own attachments
+const getServiceRequestAttachmentUrl = asyncHandler(async (req, res) => {
+    const { requestId, publicId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(requestId)) {
+        throw new ApiError(400, "Invalid request ID format");
+    }
+
+    const serviceRequest = await ClientServiceRequest.findOne({
+        _id: requestId,
+        createdBy: req.client._id
+    }).select("attachments createdBy");
+
+    const attachment = serviceRequest?.findUploadedAttachment(publicId);
+    if (!attachment) {
+        throw new ApiError(404, "Attachment not found in this request");
+    }
+
+    const download = await getSignedFileUrl(attachment);
+
+    await recordAuditLog({
+        req,
+        action: "serviceRequest.attachment.download",
+        targetModel: "ClientServiceRequest",
+        targetId: serviceRequest._id,
+        metadata: { publicId, expiresAt: download.expiresAt }
+    });
+
+    res.status(200).json(new ApiResponse(200, download, "Attachment download link generated"));
+});
 // Create a new service request
 const createServiceRequest = asyncHandler(async (req, res) => {
     const session = await mongoose.startSession();
     session.startTransaction();
 
     try {
-        const { title, description, category, features, budget, deliveryDeadline, attachments } = req.body;
+        const { title, description, category, features, budget, deliveryDeadline } = req.body;
 
         logger.info(`Creating service request for client ${req.client._id}`, {
             title,
-            category,
-            hasAttachments: !!attachments
+            category
         });
 
         // Validate required fields
@@ -228,18 +257,10 @@ const createServiceRequest = asyncHandler(async (req, res) => {
             throw new ApiError(400, "Delivery deadline must be in the future");
         }
 
-        // Validate attachments
-        let parsedAttachments = [];
-        if (attachments) {
-            try {
-                parsedAttachments = Array.isArray(attachments) ? attachments : JSON.parse(attachments);
-                if (!Array.isArray(parsedAttachments)) {
-                    throw new Error("Attachments must be an array");
-                }
-            } catch (error) {
-                logger.warn("Invalid attachments format", { attachments, error: error.message });
-                throw new ApiError(400, "Invalid attachments format");
-            }
+        // Attachments are only added through the upload endpoint, never from the body
+        if (req.body.attachments !== undefined) {
+            logger.warn("Attachments sent in service request body", { clientId: req.client._id });
+            throw new ApiError(400, "Attachments must be uploaded through the attachments endpoint");
         }
 
         // Create service request
@@ -250,7 +271,6 @@ const createServiceRequest = asyncHandler(async (req, res) => {
             features: Array.isArray(features) ? features : [],
             budget: budget ? Number(budget) : undefined,
             deliveryDeadline: deliveryDeadline ? new Date(deliveryDeadline) : undefined,
-            attachments: parsedAttachments,
             createdBy: req.client._id,
             status: "pending"
         }], { session });
@@ -262,6 +282,14 @@ const createServiceRequest = asyncHandler(async (req, res) => {
             { session }
         );
 
+        await notifyAdmins("manageProjects", "admin.new-service-request", {
+            clientName: req.client.fullName,
+            clientEmail: req.client.email,
+            title: serviceRequest.title,
+            category: serviceRequest.category,
+            budget: serviceRequest.budget
+        }, { session });
+
         await session.commitTransaction();
         logger.info(`Service request ${serviceRequest._id} created successfully`);
 
@@ -380,8 +408,14 @@ const getServiceRequestById = asyncHandler(async (req, res) => {
 
         logger.info(`Successfully retrieved service request ${requestId}`);
 
+        // Replace the raw history with the client-facing timeline
+        const { statusHistory, ...requestData } = serviceRequest.toObject();
+
         return res.status(200).json(
-            new ApiResponse(200, serviceRequest, "Service request retrieved successfully")
+            new ApiResponse(200, {
+                ...requestData,
+                timeline: serviceRequest.getTimeline()
+            }, "Service request retrieved successfully")
         );
 
     } catch (error) {
@@ -396,6 +430,43 @@ const getServiceRequestById = asyncHandler(async (req, res) => {
     }
 });
 
+// Get the status timeline of a service request
+const getServiceRequestTimeline = asyncHandler(async (req, res) => {
+    try {
+        const { requestId } = req.params;
+        const clientId = req.client._id;
+
+        if (!mongoose.Types.ObjectId.isValid(requestId)) {
+            logger.warn("Invalid request ID format", { requestId });
+            throw new ApiError(400, "Invalid request ID format");
+        }
+
+        const serviceRequest = await ClientServiceRequest.findOne({
+            _id: requestId,
+            createdBy: clientId
+        }).select('status statusHistory rejectionReason');
+
+        if (!serviceRequest) {
+            logger.warn("Service request not found for timeline", { requestId, clientId });
+            throw new ApiError(404, "Service request not found");
+        }
+
+        return res.status(200).json(
+            new ApiResponse(200, serviceRequest.getTimeline(), "Service request timeline retrieved successfully")
+        );
+
+    } catch (error) {
+        logger.error(`Failed to fetch service request timeline: ${error.message}`, {
+            requestId: req.params.requestId,
+            clientId: req.client?._id,
+            stack: error.stack
+        });
+
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, "Failed to retrieve service request timeline");
+    }
+});
+
 // Update a service request
 const updateServiceRequest = asyncHandler(async (req, res) => {
     const session = await mongoose.startSession();
@@ -501,32 +572,26 @@ const updateServiceRequest = asyncHandler(async (req, res) => {
             updateObject.deliveryDeadline = deadline;
         }
 
-        // Attachments update
+        // Attachments are only added through the upload endpoint, never from the body
         if (updateData.attachments !== undefined) {
-            try {
-                const attachments = Array.isArray(updateData.attachments)
-                    ? updateData.attachments
-                    : JSON.parse(updateData.attachments);
-
-                if (!Array.isArray(attachments)) {
-                    throw new Error("Attachments must be an array");
-                }
-                updateObject.attachments = attachments;
-            } catch (error) {
-                logger.warn("Invalid attachments format", { error: error.message });
-                throw new ApiError(400, "Invalid attachments format");
-            }
+            logger.warn("Attachments sent in service request update", { requestId, clientId });
+            throw new ApiError(400, "Attachments must be uploaded through the attachments endpoint");
         }
 
-        // Reset status to pending when updating
-        updateObject.status = "pending";
+        // Apply the update
+        existingRequest.set(updateObject);
 
-        // Perform the update
-        const updatedRequest = await ClientServiceRequest.findByIdAndUpdate(
-            requestId,
-            updateObject,
-            { new: true, session }
-        ).populate('createdBy', 'fullName email phone');
+        // Edited requests go back to pending for a fresh review
+        if (existingRequest.status !== "pending") {
+            existingRequest.transitionTo("pending", {
+                changedBy: clientId,
+                changedByModel: "Client",
+                note: "Request updated by client"
+            });
+        }
+
+        await existingRequest.save({ session });
+        const updatedRequest = await existingRequest.populate('createdBy', 'fullName email phone');
 
         await session.commitTransaction();
         logger.info(`Service request ${requestId} updated successfully`);
@@ -588,28 +653,23 @@ const deleteServiceRequest = asyncHandler(async (req, res) => {
             throw new ApiError(400, "Only pending or under-review requests can be deleted");
         }
 
-        // Delete attachments from Cloudinary
-        if (requestToDelete.attachments?.length > 0) {
-            logger.info(`Deleting ${requestToDelete.attachments.length} attachments for request ${requestId}`);
-
-            const deleteResults = await Promise.allSettled(
-                requestToDelete.attachments
-                    .filter(att => att.publicId)
-                    .map(att => deleteFromCloudinary(att.publicId))
-            );
+        // Queue the request's and its messages' attachments for deletion from storage
+        const messages = await ServiceRequestMessage.find({ serviceRequest: requestId })
+            .select("attachments")
+            .session(session);
+        const attachments = [
+            ...requestToDelete.getUploadedAttachments(),
+            ...messages.flatMap(message => message.attachments)
+        ];
 
-            // Log any failed deletions but don't fail the operation
-            deleteResults.forEach((result, index) => {
-                if (result.status === 'rejected') {
-                    logger.error(`Failed to delete attachment ${requestToDelete.attachments[index].publicId}`, {
-                        error: result.reason
-                    });
-                }
-            });
+        if (attachments.length > 0) {
+            const queued = await queueFileDeletion(attachments, { session });
+            logger.info(`Queued ${queued} stored file(s) for deletion for request ${requestId}`);
         }
 
-        // Delete the request
+        // Delete the request and its conversation thread
         await ClientServiceRequest.deleteOne({ _id: requestId }).session(session);
+        await ServiceRequestMessage.deleteMany({ serviceRequest: requestId }).session(session);
 
         // Remove reference from client
         await Client.findByIdAndUpdate(
@@ -640,184 +700,14 @@ const deleteServiceRequest = asyncHandler(async (req, res) => {
     }
 });
 
-// Admin-only: Get all service requests
-const getAllServiceRequests = asyncHandler(async (req, res) => {
-    try {
-        if (req.client.role !== 'admin') {
-            logger.warn(`Unauthorized access attempt by client ${req.client._id}`);
-            throw new ApiError(403, "Unauthorized access");
-        }
-
-        const { status, category, clientId, sortBy, page = 1, limit = 10 } = req.query;
-
-        logger.info(`Admin fetching all service requests`, {
-            filters: { status, category, clientId },
-            pagination: { page, limit }
-        });
-
-        // Build query
-        const query = {};
-
-        // Status filter
-        const validStatuses = ClientServiceRequest.schema.path('status').enumValues;
-        if (status) {
-            if (!validStatuses.includes(status)) {
-                logger.warn("Invalid status filter", { status, validStatuses });
-                throw new ApiError(400, `Invalid status. Valid values: ${validStatuses.join(', ')}`);
-            }
-            query.status = status;
-        }
-
-        // Category filter
-        const validCategories = ClientServiceRequest.schema.path('category').enumValues;
-        if (category) {
-            if (!validCategories.includes(category)) {
-                logger.warn("Invalid category filter", { category, validCategories });
-                throw new ApiError(400, `Invalid category. Valid values: ${validCategories.join(', ')}`);
-            }
-            query.category = category;
-        }
-
-        // Client filter
-        if (clientId) {
-            if (!mongoose.Types.ObjectId.isValid(clientId)) {
-                logger.warn("Invalid client ID filter", { clientId });
-                throw new ApiError(400, "Invalid client ID");
-            }
-            query.createdBy = clientId;
-        }
-
-        // Build sort options
-        const sortOptions = {};
-        const validSortFields = ['createdAt', 'updatedAt', 'budget', 'deliveryDeadline'];
-
-        if (sortBy) {
-            const [field, order] = sortBy.split(':');
-            if (!validSortFields.includes(field)) {
-                logger.warn("Invalid sort field", { field, validSortFields });
-                throw new ApiError(400, `Invalid sort field. Valid fields: ${validSortFields.join(', ')}`);
-            }
-            sortOptions[field] = order === 'desc' ? -1 : 1;
-        } else {
-            sortOptions.createdAt = -1; // Default: newest first
-        }
-
-        // Pagination
-        const pageNum = parseInt(page);
-        const limitNum = parseInt(limit);
-        const skip = (pageNum - 1) * limitNum;
-
-        const [requests, total] = await Promise.all([
-            ClientServiceRequest.find(query)
-                .sort(sortOptions)
-                .skip(skip)
-                .limit(limitNum)
-                .populate('createdBy', 'fullName email phone'),
-            ClientServiceRequest.countDocuments(query)
-        ]);
-
-        logger.info(`Admin retrieved ${requests.length} of ${total} service requests`);
-
-        return res.status(200).json(
-            new ApiResponse(200, {
-                requests,
-                total,
-                page: pageNum,
-                pages: Math.ceil(total / limitNum),
-                limit: limitNum
-            }, "Service requests retrieved successfully")
-        );
-
-    } catch (error) {
-        logger.error(`Admin failed to fetch service requests: ${error.message}`, {
-            clientId: req.client?._id,
-            stack: error.stack
-        });
-
-        if (error instanceof ApiError) throw error;
-        throw new ApiError(500, "Failed to retrieve service requests");
-    }
-});
-
-// Admin-only: Update service request status
-const updateServiceRequestStatus = asyncHandler(async (req, res) => {
-    const session = await mongoose.startSession();
-    session.startTransaction();
-
-    try {
-        if (req.client.role !== 'admin') {
-            logger.warn(`Unauthorized status update attempt by client ${req.client._id}`);
-            throw new ApiError(403, "Unauthorized access");
-        }
-
-        const { requestId } = req.params;
-        const { status, adminNotes } = req.body;
-
-        if (!mongoose.Types.ObjectId.isValid(requestId)) {
-            logger.warn("Invalid request ID format for status update", { requestId });
-            throw new ApiError(400, "Invalid request ID format");
-        }
-
-        logger.info(`Admin updating status of request ${requestId} to ${status}`);
-
-        // Validate status
-        const validStatuses = ClientServiceRequest.schema.path('status').enumValues;
-        if (!status || !validStatuses.includes(status)) {
-            logger.warn("Invalid status provided", { status, validStatuses });
-            throw new ApiError(400, `Invalid status. Valid values: ${validStatuses.join(', ')}`);
-        }
-
-        // Prepare update
-        const update = { status };
-        if (adminNotes) {
-            if (typeof adminNotes !== 'string') {
-                throw new ApiError(400, "Admin notes must be a string");
-            }
-            update.adminNotes = adminNotes;
-        }
-
-        // Perform update
-        const updatedRequest = await ClientServiceRequest.findByIdAndUpdate(
-            requestId,
-            update,
-            { new: true, session }
-        ).populate('createdBy', 'fullName email phone');
-
-        if (!updatedRequest) {
-            logger.warn("Service request not found for status update", { requestId });
-            throw new ApiError(404, "Service request not found");
-        }
-
-        await session.commitTransaction();
-        logger.info(`Successfully updated status of request ${requestId} to ${status}`);
-
-        return res.status(200).json(
-            new ApiResponse(200, updatedRequest, "Service request status updated successfully")
-        );
-
-    } catch (error) {
-        await session.abortTransaction();
-        logger.error(`Admin failed to update service request status: ${error.message}`, {
-            requestId: req.params.requestId,
-            clientId: req.client?._id,
-            stack: error.stack
-        });
-
-        if (error instanceof ApiError) throw error;
-        throw new ApiError(500, "Failed to update service request status");
-    } finally {
-        session.endSession();
-    }
-});
-
 export {
     uploadServiceRequestAttachments,
     deleteServiceRequestAttachment,
+    getServiceRequestAttachmentUrl,
     createServiceRequest,
     getClientServiceRequests,
     getServiceRequestById,
+    getServiceRequestTimeline,
     updateServiceRequest,
-    deleteServiceRequest,
-    getAllServiceRequests,
-    updateServiceRequestStatus
+    deleteServiceRequest
 };
\ No newline at end of file
@@ -3,10 +3,27 @@ import { ApiError } from "../utils/ApiError.utils.js";
 import ApiResponse from "../utils/ApiResponse.utils.js";
 import mongoose from "mongoose";
 import logger from "../utils/logger.utils.js";
-import Admin from "../models/admin.model.js";
 import Contact from "../models/contact.models.js";
 import Client from "../models/client.model.js";
 import { isEmailValid, areRequiredFieldsProvided } from "../utils/validator.utils.js";
+import { recordAuditLog, diffChanges, pickFields } from "../utils/auditLog.utils.js";
+import { sendContactAcknowledgementEmail, notifyAdmins } from "../utils/emailService.js";
+import { getRequestLocale } from "../utils/emailTemplate.utils.js";
+
+// Acknowledge the sender and alert the team; a failure here shouldn't lose the submitted message
+const sendContactEmails = async (contact, req) => {
+    try {
+        await sendContactAcknowledgementEmail(contact, { locale: getRequestLocale(req) });
+        await notifyAdmins("manageContacts", "admin.new-contact", {
+            senderName: contact.fullName,
+            senderEmail: contact.email,
+            subject: contact.subject,
+            message: contact.message
+        });
+    } catch (error) {
+        logger.error(`Failed to queue emails for contact ${contact._id}: ${error.message}`);
+    }
+};
 
 // @desc    Create a new contact request
 // @route   POST /api/contacts
@@ -65,6 +82,8 @@ const createContact = asyncHandler(async (req, res) => {
             email: contact.email
         });
 
+        await sendContactEmails(contact, req);
+
         return res.status(201).json(
             new ApiResponse(201, contact, "Contact request submitted successfully")
         );
@@ -154,6 +173,8 @@ const createAuthenticatedContact = asyncHandler(async (req, res) => {
             email: contact.email
         });
 
+        await sendContactEmails(contact, req);
+
         return res.status(201).json(
             new ApiResponse(201, contact, "Contact request submitted successfully")
         );
@@ -176,12 +197,6 @@ const createAuthenticatedContact = asyncHandler(async (req, res) => {
 // @access  Private/Admin
 const getAllContacts = asyncHandler(async (req, res) => {
     try {
-        // Check admin permissions
-        if (req.admin?.role !== "admin" && !req.admin?.permissions?.manageContacts) {
-            logger.warn('Unauthorized admin access attempt', { adminId: req.admin?._id });
-            throw new ApiError(403, "Unauthorized: Insufficient permissions");
-        }
-
         // Parse query parameters
         const { status = "pending", page = 1, limit = 10, sort = "-createdAt", search } = req.query;
 
@@ -241,9 +256,9 @@ const getAllContacts = asyncHandler(async (req, res) => {
     }
 });
 
-// @desc    Get a single contact request (admin or owner)
+// @desc    Get a single contact request (admin only)
 // @route   GET /api/contacts/:id
-// @access  Private
+// @access  Private/Admin
 const getContactById = asyncHandler(async (req, res) => {
     // Validate ID
     if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
@@ -259,14 +274,6 @@ const getContactById = asyncHandler(async (req, res) => {
         throw new ApiError(404, "Contact not found");
     }
 
-    // Check permissions
-    const isAdmin = req.admin.role === "admin" || req.admin.permissions?.manageContacts;
-    const isOwner = contact.client && contact.client._id.equals(req.admin._id);
-
-    if (!isAdmin && !isOwner) {
-        throw new ApiError(403, "Unauthorized: You can only view your own contact requests");
-    }
-
     return res.status(200).json(
         new ApiResponse(200, contact, "Contact retrieved successfully")
     );
@@ -277,15 +284,6 @@ const getContactById = asyncHandler(async (req, res) => {
 // @access  Private/Admin
 const updateContact = asyncHandler(async (req, res) => {
     try {
-        // Check admin permissions
-        if (!req.admin || (req.admin.role !== "admin" && !req.admin.permissions?.manageContacts)) {
-            logger.warn('Unauthorized update attempt', {
-                adminId: req.admin?._id,
-                contactId: req.params.id
-            });
-            throw new ApiError(403, "Unauthorized: Insufficient permissions");
-        }
-
         // Validate ID
         if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
             throw new ApiError(400, "Invalid contact ID");
@@ -309,6 +307,13 @@ const updateContact = asyncHandler(async (req, res) => {
         // Remove undefined fields to prevent overwriting with null
         Object.keys(updateData).forEach(key => updateData[key] === undefined && delete updateData[key]);
 
+        // Snapshot the current values for the audit trail
+        const previous = await Contact.findById(req.params.id).lean();
+        if (!previous) {
+            logger.error('Contact not found for update', { contactId: req.params.id });
+            throw new ApiError(404, "Contact not found");
+        }
+
         // Find and update contact
         const contact = await Contact.findByIdAndUpdate(
             req.params.id,
@@ -329,6 +334,17 @@ const updateContact = asyncHandler(async (req, res) => {
             throw new ApiError(404, "Contact not found");
         }
 
+        const auditedFields = Object.keys(updateData).filter(key => key !== "updatedAt");
+        const changes = diffChanges(pickFields(previous, auditedFields), pickFields(updateData, auditedFields));
+        await recordAuditLog({
+            req,
+            action: "contact.update",
+            targetModel: "Contact",
+            targetId: contact._id,
+            before: changes.before,
+            after: changes.after
+        });
+
         logger.info('Contact updated successfully', {
             contactId: contact._id,
             adminId: req.admin._id,
@@ -358,15 +374,6 @@ const updateContact = asyncHandler(async (req, res) => {
 // @access  Private/Admin
 const deleteContact = asyncHandler(async (req, res) => {
     try {
-        // Check admin permissions
-        if (req.admin?.role !== "admin" && !req.admin?.permissions?.manageContacts) {
-            logger.warn('Unauthorized delete attempt', {
-                adminId: req.admin?._id,
-                contactId: req.params.id
-            });
-            throw new ApiError(403, "Unauthorized: Insufficient permissions");
-        }
-
         // Validate ID
         if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
             throw new ApiError(400, "Invalid contact ID");
@@ -380,6 +387,14 @@ const deleteContact = asyncHandler(async (req, res) => {
             throw new ApiError(404, "Contact not found");
         }
 
+        await recordAuditLog({
+            req,
+            action: "contact.delete",
+            targetModel: "Contact",
+            targetId: contact._id,
+            before: pickFields(contact, ["fullName", "email", "subject", "status", "client", "isArchived"])
+        });
+
         logger.info('Contact deleted successfully', {
             contactId: req.params.id,
             adminId: req.admin._id,
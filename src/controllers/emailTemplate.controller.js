@@ -0,0 +1,59 @@
+import asyncHandler from "../utils/asyncHandler.utils.js";
+import { ApiError } from "../utils/ApiError.utils.js";
+import ApiResponse from "../utils/ApiResponse.utils.js";
+import { getEmailTemplate, listEmailTemplates, renderEmailTemplate, SUPPORTED_LOCALES } from "../utils/emailTemplate.utils.js";
+
+// List the transactional email templates and the locales each one has
+const getEmailTemplates = asyncHandler(async (req, res) => {
+    res.status(200).json(
+        new ApiResponse(200, {
+            templates: listEmailTemplates(),
+            locales: SUPPORTED_LOCALES
+        }, "Email templates fetched successfully")
+    );
+});
+
+// Render a template with its sample data, optionally overridden by `variables` in the body (POST).
+// ?format=html or ?format=text returns the raw email for viewing in a browser.
+const previewEmailTemplate = asyncHandler(async (req, res) => {
+    const { name } = req.params;
+    const { format = "json" } = req.query;
+    const locale = req.query.locale || req.body?.locale;
+    const overrides = req.body?.variables || {};
+
+    const template = getEmailTemplate(name);
+    if (!template) {
+        throw new ApiError(404, "Email template not found");
+    }
+
+    if (typeof overrides !== "object" || Array.isArray(overrides)) {
+        throw new ApiError(400, "Variables must be an object");
+    }
+
+    if (!["json", "html", "text"].includes(format)) {
+        throw new ApiError(400, "Format must be json, html or text");
+    }
+
+    let rendered;
+    try {
+        rendered = renderEmailTemplate(name, { ...template.sample, ...overrides }, { locale });
+    } catch (error) {
+        throw new ApiError(400, error.message);
+    }
+
+    if (format === "html") {
+        return res.status(200).type("html").send(rendered.html);
+    }
+    if (format === "text") {
+        return res.status(200).type("text").send(rendered.text);
+    }
+
+    res.status(200).json(
+        new ApiResponse(200, { name, ...rendered }, "Email template rendered successfully")
+    );
+});
+
+export {
+    getEmailTemplates,
+    previewEmailTemplate
+};
@@ -0,0 +1,27 @@
+import fs from "fs";
+import asyncHandler from "../utils/asyncHandler.utils.js";
+import { ApiError } from "../utils/ApiError.utils.js";
+import { resolveLocalDownload } from "../utils/storage.utils.js";
+import logger from "../utils/logger.utils.js";
+
+// Serves a private file of the local storage driver. The signature in the link is the only
+// credential, so links are minted by endpoints that already checked who is asking.
+const downloadLocalFile = asyncHandler(async (req, res) => {
+    const download = resolveLocalDownload(req.params.publicId, req.query);
+    if (!download) {
+        throw new ApiError(403, "Download link is invalid or has expired");
+    }
+
+    if (!fs.existsSync(download.filePath)) {
+        throw new ApiError(404, "File not found");
+    }
+
+    logger.info(`Private file ${req.params.publicId} downloaded from ${req.ip}`);
+
+    res.set("Cache-Control", "private, no-store")
+        .download(download.filePath, download.fileName);
+});
+
+export {
+    downloadLocalFile
+};
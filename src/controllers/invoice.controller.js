@@ -0,0 +1,625 @@
+import asyncHandler from "../utils/asyncHandler.utils.js";
+import { ApiError } from "../utils/ApiError.utils.js";
+import ApiResponse from "../utils/ApiResponse.utils.js";
+import mongoose from "mongoose";
+import logger from "../utils/logger.utils.js";
+import Invoice from "../models/invoice.model.js";
+import Quote from "../models/quote.model.js";
+import Client from "../models/client.model.js";
+import ClientServiceRequest from "../models/clientServiceRequest.model.js";
+import { sendInvoiceEmail } from "../utils/emailService.js";
+import { renderInvoiceHtml } from "../utils/invoiceTemplate.utils.js";
+import { recordAuditLog, diffChanges, pickFields } from "../utils/auditLog.utils.js";
+import { isValidObjectId } from "../utils/validator.utils.js";
+import { escapeRegex } from "../utils/query.utils.js";
+
+// Fields an admin may edit while the invoice is a draft
+const EDITABLE_FIELDS = ["lineItems", "currency", "discount", "taxRate", "dueDate", "notes"];
+
+// Client fields needed to render an invoice
+const CLIENT_FIELDS = "fullName email phone address";
+
+// Validates and normalizes line items from the request body
+const parseLineItems = (lineItems) => {
+    if (!Array.isArray(lineItems) || lineItems.length === 0) {
+        throw new ApiError(400, "At least one line item is required");
+    }
+
+    return lineItems.map((item, index) => {
+        const quantity = item.quantity === undefined ? 1 : Number(item.quantity);
+        const unitPrice = Number(item.unitPrice);
+
+        if (!item.description || typeof item.description !== "string") {
+            throw new ApiError(400, `Line item ${index + 1}: description is required`);
+        }
+        if (isNaN(quantity) || quantity < 0) {
+            throw new ApiError(400, `Line item ${index + 1}: quantity must be a positive number`);
+        }
+        if (isNaN(unitPrice) || unitPrice < 0) {
+            throw new ApiError(400, `Line item ${index + 1}: unit price must be a positive number`);
+        }
+
+        return { description: item.description, quantity, unitPrice };
+    });
+};
+
+// Validates a due date from the request body
+const parseDueDate = (dueDate) => {
+    const date = new Date(dueDate);
+    if (!dueDate || isNaN(date.getTime())) {
+        throw new ApiError(400, "A valid due date is required");
+    }
+    return date;
+};
+
+// Admin: create a draft invoice, optionally from an accepted quote
+const createInvoice = asyncHandler(async (req, res) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const { clientId, serviceRequestId, quoteId, lineItems, currency, discount, taxRate, dueDate, notes } = req.body;
+
+        const invoiceData = {
+            dueDate: parseDueDate(dueDate),
+            taxRate: taxRate !== undefined ? Number(taxRate) : 0,
+            notes,
+            createdBy: req.admin._id
+        };
+
+        // 1. Seed from an accepted quote, or take everything from the body
+        if (quoteId) {
+            if (!isValidObjectId(quoteId)) {
+                throw new ApiError(400, "Invalid quote ID format");
+            }
+
+            const quote = await Quote.findById(quoteId).session(session);
+            if (!quote) {
+                throw new ApiError(404, "Quote not found");
+            }
+            if (quote.status !== "accepted") {
+                throw new ApiError(409, "Only accepted quotes can be invoiced");
+            }
+
+            Object.assign(invoiceData, {
+                client: quote.client,
+                serviceRequest: quote.serviceRequest,
+                quote: quote._id,
+                lineItems: lineItems ? parseLineItems(lineItems) : quote.lineItems.map(({ description, quantity, unitPrice }) => ({ description, quantity, unitPrice })),
+                currency: currency || quote.currency,
+                discount: discount !== undefined ? Number(discount) : quote.discountAmount
+            });
+        } else {
+            if (!isValidObjectId(clientId)) {
+                throw new ApiError(400, "A valid client ID is required");
+            }
+
+            Object.assign(invoiceData, {
+                client: clientId,
+                lineItems: parseLineItems(lineItems),
+                currency: currency || "USD",
+                discount: discount !== undefined ? Number(discount) : 0
+            });
+
+            if (serviceRequestId) {
+                if (!isValidObjectId(serviceRequestId)) {
+                    throw new ApiError(400, "Invalid service request ID format");
+                }
+                const requestExists = await ClientServiceRequest.exists({ _id: serviceRequestId, createdBy: clientId }).session(session);
+                if (!requestExists) {
+                    throw new ApiError(404, "Service request not found for this client");
+                }
+                invoiceData.serviceRequest = serviceRequestId;
+            }
+        }
+
+        // 2. Validate client
+        const clientExists = await Client.exists({ _id: invoiceData.client }).session(session);
+        if (!clientExists) {
+            throw new ApiError(404, "Client not found");
+        }
+
+        // 3. Create invoice
+        invoiceData.invoiceNumber = await Invoice.generateInvoiceNumber(session);
+        const [invoice] = await Invoice.create([invoiceData], { session });
+
+        await recordAuditLog({
+            req,
+            action: "invoice.create",
+            targetModel: "Invoice",
+            targetId: invoice._id,
+            after: pickFields(invoice, ["invoiceNumber", "client", "quote", "total", "currency", "dueDate"]),
+            session
+        });
+
+        await session.commitTransaction();
+        logger.info(`Admin ${req.admin._id} created invoice ${invoice.invoiceNumber}`);
+
+        res.status(201).json(
+            new ApiResponse(201, invoice, "Invoice created successfully")
+        );
+
+    } catch (error) {
+        await session.abortTransaction();
+        logger.error(`Admin createInvoice error: ${error.message}`, { stack: error.stack });
+
+        if (error instanceof ApiError) throw error;
+        if (error.name === "ValidationError") throw new ApiError(400, error.message);
+        if (error.code === 11000) throw new ApiError(409, "Invoice number already in use");
+
+        throw new ApiError(500, "Failed to create invoice");
+    } finally {
+        session.endSession();
+    }
+});
+
+// Admin: list invoices with filters
+const getAllInvoices = asyncHandler(async (req, res) => {
+    try {
+        const { status, clientId, serviceRequestId, from, to, search, sortBy } = req.query;
+
+        // Pagination
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 10;
+        const skip = (page - 1) * limit;
+
+        // Filtering
+        const filter = {};
+
+        const validStatuses = Invoice.schema.path("status").enumValues;
+        if (status) {
+            if (!validStatuses.includes(status)) {
+                throw new ApiError(400, `Invalid status. Valid values: ${validStatuses.join(", ")}`);
+            }
+            filter.status = status;
+        }
+
+        if (clientId) {
+            if (!isValidObjectId(clientId)) {
+                throw new ApiError(400, "Invalid client ID format");
+            }
+            filter.client = clientId;
+        }
+
+        if (serviceRequestId) {
+            if (!isValidObjectId(serviceRequestId)) {
+                throw new ApiError(400, "Invalid service request ID format");
+            }
+            filter.serviceRequest = serviceRequestId;
+        }
+
+        // Date range on issue date
+        if (from || to) {
+            filter.issueDate = {};
+            if (from) filter.issueDate.$gte = new Date(from);
+            if (to) filter.issueDate.$lte = new Date(to);
+
+            if (Object.values(filter.issueDate).some(date => isNaN(date.getTime()))) {
+                throw new ApiError(400, "Invalid date range");
+            }
+        }
+
+        if (search) {
+            filter.invoiceNumber = { $regex: escapeRegex(search), $options: "i" };
+        }
+
+        // Sorting
+        const sort = {};
+        const validSortFields = ["createdAt", "issueDate", "dueDate", "total", "balanceDue"];
+        if (sortBy) {
+            const [field, order] = sortBy.split(":");
+            if (!validSortFields.includes(field)) {
+                throw new ApiError(400, `Invalid sort field. Valid fields: ${validSortFields.join(", ")}`);
+            }
+            sort[field] = order === "desc" ? -1 : 1;
+        } else {
+            sort.createdAt = -1; // Default: newest first
+        }
+
+        const [invoices, total] = await Promise.all([
+            Invoice.find(filter)
+                .sort(sort)
+                .skip(skip)
+                .limit(limit)
+                .populate("client", "fullName email"),
+            Invoice.countDocuments(filter)
+        ]);
+
+        res.status(200).json(
+            new ApiResponse(200, {
+                invoices,
+                pagination: {
+                    total,
+                    page,
+                    pages: Math.ceil(total / limit),
+                    limit
+                }
+            }, "Invoices retrieved successfully")
+        );
+
+    } catch (error) {
+        logger.error(`Admin getAllInvoices error: ${error.message}`, { stack: error.stack });
+
+        if (error instanceof ApiError) throw error;
+
+        throw new ApiError(500, "Failed to retrieve invoices");
+    }
+});
+
+// Admin: single invoice
+const getInvoiceById = asyncHandler(async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!isValidObjectId(id)) {
+            throw new ApiError(400, "Invalid invoice ID format");
+        }
+
+        const invoice = await Invoice.findById(id)
+            .populate("client", CLIENT_FIELDS)
+            .populate("payments.recordedBy", "fullName email");
+
+        if (!invoice) {
+            throw new ApiError(404, "Invoice not found");
+        }
+
+        res.status(200).json(
+            new ApiResponse(200, invoice, "Invoice retrieved successfully")
+        );
+
+    } catch (error) {
+        logger.error(`Admin getInvoiceById error: ${error.message}`, { stack: error.stack });
+
+        if (error instanceof ApiError) throw error;
+
+        throw new ApiError(500, "Failed to retrieve invoice");
+    }
+});
+
+// Admin: edit a draft invoice
+const updateInvoice = asyncHandler(async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!isValidObjectId(id)) {
+            throw new ApiError(400, "Invalid invoice ID format");
+        }
+
+        const invoice = await Invoice.findById(id);
+        if (!invoice) {
+            throw new ApiError(404, "Invoice not found");
+        }
+
+        if (invoice.status !== "draft") {
+            throw new ApiError(409, "Only draft invoices can be edited");
+        }
+
+        const before = pickFields(invoice, [...EDITABLE_FIELDS, "total"]);
+
+        if (req.body.lineItems !== undefined) invoice.lineItems = parseLineItems(req.body.lineItems);
+        if (req.body.dueDate !== undefined) invoice.dueDate = parseDueDate(req.body.dueDate);
+        if (req.body.currency !== undefined) invoice.currency = req.body.currency;
+        if (req.body.discount !== undefined) invoice.discount = Number(req.body.discount);
+        if (req.body.taxRate !== undefined) invoice.taxRate = Number(req.body.taxRate);
+        if (req.body.notes !== undefined) invoice.notes = req.body.notes;
+
+        await invoice.save();
+
+        const changes = diffChanges(before, pickFields(invoice, [...EDITABLE_FIELDS, "total"]));
+        await recordAuditLog({
+            req,
+            action: "invoice.update",
+            targetModel: "Invoice",
+            targetId: invoice._id,
+            before: changes.before,
+            after: changes.after
+        });
+
+        res.status(200).json(
+            new ApiResponse(200, invoice, "Invoice updated successfully")
+        );
+
+    } catch (error) {
+        logger.error(`Admin updateInvoice error: ${error.message}`, { stack: error.stack });
+
+        if (error instanceof ApiError) throw error;
+        if (error.name === "ValidationError") throw new ApiError(400, error.message);
+
+        throw new ApiError(500, "Failed to update invoice");
+    }
+});
+
+// Admin: email the invoice to the client (also used to resend)
+const sendInvoice = asyncHandler(async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!isValidObjectId(id)) {
+            throw new ApiError(400, "Invalid invoice ID format");
+        }
+
+        const invoice = await Invoice.findById(id).populate("client", CLIENT_FIELDS);
+        if (!invoice) {
+            throw new ApiError(404, "Invoice not found");
+        }
+
+        if (!["draft", "sent", "overdue"].includes(invoice.status)) {
+            throw new ApiError(409, `A ${invoice.status} invoice cannot be sent`);
+        }
+
+        const previousStatus = invoice.status;
+        if (invoice.status === "draft") {
+            invoice.status = "sent";
+            invoice.issueDate = new Date();
+        }
+
+        // The status change and the queued email commit together
+        const session = await mongoose.startSession();
+        session.startTransaction();
+
+        try {
+            invoice.sentAt = new Date();
+            await invoice.save({ session });
+
+            await sendInvoiceEmail(invoice, invoice.client, { session });
+
+            await recordAuditLog({
+                req,
+                action: "invoice.send",
+                targetModel: "Invoice",
+                targetId: invoice._id,
+                before: { status: previousStatus },
+                after: { status: invoice.status },
+                metadata: { to: invoice.client.email },
+                session
+            });
+
+            await session.commitTransaction();
+        } catch (error) {
+            await session.abortTransaction();
+            throw error;
+        } finally {
+            session.endSession();
+        }
+
+        logger.info(`Invoice ${invoice.invoiceNumber} queued for ${invoice.client.email}`);
+
+        res.status(200).json(
+            new ApiResponse(200, invoice, "Invoice sent successfully")
+        );
+
+    } catch (error) {
+        logger.error(`Admin sendInvoice error: ${error.message}`, { stack: error.stack });
+
+        if (error instanceof ApiError) throw error;
+
+        throw new ApiError(500, "Failed to send invoice");
+    }
+});
+
+// Admin: record a full or partial manual payment
+const recordPayment = asyncHandler(async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { amount, method, reference, note, paidAt } = req.body;
+
+        if (!isValidObjectId(id)) {
+            throw new ApiError(400, "Invalid invoice ID format");
+        }
+
+        const paymentAmount = Number(amount);
+        if (isNaN(paymentAmount) || paymentAmount <= 0) {
+            throw new ApiError(400, "Payment amount must be a positive number");
+        }
+
+        const invoice = await Invoice.findById(id);
+        if (!invoice) {
+            throw new ApiError(404, "Invoice not found");
+        }
+
+        if (!["sent", "overdue"].includes(invoice.status)) {
+            throw new ApiError(409, `Payments cannot be recorded on a ${invoice.status} invoice`);
+        }
+
+        if (paymentAmount > invoice.balanceDue) {
+            throw new ApiError(400, `Payment exceeds the balance due of ${invoice.balanceDue} ${invoice.currency}`);
+        }
+
+        const previousStatus = invoice.status;
+        invoice.payments.push({
+            amount: paymentAmount,
+            method,
+            reference,
+            note,
+            paidAt: paidAt ? new Date(paidAt) : new Date(),
+            recordedBy: req.admin._id
+        });
+        await invoice.save();
+
+        await recordAuditLog({
+            req,
+            action: "invoice.payment.record",
+            targetModel: "Invoice",
+            targetId: invoice._id,
+            before: { status: previousStatus },
+            after: { status: invoice.status, amountPaid: invoice.amountPaid, balanceDue: invoice.balanceDue },
+            metadata: { amount: paymentAmount, method, reference }
+        });
+
+        logger.info(`Payment of ${paymentAmount} recorded on invoice ${invoice.invoiceNumber}`);
+
+        res.status(200).json(
+            new ApiResponse(200, invoice, "Payment recorded successfully")
+        );
+
+    } catch (error) {
+        logger.error(`Admin recordPayment error: ${error.message}`, { stack: error.stack });
+
+        if (error instanceof ApiError) throw error;
+        if (error.name === "ValidationError") throw new ApiError(400, error.message);
+
+        throw new ApiError(500, "Failed to record payment");
+    }
+});
+
+// Admin: void an unpaid invoice
+const voidInvoice = asyncHandler(async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { reason } = req.body;
+
+        if (!isValidObjectId(id)) {
+            throw new ApiError(400, "Invalid invoice ID format");
+        }
+
+        if (!reason || typeof reason !== "string") {
+            throw new ApiError(400, "A reason is required to void an invoice");
+        }
+
+        const invoice = await Invoice.findById(id);
+        if (!invoice) {
+            throw new ApiError(404, "Invoice not found");
+        }
+
+        if (invoice.status === "void") {
+            throw new ApiError(409, "Invoice is already void");
+        }
+
+        if (invoice.amountPaid > 0) {
+            throw new ApiError(409, "Invoices with recorded payments cannot be voided");
+        }
+
+        const previousStatus = invoice.status;
+        invoice.status = "void";
+        invoice.voidedAt = new Date();
+        invoice.voidReason = reason;
+        await invoice.save();
+
+        await recordAuditLog({
+            req,
+            action: "invoice.void",
+            targetModel: "Invoice",
+            targetId: invoice._id,
+            before: { status: previousStatus },
+            after: { status: "void" },
+            metadata: { reason }
+        });
+
+        res.status(200).json(
+            new ApiResponse(200, invoice, "Invoice voided successfully")
+        );
+
+    } catch (error) {
+        logger.error(`Admin voidInvoice error: ${error.message}`, { stack: error.stack });
+
+        if (error instanceof ApiError) throw error;
+
+        throw new ApiError(500, "Failed to void invoice");
+    }
+});
+
+// Admin: HTML preview of the invoice email
+const getInvoiceHtml = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+        throw new ApiError(400, "Invalid invoice ID format");
+    }
+
+    const invoice = await Invoice.findById(id).populate("client", CLIENT_FIELDS);
+    if (!invoice) {
+        throw new ApiError(404, "Invoice not found");
+    }
+
+    res.status(200).type("html").send(renderInvoiceHtml(invoice, invoice.client));
+});
+
+// Client: their invoices (drafts are never shown)
+const getMyInvoices = asyncHandler(async (req, res) => {
+    try {
+        const { status, page = 1, limit = 10 } = req.query;
+        const pageNum = Math.max(parseInt(page) || 1, 1);
+        const limitNum = Math.min(Math.max(parseInt(limit) || 10, 1), 100);
+
+        const query = { client: req.client._id, status: { $ne: "draft" } };
+        if (status && status !== "draft") {
+            query.status = status;
+        }
+
+        const [invoices, total] = await Promise.all([
+            Invoice.find(query)
+                .sort({ issueDate: -1 })
+                .skip((pageNum - 1) * limitNum)
+                .limit(limitNum)
+                .select("-createdBy -payments.recordedBy"),
+            Invoice.countDocuments(query)
+        ]);
+
+        return res.status(200).json(
+            new ApiResponse(200, {
+                invoices,
+                total,
+                page: pageNum,
+                pages: Math.ceil(total / limitNum)
+            }, "Invoices retrieved successfully")
+        );
+
+    } catch (error) {
+        logger.error(`Failed to fetch client invoices: ${error.message}`, {
+            clientId: req.client?._id,
+            stack: error.stack
+        });
+        throw new ApiError(500, "Failed to retrieve invoices");
+    }
+});
+
+// Finds one of the current client's non-draft invoices
+const findClientInvoice = async (req) => {
+    const { invoiceId } = req.params;
+
+    if (!isValidObjectId(invoiceId)) {
+        throw new ApiError(400, "Invalid invoice ID format");
+    }
+
+    const invoice = await Invoice.findOne({
+        _id: invoiceId,
+        client: req.client._id,
+        status: { $ne: "draft" }
+    }).select("-createdBy -payments.recordedBy");
+
+    if (!invoice) {
+        throw new ApiError(404, "Invoice not found");
+    }
+
+    return invoice;
+};
+
+// Client: single invoice
+const getMyInvoiceById = asyncHandler(async (req, res) => {
+    const invoice = await findClientInvoice(req);
+
+    return res.status(200).json(
+        new ApiResponse(200, invoice, "Invoice retrieved successfully")
+    );
+});
+
+// Client: printable HTML version of an invoice
+const getMyInvoiceHtml = asyncHandler(async (req, res) => {
+    const invoice = await findClientInvoice(req);
+
+    return res.status(200).type("html").send(renderInvoiceHtml(invoice, req.client));
+});
+
+export {
+    createInvoice,
+    getAllInvoices,
+    getInvoiceById,
+    updateInvoice,
+    sendInvoice,
+    recordPayment,
+    voidInvoice,
+    getInvoiceHtml,
+    getMyInvoices,
+    getMyInvoiceById,
+    getMyInvoiceHtml
+};
@@ -0,0 +1,132 @@
+import asyncHandler from "../utils/asyncHandler.utils.js";
+import { ApiError } from "../utils/ApiError.utils.js";
+import ApiResponse from "../utils/ApiResponse.utils.js";
+import mongoose from "mongoose";
+import logger from "../utils/logger.utils.js";
+import Job from "../models/job.model.js";
+import { retryJob } from "../utils/jobQueue.utils.js";
+import { recordAuditLog } from "../utils/auditLog.utils.js";
+
+const JOB_STATUSES = ["pending", "running", "completed", "dead"];
+
+// Get background jobs (filterable, paginated) with a count per status
+const getJobs = asyncHandler(async (req, res) => {
+    try {
+        const {
+            status,
+            name,
+            page = 1,
+            limit = 20
+        } = req.query;
+
+        // 1. Build query object
+        const query = {};
+
+        if (status) {
+            if (!JOB_STATUSES.includes(status)) {
+                throw new ApiError(400, `Status must be one of: ${JOB_STATUSES.join(", ")}`);
+            }
+            query.status = status;
+        }
+
+        if (name) {
+            query.name = name;
+        }
+
+        // 2. Calculate pagination
+        const pageNum = Math.max(parseInt(page) || 1, 1);
+        const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+        const skip = (pageNum - 1) * limitNum;
+
+        // 3. Execute query (payloads can hold secrets, so the list leaves them out)
+        const [jobs, total, statusCounts] = await Promise.all([
+            Job.find(query)
+                .select("-payload")
+                .sort({ updatedAt: -1 })
+                .skip(skip)
+                .limit(limitNum),
+            Job.countDocuments(query),
+            Job.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }])
+        ]);
+
+        const counts = Object.fromEntries(JOB_STATUSES.map(value => [value, 0]));
+        statusCounts.forEach(({ _id, count }) => {
+            counts[_id] = count;
+        });
+
+        res.status(200).json(
+            new ApiResponse(200, {
+                jobs,
+                counts,
+                total,
+                page: pageNum,
+                pages: Math.ceil(total / limitNum)
+            }, "Jobs fetched successfully")
+        );
+    } catch (error) {
+        logger.error(`Error in getJobs: ${error.message}`, { stack: error.stack });
+
+        if (error instanceof ApiError) {
+            throw error;
+        }
+        throw new ApiError(500, error.message || "Failed to fetch jobs");
+    }
+});
+
+// Get a single job with its failure history. The payload is left out like in the list:
+// queued emails hold password reset and verification links
+const getJobById = asyncHandler(async (req, res) => {
+    const { jobId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(jobId)) {
+        throw new ApiError(400, "Invalid job ID");
+    }
+
+    const job = await Job.findById(jobId).select("-payload");
+    if (!job) {
+        throw new ApiError(404, "Job not found");
+    }
+
+    res.status(200).json(
+        new ApiResponse(200, job, "Job fetched successfully")
+    );
+});
+
+// Requeue a dead job with a fresh set of attempts
+const retryDeadJob = asyncHandler(async (req, res) => {
+    const { jobId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(jobId)) {
+        throw new ApiError(400, "Invalid job ID");
+    }
+
+    const job = await retryJob(jobId);
+    if (!job) {
+        const exists = await Job.exists({ _id: jobId });
+        throw exists
+            ? new ApiError(409, "Only dead jobs can be retried")
+            : new ApiError(404, "Job not found");
+    }
+
+    await recordAuditLog({
+        req,
+        action: "job.retry",
+        targetModel: "Job",
+        targetId: job._id,
+        before: { status: "dead" },
+        after: { status: job.status },
+        metadata: { name: job.name, lastError: job.lastError }
+    });
+
+    logger.info(`Admin ${req.admin._id} requeued job ${job.name} ${job._id}`);
+
+    res.status(200).json(
+        new ApiResponse(200, job, "Job requeued")
+    );
+});
+
+export {
+    getJobs,
+    getJobById,
+    retryDeadJob
+};
@@ -0,0 +1,202 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import asyncHandler from "../utils/asyncHandler.utils.js";
+import { ApiError } from "../utils/ApiError.utils.js";
+import ApiResponse from "../utils/ApiResponse.utils.js";
+import Client from "../models/client.model.js";
+import logger from "../utils/logger.utils.js";
+import { getOAuthProvider, getEnabledOAuthProviders, createCodeChallenge } from "../utils/oauthProviders.utils.js";
+import { createSession } from "../utils/session.utils.js";
+import { registerSuccessfulLogin } from "../utils/loginSecurity.utils.js";
+
+// Short-lived cookie carrying state, PKCE verifier and nonce between redirect and callback
+const OAUTH_STATE_COOKIE = "oauthState";
+const OAUTH_STATE_TTL_MS = 10 * 60 * 1000;
+const OAUTH_COOKIE_PATH = "/api/v1/client/oauth";
+
+const getRedirectUri = (providerName) => {
+    const baseUrl = process.env.API_BASE_URL || `http://localhost:${process.env.PORT || 8000}`;
+    return `${baseUrl}/api/v1/client/oauth/${providerName}/callback`;
+};
+
+// API clients (Accept: application/json) get JSON, browsers are redirected to the frontend
+const wantsJson = (req) => req.accepts(["html", "json"]) === "json";
+
+const redirectToFrontend = (res, params) => {
+    const url = process.env.OAUTH_REDIRECT_URL || `${process.env.FRONTEND_URL}/oauth/callback`;
+    res.redirect(`${url}?${new URLSearchParams(params).toString()}`);
+};
+
+/**
+ * Finds the client for a provider identity, links it to an existing client whose email
+ * (verified both by the provider and by us) matches, or creates a new social-only client
+ * @returns {Promise<{client: object, isNew: boolean, linked: boolean}>}
+ */
+const findOrCreateOAuthClient = async (providerName, profile) => {
+    const identity = { provider: providerName, providerId: profile.providerId };
+
+    const existingIdentity = await Client.findOne({ oauthAccounts: { $elemMatch: identity } });
+    if (existingIdentity) {
+        return { client: existingIdentity, isNew: false, linked: false };
+    }
+
+    if (!profile.email) {
+        throw new ApiError(400, "The provider did not share an email address");
+    }
+
+    // Linking or creating an account by email is only safe if the provider verified it
+    if (!profile.emailVerified) {
+        throw new ApiError(403, "Your email address is not verified with this provider");
+    }
+
+    const existingClient = await Client.findOne({ email: profile.email });
+    if (existingClient) {
+        // Only link when this system verified the address; an unverified one may have been
+        // typed in (at registration or through a profile update) by someone who doesn't own it
+        if (!existingClient.isEmailVerified) {
+            logger.warn(`Refused to link ${providerName} account to client ${existingClient._id} with an unverified email`);
+            throw new ApiError(409, "An account with this email exists but its email is not verified. Verify it or log in with your password to continue");
+        }
+
+        existingClient.oauthAccounts.push({ ...identity, email: profile.email });
+        await existingClient.save({ validateBeforeSave: false });
+        logger.info(`Linked ${providerName} account to client ${existingClient._id}`);
+        return { client: existingClient, isNew: false, linked: true };
+    }
+
+    const client = await Client.create({
+        fullName: profile.name || profile.email.split("@")[0],
+        email: profile.email,
+        isEmailVerified: true,
+        oauthAccounts: [{ ...identity, email: profile.email }],
+        ...(profile.picture && { profileImage: { url: profile.picture } })
+    });
+
+    logger.info(`Created client ${client._id} from ${providerName} login`);
+    return { client, isNew: true, linked: false };
+};
+
+// List the social login providers that are enabled
+const getOAuthProviders = asyncHandler(async (req, res) => {
+    res.status(200).json(new ApiResponse(200, getEnabledOAuthProviders(), "OAuth providers fetched successfully"));
+});
+
+// Redirect to the provider's consent screen
+const startOAuthLogin = asyncHandler(async (req, res) => {
+    const provider = getOAuthProvider(req.params.provider);
+    if (!provider) {
+        throw new ApiError(404, "OAuth provider not found or not enabled");
+    }
+
+    const state = crypto.randomBytes(16).toString("base64url");
+    const codeVerifier = crypto.randomBytes(32).toString("base64url");
+    const nonce = crypto.randomBytes(16).toString("base64url");
+
+    const stateToken = jwt.sign(
+        { provider: provider.name, state, codeVerifier, nonce },
+        process.env.ACCESS_TOKEN_SECRET,
+        { expiresIn: OAUTH_STATE_TTL_MS / 1000, audience: "oauth-state" }
+    );
+
+    const authorizationUrl = await provider.getAuthorizationUrl({
+        state,
+        nonce,
+        codeChallenge: createCodeChallenge(codeVerifier),
+        redirectUri: getRedirectUri(provider.name)
+    });
+
+    res.cookie(OAUTH_STATE_COOKIE, stateToken, {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === "production",
+        sameSite: "lax", // Must survive the top-level redirect back from the provider
+        path: OAUTH_COOKIE_PATH,
+        maxAge: OAUTH_STATE_TTL_MS
+    });
+
+    res.redirect(authorizationUrl);
+});
+
+// Provider redirects back here with ?code&state
+const handleOAuthCallback = asyncHandler(async (req, res) => {
+    const { code, state, error: providerError } = req.query;
+
+    try {
+        const provider = getOAuthProvider(req.params.provider);
+        if (!provider) {
+            throw new ApiError(404, "OAuth provider not found or not enabled");
+        }
+
+        if (providerError) {
+            throw new ApiError(400, `Login was cancelled or denied (${providerError})`);
+        }
+
+        let storedState;
+        try {
+            storedState = jwt.verify(req.cookies?.[OAUTH_STATE_COOKIE], process.env.ACCESS_TOKEN_SECRET, { audience: "oauth-state" });
+        } catch (error) {
+            throw new ApiError(400, "Login session expired, please try again");
+        }
+
+        if (!code || !state || storedState.provider !== provider.name || storedState.state !== state) {
+            throw new ApiError(400, "Invalid OAuth state");
+        }
+
+        res.clearCookie(OAUTH_STATE_COOKIE, { path: OAUTH_COOKIE_PATH });
+
+        let profile;
+        try {
+            profile = await provider.getProfile({
+                code,
+                codeVerifier: storedState.codeVerifier,
+                nonce: storedState.nonce,
+                redirectUri: getRedirectUri(provider.name)
+            });
+        } catch (error) {
+            logger.error(`OAuth ${provider.name} profile exchange failed: ${error.message}`, { stack: error.stack });
+            throw new ApiError(502, "Could not complete login with the provider");
+        }
+
+        const { client, isNew, linked } = await findOrCreateOAuthClient(provider.name, profile);
+
+        // Same session and cookies as loginClient
+        const { accessToken, refreshToken } = await createSession(client, "Client", req);
+        await registerSuccessfulLogin(client, req);
+        await client.save({ validateBeforeSave: false });
+
+        const options = {
+            httpOnly: true,
+            secure: true,
+            sameSite: process.env.NODE_ENV === "production" ? "none" : "lax",  // Allow cross-origin cookies in prod
+        };
+
+        res.cookie("accessToken", accessToken, options)
+            .cookie("refreshToken", refreshToken, options);
+
+        if (!wantsJson(req)) {
+            return redirectToFrontend(res, { status: "success", isNew, linked });
+        }
+
+        const loggedInClient = await Client.findById(client._id).select("-password -verificationToken");
+
+        res.status(200).json(new ApiResponse(200, {
+            client: loggedInClient,
+            accessToken,
+            refreshToken,
+            isNew,
+            linked
+        }, "Client logged in successfully"));
+    } catch (error) {
+        logger.error(`Error in handleOAuthCallback: ${error.message}`, { stack: error.stack });
+
+        if (wantsJson(req)) {
+            throw error instanceof ApiError ? error : new ApiError(500, "OAuth login failed");
+        }
+        redirectToFrontend(res, { status: "error", message: error instanceof ApiError ? error.message : "OAuth login failed" });
+    }
+});
+
+export {
+    getOAuthProviders,
+    startOAuthLogin,
+    handleOAuthCallback
+};
@@ -0,0 +1,534 @@
+import asyncHandler from "../utils/asyncHandler.utils.js";
+import { ApiError } from "../utils/ApiError.utils.js";
+import ApiResponse from "../utils/ApiResponse.utils.js";
+import mongoose from "mongoose";
+import logger from "../utils/logger.utils.js";
+import Invoice from "../models/invoice.model.js";
+import PaymentTransaction from "../models/paymentTransaction.model.js";
+import WebhookEvent from "../models/webhookEvent.model.js";
+import { getPaymentProvider, PAYMENT_PROVIDERS } from "../utils/paymentGateway.utils.js";
+import { recordAuditLog } from "../utils/auditLog.utils.js";
+import { isValidObjectId } from "../utils/validator.utils.js";
+import { roundMoney } from "../utils/money.utils.js";
+
+// Providers expire unpaid checkout sessions after this long (Stripe's default is 24 hours)
+const CHECKOUT_TTL_MS = 24 * 60 * 60 * 1000;
+
+// A webhook still "processing" after this long was interrupted (e.g. a crash) and can be retried
+const WEBHOOK_PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Applies a verified, normalized webhook event. Returns "processed" or "ignored".
+const applyWebhookEvent = async (providerName, event, session) => {
+    const transaction = await PaymentTransaction.findOne({
+        provider: providerName,
+        checkoutSessionId: event.sessionId
+    }).session(session);
+
+    if (!transaction) {
+        logger.warn(`Webhook ${event.id} references unknown checkout session ${event.sessionId}`);
+        return "ignored";
+    }
+
+    // Only pending checkouts can change state; replays and late events are no-ops
+    if (transaction.status !== "pending") {
+        return "ignored";
+    }
+
+    if (event.type === "checkout.expired" || event.type === "payment.failed") {
+        transaction.status = event.type === "checkout.expired" ? "expired" : "failed";
+        await transaction.save({ session });
+        return "processed";
+    }
+
+    if (event.type !== "checkout.completed") {
+        return "ignored";
+    }
+
+    const amount = event.amount !== undefined ? roundMoney(event.amount) : transaction.amount;
+    if (amount !== transaction.amount) {
+        logger.warn(`Webhook ${event.id} amount ${amount} differs from checkout amount ${transaction.amount}`);
+    }
+
+    const invoice = await Invoice.findById(transaction.invoice).session(session);
+    if (["void", "draft"].includes(invoice.status)) {
+        logger.warn(`Online payment received for ${invoice.status} invoice ${invoice.invoiceNumber}`);
+    }
+
+    // The money was taken either way, so the payment is recorded in full; whatever went past
+    // the balance due is flagged on the transaction for an admin to refund
+    const overpaidAmount = roundMoney(amount - invoice.balanceDue);
+    if (overpaidAmount > 0) {
+        logger.error(`Online payment of ${amount} ${transaction.currency} for invoice ${invoice.invoiceNumber} exceeds the balance due of ${invoice.balanceDue}; ${overpaidAmount} needs to be refunded`, {
+            transactionId: transaction._id,
+            eventId: event.id
+        });
+        transaction.overpaidAmount = overpaidAmount;
+        transaction.refundRequired = true;
+    }
+
+    transaction.status = "succeeded";
+    transaction.providerPaymentId = event.paymentId;
+    transaction.amount = amount;
+    transaction.completedAt = new Date();
+    await transaction.save({ session });
+
+    invoice.payments.push({
+        amount,
+        method: "online",
+        reference: event.paymentId,
+        note: `${providerName} checkout ${event.sessionId}`,
+        transaction: transaction._id
+    });
+    await invoice.save({ session });
+
+    logger.info(`Online payment of ${amount} ${transaction.currency} applied to invoice ${invoice.invoiceNumber}`);
+    return "processed";
+};
+
+// Records the event for idempotency, then applies it inside a transaction
+const processWebhookEvent = async (providerName, event) => {
+    let record;
+    try {
+        record = await WebhookEvent.create({
+            provider: providerName,
+            eventId: event.id,
+            type: event.type,
+            payload: event
+        });
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+
+        // Already seen: only retry events that failed or were interrupted before
+        record = await WebhookEvent.findOneAndUpdate(
+            {
+                provider: providerName,
+                eventId: event.id,
+                $or: [
+                    { status: "failed" },
+                    { status: "processing", updatedAt: { $lt: new Date(Date.now() - WEBHOOK_PROCESSING_TIMEOUT_MS) } }
+                ]
+            },
+            { status: "processing", error: null },
+            { new: true }
+        );
+        if (!record) return "duplicate";
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const outcome = await applyWebhookEvent(providerName, event, session);
+        await session.commitTransaction();
+
+        record.status = outcome;
+        record.processedAt = new Date();
+        await record.save();
+        return outcome;
+    } catch (error) {
+        await session.abortTransaction();
+        record.status = "failed";
+        record.error = error.message;
+        await record.save();
+        throw error;
+    } finally {
+        session.endSession();
+    }
+};
+
+// Responds with a checkout that is already open for the invoice
+const sendOpenCheckout = (res, transaction) => res.status(200).json(
+    new ApiResponse(200, {
+        transactionId: transaction._id,
+        checkoutUrl: transaction.checkoutUrl,
+        amount: transaction.amount,
+        currency: transaction.currency,
+        existing: true
+    }, "A checkout for this invoice is already open")
+);
+
+// Client: start an online checkout for an invoice (full balance or a deposit)
+const createInvoiceCheckout = asyncHandler(async (req, res) => {
+    try {
+        const { invoiceId } = req.params;
+        const { amount } = req.body || {};
+
+        if (!isValidObjectId(invoiceId)) {
+            throw new ApiError(400, "Invalid invoice ID format");
+        }
+
+        const invoice = await Invoice.findOne({ _id: invoiceId, client: req.client._id });
+        if (!invoice || invoice.status === "draft") {
+            throw new ApiError(404, "Invoice not found");
+        }
+
+        if (!["sent", "overdue"].includes(invoice.status) || invoice.balanceDue <= 0) {
+            throw new ApiError(409, `This invoice is ${invoice.status} and cannot be paid online`);
+        }
+
+        // Checkouts abandoned past the provider's expiry can no longer be paid
+        await PaymentTransaction.updateMany(
+            { invoice: invoice._id, status: "pending", createdAt: { $lt: new Date(Date.now() - CHECKOUT_TTL_MS) } },
+            { $set: { status: "expired" } }
+        );
+
+        // Only one open checkout per invoice, otherwise both could be paid in full;
+        // a client coming back to pay gets the one already open
+        const openCheckout = await PaymentTransaction.findOne({ invoice: invoice._id, status: "pending" });
+        if (openCheckout) {
+            return sendOpenCheckout(res, openCheckout);
+        }
+
+        // Partial amounts are treated as deposits
+        const checkoutAmount = amount === undefined ? invoice.balanceDue : roundMoney(Number(amount));
+        if (isNaN(checkoutAmount) || checkoutAmount <= 0 || checkoutAmount > invoice.balanceDue) {
+            throw new ApiError(400, `Amount must be between 0.01 and the balance due of ${invoice.balanceDue} ${invoice.currency}`);
+        }
+
+        const provider = getPaymentProvider();
+        const invoiceUrl = `${process.env.FRONTEND_URL}/invoices/${invoice._id}`;
+
+        let checkout;
+        try {
+            checkout = await provider.createCheckoutSession({
+                amount: checkoutAmount,
+                currency: invoice.currency,
+                reference: invoice.invoiceNumber,
+                description: `Invoice ${invoice.invoiceNumber}`,
+                customerEmail: req.client.email,
+                successUrl: `${invoiceUrl}?payment=success`,
+                cancelUrl: `${invoiceUrl}?payment=cancelled`,
+                metadata: { invoiceId: invoice._id.toString() }
+            });
+        } catch (providerError) {
+            logger.error(`Payment provider ${provider.name} checkout failed: ${providerError.message}`);
+            throw new ApiError(502, "Payment provider is unavailable, please try again later");
+        }
+
+        let transaction;
+        try {
+            transaction = await PaymentTransaction.create({
+                invoice: invoice._id,
+                client: req.client._id,
+                provider: provider.name,
+                kind: checkoutAmount < invoice.balanceDue ? "deposit" : "balance",
+                checkoutSessionId: checkout.id,
+                checkoutUrl: checkout.url,
+                amount: checkoutAmount,
+                currency: invoice.currency
+            });
+        } catch (createError) {
+            // A concurrent request opened a checkout first; this session's URL is never handed out
+            if (createError.code === 11000) {
+                logger.warn(`Discarded ${provider.name} checkout ${checkout.id}: invoice ${invoice.invoiceNumber} already has an open checkout`);
+
+                const concurrentCheckout = await PaymentTransaction.findOne({ invoice: invoice._id, status: "pending" });
+                if (concurrentCheckout) {
+                    return sendOpenCheckout(res, concurrentCheckout);
+                }
+                throw new ApiError(409, "A checkout for this invoice was just opened or closed, please try again");
+            }
+            throw createError;
+        }
+
+        logger.info(`Client ${req.client._id} started ${provider.name} checkout ${checkout.id} for invoice ${invoice.invoiceNumber}`);
+
+        return res.status(201).json(
+            new ApiResponse(201, {
+                transactionId: transaction._id,
+                checkoutUrl: checkout.url,
+                amount: checkoutAmount,
+                currency: invoice.currency
+            }, "Checkout session created successfully")
+        );
+
+    } catch (error) {
+        logger.error(`Failed to create invoice checkout: ${error.message}`, {
+            invoiceId: req.params.invoiceId,
+            clientId: req.client?._id,
+            stack: error.stack
+        });
+
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, "Failed to create checkout session");
+    }
+});
+
+// Public: signed webhook from a payment provider
+const handlePaymentWebhook = asyncHandler(async (req, res) => {
+    const { provider: providerName } = req.params;
+
+    if (!PAYMENT_PROVIDERS.includes(providerName)) {
+        throw new ApiError(404, "Unknown payment provider");
+    }
+
+    let event;
+    try {
+        event = getPaymentProvider(providerName).verifyWebhook(req.rawBody?.toString("utf8") || "", req.headers);
+    } catch (error) {
+        logger.warn(`Rejected ${providerName} webhook: ${error.message}`);
+        throw new ApiError(400, "Invalid webhook");
+    }
+
+    try {
+        const outcome = await processWebhookEvent(providerName, event);
+        return res.status(200).json({ received: true, outcome });
+    } catch (error) {
+        logger.error(`Failed to process ${providerName} webhook ${event.id}: ${error.message}`, { stack: error.stack });
+        // 5xx makes the provider retry later
+        throw new ApiError(500, "Webhook processing failed");
+    }
+});
+
+// Dev only: simulated hosted checkout page for the mock provider
+const mockCheckout = asyncHandler(async (req, res) => {
+    let provider;
+    try {
+        provider = getPaymentProvider("mock");
+    } catch {
+        throw new ApiError(404, "Not found");
+    }
+
+    const { sessionId } = req.params;
+    const { outcome } = req.query;
+
+    const outcomes = {
+        success: "checkout.completed",
+        fail: "payment.failed",
+        cancel: "checkout.expired"
+    };
+
+    if (!outcome) {
+        const links = Object.keys(outcomes)
+            .map(key => `<a href="?outcome=${key}" style="margin-right:16px;">${key}</a>`)
+            .join("");
+        return res.status(200).type("html").send(
+            `<!DOCTYPE html><html><body style="font-family:Arial,sans-serif;"><h2>Mock checkout</h2><p>Simulate: ${links}</p></body></html>`
+        );
+    }
+
+    if (!outcomes[outcome]) {
+        throw new ApiError(400, `Invalid outcome. Valid values: ${Object.keys(outcomes).join(", ")}`);
+    }
+
+    const webhook = provider.buildWebhook(sessionId, outcomes[outcome]);
+    if (!webhook) {
+        throw new ApiError(404, "Unknown checkout session or PAYMENT_WEBHOOK_SECRET not set");
+    }
+
+    // Goes through signature verification exactly like a real webhook
+    const event = provider.verifyWebhook(webhook.rawBody, webhook.headers);
+    await processWebhookEvent("mock", event);
+
+    return res.redirect(outcome === "success" ? webhook.checkout.successUrl : webhook.checkout.cancelUrl);
+});
+
+// Admin: list online payment transactions
+const getAllTransactions = asyncHandler(async (req, res) => {
+    try {
+        const { status, provider, invoiceId, clientId, refundRequired } = req.query;
+
+        // Pagination
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 100);
+        const skip = (page - 1) * limit;
+
+        // Filtering
+        const filter = {};
+        if (status) filter.status = status;
+        if (provider) filter.provider = provider;
+        if (refundRequired !== undefined) filter.refundRequired = refundRequired === "true";
+
+        if (invoiceId) {
+            if (!isValidObjectId(invoiceId)) {
+                throw new ApiError(400, "Invalid invoice ID format");
+            }
+            filter.invoice = invoiceId;
+        }
+
+        if (clientId) {
+            if (!isValidObjectId(clientId)) {
+                throw new ApiError(400, "Invalid client ID format");
+            }
+            filter.client = clientId;
+        }
+
+        const [transactions, total] = await Promise.all([
+            PaymentTransaction.find(filter)
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .populate("invoice", "invoiceNumber total currency status")
+                .populate("client", "fullName email"),
+            PaymentTransaction.countDocuments(filter)
+        ]);
+
+        res.status(200).json(
+            new ApiResponse(200, {
+                transactions,
+                pagination: {
+                    total,
+                    page,
+                    pages: Math.ceil(total / limit),
+                    limit
+                }
+            }, "Payment transactions retrieved successfully")
+        );
+
+    } catch (error) {
+        logger.error(`Admin getAllTransactions error: ${error.message}`, { stack: error.stack });
+
+        if (error instanceof ApiError) throw error;
+
+        throw new ApiError(500, "Failed to retrieve payment transactions");
+    }
+});
+
+// Admin: single transaction with its refunds
+const getTransactionById = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    if (!isValidObjectId(id)) {
+        throw new ApiError(400, "Invalid transaction ID format");
+    }
+
+    const transaction = await PaymentTransaction.findById(id)
+        .populate("invoice", "invoiceNumber total amountPaid balanceDue currency status")
+        .populate("client", "fullName email")
+        .populate("refunds.createdBy", "fullName email");
+
+    if (!transaction) {
+        throw new ApiError(404, "Payment transaction not found");
+    }
+
+    res.status(200).json(
+        new ApiResponse(200, transaction, "Payment transaction retrieved successfully")
+    );
+});
+
+// Admin: full or partial refund of an online payment. The amount is reserved on the
+// transaction before the provider is called, so concurrent requests can't refund it twice,
+// and a refund the provider made is never lost if recording it fails.
+const refundTransaction = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { amount, reason } = req.body;
+
+    if (!isValidObjectId(id)) {
+        throw new ApiError(400, "Invalid transaction ID format");
+    }
+
+    // 1. Check the request against the current state
+    const transaction = await PaymentTransaction.findById(id);
+    if (!transaction) {
+        throw new ApiError(404, "Payment transaction not found");
+    }
+
+    if (!["succeeded", "partially-refunded"].includes(transaction.status)) {
+        throw new ApiError(409, `A ${transaction.status} payment cannot be refunded`);
+    }
+
+    const refundable = roundMoney(transaction.amount - transaction.amountRefunded);
+    const refundAmount = amount === undefined ? refundable : roundMoney(Number(amount));
+    if (isNaN(refundAmount) || refundAmount <= 0 || refundAmount > refundable) {
+        throw new ApiError(400, `Refund amount must be between 0.01 and ${refundable} ${transaction.currency}`);
+    }
+
+    // 2. Reserve the amount, unless another refund changed the transaction since it was read
+    const refundId = new mongoose.Types.ObjectId();
+    const { matchedCount } = await PaymentTransaction.updateOne(
+        {
+            _id: transaction._id,
+            status: { $in: ["succeeded", "partially-refunded"] },
+            amountRefunded: transaction.amountRefunded
+        },
+        {
+            $push: { refunds: { _id: refundId, amount: refundAmount, reason, status: "processing", createdBy: req.admin._id } },
+            $inc: { amountRefunded: refundAmount }
+        }
+    );
+    if (matchedCount === 0) {
+        throw new ApiError(409, "Another refund of this payment is in progress, reload and try again");
+    }
+
+    // 3. Refund at the provider; the key is tied to the reservation, so a retried request can't refund twice
+    let refund;
+    try {
+        refund = await getPaymentProvider(transaction.provider).createRefund({
+            paymentId: transaction.providerPaymentId,
+            amount: refundAmount,
+            currency: transaction.currency,
+            reason,
+            idempotencyKey: `refund-${transaction._id}-${refundId}`
+        });
+    } catch (providerError) {
+        logger.error(`Refund via ${transaction.provider} failed: ${providerError.message}`);
+
+        // Release the reservation
+        await PaymentTransaction.updateOne(
+            { _id: transaction._id, "refunds._id": refundId },
+            { $set: { "refunds.$.status": "failed" }, $inc: { amountRefunded: -refundAmount } }
+        );
+        throw new ApiError(502, "Payment provider refused the refund");
+    }
+
+    // 4. Settle the reservation with the provider's result
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const settled = await PaymentTransaction.findById(id).session(session);
+        const previousStatus = settled.status;
+
+        const reserved = settled.refunds.id(refundId);
+        reserved.providerRefundId = refund.id;
+        reserved.status = refund.status;
+        await settled.save({ session });
+
+        // Reopen the refunded part of the invoice balance
+        const invoice = await Invoice.findById(settled.invoice).session(session);
+        const payment = invoice.payments.find(p => p.transaction?.equals(settled._id));
+        if (payment) {
+            payment.refundedAmount = settled.amountRefunded;
+            await invoice.save({ session });
+        }
+
+        await recordAuditLog({
+            req,
+            action: "payment.refund",
+            targetModel: "PaymentTransaction",
+            targetId: settled._id,
+            before: { status: previousStatus },
+            after: { status: settled.status, amountRefunded: settled.amountRefunded },
+            metadata: { amount: refundAmount, reason, providerRefundId: refund.id, invoice: invoice.invoiceNumber },
+            session
+        });
+
+        await session.commitTransaction();
+        logger.info(`Admin ${req.admin._id} refunded ${refundAmount} ${settled.currency} on transaction ${id}`);
+
+        res.status(200).json(
+            new ApiResponse(200, settled, "Refund recorded successfully")
+        );
+
+    } catch (error) {
+        await session.abortTransaction();
+
+        // The reservation stays "processing" and keeps counting towards amountRefunded
+        logger.error(`Refund ${refund.id} of ${refundAmount} ${transaction.currency} on transaction ${id} was issued but not recorded: ${error.message}`, {
+            refundId,
+            stack: error.stack
+        });
+        throw new ApiError(500, "The refund was issued but could not be recorded; it is kept as processing");
+    } finally {
+        session.endSession();
+    }
+});
+
+export {
+    createInvoiceCheckout,
+    handlePaymentWebhook,
+    mockCheckout,
+    getAllTransactions,
+    getTransactionById,
+    refundTransaction
+};
@@ -0,0 +1,675 @@
+import asyncHandler from "../utils/asyncHandler.utils.js";
+import { ApiError } from "../utils/ApiError.utils.js";
+import ApiResponse from "../utils/ApiResponse.utils.js";
+import mongoose from "mongoose";
+import logger from "../utils/logger.utils.js";
+import Portfolio from "../models/portfolio.models.js";
+import Services from "../models/services.models.js";
+import { uploadFile, queueFileDeletion } from "../utils/storage.utils.js";
+import { escapeRegex } from "../utils/query.utils.js";
+
+// Fields the list endpoints can sort by
+const SORT_FIELDS = ["createdAt", "updatedAt", "completedAt", "title", "clientName", "featured"];
+const MAX_PAGE_SIZE = 50;
+
+// Shared sort and pagination parsing of the admin and public list endpoints
+const parseListOptions = ({ sortBy = "createdAt", sortOrder = "desc", page = 1, limit = 10 }) => {
+    if (!SORT_FIELDS.includes(sortBy)) {
+        throw new ApiError(400, `Invalid sort field. Valid fields: ${SORT_FIELDS.join(", ")}`);
+    }
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 10, 1), MAX_PAGE_SIZE);
+
+    return {
+        sort: { [sortBy]: sortOrder === "desc" ? -1 : 1 },
+        page: pageNum,
+        limit: limitNum,
+        skip: (pageNum - 1) * limitNum
+    };
+};
+
+// Accepts either a real array (JSON body) or a JSON string (multipart body)
+const parseArrayField = (value, fieldName) => {
+    if (value === undefined) return undefined;
+    if (Array.isArray(value)) return value;
+    try {
+        const parsed = JSON.parse(value);
+        return Array.isArray(parsed) ? parsed : [parsed];
+    } catch (e) {
+        logger.warn(`Failed to parse ${fieldName} JSON`);
+        throw new ApiError(400, `Invalid ${fieldName} format`);
+    }
+};
+
+// Validates that every linked service id exists
+const validateServiceIds = async (serviceIds, session) => {
+    for (const serviceId of serviceIds) {
+        if (!mongoose.Types.ObjectId.isValid(serviceId)) {
+            throw new ApiError(400, `Invalid service ID: ${serviceId}`);
+        }
+    }
+    const count = await Services.countDocuments({ _id: { $in: serviceIds } }).session(session);
+    if (count !== new Set(serviceIds.map(String)).size) {
+        throw new ApiError(404, "One or more linked services were not found");
+    }
+};
+
+// Validates outcome / metric entries
+const validateOutcomes = (outcomes) => {
+    for (const outcome of outcomes) {
+        if (!outcome?.label || !outcome?.value) {
+            throw new ApiError(400, "Each outcome must have a label and value");
+        }
+    }
+};
+
+// Create a new portfolio entry
+const createPortfolio = asyncHandler(async (req, res) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        logger.info("Starting createPortfolio process");
+
+        const {
+            title,
+            clientName,
+            summary,
+            description,
+            projectUrl,
+            completedAt,
+            status = "draft",
+            featured = false
+        } = req.body;
+
+        // 1. Required fields validation
+        if (!title || !clientName || !description) {
+            logger.error("Missing required fields");
+            throw new ApiError(400, "Title, client name and description are required");
+        }
+
+        // 2. Parse and validate array fields
+        const services = parseArrayField(req.body.services, "services") || [];
+        const techStack = parseArrayField(req.body.techStack, "techStack") || [];
+        const outcomes = parseArrayField(req.body.outcomes, "outcomes") || [];
+
+        if (services.length > 0) {
+            await validateServiceIds(services, session);
+        }
+        validateOutcomes(outcomes);
+
+        // 3. Create portfolio entry
+        const portfolio = await Portfolio.create([{
+            title,
+            clientName,
+            summary,
+            description,
+            services,
+            techStack,
+            outcomes,
+            projectUrl,
+            completedAt: completedAt ? new Date(completedAt) : undefined,
+            status,
+            featured,
+            createdBy: req.admin._id
+        }], { session });
+
+        await session.commitTransaction();
+        logger.info(`Portfolio created successfully: ${portfolio[0].title}`);
+
+        res.status(201).json(
+            new ApiResponse(201, portfolio[0], "Portfolio created successfully")
+        );
+    } catch (error) {
+        await session.abortTransaction();
+        logger.error(`Error in createPortfolio: ${error.message}`, { stack: error.stack });
+
+        if (error instanceof ApiError) {
+            throw error;
+        }
+        if (error.name === "ValidationError") {
+            throw new ApiError(400, error.message);
+        }
+        if (error.code === 11000) {
+            throw new ApiError(409, "Portfolio with this title already exists");
+        }
+        throw new ApiError(500, error.message || "Failed to create portfolio");
+    } finally {
+        session.endSession();
+    }
+});
+
+// Get all portfolio entries (admin view)
+const getAllPortfolios = asyncHandler(async (req, res) => {
+    try {
+        logger.info("Fetching all portfolios");
+
+        // 1. Parse query parameters
+        const {
+            status,
+            service,
+            featured,
+            search
+        } = req.query;
+        const { sort, page, limit, skip } = parseListOptions(req.query);
+
+        // 2. Build query object
+        const query = {};
+
+        if (status) {
+            query.status = status;
+        }
+
+        if (service) {
+            query.services = service;
+        }
+
+        if (featured !== undefined) {
+            query.featured = featured === "true";
+        }
+
+        if (search) {
+            const pattern = escapeRegex(String(search));
+            query.$or = [
+                { title: { $regex: pattern, $options: "i" } },
+                { clientName: { $regex: pattern, $options: "i" } },
+                { techStack: { $regex: pattern, $options: "i" } }
+            ];
+        }
+
+        // 3. Execute query
+        const portfolios = await Portfolio.find(query)
+            .sort(sort)
+            .skip(skip)
+            .limit(limit)
+            .populate("services", "title category")
+            .populate("createdBy", "fullName email");
+
+        const totalPortfolios = await Portfolio.countDocuments(query);
+
+        res.status(200).json(
+            new ApiResponse(200, {
+                portfolios,
+                total: totalPortfolios,
+                page,
+                pages: Math.ceil(totalPortfolios / limit)
+            }, "Portfolios fetched successfully")
+        );
+    } catch (error) {
+        logger.error(`Error in getAllPortfolios: ${error.message}`, { stack: error.stack });
+
+        if (error instanceof ApiError) {
+            throw error;
+        }
+        throw new ApiError(500, error.message || "Failed to fetch portfolios");
+    }
+});
+
+// Get portfolio entry by ID (admin view)
+const getPortfolioById = asyncHandler(async (req, res) => {
+    try {
+        logger.info("Fetching portfolio by ID");
+
+        const { portfolioId } = req.params;
+
+        // 1. Validate portfolio ID
+        if (!mongoose.Types.ObjectId.isValid(portfolioId)) {
+            logger.error("Invalid portfolio ID");
+            throw new ApiError(400, "Invalid portfolio ID");
+        }
+
+        // 2. Find portfolio
+        const portfolio = await Portfolio.findById(portfolioId)
+            .populate("services", "title category")
+            .populate("createdBy", "fullName email");
+
+        if (!portfolio) {
+            logger.error("Portfolio not found");
+            throw new ApiError(404, "Portfolio not found");
+        }
+
+        res.status(200).json(
+            new ApiResponse(200, portfolio, "Portfolio fetched successfully")
+        );
+    } catch (error) {
+        logger.error(`Error in getPortfolioById: ${error.message}`, { stack: error.stack });
+
+        if (error instanceof ApiError) {
+            throw error;
+        }
+        throw new ApiError(500, error.message || "Failed to fetch portfolio");
+    }
+});
+
+// Update portfolio entry
+const updatePortfolio = asyncHandler(async (req, res) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        logger.info("Starting updatePortfolio process");
+
+        const { portfolioId } = req.params;
+
+        // 1. Validate portfolio ID
+        if (!mongoose.Types.ObjectId.isValid(portfolioId)) {
+            logger.error("Invalid portfolio ID");
+            throw new ApiError(400, "Invalid portfolio ID");
+        }
+
+        // 2. Find portfolio
+        const portfolio = await Portfolio.findById(portfolioId).session(session);
+        if (!portfolio) {
+            logger.error("Portfolio not found");
+            throw new ApiError(404, "Portfolio not found");
+        }
+
+        // 3. Handle array fields
+        const services = parseArrayField(req.body.services, "services");
+        if (services !== undefined) {
+            await validateServiceIds(services, session);
+            portfolio.services = services;
+        }
+
+        const techStack = parseArrayField(req.body.techStack, "techStack");
+        if (techStack !== undefined) {
+            portfolio.techStack = techStack;
+        }
+
+        const outcomes = parseArrayField(req.body.outcomes, "outcomes");
+        if (outcomes !== undefined) {
+            validateOutcomes(outcomes);
+            portfolio.outcomes = outcomes;
+        }
+
+        // 4. Update other fields
+        const updatableFields = [
+            "title", "clientName", "summary", "description",
+            "projectUrl", "completedAt", "status", "featured"
+        ];
+
+        updatableFields.forEach(field => {
+            if (req.body[field] !== undefined) {
+                portfolio[field] = req.body[field];
+            }
+        });
+
+        // 5. Save updated portfolio
+        await portfolio.save({ session });
+        await session.commitTransaction();
+
+        logger.info(`Portfolio updated successfully: ${portfolio.title}`);
+
+        res.status(200).json(
+            new ApiResponse(200, portfolio, "Portfolio updated successfully")
+        );
+    } catch (error) {
+        await session.abortTransaction();
+        logger.error(`Error in updatePortfolio: ${error.message}`, { stack: error.stack });
+
+        if (error instanceof ApiError) {
+            throw error;
+        }
+        if (error.name === "ValidationError") {
+            throw new ApiError(400, error.message);
+        }
+        if (error.code === 11000) {
+            throw new ApiError(409, "Portfolio with this title already exists");
+        }
+        throw new ApiError(500, error.message || "Failed to update portfolio");
+    } finally {
+        session.endSession();
+    }
+});
+
+// Delete portfolio entry
+const deletePortfolio = asyncHandler(async (req, res) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        logger.info("Starting deletePortfolio process");
+
+        const { portfolioId } = req.params;
+
+        // 1. Validate portfolio ID
+        if (!mongoose.Types.ObjectId.isValid(portfolioId)) {
+            logger.error("Invalid portfolio ID");
+            throw new ApiError(400, "Invalid portfolio ID");
+        }
+
+        // 2. Find portfolio (don't delete yet so we can clean up the gallery)
+        const portfolio = await Portfolio.findById(portfolioId).session(session);
+        if (!portfolio) {
+            logger.error("Portfolio not found");
+            throw new ApiError(404, "Portfolio not found");
+        }
+
+        // 3. Queue gallery images for deletion once the portfolio is gone
+        if (portfolio.gallery.length > 0) {
+            await queueFileDeletion(portfolio.gallery, { session });
+        }
+
+        // 4. Delete the portfolio
+        await Portfolio.findByIdAndDelete(portfolioId).session(session);
+
+        await session.commitTransaction();
+        logger.info(`Portfolio deleted successfully: ${portfolio.title}`);
+
+        res.status(200).json(
+            new ApiResponse(200, {}, "Portfolio deleted successfully")
+        );
+    } catch (error) {
+        await session.abortTransaction();
+        logger.error(`Error in deletePortfolio: ${error.message}`, { stack: error.stack });
+
+        if (error instanceof ApiError) {
+            throw error;
+        }
+        throw new ApiError(500, error.message || "Failed to delete portfolio");
+    } finally {
+        session.endSession();
+    }
+});
+
+// Toggle portfolio status between draft and published
+const togglePortfolioStatus = asyncHandler(async (req, res) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        logger.info("Starting togglePortfolioStatus process");
+
+        const { portfolioId } = req.params;
+
+        // 1. Validate portfolio ID
+        if (!mongoose.Types.ObjectId.isValid(portfolioId)) {
+            logger.error("Invalid portfolio ID");
+            throw new ApiError(400, "Invalid portfolio ID");
+        }
+
+        // 2. Find portfolio
+        const portfolio = await Portfolio.findById(portfolioId).session(session);
+        if (!portfolio) {
+            logger.error("Portfolio not found");
+            throw new ApiError(404, "Portfolio not found");
+        }
+
+        // 3. Toggle status
+        portfolio.status = portfolio.status === "published" ? "draft" : "published";
+        await portfolio.save({ session });
+        await session.commitTransaction();
+
+        logger.info(`Portfolio status toggled to ${portfolio.status}: ${portfolio.title}`);
+
+        res.status(200).json(
+            new ApiResponse(200, portfolio, "Portfolio status updated successfully")
+        );
+    } catch (error) {
+        await session.abortTransaction();
+        logger.error(`Error in togglePortfolioStatus: ${error.message}`, { stack: error.stack });
+
+        if (error instanceof ApiError) {
+            throw error;
+        }
+        throw new ApiError(500, error.message || "Failed to toggle portfolio status");
+    } finally {
+        session.endSession();
+    }
+});
+
+// Upload gallery images for a portfolio entry
+const uploadPortfolioGallery = asyncHandler(async (req, res) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    let successfulUploads = [];
+
+    try {
+        logger.info("Starting portfolio gallery upload process");
+
+        const { portfolioId } = req.params;
+
+        // 1. Validate portfolio ID
+        if (!mongoose.Types.ObjectId.isValid(portfolioId)) {
+            logger.error("Invalid portfolio ID");
+            throw new ApiError(400, "Invalid portfolio ID");
+        }
+
+        // 2. Check if files exist and are images
+        const files = req.files || [];
+        if (files.length === 0) {
+            logger.error("No gallery images uploaded");
+            throw new ApiError(400, "At least one gallery image is required");
+        }
+
+        if (files.some(file => !file.mimetype?.startsWith("image/"))) {
+            logger.error("Non-image file uploaded to gallery");
+            throw new ApiError(400, "Gallery only accepts image files");
+        }
+
+        // 3. Find the portfolio
+        const portfolio = await Portfolio.findById(portfolioId).session(session);
+        if (!portfolio) {
+            logger.error("Portfolio not found");
+            throw new ApiError(404, "Portfolio not found");
+        }
+
+        // 4. Upload to storage
+        const uploadResults = await Promise.allSettled(
+            files.map(file => uploadFile(file.path))
+        );
+        successfulUploads = uploadResults
+            .filter(result => result.status === "fulfilled" && result.value?.url)
+            .map(result => result.value);
+
+        // All or nothing, so captions stay matched to their files
+        if (successfulUploads.length < files.length) {
+            logger.error(`${files.length - successfulUploads.length} of ${files.length} gallery uploads failed`);
+            throw new ApiError(500, "Failed to upload gallery images");
+        }
+
+        // Captions may be sent as a JSON array in the same order as the files
+        const captions = parseArrayField(req.body.captions, "captions") || [];
+
+        // 5. Append images to the gallery
+        successfulUploads.forEach((result, index) => {
+            portfolio.gallery.push({
+                ...result,
+                caption: captions[index] || ""
+            });
+        });
+        await portfolio.save({ session });
+
+        await session.commitTransaction();
+        logger.info(`Uploaded ${successfulUploads.length} gallery images for portfolio: ${portfolio.title}`);
+
+        res.status(200).json(
+            new ApiResponse(200, { gallery: portfolio.gallery }, "Gallery images uploaded successfully")
+        );
+    } catch (error) {
+        await session.abortTransaction();
+        logger.error(`Error in uploadPortfolioGallery: ${error.message}`, { stack: error.stack });
+
+        // The images were uploaded but never saved
+        if (successfulUploads.length > 0) {
+            await queueFileDeletion(successfulUploads)
+                .catch(cleanupError => logger.error(`Failed to queue cleanup of gallery images: ${cleanupError.message}`));
+        }
+
+        if (error instanceof ApiError) {
+            throw error;
+        }
+        throw new ApiError(500, error.message || "Failed to upload gallery images");
+    } finally {
+        session.endSession();
+    }
+});
+
+// Delete a single gallery image from a portfolio entry
+const deletePortfolioGalleryImage = asyncHandler(async (req, res) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        logger.info("Starting deletePortfolioGalleryImage process");
+
+        const { portfolioId, imageId } = req.params;
+
+        // 1. Validate IDs
+        if (!mongoose.Types.ObjectId.isValid(portfolioId) || !mongoose.Types.ObjectId.isValid(imageId)) {
+            logger.error("Invalid portfolio or image ID");
+            throw new ApiError(400, "Invalid portfolio or image ID");
+        }
+
+        // 2. Find portfolio and image
+        const portfolio = await Portfolio.findById(portfolioId).session(session);
+        if (!portfolio) {
+            logger.error("Portfolio not found");
+            throw new ApiError(404, "Portfolio not found");
+        }
+
+        const image = portfolio.gallery.id(imageId);
+        if (!image) {
+            logger.error("Gallery image not found");
+            throw new ApiError(404, "Gallery image not found");
+        }
+
+        // 3. Queue for deletion from storage
+        await queueFileDeletion(image, { session });
+
+        // 4. Remove from gallery
+        image.deleteOne();
+        await portfolio.save({ session });
+
+        await session.commitTransaction();
+        logger.info(`Gallery image ${imageId} deleted from portfolio: ${portfolio.title}`);
+
+        res.status(200).json(
+            new ApiResponse(200, { gallery: portfolio.gallery }, "Gallery image deleted successfully")
+        );
+    } catch (error) {
+        await session.abortTransaction();
+        logger.error(`Error in deletePortfolioGalleryImage: ${error.message}`, { stack: error.stack });
+
+        if (error instanceof ApiError) {
+            throw error;
+        }
+        throw new ApiError(500, error.message || "Failed to delete gallery image");
+    } finally {
+        session.endSession();
+    }
+});
+
+// Get all published portfolio entries (public)
+const getPublishedPortfolios = asyncHandler(async (req, res) => {
+    try {
+        logger.info("Fetching all published portfolios");
+
+        // 1. Parse query parameters
+        const {
+            service,
+            tech,
+            featured,
+            search
+        } = req.query;
+        const { sort, page, limit, skip } = parseListOptions(req.query);
+
+        // 2. Build query object - only published entries
+        const query = { status: "published" };
+
+        if (service) {
+            query.services = service;
+        }
+
+        if (tech) {
+            query.techStack = tech;
+        }
+
+        if (featured !== undefined) {
+            query.featured = featured === "true";
+        }
+
+        if (search) {
+            const pattern = escapeRegex(String(search));
+            query.$or = [
+                { title: { $regex: pattern, $options: "i" } },
+                { clientName: { $regex: pattern, $options: "i" } },
+                { summary: { $regex: pattern, $options: "i" } }
+            ];
+        }
+
+        // 3. Execute query
+        const portfolios = await Portfolio.find(query)
+            .sort(sort)
+            .skip(skip)
+            .limit(limit)
+            .select("-description -createdBy -__v") // Omit full case study in list view
+            .populate("services", "title category");
+
+        const totalPortfolios = await Portfolio.countDocuments(query);
+
+        res.status(200).json(
+            new ApiResponse(200, {
+                portfolios,
+                total: totalPortfolios,
+                page,
+                pages: Math.ceil(totalPortfolios / limit)
+            }, "Published portfolios fetched successfully")
+        );
+    } catch (error) {
+        logger.error(`Error in getPublishedPortfolios: ${error.message}`, { stack: error.stack });
+
+        if (error instanceof ApiError) {
+            throw error;
+        }
+        throw new ApiError(500, error.message || "Failed to fetch portfolios");
+    }
+});
+
+// Get published portfolio entry by ID or slug (public)
+const getPublishedPortfolio = asyncHandler(async (req, res) => {
+    try {
+        logger.info("Fetching published portfolio by ID or slug");
+
+        const { portfolioId } = req.params;
+
+        // 1. Find by ID or slug
+        const query = mongoose.Types.ObjectId.isValid(portfolioId)
+            ? { _id: portfolioId, status: "published" }
+            : { slug: portfolioId, status: "published" };
+
+        const portfolio = await Portfolio.findOne(query)
+            .select("-createdBy -__v") // Exclude admin-specific fields
+            .populate("services", "title category description");
+
+        if (!portfolio) {
+            logger.error("Published portfolio not found");
+            throw new ApiError(404, "Portfolio not found");
+        }
+
+        res.status(200).json(
+            new ApiResponse(200, portfolio, "Portfolio fetched successfully")
+        );
+    } catch (error) {
+        logger.error(`Error in getPublishedPortfolio: ${error.message}`, { stack: error.stack });
+
+        if (error instanceof ApiError) {
+            throw error;
+        }
+        throw new ApiError(500, error.message || "Failed to fetch portfolio");
+    }
+});
+
+export {
+    createPortfolio,
+    getAllPortfolios,
+    getPortfolioById,
+    updatePortfolio,
+    deletePortfolio,
+    togglePortfolioStatus,
+    uploadPortfolioGallery,
+    deletePortfolioGalleryImage,
+    getPublishedPortfolios,
+    getPublishedPortfolio
+};
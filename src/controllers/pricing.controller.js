@@ -5,17 +5,10 @@ import mongoose from "mongoose";
 import logger from "../utils/logger.utils.js";
 import Pricing from "../models/pricing.model.js";
 import Services from "../models/services.models.js";
-import Admin from "../models/admin.model.js";
+import { recordAuditLog, diffChanges, pickFields } from "../utils/auditLog.utils.js";
 
-// Reuse your existing permission check helper
-const checkAdminPermissions = async (adminId, permission) => {
-    const admin = await Admin.findById(adminId).select("role permissions");
-    if (!admin) {
-        throw new ApiError(404, "Admin not found");
-    }
-    if (admin.role === "superadmin") return true;
-    return admin.permissions[permission];
-};
+// Fields captured in audit log snapshots
+const AUDITED_FIELDS = ["serviceId", "tiers", "currency", "status"];
 
 // Create pricing for a service
 const createPricing = asyncHandler(async (req, res) => {
@@ -25,29 +18,22 @@ const createPricing = asyncHandler(async (req, res) => {
     try {
         logger.info("Starting createPricing process");
 
-        // 1. Authorization Check
-        const hasPermission = await checkAdminPermissions(req.admin._id, "managePricing");
-        if (!hasPermission) {
-            logger.error("Unauthorized: Admin doesn't have permission to manage pricing");
-            throw new ApiError(403, "Unauthorized: You don't have permission to manage pricing");
-        }
-
         const { serviceId, tiers, currency } = req.body;
 
-        // 2. Required fields validation
+        // 1. Required fields validation
         if (!serviceId || !tiers || !Array.isArray(tiers) || tiers.length === 0) {
             logger.error("Missing required fields");
             throw new ApiError(400, "Service ID and at least one pricing tier are required");
         }
 
-        // 3. Validate service exists
+        // 2. Validate service exists
         const serviceExists = await Services.exists({ _id: serviceId }).session(session);
         if (!serviceExists) {
             logger.error("Service not found");
             throw new ApiError(404, "Service not found");
         }
 
-        // 4. Validate tiers
+        // 3. Validate tiers
         for (const tier of tiers) {
             if (!tier.name || tier.price === undefined) {
                 throw new ApiError(400, "Each tier must have a name and price");
@@ -57,20 +43,29 @@ const createPricing = asyncHandler(async (req, res) => {
             }
         }
 
-        // 5. Check if pricing already exists for this service
+        // 4. Check if pricing already exists for this service
         const existingPricing = await Pricing.findOne({ serviceId }).session(session);
         if (existingPricing) {
             logger.error("Pricing already exists for this service");
             throw new ApiError(409, "Pricing already exists for this service");
         }
 
-        // 6. Create pricing
+        // 5. Create pricing
         const pricing = await Pricing.create([{
             serviceId,
             tiers,
             currency: currency || "USD"
         }], { session });
 
+        await recordAuditLog({
+            req,
+            action: "pricing.create",
+            targetModel: "Pricing",
+            targetId: pricing[0]._id,
+            after: pickFields(pricing[0], AUDITED_FIELDS),
+            session
+        });
+
         await session.commitTransaction();
         logger.info(`Pricing created successfully for service: ${serviceId}`);
 
@@ -144,27 +139,20 @@ const updatePricing = asyncHandler(async (req, res) => {
 
         const { pricingId } = req.params;
 
-        // 1. Authorization Check
-        const hasPermission = await checkAdminPermissions(req.admin._id, "managePricing");
-        if (!hasPermission) {
-            logger.error("Unauthorized: Admin doesn't have permission to manage pricing");
-            throw new ApiError(403, "Unauthorized: You don't have permission to manage pricing");
-        }
-
-        // 2. Validate pricing ID
+        // 1. Validate pricing ID
         if (!mongoose.Types.ObjectId.isValid(pricingId)) {
             logger.error("Invalid pricing ID");
             throw new ApiError(400, "Invalid pricing ID");
         }
 
-        // 3. Find pricing
+        // 2. Find pricing
         const pricing = await Pricing.findById(pricingId).session(session);
         if (!pricing) {
             logger.error("Pricing not found");
             throw new ApiError(404, "Pricing not found");
         }
 
-        // 4. Validate tiers if provided
+        // 3. Validate tiers if provided
         if (req.body.tiers) {
             if (!Array.isArray(req.body.tiers)) {
                 throw new ApiError(400, "Tiers must be an array");
@@ -179,7 +167,9 @@ const updatePricing = asyncHandler(async (req, res) => {
             }
         }
 
-        // 5. Update fields
+        const before = pickFields(pricing, AUDITED_FIELDS);
+
+        // 4. Update fields
         const updatableFields = ["tiers", "currency", "status"];
         updatableFields.forEach(field => {
             if (req.body[field] !== undefined) {
@@ -187,8 +177,20 @@ const updatePricing = asyncHandler(async (req, res) => {
             }
         });
 
-        // 6. Save updated pricing
+        // 5. Save updated pricing
         await pricing.save({ session });
+
+        const changes = diffChanges(before, pickFields(pricing, AUDITED_FIELDS));
+        await recordAuditLog({
+            req,
+            action: "pricing.update",
+            targetModel: "Pricing",
+            targetId: pricing._id,
+            before: changes.before,
+            after: changes.after,
+            session
+        });
+
         await session.commitTransaction();
 
         logger.info(`Pricing updated successfully: ${pricingId}`);
@@ -222,26 +224,28 @@ const deletePricing = asyncHandler(async (req, res) => {
 
         const { pricingId } = req.params;
 
-        // 1. Authorization Check
-        const hasPermission = await checkAdminPermissions(req.admin._id, "managePricing");
-        if (!hasPermission) {
-            logger.error("Unauthorized: Admin doesn't have permission to manage pricing");
-            throw new ApiError(403, "Unauthorized: You don't have permission to manage pricing");
-        }
-
-        // 2. Validate pricing ID
+        // 1. Validate pricing ID
         if (!mongoose.Types.ObjectId.isValid(pricingId)) {
             logger.error("Invalid pricing ID");
             throw new ApiError(400, "Invalid pricing ID");
         }
 
-        // 3. Find and delete pricing
+        // 2. Find and delete pricing
         const pricing = await Pricing.findByIdAndDelete(pricingId).session(session);
         if (!pricing) {
             logger.error("Pricing not found");
             throw new ApiError(404, "Pricing not found");
         }
 
+        await recordAuditLog({
+            req,
+            action: "pricing.delete",
+            targetModel: "Pricing",
+            targetId: pricing._id,
+            before: pickFields(pricing, AUDITED_FIELDS),
+            session
+        });
+
         await session.commitTransaction();
         logger.info(`Pricing deleted successfully: ${pricingId}`);
 
@@ -271,29 +275,34 @@ const togglePricingStatus = asyncHandler(async (req, res) => {
 
         const { pricingId } = req.params;
 
-        // 1. Authorization Check
-        const hasPermission = await checkAdminPermissions(req.admin._id, "managePricing");
-        if (!hasPermission) {
-            logger.error("Unauthorized: Admin doesn't have permission to manage pricing");
-            throw new ApiError(403, "Unauthorized: You don't have permission to manage pricing");
-        }
-
-        // 2. Validate pricing ID
+        // 1. Validate pricing ID
         if (!mongoose.Types.ObjectId.isValid(pricingId)) {
             logger.error("Invalid pricing ID");
             throw new ApiError(400, "Invalid pricing ID");
         }
 
-        // 3. Find pricing
+        // 2. Find pricing
         const pricing = await Pricing.findById(pricingId).session(session);
         if (!pricing) {
             logger.error("Pricing not found");
             throw new ApiError(404, "Pricing not found");
         }
 
-        // 4. Toggle status
+        // 3. Toggle status
+        const previousStatus = pricing.status;
         pricing.status = pricing.status === "active" ? "inactive" : "active";
         await pricing.save({ session });
+
+        await recordAuditLog({
+            req,
+            action: "pricing.status.toggle",
+            targetModel: "Pricing",
+            targetId: pricing._id,
+            before: { status: previousStatus },
+            after: { status: pricing.status },
+            session
+        });
+
         await session.commitTransaction();
 
         logger.info(`Pricing status toggled to ${pricing.status}: ${pricingId}`);
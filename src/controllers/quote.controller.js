@@ -0,0 +1,344 @@
+import asyncHandler from "../utils/asyncHandler.utils.js";
+import { ApiError } from "../utils/ApiError.utils.js";
+import ApiResponse from "../utils/ApiResponse.utils.js";
+import mongoose from "mongoose";
+import logger from "../utils/logger.utils.js";
+import Quote from "../models/quote.model.js";
+import Pricing from "../models/pricing.model.js";
+import ClientServiceRequest from "../models/clientServiceRequest.model.js";
+import { recordAuditLog } from "../utils/auditLog.utils.js";
+
+// Request statuses a quote can be issued on
+const QUOTABLE_STATUSES = ["pending", "under-review"];
+
+// Validates and normalizes line items from the request body
+const parseLineItems = (lineItems) => {
+    if (lineItems === undefined) return [];
+
+    if (!Array.isArray(lineItems)) {
+        throw new ApiError(400, "Line items must be an array");
+    }
+
+    return lineItems.map((item, index) => {
+        const quantity = item.quantity === undefined ? 1 : Number(item.quantity);
+        const unitPrice = Number(item.unitPrice);
+
+        if (!item.description || typeof item.description !== "string") {
+            throw new ApiError(400, `Line item ${index + 1}: description is required`);
+        }
+        if (isNaN(quantity) || quantity < 0) {
+            throw new ApiError(400, `Line item ${index + 1}: quantity must be a positive number`);
+        }
+        if (isNaN(unitPrice) || unitPrice < 0) {
+            throw new ApiError(400, `Line item ${index + 1}: unit price must be a positive number`);
+        }
+
+        return { description: item.description, quantity, unitPrice };
+    });
+};
+
+// Builds a line item from a Pricing tier
+const seedFromPricingTier = async (pricingId, tierName, session) => {
+    if (!mongoose.Types.ObjectId.isValid(pricingId)) {
+        throw new ApiError(400, "Invalid pricing ID");
+    }
+
+    const pricing = await Pricing.findById(pricingId)
+        .populate("serviceId", "title")
+        .session(session);
+
+    if (!pricing) {
+        throw new ApiError(404, "Pricing not found");
+    }
+
+    const tier = pricing.tiers.find(t => t.name.toLowerCase() === String(tierName || "").toLowerCase());
+    if (!tier) {
+        throw new ApiError(400, `Unknown tier. Available tiers: ${pricing.tiers.map(t => t.name).join(", ")}`);
+    }
+
+    const serviceTitle = pricing.serviceId?.title;
+    return {
+        pricing,
+        tier,
+        lineItem: {
+            description: `${serviceTitle ? `${serviceTitle} - ` : ""}${tier.name} package` +
+                (tier.description ? `: ${tier.description}` : ""),
+            quantity: 1,
+            unitPrice: tier.price
+        }
+    };
+};
+
+// Admin: issue a quote (or a revised version) on a service request
+const createQuote = asyncHandler(async (req, res) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const { id } = req.params;
+        const { pricingId, tierName, lineItems, discount, currency, validUntil, notes } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            throw new ApiError(400, "Invalid service request ID format");
+        }
+
+        // 1. Validate the service request
+        const serviceRequest = await ClientServiceRequest.findById(id).session(session);
+        if (!serviceRequest) {
+            throw new ApiError(404, "Service request not found");
+        }
+
+        if (!QUOTABLE_STATUSES.includes(serviceRequest.status)) {
+            throw new ApiError(409, `Quotes can only be issued on ${QUOTABLE_STATUSES.join(" or ")} requests`);
+        }
+
+        // 2. Validate validity date
+        const validUntilDate = new Date(validUntil);
+        if (!validUntil || isNaN(validUntilDate.getTime()) || validUntilDate <= new Date()) {
+            throw new ApiError(400, "Validity date must be a valid future date");
+        }
+
+        // 3. Build line items, optionally seeded from a pricing tier
+        const items = parseLineItems(lineItems);
+        let source;
+        let seededCurrency;
+
+        if (pricingId) {
+            const seed = await seedFromPricingTier(pricingId, tierName, session);
+            items.unshift(seed.lineItem);
+            source = { pricing: seed.pricing._id, tierName: seed.tier.name };
+            seededCurrency = seed.pricing.currency;
+        }
+
+        if (items.length === 0) {
+            throw new ApiError(400, "Provide line items or a pricing tier to seed the quote from");
+        }
+
+        if (discount && !["percentage", "fixed"].includes(discount.type)) {
+            throw new ApiError(400, "Discount type must be percentage or fixed");
+        }
+
+        // 4. Supersede the outstanding quote and create the new version
+        const latest = await Quote.findOne({ serviceRequest: id })
+            .sort({ version: -1 })
+            .session(session);
+
+        if (latest?.status === "sent") {
+            latest.status = "superseded";
+            await latest.save({ session });
+        }
+
+        const [quote] = await Quote.create([{
+            serviceRequest: id,
+            client: serviceRequest.createdBy,
+            version: (latest?.version || 0) + 1,
+            source,
+            lineItems: items,
+            discount: discount ? { type: discount.type, value: Number(discount.value) || 0 } : undefined,
+            currency: currency || seededCurrency || "USD",
+            validUntil: validUntilDate,
+            notes,
+            issuedBy: req.admin._id
+        }], { session });
+
+        // 5. A quoted request is under review
+        if (serviceRequest.status === "pending") {
+            serviceRequest.transitionTo("under-review", {
+                changedBy: req.admin._id,
+                changedByModel: "Admin",
+                note: `Quote v${quote.version} issued`
+            });
+            await serviceRequest.save({ session });
+        }
+
+        await recordAuditLog({
+            req,
+            action: "quote.create",
+            targetModel: "Quote",
+            targetId: quote._id,
+            after: {
+                serviceRequest: id,
+                version: quote.version,
+                total: quote.total,
+                currency: quote.currency
+            },
+            metadata: latest ? { supersedes: latest._id } : {},
+            session
+        });
+
+        await session.commitTransaction();
+        logger.info(`Admin ${req.admin._id} issued quote v${quote.version} for service request ${id}`);
+
+        res.status(201).json(
+            new ApiResponse(201, quote, "Quote issued successfully")
+        );
+
+    } catch (error) {
+        await session.abortTransaction();
+        logger.error(`Admin createQuote error: ${error.message}`, { stack: error.stack });
+
+        if (error instanceof ApiError) throw error;
+        if (error.name === "ValidationError") throw new ApiError(400, error.message);
+
+        throw new ApiError(500, "Failed to issue quote");
+    } finally {
+        session.endSession();
+    }
+});
+
+// Admin: all quote versions of a service request, newest first
+const getRequestQuotes = asyncHandler(async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            throw new ApiError(400, "Invalid service request ID format");
+        }
+
+        const quotes = await Quote.find({ serviceRequest: id })
+            .sort({ version: -1 })
+            .populate("issuedBy", "fullName email");
+
+        res.status(200).json(
+            new ApiResponse(200, quotes, "Quotes retrieved successfully")
+        );
+
+    } catch (error) {
+        logger.error(`Admin getRequestQuotes error: ${error.message}`, { stack: error.stack });
+
+        if (error instanceof ApiError) throw error;
+
+        throw new ApiError(500, "Failed to retrieve quotes");
+    }
+});
+
+// Client: all quote versions on one of their requests, newest first
+const getClientRequestQuotes = asyncHandler(async (req, res) => {
+    try {
+        const { requestId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(requestId)) {
+            logger.warn("Invalid request ID format", { requestId });
+            throw new ApiError(400, "Invalid request ID format");
+        }
+
+        const quotes = await Quote.find({ serviceRequest: requestId, client: req.client._id })
+            .sort({ version: -1 })
+            .select("-issuedBy");
+
+        return res.status(200).json(
+            new ApiResponse(200, quotes, "Quotes retrieved successfully")
+        );
+
+    } catch (error) {
+        logger.error(`Failed to fetch quotes: ${error.message}`, {
+            requestId: req.params.requestId,
+            clientId: req.client?._id,
+            stack: error.stack
+        });
+
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, "Failed to retrieve quotes");
+    }
+});
+
+// Client: accept or reject the outstanding quote
+const respondToQuote = (decision) => asyncHandler(async (req, res) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const { requestId, quoteId } = req.params;
+        const { reason } = req.body || {};
+
+        if (!mongoose.Types.ObjectId.isValid(requestId) || !mongoose.Types.ObjectId.isValid(quoteId)) {
+            logger.warn("Invalid ID format for quote response", { requestId, quoteId });
+            throw new ApiError(400, "Invalid ID format");
+        }
+
+        const quote = await Quote.findOne({
+            _id: quoteId,
+            serviceRequest: requestId,
+            client: req.client._id
+        }).session(session);
+
+        if (!quote) {
+            throw new ApiError(404, "Quote not found");
+        }
+
+        if (quote.status !== "sent") {
+            throw new ApiError(409, `This quote is ${quote.status} and can no longer be answered`);
+        }
+
+        if (quote.isExpired()) {
+            quote.status = "expired";
+            await quote.save({ session });
+            await session.commitTransaction();
+            throw new ApiError(410, "This quote has expired. Please ask for a revised quote");
+        }
+
+        quote.status = decision;
+        quote.respondedAt = new Date();
+        if (decision === "rejected") quote.rejectionReason = reason;
+        await quote.save({ session });
+
+        // Accepting a quote approves the request
+        if (decision === "accepted") {
+            const serviceRequest = await ClientServiceRequest.findById(requestId).session(session);
+
+            if (!ClientServiceRequest.canTransition(serviceRequest.status, "approved")) {
+                throw new ApiError(409, `A ${serviceRequest.status} request cannot be approved`);
+            }
+
+            serviceRequest.transitionTo("approved", {
+                changedBy: req.client._id,
+                changedByModel: "Client",
+                note: `Quote v${quote.version} accepted`
+            });
+            await serviceRequest.save({ session });
+        }
+
+        await recordAuditLog({
+            req,
+            action: decision === "accepted" ? "quote.accept" : "quote.reject",
+            targetModel: "Quote",
+            targetId: quote._id,
+            before: { status: "sent" },
+            after: { status: quote.status },
+            metadata: reason ? { reason } : {},
+            session
+        });
+
+        await session.commitTransaction();
+        logger.info(`Client ${req.client._id} ${decision} quote ${quoteId} on request ${requestId}`);
+
+        return res.status(200).json(
+            new ApiResponse(200, quote, `Quote ${decision} successfully`)
+        );
+
+    } catch (error) {
+        if (session.inTransaction()) await session.abortTransaction();
+        logger.error(`Failed to respond to quote: ${error.message}`, {
+            requestId: req.params.requestId,
+            clientId: req.client?._id,
+            stack: error.stack
+        });
+
+        if (error instanceof ApiError) throw error;
+        if (error.name === "ValidationError") throw new ApiError(400, error.message);
+        throw new ApiError(500, "Failed to respond to quote");
+    } finally {
+        session.endSession();
+    }
+});
+
+const acceptQuote = respondToQuote("accepted");
+const rejectQuote = respondToQuote("rejected");
+
+export {
+    createQuote,
+    getRequestQuotes,
+    getClientRequestQuotes,
+    acceptQuote,
+    rejectQuote
+};
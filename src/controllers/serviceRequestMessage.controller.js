@@ -0,0 +1,298 @@
+import asyncHandler from "../utils/asyncHandler.utils.js";
+import { ApiError } from "../utils/ApiError.utils.js";
+import ApiResponse from "../utils/ApiResponse.utils.js";
+import mongoose from "mongoose";
+import logger from "../utils/logger.utils.js";
+import ClientServiceRequest from "../models/clientServiceRequest.model.js";
+import ServiceRequestMessage from "../models/serviceRequestMessage.model.js";
+import { uploadFile, queueFileDeletion, getSignedFileUrl } from "../utils/storage.utils.js";
+import { recordAuditLog } from "../utils/auditLog.utils.js";
+
+// The side whose messages a viewer reads (clients read admin messages and vice versa)
+const otherSide = (viewerModel) => (viewerModel === "Client" ? "Admin" : "Client");
+
+// Finds a service request, scoped to the owning client when one is given
+const findServiceRequest = async (requestId, clientId) => {
+    if (!mongoose.Types.ObjectId.isValid(requestId)) {
+        throw new ApiError(400, "Invalid request ID format");
+    }
+
+    const filter = { _id: requestId };
+    if (clientId) filter.createdBy = clientId;
+
+    const serviceRequest = await ClientServiceRequest.findOne(filter).select("_id title status createdBy");
+    if (!serviceRequest) {
+        throw new ApiError(404, "Service request not found");
+    }
+
+    return serviceRequest;
+};
+
+// Uploads message attachments as private files (conversations are confidential) and maps them
+// to the attachment schema. All or nothing: if one upload fails, the others are deleted again.
+const uploadMessageAttachments = async (files = []) => {
+    const uploadResults = await Promise.allSettled(
+        files.map(file => uploadFile(file.path, { access: "private" }))
+    );
+
+    const uploaded = uploadResults
+        .map((result, index) => result.status === "fulfilled" && {
+            ...result.value,
+            fileName: files[index].originalname,
+            size: files[index].size
+        })
+        .filter(Boolean);
+
+    if (uploaded.length < files.length) {
+        logger.error(`${files.length - uploaded.length} of ${files.length} message attachment uploads failed`);
+        await queueFileDeletion(uploaded)
+            .catch(cleanupError => logger.error(`Failed to queue cleanup of message attachments: ${cleanupError.message}`));
+        throw new ApiError(500, "Failed to upload attachments");
+    }
+
+    return uploaded;
+};
+
+// Short-lived download link for an attachment of a message in the thread, audited like
+// request attachments
+const sendAttachmentDownload = async (req, res, { requestId, clientId }) => {
+    const serviceRequest = await findServiceRequest(requestId, clientId);
+    const { messageId, publicId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(messageId)) {
+        throw new ApiError(400, "Invalid message ID format");
+    }
+
+    const message = await ServiceRequestMessage.findOne({ _id: messageId, serviceRequest: serviceRequest._id })
+        .select("attachments");
+    const attachment = message?.attachments.find(file => file.publicId === publicId);
+    if (!attachment) {
+        throw new ApiError(404, "Attachment not found in this message");
+    }
+
+    const download = await getSignedFileUrl(attachment, { fileName: attachment.fileName });
+
+    await recordAuditLog({
+        req,
+        action: "serviceRequest.message.attachment.download",
+        targetModel: "ServiceRequestMessage",
+        targetId: message._id,
+        metadata: { serviceRequest: serviceRequest._id, publicId, expiresAt: download.expiresAt }
+    });
+
+    return res.status(200).json(new ApiResponse(200, download, "Attachment download link generated"));
+};
+
+// Lists a thread (oldest first) and marks the other side's messages as read
+const getThread = async (req, res, { requestId, clientId, viewerModel }) => {
+    const serviceRequest = await findServiceRequest(requestId, clientId);
+
+    const pageNum = parseInt(req.query.page) || 1;
+    const limitNum = Math.min(parseInt(req.query.limit) || 50, 100);
+    const query = { serviceRequest: serviceRequest._id };
+
+    const [messages, total] = await Promise.all([
+        ServiceRequestMessage.find(query)
+            .sort({ createdAt: 1 })
+            .skip((pageNum - 1) * limitNum)
+            .limit(limitNum)
+            .populate("sender", "fullName email"),
+        ServiceRequestMessage.countDocuments(query)
+    ]);
+
+    const { modifiedCount } = await ServiceRequestMessage.updateMany(
+        { ...query, senderModel: otherSide(viewerModel), readAt: null },
+        { readAt: new Date() }
+    );
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            messages,
+            markedAsRead: modifiedCount,
+            total,
+            page: pageNum,
+            pages: Math.ceil(total / limitNum)
+        }, "Messages retrieved successfully")
+    );
+};
+
+// Posts a message (with optional attachments) to a thread
+const postMessage = async (req, res, { requestId, clientId, sender, senderModel }) => {
+    const serviceRequest = await findServiceRequest(requestId, clientId);
+
+    const body = typeof req.body?.body === "string" ? req.body.body.trim() : "";
+    const files = Array.isArray(req.files) ? req.files : [];
+
+    if (!body && files.length === 0) {
+        throw new ApiError(400, "Message text or at least one attachment is required");
+    }
+
+    const attachments = await uploadMessageAttachments(files);
+
+    try {
+        const message = await ServiceRequestMessage.create({
+            serviceRequest: serviceRequest._id,
+            sender,
+            senderModel,
+            body,
+            attachments
+        });
+
+        await message.populate("sender", "fullName email");
+
+        logger.info(`${senderModel} ${sender} posted message ${message._id} on request ${serviceRequest._id}`, {
+            attachments: attachments.length
+        });
+
+        return res.status(201).json(
+            new ApiResponse(201, message, "Message sent successfully")
+        );
+    } catch (error) {
+        // Don't leave orphaned uploads behind if the message could not be saved
+        await queueFileDeletion(attachments)
+            .catch(cleanupError => logger.error(`Failed to queue cleanup of message attachments: ${cleanupError.message}`));
+        throw error;
+    }
+};
+
+// Unread messages from the other side, grouped per service request
+const countUnread = async ({ viewerModel, requestIds }) => {
+    const match = { senderModel: otherSide(viewerModel), readAt: null };
+    if (requestIds) match.serviceRequest = { $in: requestIds };
+
+    const perRequest = await ServiceRequestMessage.aggregate([
+        { $match: match },
+        { $group: { _id: "$serviceRequest", unread: { $sum: 1 }, lastMessageAt: { $max: "$createdAt" } } },
+        { $sort: { lastMessageAt: -1 } },
+        { $project: { _id: 0, requestId: "$_id", unread: 1, lastMessageAt: 1 } }
+    ]);
+
+    return {
+        total: perRequest.reduce((sum, entry) => sum + entry.unread, 0),
+        requests: perRequest
+    };
+};
+
+// Client: get the message thread of one of their requests
+const getClientRequestMessages = asyncHandler(async (req, res) => {
+    try {
+        return await getThread(req, res, {
+            requestId: req.params.requestId,
+            clientId: req.client._id,
+            viewerModel: "Client"
+        });
+    } catch (error) {
+        logger.error(`Failed to fetch request messages: ${error.message}`, {
+            requestId: req.params.requestId,
+            clientId: req.client?._id,
+            stack: error.stack
+        });
+
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, "Failed to retrieve messages");
+    }
+});
+
+// Client: post a message on one of their requests
+const sendClientRequestMessage = asyncHandler(async (req, res) => {
+    try {
+        return await postMessage(req, res, {
+            requestId: req.params.requestId,
+            clientId: req.client._id,
+            sender: req.client._id,
+            senderModel: "Client"
+        });
+    } catch (error) {
+        logger.error(`Failed to send request message: ${error.message}`, {
+            requestId: req.params.requestId,
+            clientId: req.client?._id,
+            stack: error.stack
+        });
+
+        if (error instanceof ApiError) throw error;
+        if (error.name === "ValidationError") throw new ApiError(400, error.message);
+        throw new ApiError(500, "Failed to send message");
+    }
+});
+
+// Client: download link for an attachment in the thread of one of their requests
+const getClientMessageAttachmentUrl = asyncHandler(async (req, res) => {
+    return sendAttachmentDownload(req, res, { requestId: req.params.requestId, clientId: req.client._id });
+});
+
+// Client: unread admin messages across their requests
+const getClientUnreadCounts = asyncHandler(async (req, res) => {
+    try {
+        const requestIds = await ClientServiceRequest.find({ createdBy: req.client._id }).distinct("_id");
+        const unread = await countUnread({ viewerModel: "Client", requestIds });
+
+        return res.status(200).json(
+            new ApiResponse(200, unread, "Unread message counts retrieved successfully")
+        );
+    } catch (error) {
+        logger.error(`Failed to count unread messages: ${error.message}`, {
+            clientId: req.client?._id,
+            stack: error.stack
+        });
+        throw new ApiError(500, "Failed to retrieve unread message counts");
+    }
+});
+
+// Admin: get the message thread of any request
+const getAdminRequestMessages = asyncHandler(async (req, res) => {
+    try {
+        return await getThread(req, res, { requestId: req.params.id, viewerModel: "Admin" });
+    } catch (error) {
+        logger.error(`Admin getRequestMessages error: ${error.message}`, { stack: error.stack });
+
+        if (error instanceof ApiError) throw error;
+        throw new ApiError(500, "Failed to retrieve messages");
+    }
+});
+
+// Admin: reply on any request
+const sendAdminRequestMessage = asyncHandler(async (req, res) => {
+    try {
+        return await postMessage(req, res, {
+            requestId: req.params.id,
+            sender: req.admin._id,
+            senderModel: "Admin"
+        });
+    } catch (error) {
+        logger.error(`Admin sendRequestMessage error: ${error.message}`, { stack: error.stack });
+
+        if (error instanceof ApiError) throw error;
+        if (error.name === "ValidationError") throw new ApiError(400, error.message);
+        throw new ApiError(500, "Failed to send message");
+    }
+});
+
+// Admin: download link for an attachment in the thread of any request
+const getAdminMessageAttachmentUrl = asyncHandler(async (req, res) => {
+    return sendAttachmentDownload(req, res, { requestId: req.params.id });
+});
+
+// Admin: unread client messages across all requests
+const getAdminUnreadCounts = asyncHandler(async (req, res) => {
+    try {
+        const unread = await countUnread({ viewerModel: "Admin" });
+
+        return res.status(200).json(
+            new ApiResponse(200, unread, "Unread message counts retrieved successfully")
+        );
+    } catch (error) {
+        logger.error(`Admin getUnreadCounts error: ${error.message}`, { stack: error.stack });
+        throw new ApiError(500, "Failed to retrieve unread message counts");
+    }
+});
+
+export {
+    getClientRequestMessages,
+    sendClientRequestMessage,
+    getClientMessageAttachmentUrl,
+    getClientUnreadCounts,
+    getAdminRequestMessages,
+    sendAdminRequestMessage,
+    getAdminMessageAttachmentUrl,
+    getAdminUnreadCounts
+};
@@ -4,18 +4,15 @@ import ApiResponse from "../utils/ApiResponse.utils.js";
 import mongoose from "mongoose";
 import logger from "../utils/logger.utils.js";
 import Services from "../models/services.models.js";
-import Admin from "../models/admin.model.js";
-import { uploadOnCloudinary, deleteFromCloudinary } from "../utils/cloudinary.utils.js";
-
-// Improved helper function to check admin permissions
-const checkAdminPermissions = async (adminId, permission) => {
-    const admin = await Admin.findById(adminId).select("role permissions");
-    if (!admin) {
-        throw new ApiError(404, "Admin not found");
-    }
-    if (admin.role === "superadmin") return true;
-    return admin.permissions[permission];
-};
+import { uploadProcessedImage, queueFileDeletion } from "../utils/storage.utils.js";
+import { queueImageVariants } from "../utils/imageVariants.utils.js";
+import { recordAuditLog, diffChanges, pickFields } from "../utils/auditLog.utils.js";
+
+// Fields captured in audit log snapshots
+const AUDITED_FIELDS = [
+    "title", "category", "description", "features", "price",
+    "isCustomizable", "deliveryTimeInDays", "tags", "status", "thumbnail"
+];
 
 // Create a new service
 const createService = asyncHandler(async (req, res) => {
@@ -25,13 +22,6 @@ const createService = asyncHandler(async (req, res) => {
     try {
         logger.info("Starting createService process");
 
-        // 1. Authorization Check
-        const hasPermission = await checkAdminPermissions(req.admin._id, "manageServices");
-        if (!hasPermission) {
-            logger.error("Unauthorized: Admin doesn't have permission to manage services");
-            throw new ApiError(403, "Unauthorized: You don't have permission to manage services");
-        }
-
         // Parse features and tags from JSON strings
         let features = [];
         if (req.body.features) {
@@ -59,19 +49,19 @@ const createService = asyncHandler(async (req, res) => {
             }
         }
 
-        // 2. Required fields validation
+        // 1. Required fields validation
         if (!req.body.title || !req.body.description || req.body.price === undefined) {
             logger.error("Missing required fields");
             throw new ApiError(400, "Title, description and price are required");
         }
 
-        // 3. Price validation
+        // 2. Price validation
         if (isNaN(req.body.price)) {
             logger.error("Invalid price format");
             throw new ApiError(400, "Price must be a number");
         }
 
-        // 4. Create service
+        // 3. Create service
         const service = await Services.create([{
             title: req.body.title,
             category: req.body.category,
@@ -85,6 +75,15 @@ const createService = asyncHandler(async (req, res) => {
             createdBy: req.admin._id
         }], { session });
 
+        await recordAuditLog({
+            req,
+            action: "service.create",
+            targetModel: "Services",
+            targetId: service[0]._id,
+            after: pickFields(service[0], AUDITED_FIELDS),
+            session
+        });
+
         await session.commitTransaction();
         logger.info(`Service created successfully: ${service[0].title}`);
 
@@ -234,27 +233,20 @@ const updateService = asyncHandler(async (req, res) => {
 
         const { serviceId } = req.params;
 
-        // 1. Authorization Check
-        const hasPermission = await checkAdminPermissions(req.admin._id, "manageServices");
-        if (!hasPermission) {
-            logger.error("Unauthorized: Admin doesn't have permission to manage services");
-            throw new ApiError(403, "Unauthorized: You don't have permission to manage services");
-        }
-
-        // 2. Validate service ID
+        // 1. Validate service ID
         if (!mongoose.Types.ObjectId.isValid(serviceId)) {
             logger.error("Invalid service ID");
             throw new ApiError(400, "Invalid service ID");
         }
 
-        // 3. Find service
+        // 2. Find service
         const service = await Services.findById(serviceId).session(session);
         if (!service) {
             logger.error("Service not found");
             throw new ApiError(404, "Service not found");
         }
 
-        // 4. Check if admin created this service or is superadmin
+        // 3. Check if admin created this service or is superadmin
         const isSuperadmin = req.admin.role === "superadmin";
         const isCreator = service.createdBy.toString() === req.admin._id.toString();
 
@@ -263,12 +255,9 @@ const updateService = asyncHandler(async (req, res) => {
             throw new ApiError(403, "Unauthorized: You can only update services you created");
         }
 
-        // 5. Handle file upload if exists
-        if (req.file) {
-            service.thumbnail = req.file.path;
-        }
+        const before = pickFields(service, AUDITED_FIELDS);
 
-        // 6. Handle array fields properly
+        // 4. Handle array fields properly (thumbnails go through POST /:serviceId/thumbnail)
         const arrayFields = ['features', 'tags'];
         arrayFields.forEach(field => {
             if (req.body[field]) {
@@ -291,7 +280,7 @@ const updateService = asyncHandler(async (req, res) => {
             }
         });
 
-        // 7. Update other fields
+        // 5. Update other fields
         const updatableFields = [
             "title", "category", "description",
             "price", "isCustomizable", "deliveryTimeInDays",
@@ -304,8 +293,20 @@ const updateService = asyncHandler(async (req, res) => {
             }
         });
 
-        // 8. Save updated service
+        // 6. Save updated service
         await service.save({ session });
+
+        const changes = diffChanges(before, pickFields(service, AUDITED_FIELDS));
+        await recordAuditLog({
+            req,
+            action: "service.update",
+            targetModel: "Services",
+            targetId: service._id,
+            before: changes.before,
+            after: changes.after,
+            session
+        });
+
         await session.commitTransaction();
 
         logger.info(`Service updated successfully: ${service.title}`);
@@ -341,27 +342,20 @@ const deleteService = asyncHandler(async (req, res) => {
 
         const { serviceId } = req.params;
 
-        // 1. Authorization Check
-        const hasPermission = await checkAdminPermissions(req.admin._id, "manageServices");
-        if (!hasPermission) {
-            logger.error("Unauthorized: Admin doesn't have permission to manage services");
-            throw new ApiError(403, "Unauthorized: You don't have permission to manage services");
-        }
-
-        // 2. Validate service ID
+        // 1. Validate service ID
         if (!mongoose.Types.ObjectId.isValid(serviceId)) {
             logger.error("Invalid service ID");
             throw new ApiError(400, "Invalid service ID");
         }
 
-        // 3. Find service (don't delete yet so we can check thumbnail)
+        // 2. Find service (don't delete yet so we can check thumbnail)
         const service = await Services.findById(serviceId).session(session);
         if (!service) {
             logger.error("Service not found");
             throw new ApiError(404, "Service not found");
         }
 
-        // 4. Check if admin created this service or is superadmin
+        // 3. Check if admin created this service or is superadmin
         const isSuperadmin = req.admin.role === "superadmin";
         const isCreator = service.createdBy.toString() === req.admin._id.toString();
 
@@ -370,23 +364,23 @@ const deleteService = asyncHandler(async (req, res) => {
             throw new ApiError(403, "Unauthorized: You can only delete services you created");
         }
 
-        // 5. Delete thumbnail from Cloudinary if it exists
-        if (service.thumbnail) {
-            try {
-                const publicId = service.thumbnail.split('/').pop().split('.')[0];
-                logger.info(`Attempting to delete thumbnail from Cloudinary with publicId: ${publicId}`);
-                await deleteFromCloudinary(publicId);
-                logger.info('Thumbnail deleted from Cloudinary successfully');
-            } catch (cloudinaryError) {
-                logger.error('Failed to delete thumbnail from Cloudinary', { error: cloudinaryError });
-                // Don't fail the entire operation if thumbnail deletion fails
-                // Continue with service deletion but log the error
-            }
+        // 4. Queue the thumbnail for deletion once the service is gone
+        if (service.thumbnail?.publicId) {
+            await queueFileDeletion(service.thumbnail, { session });
         }
 
-        // 6. Delete the service
+        // 5. Delete the service
         await Services.findByIdAndDelete(serviceId).session(session);
 
+        await recordAuditLog({
+            req,
+            action: "service.delete",
+            targetModel: "Services",
+            targetId: service._id,
+            before: pickFields(service, AUDITED_FIELDS),
+            session
+        });
+
         await session.commitTransaction();
         logger.info(`Service deleted successfully: ${service.title}`);
 
@@ -416,27 +410,20 @@ const toggleServiceStatus = asyncHandler(async (req, res) => {
 
         const { serviceId } = req.params;
 
-        // 1. Authorization Check
-        const hasPermission = await checkAdminPermissions(req.admin._id, "manageServices");
-        if (!hasPermission) {
-            logger.error("Unauthorized: Admin doesn't have permission to manage services");
-            throw new ApiError(403, "Unauthorized: You don't have permission to manage services");
-        }
-
-        // 2. Validate service ID
+        // 1. Validate service ID
         if (!mongoose.Types.ObjectId.isValid(serviceId)) {
             logger.error("Invalid service ID");
             throw new ApiError(400, "Invalid service ID");
         }
 
-        // 3. Find service
+        // 2. Find service
         const service = await Services.findById(serviceId).session(session);
         if (!service) {
             logger.error("Service not found");
             throw new ApiError(404, "Service not found");
         }
 
-        // 4. Check if admin created this service or is superadmin
+        // 3. Check if admin created this service or is superadmin
         const isSuperadmin = req.admin.role === "superadmin";
         const isCreator = service.createdBy.toString() === req.admin._id.toString();
 
@@ -445,9 +432,21 @@ const toggleServiceStatus = asyncHandler(async (req, res) => {
             throw new ApiError(403, "Unauthorized: You can only update services you created");
         }
 
-        // 5. Toggle status
+        // 4. Toggle status
+        const previousStatus = service.status;
         service.status = service.status === "active" ? "inactive" : "active";
         await service.save({ session });
+
+        await recordAuditLog({
+            req,
+            action: "service.status.toggle",
+            targetModel: "Services",
+            targetId: service._id,
+            before: { status: previousStatus },
+            after: { status: service.status },
+            session
+        });
+
         await session.commitTransaction();
 
         logger.info(`Service status toggled to ${service.status}: ${service.title}`);
@@ -471,39 +470,33 @@ const toggleServiceStatus = asyncHandler(async (req, res) => {
 const uploadThumbnail = asyncHandler(async (req, res) => {
     const session = await mongoose.startSession();
     session.startTransaction();
+    let uploadedThumbnail;
 
     try {
         logger.info("Starting thumbnail upload process");
 
         const { serviceId } = req.params;
 
-        // 1. Authorization Check
-        const hasPermission = await checkAdminPermissions(req.admin._id, "manageServices");
-        if (!hasPermission) {
-            logger.error("Unauthorized: Admin doesn't have permission to manage services");
-            throw new ApiError(403, "Unauthorized: You don't have permission to manage services");
-        }
-
-        // 2. Validate service ID
+        // 1. Validate service ID
         if (!mongoose.Types.ObjectId.isValid(serviceId)) {
             logger.error("Invalid service ID");
             throw new ApiError(400, "Invalid service ID");
         }
 
-        // 3. Check if file exists
-        if (!req.file?.path) {
+        // 2. Check if file exists (normalized by the processImages middleware)
+        if (!req.file?.processed) {
             logger.error("No thumbnail file uploaded");
             throw new ApiError(400, "Thumbnail file is required");
         }
 
-        // 4. Find the service
+        // 3. Find the service
         const service = await Services.findById(serviceId).session(session);
         if (!service) {
             logger.error("Service not found");
             throw new ApiError(404, "Service not found");
         }
 
-        // 5. Check if admin created this service or is superadmin
+        // 4. Check if admin created this service or is superadmin
         const isSuperadmin = req.admin.role === "superadmin";
         const isCreator = service.createdBy.toString() === req.admin._id.toString();
 
@@ -512,23 +505,36 @@ const uploadThumbnail = asyncHandler(async (req, res) => {
             throw new ApiError(403, "Unauthorized: You can only update services you created");
         }
 
-        // 6. Upload to Cloudinary
-        const cloudinaryResponse = await uploadOnCloudinary(req.file.path);
-        if (!cloudinaryResponse?.secure_url) {
-            logger.error("Failed to upload thumbnail to Cloudinary");
+        // 5. Upload the image to storage
+        uploadedThumbnail = await uploadProcessedImage(req.file.processed);
+        if (!uploadedThumbnail?.url) {
+            logger.error("Failed to upload thumbnail to storage");
             throw new ApiError(500, "Failed to upload thumbnail");
         }
 
-        // 7. If there was an existing thumbnail, delete it from Cloudinary
-        if (service.thumbnail) {
-            const publicId = service.thumbnail.split("/").pop().split(".")[0];
-            await deleteFromCloudinary(publicId);
+        // 6. If there was an existing thumbnail, queue it for deletion
+        if (service.thumbnail?.publicId) {
+            await queueFileDeletion(service.thumbnail, { session });
         }
 
-        // 8. Update service with new thumbnail URL
-        service.thumbnail = cloudinaryResponse.secure_url;
+        // 7. Update service with the new thumbnail
+        const previousThumbnail = service.thumbnail?.url || null;
+        service.thumbnail = uploadedThumbnail;
         await service.save({ session });
 
+        // Responsive variants are built in the background once this commits
+        await queueImageVariants({ model: "Services", id: service._id, field: "thumbnail" }, uploadedThumbnail, { session });
+
+        await recordAuditLog({
+            req,
+            action: "service.thumbnail.update",
+            targetModel: "Services",
+            targetId: service._id,
+            before: { thumbnail: previousThumbnail },
+            after: { thumbnail: service.thumbnail.url },
+            session
+        });
+
         await session.commitTransaction();
         logger.info(`Thumbnail uploaded successfully for service: ${service.title}`);
 
@@ -538,6 +544,13 @@ const uploadThumbnail = asyncHandler(async (req, res) => {
     } catch (error) {
         await session.abortTransaction();
         logger.error(`Error in uploadThumbnail: ${error.message}`, { stack: error.stack });
+
+        // The new thumbnail was uploaded but never saved
+        if (uploadedThumbnail) {
+            await queueFileDeletion(uploadedThumbnail)
+                .catch(cleanupError => logger.error(`Failed to queue cleanup of thumbnail: ${cleanupError.message}`));
+        }
+
         throw new ApiError(500, error.message || "Failed to upload thumbnail");
     }
 });
@@ -0,0 +1,75 @@
+import asyncHandler from "../utils/asyncHandler.utils.js";
+import { ApiError } from "../utils/ApiError.utils.js";
+import ApiResponse from "../utils/ApiResponse.utils.js";
+import mongoose from "mongoose";
+import Session from "../models/session.model.js";
+import { revokeSession, revokeAllSessions } from "../utils/session.utils.js";
+import logger from "../utils/logger.utils.js";
+
+// These handlers serve both admins (after verifyAdminJwt) and clients (after verifyJwt)
+const getSessionOwner = (req) => {
+    if (req.admin) return { userId: req.admin._id, userModel: "Admin" };
+    if (req.client) return { userId: req.client._id, userModel: "Client" };
+    throw new ApiError(401, "Unauthorized request");
+};
+
+// List active sessions (devices) of the logged-in user
+const getMySessions = asyncHandler(async (req, res) => {
+    const { userId, userModel } = getSessionOwner(req);
+
+    const sessions = await Session.find({
+        user: userId,
+        userModel,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    })
+        .sort({ lastUsedAt: -1 })
+        .select("device ipAddress userAgent createdAt lastUsedAt expiresAt")
+        .lean();
+
+    const data = sessions.map(session => ({
+        ...session,
+        current: session._id.toString() === String(req.sessionId)
+    }));
+
+    res.status(200).json(new ApiResponse(200, data, "Sessions fetched successfully"));
+});
+
+// Revoke one session, e.g. a lost device
+const revokeMySession = asyncHandler(async (req, res) => {
+    const { sessionId } = req.params;
+    const { userId, userModel } = getSessionOwner(req);
+
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+        throw new ApiError(400, "Invalid session ID");
+    }
+
+    const session = await Session.findOne({ _id: sessionId, user: userId, userModel, revokedAt: null });
+    if (!session) {
+        throw new ApiError(404, "Session not found");
+    }
+
+    await revokeSession(session._id, "revoked");
+    logger.info(`${userModel} ${userId} revoked session ${session._id}`);
+
+    res.status(200).json(new ApiResponse(200, {
+        sessionId: session._id,
+        current: session._id.toString() === String(req.sessionId)
+    }, "Session revoked successfully"));
+});
+
+// Revoke every session except the current one
+const revokeOtherSessions = asyncHandler(async (req, res) => {
+    const { userId, userModel } = getSessionOwner(req);
+
+    const revoked = await revokeAllSessions(userId, userModel, "revoked", { exceptSessionId: req.sessionId });
+    logger.info(`${userModel} ${userId} revoked ${revoked} other session(s)`);
+
+    res.status(200).json(new ApiResponse(200, { revoked }, "Other sessions revoked successfully"));
+});
+
+export {
+    getMySessions,
+    revokeMySession,
+    revokeOtherSessions
+};
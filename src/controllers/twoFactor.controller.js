@@ -0,0 +1,202 @@
+import asyncHandler from "../utils/asyncHandler.utils.js";
+import { ApiError } from "../utils/ApiError.utils.js";
+import ApiResponse from "../utils/ApiResponse.utils.js";
+import Admin from "../models/admin.model.js";
+import SecurityPolicy from "../models/securityPolicy.model.js";
+import logger from "../utils/logger.utils.js";
+import { recordAuditLog } from "../utils/auditLog.utils.js";
+import { generateTotpSecret, buildOtpauthUri, encryptSecret, generateBackupCodes } from "../utils/totp.utils.js";
+
+// 2FA status of the logged-in admin
+const getTwoFactorStatus = asyncHandler(async (req, res) => {
+    const admin = await Admin.findByIdWithTwoFactor(req.admin._id);
+    const policy = await SecurityPolicy.getPolicy();
+
+    res.status(200).json(new ApiResponse(200, {
+        enabled: Boolean(admin.twoFactor?.enabled),
+        enabledAt: admin.twoFactor?.enabledAt || null,
+        backupCodesRemaining: admin.twoFactor?.backupCodes?.length || 0,
+        required: policy.requiresTwoFactorFor(admin)
+    }, "Two-factor status fetched successfully"));
+});
+
+// Start enrollment: returns the secret and otpauth URI to scan.
+// Serves both logged-in admins and admins forced to enroll during login (pre-auth token).
+const startTwoFactorSetup = asyncHandler(async (req, res) => {
+    const admin = await Admin.findByIdWithTwoFactor(req.admin._id);
+
+    if (admin.twoFactor?.enabled) {
+        throw new ApiError(400, "Two-factor authentication is already enabled");
+    }
+
+    const secret = generateTotpSecret();
+    admin.twoFactor.pendingSecret = encryptSecret(secret);
+    await admin.save({ validateBeforeSave: false });
+
+    logger.info(`Admin ${admin.email} started two-factor setup`);
+
+    res.status(200).json(new ApiResponse(200, {
+        secret,
+        otpauthUri: buildOtpauthUri({ secret, accountName: admin.email })
+    }, "Scan the QR code with your authenticator app, then confirm with a code"));
+});
+
+// Finish enrollment by confirming a code from the new secret
+const enableTwoFactor = asyncHandler(async (req, res) => {
+    const { code } = req.body;
+
+    if (!code) {
+        throw new ApiError(400, "Authenticator code is required");
+    }
+
+    const admin = await Admin.findByIdWithTwoFactor(req.admin._id);
+
+    if (admin.twoFactor?.enabled) {
+        throw new ApiError(400, "Two-factor authentication is already enabled");
+    }
+    if (!admin.twoFactor?.pendingSecret) {
+        throw new ApiError(400, "Start two-factor setup first");
+    }
+
+    if (!(await admin.verifyTwoFactor({ code, pending: true }))) {
+        throw new ApiError(400, "Invalid authentication code");
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+    admin.twoFactor.secret = admin.twoFactor.pendingSecret;
+    admin.twoFactor.pendingSecret = undefined;
+    admin.twoFactor.backupCodes = hashes;
+    admin.twoFactor.enabled = true;
+    admin.twoFactor.enabledAt = new Date();
+    await admin.save({ validateBeforeSave: false });
+
+    await recordAuditLog({
+        req,
+        action: "admin.2fa.enable",
+        targetModel: "Admin",
+        targetId: admin._id,
+        after: { twoFactorEnabled: true }
+    });
+
+    res.status(200).json(new ApiResponse(200, {
+        backupCodes: codes
+    }, "Two-factor authentication enabled. Store the backup codes somewhere safe, they are shown only once"));
+});
+
+// Turn 2FA off (needs the password and a current code or backup code)
+const disableTwoFactor = asyncHandler(async (req, res) => {
+    const { password, code, backupCode } = req.body;
+
+    if (!password || (!code && !backupCode)) {
+        throw new ApiError(400, "Password and an authenticator or backup code are required");
+    }
+
+    const admin = await Admin.findByIdWithTwoFactor(req.admin._id).select("+password");
+
+    if (!admin.twoFactor?.enabled) {
+        throw new ApiError(400, "Two-factor authentication is not enabled");
+    }
+
+    const policy = await SecurityPolicy.getPolicy();
+    if (policy.requiresTwoFactorFor(admin)) {
+        throw new ApiError(403, "Two-factor authentication is required for your account by the security policy");
+    }
+
+    if (!(await admin.comparePassword(password))) {
+        throw new ApiError(401, "Invalid credentials");
+    }
+
+    if (!(await admin.verifyTwoFactor({ code, backupCode }))) {
+        throw new ApiError(401, "Invalid authentication code");
+    }
+
+    admin.twoFactor = { enabled: false };
+    await admin.save({ validateBeforeSave: false });
+
+    await recordAuditLog({
+        req,
+        action: "admin.2fa.disable",
+        targetModel: "Admin",
+        targetId: admin._id,
+        before: { twoFactorEnabled: true },
+        after: { twoFactorEnabled: false }
+    });
+
+    res.status(200).json(new ApiResponse(200, {}, "Two-factor authentication disabled"));
+});
+
+// Replace all backup codes (old ones stop working)
+const regenerateBackupCodes = asyncHandler(async (req, res) => {
+    const { code } = req.body;
+
+    if (!code) {
+        throw new ApiError(400, "Authenticator code is required");
+    }
+
+    const admin = await Admin.findByIdWithTwoFactor(req.admin._id);
+
+    if (!admin.twoFactor?.enabled) {
+        throw new ApiError(400, "Two-factor authentication is not enabled");
+    }
+
+    if (!(await admin.verifyTwoFactor({ code }))) {
+        throw new ApiError(401, "Invalid authentication code");
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+    admin.twoFactor.backupCodes = hashes;
+    await admin.save({ validateBeforeSave: false });
+
+    await recordAuditLog({
+        req,
+        action: "admin.2fa.backup-codes.regenerate",
+        targetModel: "Admin",
+        targetId: admin._id
+    });
+
+    res.status(200).json(new ApiResponse(200, { backupCodes: codes }, "Backup codes regenerated"));
+});
+
+// Global security policy
+const getSecurityPolicy = asyncHandler(async (req, res) => {
+    const policy = await SecurityPolicy.getPolicy();
+    res.status(200).json(new ApiResponse(200, policy, "Security policy fetched successfully"));
+});
+
+const updateSecurityPolicy = asyncHandler(async (req, res) => {
+    const { requireTwoFactorForSecurityAdmins } = req.body;
+
+    if (typeof requireTwoFactorForSecurityAdmins !== "boolean") {
+        throw new ApiError(400, "requireTwoFactorForSecurityAdmins must be a boolean");
+    }
+
+    const policy = await SecurityPolicy.getPolicy();
+    const before = { requireTwoFactorForSecurityAdmins: policy.requireTwoFactorForSecurityAdmins };
+
+    policy.requireTwoFactorForSecurityAdmins = requireTwoFactorForSecurityAdmins;
+    policy.updatedBy = req.admin._id;
+    await policy.save();
+
+    await recordAuditLog({
+        req,
+        action: "security.policy.update",
+        targetModel: "SecurityPolicy",
+        targetId: policy._id,
+        before,
+        after: { requireTwoFactorForSecurityAdmins }
+    });
+
+    logger.info(`Security policy updated by ${req.admin.email}`, { requireTwoFactorForSecurityAdmins });
+
+    res.status(200).json(new ApiResponse(200, policy, "Security policy updated successfully"));
+});
+
+export {
+    getTwoFactorStatus,
+    startTwoFactorSetup,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateBackupCodes,
+    getSecurityPolicy,
+    updateSecurityPolicy
+};
@@ -0,0 +1,92 @@
+// Account security and lifecycle emails
+export default {
+    "account.locked": {
+        description: "Account temporarily locked after repeated failed logins",
+        variables: ["lockUntil"],
+        sample: {
+            name: "Jane Doe",
+            lockUntil: new Date("2025-01-15T10:30:00Z"),
+            ip: "203.0.113.7"
+        },
+        locales: {
+            en: {
+                subject: "Your account has been temporarily locked",
+                blocks: [
+                    { partial: "greeting" },
+                    "We locked your account after several failed login attempts.",
+                    { partial: "details", rows: [["Last attempt from", "{{ip}}"], ["Locked until", "{{lockUntil}}"]] },
+                    "If this wasn't you, we recommend resetting your password once the lock expires."
+                ]
+            },
+            es: {
+                subject: "Tu cuenta se ha bloqueado temporalmente",
+                blocks: [
+                    { partial: "greeting" },
+                    "Bloqueamos tu cuenta tras varios intentos fallidos de inicio de sesión.",
+                    { partial: "details", rows: [["Último intento desde", "{{ip}}"], ["Bloqueada hasta", "{{lockUntil}}"]] },
+                    "Si no fuiste tú, te recomendamos restablecer tu contraseña cuando termine el bloqueo."
+                ]
+            }
+        }
+    },
+
+    "account.new-login": {
+        description: "Login from an IP address not seen on the previous login",
+        variables: ["ip", "time"],
+        sample: {
+            name: "Jane Doe",
+            ip: "203.0.113.7",
+            userAgent: "Mozilla/5.0 (Macintosh; Intel Mac OS X 14_0) Safari/605.1.15",
+            time: new Date("2025-01-15T10:30:00Z")
+        },
+        locales: {
+            en: {
+                subject: "New login to your account",
+                blocks: [
+                    { partial: "greeting" },
+                    "Your account was just accessed from a new IP address:",
+                    { partial: "details", rows: [["IP address", "{{ip}}"], ["Device", "{{userAgent}}"], ["Time", "{{time}}"]] },
+                    "If this was you, no action is needed. Otherwise change your password and revoke your other sessions right away."
+                ]
+            },
+            es: {
+                subject: "Nuevo inicio de sesión en tu cuenta",
+                blocks: [
+                    { partial: "greeting" },
+                    "Se acaba de acceder a tu cuenta desde una dirección IP nueva:",
+                    { partial: "details", rows: [["Dirección IP", "{{ip}}"], ["Dispositivo", "{{userAgent}}"], ["Fecha", "{{time}}"]] },
+                    "Si fuiste tú, no tienes que hacer nada. Si no, cambia tu contraseña y cierra tus otras sesiones cuanto antes."
+                ]
+            }
+        }
+    },
+
+    "account.deletion-scheduled": {
+        description: "Confirmation of a self-service account deletion request",
+        variables: ["scheduledFor"],
+        sample: {
+            name: "Jane Doe",
+            scheduledFor: new Date("2025-02-14T10:30:00Z")
+        },
+        locales: {
+            en: {
+                subject: "Your account is scheduled for deletion",
+                blocks: [
+                    { partial: "greeting" },
+                    "We received a request to delete your account. Your account and personal data will be permanently deleted on {{scheduledFor}}.",
+                    "Changed your mind? Log in before then and cancel the deletion from your account settings.",
+                    { partial: "note", text: "Invoices are kept for our accounting records, without your personal details." }
+                ]
+            },
+            es: {
+                subject: "Tu cuenta se eliminará próximamente",
+                blocks: [
+                    { partial: "greeting" },
+                    "Recibimos una solicitud para eliminar tu cuenta. Tu cuenta y tus datos personales se eliminarán definitivamente el {{scheduledFor}}.",
+                    "¿Has cambiado de opinión? Inicia sesión antes de esa fecha y cancela la eliminación desde la configuración de tu cuenta.",
+                    { partial: "note", text: "Conservamos las facturas para nuestra contabilidad, sin tus datos personales." }
+                ]
+            }
+        }
+    }
+};
@@ -0,0 +1,64 @@
+// Notifications to admins about new activity (English only: admins have no locale setting)
+export default {
+    "admin.new-contact": {
+        description: "A visitor or client submitted the contact form",
+        variables: ["senderName", "senderEmail", "subject", "message"],
+        sample: {
+            senderName: "Jane Doe",
+            senderEmail: "jane@example.com",
+            subject: "Website redesign",
+            message: "Hi, we'd like a quote for redesigning our company website.\nThanks!"
+        },
+        locales: {
+            en: {
+                subject: "New contact message: {{subject}}",
+                blocks: [
+                    "A new message was submitted through the contact form.",
+                    { partial: "details", rows: [["From", "{{senderName}}"], ["Email", "{{senderEmail}}"], ["Subject", "{{subject}}"]] },
+                    { partial: "quote", text: "{{message}}" }
+                ]
+            }
+        }
+    },
+
+    "admin.new-career-application": {
+        description: "A candidate applied for a position",
+        variables: ["applicantName", "applicantEmail", "position"],
+        sample: {
+            applicantName: "Jane Doe",
+            applicantEmail: "jane@example.com",
+            position: "Frontend Developer"
+        },
+        locales: {
+            en: {
+                subject: "New application for {{position}}",
+                blocks: [
+                    "A new job application was submitted.",
+                    { partial: "details", rows: [["Applicant", "{{applicantName}}"], ["Email", "{{applicantEmail}}"], ["Position", "{{position}}"]] },
+                    "The resume is available from the careers section of the admin dashboard."
+                ]
+            }
+        }
+    },
+
+    "admin.new-service-request": {
+        description: "A client created a service request",
+        variables: ["clientName", "clientEmail", "title"],
+        sample: {
+            clientName: "Jane Doe",
+            clientEmail: "jane@example.com",
+            title: "E-commerce website",
+            category: "e-commerce",
+            budget: "5000"
+        },
+        locales: {
+            en: {
+                subject: "New service request: {{title}}",
+                blocks: [
+                    "A client created a new service request.",
+                    { partial: "details", rows: [["Client", "{{clientName}}"], ["Email", "{{clientEmail}}"], ["Title", "{{title}}"], ["Category", "{{category}}"], ["Budget", "{{budget}}"]] }
+                ]
+            }
+        }
+    }
+};
@@ -0,0 +1,68 @@
+// Sign-up and password recovery emails
+export default {
+    "auth.verify-email": {
+        description: "Email address confirmation link, sent on sign-up and on request",
+        variables: ["verificationUrl"],
+        sample: {
+            name: "Jane Doe",
+            verificationUrl: "https://example.com/verify-email?token=sample-token"
+        },
+        locales: {
+            en: {
+                subject: "Verify your email address",
+                preheader: "Confirm your email address to finish setting up your account.",
+                blocks: [
+                    { partial: "greeting" },
+                    "Please confirm your email address to finish setting up your account.",
+                    { partial: "button", label: "Verify email", url: "{{verificationUrl}}" },
+                    "This link expires in 24 hours.",
+                    { partial: "note", text: "If you didn't create an account, you can ignore this email." }
+                ]
+            },
+            es: {
+                subject: "Verifica tu dirección de correo",
+                preheader: "Confirma tu correo para terminar de configurar tu cuenta.",
+                blocks: [
+                    { partial: "greeting" },
+                    "Confirma tu dirección de correo para terminar de configurar tu cuenta.",
+                    { partial: "button", label: "Verificar correo", url: "{{verificationUrl}}" },
+                    "Este enlace caduca en 24 horas.",
+                    { partial: "note", text: "Si no creaste una cuenta, puedes ignorar este correo." }
+                ]
+            }
+        }
+    },
+
+    "auth.password-reset": {
+        description: "Password reset link",
+        variables: ["resetUrl"],
+        sample: {
+            name: "Jane Doe",
+            resetUrl: "https://example.com/reset-password?token=sample-token"
+        },
+        locales: {
+            en: {
+                subject: "Reset your password",
+                preheader: "Use this link to choose a new password.",
+                blocks: [
+                    { partial: "greeting" },
+                    "We received a request to reset your password. Click the button below to choose a new one.",
+                    { partial: "button", label: "Reset password", url: "{{resetUrl}}" },
+                    "This link expires in 1 hour.",
+                    { partial: "note", text: "If you didn't request a password reset, you can ignore this email; your password won't change." }
+                ]
+            },
+            es: {
+                subject: "Restablece tu contraseña",
+                preheader: "Usa este enlace para elegir una nueva contraseña.",
+                blocks: [
+                    { partial: "greeting" },
+                    "Recibimos una solicitud para restablecer tu contraseña. Pulsa el botón para elegir una nueva.",
+                    { partial: "button", label: "Restablecer contraseña", url: "{{resetUrl}}" },
+                    "Este enlace caduca en 1 hora.",
+                    { partial: "note", text: "Si no solicitaste el cambio, ignora este correo; tu contraseña no cambiará." }
+                ]
+            }
+        }
+    }
+};
@@ -0,0 +1,79 @@
+// Emails to job applicants
+export default {
+    "career.application-received": {
+        description: "Confirms a job application was received",
+        variables: ["position"],
+        sample: {
+            name: "Jane Doe",
+            position: "Frontend Developer"
+        },
+        locales: {
+            en: {
+                subject: "We received your application for {{position}}",
+                blocks: [
+                    { partial: "greeting" },
+                    "Thank you for applying for the {{position}} position. We've received your application and resume.",
+                    "Our team reviews every application carefully. We'll contact you by email as soon as there is an update.",
+                    { partial: "note", text: "Please don't submit the same application again; we only need it once." }
+                ]
+            },
+            es: {
+                subject: "Hemos recibido tu candidatura para {{position}}",
+                blocks: [
+                    { partial: "greeting" },
+                    "Gracias por presentar tu candidatura al puesto de {{position}}. Hemos recibido tu solicitud y tu currículum.",
+                    "Nuestro equipo revisa cada candidatura con atención. Te escribiremos en cuanto haya novedades.",
+                    { partial: "note", text: "No es necesario que vuelvas a enviar la misma candidatura." }
+                ]
+            }
+        }
+    },
+
+    "career.status-changed": {
+        description: "A job application moved to a new stage",
+        variables: ["position", "status"],
+        sample: {
+            name: "Jane Doe",
+            position: "Frontend Developer",
+            status: "Interview"
+        },
+        locales: {
+            en: {
+                subject: "Update on your application for {{position}}",
+                labels: {
+                    status: {
+                        "Applied": "received",
+                        "Under Review": "under review",
+                        "Interview": "selected for an interview",
+                        "Hired": "successful",
+                        "Rejected": "not selected"
+                    }
+                },
+                blocks: [
+                    { partial: "greeting" },
+                    "There is an update on your application for the {{position}} position: your application is now {{status}}.",
+                    "If we need anything else from you, a member of our team will reach out by email.",
+                    "Thank you for your interest in working with us."
+                ]
+            },
+            es: {
+                subject: "Novedades sobre tu candidatura para {{position}}",
+                labels: {
+                    status: {
+                        "Applied": "recibida",
+                        "Under Review": "en revisión",
+                        "Interview": "seleccionada para una entrevista",
+                        "Hired": "aceptada",
+                        "Rejected": "no seleccionada"
+                    }
+                },
+                blocks: [
+                    { partial: "greeting" },
+                    "Hay novedades sobre tu candidatura al puesto de {{position}}: tu candidatura está ahora {{status}}.",
+                    "Si necesitamos algo más, alguien de nuestro equipo se pondrá en contacto contigo por correo.",
+                    "Gracias por tu interés en trabajar con nosotros."
+                ]
+            }
+        }
+    }
+};
@@ -0,0 +1,34 @@
+// Replies to the public contact form
+export default {
+    "contact.acknowledgement": {
+        description: "Confirms a contact form submission was received",
+        variables: ["subject", "message"],
+        sample: {
+            name: "Jane Doe",
+            subject: "Website redesign",
+            message: "Hi, we'd like a quote for redesigning our company website.\nThanks!"
+        },
+        locales: {
+            en: {
+                subject: "We received your message: {{subject}}",
+                preheader: "Thanks for getting in touch, we'll get back to you soon.",
+                blocks: [
+                    { partial: "greeting" },
+                    "Thanks for getting in touch. We received your message and will get back to you within two business days.",
+                    { partial: "quote", text: "{{message}}" },
+                    { partial: "note", text: "Need to add something? Just send us another message through the contact form." }
+                ]
+            },
+            es: {
+                subject: "Hemos recibido tu mensaje: {{subject}}",
+                preheader: "Gracias por escribirnos, te responderemos pronto.",
+                blocks: [
+                    { partial: "greeting" },
+                    "Gracias por escribirnos. Hemos recibido tu mensaje y te responderemos en un plazo de dos días laborables.",
+                    { partial: "quote", text: "{{message}}" },
+                    { partial: "note", text: "¿Quieres añadir algo? Envíanos otro mensaje desde el formulario de contacto." }
+                ]
+            }
+        }
+    }
+};
@@ -0,0 +1,65 @@
+// Name shown as the sender and in every email's header and footer
+export const getBrandName = () => process.env.EMAIL_FROM_NAME || "555";
+
+const escapeHtml = (value) => String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const FOOTER = {
+    en: (brand) => `You are receiving this email because of your account or recent activity with ${brand}. This is an automated message, please don't reply.`,
+    es: (brand) => `Recibes este correo por tu cuenta o tu actividad reciente con ${brand}. Es un mensaje automático, por favor no respondas.`
+};
+
+/**
+ * Wraps a rendered email body in the shared layout (inline styles, safe for email clients)
+ * @param {object} params
+ * @param {string} params.html - Rendered HTML blocks
+ * @param {string} params.text - Rendered plain-text blocks
+ * @param {string} params.subject - Rendered subject, used as the document title
+ * @param {string} [params.preheader] - Inbox preview line (plain text)
+ * @param {string} params.locale - Locale the body was rendered in
+ * @returns {{html: string, text: string}}
+ */
+export const renderLayout = ({ html, text, subject, preheader, locale }) => {
+    const brand = getBrandName();
+    const footer = (FOOTER[locale] || FOOTER.en)(brand);
+
+    return {
+        html: `<!DOCTYPE html>
+<html lang="${escapeHtml(locale)}">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${escapeHtml(subject)}</title>
+</head>
+<body style="margin:0;padding:0;background:#f4f4f5;">
+    ${preheader ? `<div style="display:none;max-height:0;overflow:hidden;">${escapeHtml(preheader)}</div>` : ""}
+    <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#f4f4f5;">
+        <tr>
+            <td align="center" style="padding:24px 12px;">
+                <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width:600px;background:#ffffff;border-radius:8px;font-family:Arial,Helvetica,sans-serif;color:#222;">
+                    <tr>
+                        <td style="padding:20px 32px;border-bottom:1px solid #eee;font-size:18px;font-weight:bold;">${escapeHtml(brand)}</td>
+                    </tr>
+                    <tr>
+                        <td style="padding:24px 32px;font-size:15px;line-height:1.6;">
+${html}
+                        </td>
+                    </tr>
+                    <tr>
+                        <td style="padding:16px 32px;border-top:1px solid #eee;font-size:12px;color:#888;">${escapeHtml(footer)}</td>
+                    </tr>
+                </table>
+            </td>
+        </tr>
+    </table>
+</body>
+</html>`,
+        text: `${text}\n\n--\n${brand}\n${footer}\n`
+    };
+};
+
+export { escapeHtml };
@@ -0,0 +1,80 @@
+/**
+ * Building blocks for email templates. Each partial renders one block twice, as HTML
+ * and as plain text, so every email has a matching text alternative:
+ *
+ *   partial(block, fill, locale) -> { html, text }
+ *
+ * `fill.html(string)` interpolates variables HTML-escaped, `fill.text(string)` as is.
+ * A plain string in a template's blocks is shorthand for a paragraph.
+ */
+
+const GREETING = {
+    en: { named: "Hello {{name}},", anonymous: "Hello," },
+    es: { named: "Hola {{name}}:", anonymous: "Hola:" }
+};
+
+const paragraph = ({ text }, fill) => ({
+    html: `<p style="margin:0 0 16px;">${fill.html(text)}</p>`,
+    text: fill.text(text)
+});
+
+// "Hello Jane," or just "Hello," when the recipient's name isn't known
+const greeting = (block, fill, locale) => {
+    const strings = GREETING[locale] || GREETING.en;
+    return paragraph({ text: fill.text("{{name}}") ? strings.named : strings.anonymous }, fill);
+};
+
+// Call-to-action link; the text version spells out the URL
+const button = ({ label, url }, fill) => ({
+    html: `<p style="margin:24px 0;"><a href="${fill.html(url)}" style="display:inline-block;padding:12px 24px;background:#2563eb;color:#ffffff;text-decoration:none;border-radius:6px;font-weight:bold;">${fill.html(label)}</a></p>`,
+    text: `${fill.text(label)}: ${fill.text(url)}`
+});
+
+// Label / value rows; rows whose value renders empty are left out
+const details = ({ rows }, fill) => {
+    const filled = rows
+        .map(([label, value]) => ({ label, value }))
+        .filter(({ value }) => fill.text(value).trim());
+
+    return {
+        html: `<table role="presentation" cellpadding="0" cellspacing="0" style="width:100%;margin:0 0 16px;border-collapse:collapse;">${filled.map(({ label, value }) => `
+    <tr>
+        <td style="padding:6px 12px 6px 0;color:#666;white-space:nowrap;vertical-align:top;">${fill.html(label)}</td>
+        <td style="padding:6px 0;">${fill.html(value)}</td>
+    </tr>`).join("")}
+</table>`,
+        text: filled.map(({ label, value }) => `${fill.text(label)}: ${fill.text(value)}`).join("\n")
+    };
+};
+
+// Quoted user-provided text (e.g. a contact message), line breaks kept
+const quote = ({ text }, fill) => ({
+    html: `<blockquote style="margin:0 0 16px;padding:12px 16px;background:#f9fafb;border-left:3px solid #d1d5db;white-space:pre-line;">${fill.html(text)}</blockquote>`,
+    text: fill.text(text).split("\n").map(line => `> ${line}`).join("\n")
+});
+
+// Small print
+const note = ({ text }, fill) => ({
+    html: `<p style="margin:16px 0 0;font-size:13px;color:#666;">${fill.html(text)}</p>`,
+    text: fill.text(text)
+});
+
+const partials = { paragraph, greeting, button, details, quote, note };
+
+/**
+ * Renders one template block
+ * @param {string|object} block - Paragraph text, or { partial, ...options }
+ * @param {object} fill - { html(string), text(string) } interpolation helpers
+ * @param {string} locale - Locale being rendered
+ * @returns {{html: string, text: string}}
+ */
+export const renderPartial = (block, fill, locale) => {
+    const options = typeof block === "string" ? { partial: "paragraph", text: block } : block;
+    const partial = partials[options.partial];
+    if (!partial) {
+        throw new Error(`Unknown email partial: ${options.partial}`);
+    }
+    return partial(options, fill, locale);
+};
+
+export const EMAIL_PARTIALS = Object.keys(partials);
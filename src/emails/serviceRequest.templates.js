@@ -0,0 +1,57 @@
+// Emails to clients about their service requests
+export default {
+    "service-request.status-changed": {
+        description: "An admin moved a client's service request to a new status",
+        variables: ["title", "status"],
+        sample: {
+            name: "Jane Doe",
+            title: "E-commerce website",
+            status: "declined",
+            note: "",
+            rejectionReason: "We're fully booked until next quarter.",
+            requestUrl: "https://example.com/service-requests/sample-id"
+        },
+        locales: {
+            en: {
+                subject: "Your service request \"{{title}}\" is now {{status}}",
+                labels: {
+                    status: {
+                        "pending": "pending",
+                        "under-review": "under review",
+                        "approved": "approved",
+                        "declined": "declined",
+                        "completed": "completed"
+                    }
+                },
+                blocks: [
+                    { partial: "greeting" },
+                    "The status of your service request \"{{title}}\" changed to {{status}}.",
+                    { partial: "details", when: "rejectionReason", rows: [["Reason", "{{rejectionReason}}"]] },
+                    { partial: "quote", when: "note", text: "{{note}}" },
+                    { partial: "button", when: "requestUrl", label: "View request", url: "{{requestUrl}}" },
+                    { partial: "note", text: "Questions about this update? Reply through the messages on your service request." }
+                ]
+            },
+            es: {
+                subject: "Tu solicitud de servicio \"{{title}}\" está ahora {{status}}",
+                labels: {
+                    status: {
+                        "pending": "pendiente",
+                        "under-review": "en revisión",
+                        "approved": "aprobada",
+                        "declined": "rechazada",
+                        "completed": "completada"
+                    }
+                },
+                blocks: [
+                    { partial: "greeting" },
+                    "El estado de tu solicitud de servicio \"{{title}}\" ha cambiado a {{status}}.",
+                    { partial: "details", when: "rejectionReason", rows: [["Motivo", "{{rejectionReason}}"]] },
+                    { partial: "quote", when: "note", text: "{{note}}" },
+                    { partial: "button", when: "requestUrl", label: "Ver solicitud", url: "{{requestUrl}}" },
+                    { partial: "note", text: "¿Tienes preguntas? Escríbenos desde los mensajes de tu solicitud de servicio." }
+                ]
+            }
+        }
+    }
+};
@@ -1,13 +1,15 @@
+// Loaded first so every module sees the .env values when it is evaluated
+import "dotenv/config";
 import db_connection from "./db/index.js";
 import app from "./app.js";
-import dotenv from "dotenv"
-
-dotenv.config({
-    path: "./.env"
-})
-
-
+import Invoice from "./models/invoice.model.js";
+import { purgeDueClientDeletions } from "./utils/clientData.utils.js";
+import { startJobWorker } from "./utils/jobQueue.utils.js";
+import { getVirusScanner } from "./utils/virusScan.utils.js";
+import logger from "./utils/logger.utils.js";
 
+// Refuse to start without a usable virus scanner (in production it must be ClamAV)
+getVirusScanner();
 
 db_connection().then(() => {
     const port = process.env.PORT || 8000;
@@ -18,6 +20,23 @@ db_connection().then(() => {
     app.listen(port, () => {
         console.log("server is listening on port:", port);
     });
+
+    // Background jobs (emails, storage cleanup); handlers are registered by the modules app.js loads
+    startJobWorker();
+
+    // Purge client accounts whose deletion grace period has ended
+    const runDeletionPurge = () => purgeDueClientDeletions()
+        .then(count => count && logger.info(`Purged ${count} client account(s) scheduled for deletion`))
+        .catch(err => logger.error(`Scheduled account purge failed: ${err.message}`));
+    runDeletionPurge();
+    setInterval(runDeletionPurge, 60 * 60 * 1000).unref();
+
+    // Flag sent invoices past their due date as overdue
+    const runOverdueCheck = () => Invoice.markOverdue()
+        .then(count => count && logger.info(`Marked ${count} invoice(s) overdue`))
+        .catch(err => logger.error(`Scheduled overdue check failed: ${err.message}`));
+    runOverdueCheck();
+    setInterval(runOverdueCheck, 60 * 60 * 1000).unref();
 }).catch(err => {
     console.log("something went wrong: \n", err);
 });
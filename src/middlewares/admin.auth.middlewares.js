@@ -2,6 +2,7 @@ import asyncHandler from "../utils/asyncHandler.utils.js";
 import jwt from "jsonwebtoken";
 import Admin from "../models/admin.model.js";
 import { ApiError } from "../utils/ApiError.utils.js";
+import { isSessionActive } from "../utils/session.utils.js";
 
 export const verifyAdminJwt = asyncHandler(async (req, res, next) => {
     try {
@@ -17,20 +18,21 @@ export const verifyAdminJwt = asyncHandler(async (req, res, next) => {
         // 2. Verify token
         const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
 
-        // 3. Find admin (including refreshToken for verification)
-        const admin = await Admin.findById(decodedToken._id).select("+refreshToken");
+        // 3. Find admin
+        const admin = await Admin.findById(decodedToken._id).select("-password");
 
         if (!admin || !admin.isActive) {
             throw new ApiError(401, "Invalid admin token or account inactive");
         }
 
-        // 4. Verify token hasn't been invalidated
-        if (admin.refreshToken === null) {
-            throw new ApiError(401, "Token invalidated - please login again");
+        // 4. Verify the session hasn't been revoked (logout, password change, deactivation)
+        if (!(await isSessionActive(decodedToken.sid))) {
+            throw new ApiError(401, "Session expired or revoked - please login again");
         }
 
-        // 5. Attach admin to request (without sensitive fields)
-        req.admin = await Admin.findById(admin._id).select("-password -refreshToken");
+        // 5. Attach admin and session to request
+        req.admin = admin;
+        req.sessionId = decodedToken.sid;
         next();
     } catch (error) {
         throw new ApiError(
@@ -39,34 +41,34 @@ export const verifyAdminJwt = asyncHandler(async (req, res, next) => {
     }
 });
 
-// NEW: Refresh token verification middleware
-export const verifyAdminRefreshToken = asyncHandler(async (req, res, next) => {
-    try {
-        const incomingRefreshToken = req.cookies
-            ?.adminRefreshToken || req.body
-                ?.refreshToken;
-
-        if (!incomingRefreshToken) {
-            throw new ApiError(401, "Unauthorized request - No refresh token");
-        }
-
-        const decodedToken = jwt.verify(incomingRefreshToken, process.env.REFRESH_TOKEN_SECRET);
+/**
+ * Accepts the short-lived pre-auth token issued by loginAdmin when a second factor is needed
+ * @param {...string} purposes - Accepted token purposes ("2fa-login", "2fa-setup")
+ */
+export const verifyAdminPreAuth = (...purposes) => asyncHandler(async (req, res, next) => {
+    const token = req.body?.preAuthToken;
 
-        const admin = await Admin.findById(decodedToken._id).select("+refreshToken");
+    if (!token) {
+        throw new ApiError(401, "Pre-auth token is required");
+    }
 
-        if (!admin) {
-            throw new ApiError(401, "Invalid refresh token");
-        }
+    let decodedToken;
+    try {
+        decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET, { audience: "admin-2fa" });
+    } catch (error) {
+        throw new ApiError(401, "Invalid or expired pre-auth token - please login again");
+    }
 
-        if (incomingRefreshToken !== admin.refreshToken) {
-            throw new ApiError(401, "Refresh token is expired or used");
-        }
+    if (!purposes.includes(decodedToken.purpose)) {
+        throw new ApiError(401, "Invalid pre-auth token");
+    }
 
-        req.admin = admin;
-        next();
-    } catch (error) {
-        throw new ApiError(
-            401, error
-                ?.message || "Invalid refresh token");
+    const admin = await Admin.findById(decodedToken._id).select("-password");
+    if (!admin || !admin.isActive) {
+        throw new ApiError(401, "Invalid admin token or account inactive");
     }
-});
\ No newline at end of file
+
+    req.admin = admin;
+    req.preAuthPurpose = decodedToken.purpose;
+    next();
+});
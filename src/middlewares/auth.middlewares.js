@@ -3,6 +3,7 @@ import jwt from "jsonwebtoken";
 import Client from "../models/client.model.js";
 import { ApiError } from "../utils/ApiError.utils.js";
 import dotenv from "dotenv";
+import { isSessionActive } from "../utils/session.utils.js";
 
 dotenv.config({ path: "./.env" });
 
@@ -26,7 +27,12 @@ export const verifyJwt = asyncHandler(async (req, _, next) => {
             throw new ApiError(403, "Invalid access Token");
         }
 
+        if (!(await isSessionActive(decodedToken.sid))) {
+            throw new ApiError(401, "Session expired or revoked");
+        }
+
         req.client = client;
+        req.sessionId = decodedToken.sid;
         next();
     } catch (error) {
         throw new ApiError(
@@ -35,3 +41,19 @@ export const verifyJwt = asyncHandler(async (req, _, next) => {
             "invalid access Token");
     }
 });
+
+/**
+ * Route middleware blocking clients whose email is not verified yet. Must run after verifyJwt.
+ * @example router.route("/").post(verifyJwt, requireVerifiedEmail, createBlog);
+ */
+export const requireVerifiedEmail = (req, _, next) => {
+    if (!req.client) {
+        return next(new ApiError(401, "unauthorised request"));
+    }
+
+    if (!req.client.isEmailVerified) {
+        return next(new ApiError(403, "Please verify your email address to continue"));
+    }
+
+    next();
+};
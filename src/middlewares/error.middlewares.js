@@ -0,0 +1,103 @@
+import multer from "multer";
+import { ApiError } from "../utils/ApiError.utils.js";
+import logger from "../utils/logger.utils.js";
+
+// Multer error codes mapped to HTTP status codes
+const multerStatusCodes = {
+    LIMIT_FILE_SIZE: 413,
+    LIMIT_FILE_COUNT: 413,
+    LIMIT_UNEXPECTED_FILE: 400
+};
+
+/**
+ * Converts known library errors (Mongoose, JWT, Multer, body-parser) into an ApiError
+ * @param {Error} err - The error passed to next()
+ * @returns {ApiError} Normalized error
+ */
+const normalizeError = (err) => {
+    if (err instanceof ApiError) {
+        return err;
+    }
+
+    // Mongoose schema validation
+    if (err.name === "ValidationError" && err.errors) {
+        const errors = Object.values(err.errors).map(e => ({
+            field: e.path,
+            message: e.message
+        }));
+        return new ApiError(400, "Validation failed", errors, err.stack);
+    }
+
+    // Mongoose invalid ObjectId / type cast
+    if (err.name === "CastError") {
+        return new ApiError(400, `Invalid ${err.path}: ${err.value}`, [], err.stack);
+    }
+
+    // MongoDB duplicate key
+    if (err.code === 11000) {
+        const fields = Object.keys(err.keyValue || {});
+        return new ApiError(
+            409,
+            `Duplicate value for field${fields.length > 1 ? "s" : ""}: ${fields.join(", ")}`,
+            fields.map(field => ({ field, message: "Already exists" })),
+            err.stack
+        );
+    }
+
+    // JWT errors
+    if (err.name === "TokenExpiredError") {
+        return new ApiError(401, "Token has expired", [], err.stack);
+    }
+    if (err.name === "JsonWebTokenError") {
+        return new ApiError(401, "Invalid token", [], err.stack);
+    }
+
+    // Multer upload errors
+    if (err instanceof multer.MulterError) {
+        const statusCode = multerStatusCodes[err.code] || 400;
+        const message = err.code === "LIMIT_FILE_SIZE" ? "File is too large" : err.message;
+        return new ApiError(statusCode, message, [{ field: err.field, code: err.code }], err.stack);
+    }
+
+    // body-parser errors (malformed JSON, payload too large)
+    if (err.type === "entity.parse.failed") {
+        return new ApiError(400, "Malformed JSON in request body", [], err.stack);
+    }
+    if (err.type === "entity.too.large") {
+        return new ApiError(413, "Request body is too large", [], err.stack);
+    }
+
+    const statusCode = err.statusCode || err.status || 500;
+    return new ApiError(statusCode, err.message || "Internal server error", [], err.stack);
+};
+
+// Catch-all for routes that don't exist
+export const notFoundHandler = (req, res, next) => {
+    next(new ApiError(404, `Route not found: ${req.method} ${req.originalUrl}`));
+};
+
+// Global error handler - must be registered after all routers (Express needs all 4 args)
+export const errorHandler = (err, req, res, next) => {
+    const error = normalizeError(err);
+    const isProduction = process.env.NODE_ENV === "production";
+
+    if (error.statusCode >= 500) {
+        logger.error(`${req.method} ${req.originalUrl} - ${error.message}`, { stack: error.stack });
+    } else {
+        logger.warn(`${req.method} ${req.originalUrl} - ${error.statusCode} ${error.message}`);
+    }
+
+    // Never leak internal error messages in production
+    const message = isProduction && error.statusCode >= 500
+        ? "Internal server error"
+        : error.message;
+
+    res.status(error.statusCode).json({
+        statusCode: error.statusCode,
+        data: null,
+        message,
+        success: false,
+        errors: error.errors,
+        ...(!isProduction && { stack: error.stack })
+    });
+};
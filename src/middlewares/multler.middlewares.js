@@ -4,6 +4,10 @@ import path from "path";
 import { v4 as uuidv4 } from "uuid";
 import sharp from "sharp";
 import mime from "mime-types";
+import { ApiError } from "../utils/ApiError.utils.js";
+import { detectFileTypesFromPath } from "../utils/fileType.utils.js";
+import { scanFile, quarantineFile } from "../utils/virusScan.utils.js";
+import logger from "../utils/logger.utils.js";
 
 // Configure upload directories
 const tempDir = "./public/temp";
@@ -30,66 +34,182 @@ const storage = multer.diskStorage({
     }
 });
 
-// Improved file filter that accepts more file types
-const fileFilter = (req, file, cb) => {
-    const allowedMimeTypes = [
-        // Images
-        'image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/heic', 'image/heif',
-        // Documents
-        'application/pdf', 'application/msword',
-        'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-        // Spreadsheets
-        'application/vnd.ms-excel',
-        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-        // Archives
-        'application/zip', 'application/x-rar-compressed',
-        // Text
-        'text/plain', 'text/csv'
-    ];
+// File types, grouped so each route can allow only what it needs.
+// Only formats processFile can decode; HEIC/HEIF photos are accepted as attachments only.
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
 
+const RESUME_TYPES = [
+    'application/pdf',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+];
+
+const ATTACHMENT_TYPES = [
+    ...IMAGE_TYPES,
+    'image/heic', 'image/heif',
+    // Documents
+    'application/pdf', 'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    // Spreadsheets
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    // Archives
+    'application/zip', 'application/x-rar-compressed',
+    // Text
+    'text/plain', 'text/csv'
+];
+
+// First gate: the MIME type the client declared must be on the route's allowlist
+const createFileFilter = (allowedMimeTypes) => (req, file, cb) => {
     if (allowedMimeTypes.includes(file.mimetype)) {
         cb(null, true);
     } else {
-        cb(new Error(`Unsupported file type: ${file.mimetype}. Allowed types: ${allowedMimeTypes.join(', ')}`), false);
+        cb(new ApiError(415, `Unsupported file type: ${file.mimetype}. Allowed types: ${allowedMimeTypes.join(', ')}`), false);
     }
 };
 
-// Initialize Multer with enhanced configuration
-const upload = multer({
-    storage,
-    fileFilter,
-    limits: {
-        fileSize: 25 * 1024 * 1024, // 25MB file size limit
-        files: 5 // Maximum 5 files per upload
+const getUploadedFiles = (req) => [
+    req.file,
+    ...(Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat())
+].filter(Boolean);
+
+const removeFiles = (files) => {
+    files.forEach(file => {
+        if (file.path && fs.existsSync(file.path)) {
+            fs.unlinkSync(file.path);
+        }
+    });
+};
+
+/**
+ * Second gate, after multer has written the files: the content must really be the declared
+ * type (magic bytes), and the virus scanner must pass it. Flagged files are quarantined and
+ * everything else from the request is removed, so nothing unchecked reaches storage.
+ */
+const validateUploads = async (req, res, next) => {
+    const files = getUploadedFiles(req);
+
+    try {
+        for (const file of files) {
+            const detectedTypes = await detectFileTypesFromPath(file.path);
+            if (!detectedTypes.includes(file.mimetype)) {
+                logger.warn(`Upload rejected: ${file.originalname} declared ${file.mimetype}, content looks like ${detectedTypes.join(', ') || 'unknown'}`);
+                throw new ApiError(415, `The content of ${file.originalname} does not match its file type`);
+            }
+
+            // Storage derives the content type from the extension, so make it match the verified type
+            if (!detectedTypes.includes(mime.lookup(file.path))) {
+                const { dir, name } = path.parse(file.path);
+                const correctedPath = path.join(dir, `${name}.${mime.extension(file.mimetype)}`);
+                fs.renameSync(file.path, correctedPath);
+                file.path = correctedPath;
+                file.filename = path.basename(correctedPath);
+            }
+
+            const result = await scanFile(file.path);
+            if (!result.clean) {
+                await quarantineFile(file.path, {
+                    threat: result.threat,
+                    scanner: result.scanner,
+                    originalName: file.originalname,
+                    mimeType: file.mimetype,
+                    route: req.originalUrl,
+                    uploader: req.admin?._id || req.client?._id || null,
+                    ip: req.ip
+                });
+                throw new ApiError(422, `${file.originalname} was rejected by the virus scanner`);
+            }
+        }
+
+        next();
+    } catch (error) {
+        removeFiles(files);
+
+        if (error instanceof ApiError) return next(error);
+
+        // Fail closed: an upload that could not be checked is not accepted
+        logger.error(`Upload validation failed: ${error.message}`, { stack: error.stack });
+        next(new ApiError(503, "File scanning is unavailable, please try again later"));
     }
-});
+};
 
 /**
- * Process uploaded files based on their type
+ * Builds an upload handler for one kind of file. Its single()/array() return the multer
+ * middleware followed by the content and virus checks, ready to drop into a route.
+ * @param {string[]} allowedMimeTypes - Types accepted on the route
+ * @param {object} [options]
+ * @param {number} [options.maxFileSize=25MB] - Per-file size limit in bytes
+ * @param {number} [options.maxFiles=5] - Maximum files per request
+ * @returns {{single: Function, array: Function}}
+ */
+const createUpload = (allowedMimeTypes, { maxFileSize = 25 * 1024 * 1024, maxFiles = 5 } = {}) => {
+    const multerUpload = multer({
+        storage,
+        fileFilter: createFileFilter(allowedMimeTypes),
+        limits: {
+            fileSize: maxFileSize,
+            files: maxFiles
+        }
+    });
+
+    return {
+        single: (fieldName) => [multerUpload.single(fieldName), validateUploads],
+        array: (fieldName, maxCount = maxFiles) => [multerUpload.array(fieldName, maxCount), validateUploads]
+    };
+};
+
+// Per-route upload handlers
+const uploadImage = createUpload(IMAGE_TYPES, { maxFileSize: 10 * 1024 * 1024 });
+const uploadResume = createUpload(RESUME_TYPES, { maxFileSize: 10 * 1024 * 1024, maxFiles: 1 });
+const uploadAttachments = createUpload(ATTACHMENT_TYPES);
+
+/**
+ * Process uploaded files based on their type. Images are normalized (EXIF orientation
+ * applied, metadata stripped, at most 2000px); GIFs are kept as uploaded so animations
+ * survive. Responsive variants are generated later by the "image.variants" job.
  * @param {string} filePath - Path to the uploaded file
  * @returns {Promise<object>} - Processed file information
  */
 const processFile = async (filePath) => {
+    const created = [];
     try {
         const mimeType = mime.lookup(filePath);
         const ext = path.extname(filePath).toLowerCase();
         const baseName = path.basename(filePath, ext);
-        const processedPath = path.join(processedDir, `${baseName}-processed${ext}`);
+
+        if (mimeType === 'image/gif') {
+            const processedPath = path.join(processedDir, `${baseName}-processed${ext}`);
+            const { width, height, pageHeight } = await sharp(filePath).metadata();
+
+            fs.renameSync(filePath, processedPath);
+            return {
+                originalPath: filePath,
+                processedPath,
+                mimeType,
+                type: 'image',
+                width,
+                height: pageHeight || height // Animated GIFs report all frames stacked
+            };
+        }
 
         // Process different file types differently
         if (mimeType.startsWith('image/')) {
+            // PNG keeps transparency, everything else becomes a progressive JPEG
+            const outputFormat = ext === '.png' ? 'png' : 'jpeg';
+            const processedPath = path.join(processedDir, `${baseName}-processed.${outputFormat === 'png' ? 'png' : 'jpg'}`);
+
             // Process images with sharp
-            await sharp(filePath)
+            const { width, height } = await sharp(filePath)
                 .rotate() // Auto-orient based on EXIF
                 .resize(2000, 2000, { // Resize with limit
                     fit: 'inside',
                     withoutEnlargement: true
                 })
-                .toFormat(ext === '.png' ? 'png' : 'jpeg', {
+                .toFormat(outputFormat, {
                     quality: 80,
                     progressive: true
                 })
                 .toFile(processedPath);
+            created.push(processedPath);
 
             // Clean up original file
             fs.unlinkSync(filePath);
@@ -97,56 +217,80 @@ const processFile = async (filePath) => {
             return {
                 originalPath: filePath,
                 processedPath,
-                mimeType,
-                type: 'image'
-            };
-        } else if (mimeType.startsWith('application/pdf')) {
-            // For PDFs, just move to processed directory
-            fs.renameSync(filePath, processedPath);
-            return {
-                originalPath: filePath,
-                processedPath,
-                mimeType,
-                type: 'document'
-            };
-        } else {
-            // For other files, move to processed directory without processing
-            fs.renameSync(filePath, processedPath);
-            return {
-                originalPath: filePath,
-                processedPath,
-                mimeType,
-                type: 'other'
+                mimeType: mime.lookup(processedPath),
+                type: 'image',
+                width,
+                height
             };
         }
+
+        const processedPath = path.join(processedDir, `${baseName}-processed${ext}`);
+        // Documents and other files are moved to the processed directory without processing
+        fs.renameSync(filePath, processedPath);
+        return {
+            originalPath: filePath,
+            processedPath,
+            mimeType,
+            type: mimeType.startsWith('application/pdf') ? 'document' : 'other'
+        };
     } catch (error) {
-        console.error('Error processing file:', error);
+        logger.error(`Error processing file: ${error.message}`, { stack: error.stack });
         // Clean up files if processing failed
-        if (fs.existsSync(filePath)) {
-            fs.unlinkSync(filePath);
-        }
+        [filePath, ...created].forEach(file => {
+            if (fs.existsSync(file)) {
+                fs.unlinkSync(file);
+            }
+        });
         throw error;
     }
 };
 
+/**
+ * Runs uploaded images through processFile (after validateUploads) and attaches the
+ * result as `file.processed`, for storage.utils' uploadProcessedImage
+ */
+const processImages = async (req, res, next) => {
+    const files = getUploadedFiles(req);
+
+    try {
+        for (const file of files) {
+            if (file.mimetype.startsWith('image/')) {
+                file.processed = await processFile(file.path);
+            }
+        }
+        next();
+    } catch (error) {
+        removeFiles(files);
+        next(new ApiError(422, "The uploaded image could not be processed"));
+    }
+};
+
 /**
  * Middleware to clean up temporary files after response is sent
+ * (uploads and processed outputs the controller did not move to storage)
  */
 const cleanupTempFiles = (req, res, next) => {
     res.on('finish', () => {
-        if (req.files) {
-            req.files.forEach(file => {
-                if (fs.existsSync(file.path)) {
-                    fs.unlinkSync(file.path);
-                }
-            });
-        }
+        const paths = getUploadedFiles(req).flatMap(file => [file.path, file.processed?.processedPath]);
+
+        paths.filter(Boolean).forEach(filePath => {
+            if (fs.existsSync(filePath)) {
+                fs.unlinkSync(filePath);
+            }
+        });
     });
     next();
 };
 
 export {
-    upload,
+    createUpload,
+    uploadImage,
+    uploadResume,
+    uploadAttachments,
+    IMAGE_TYPES,
+    RESUME_TYPES,
+    ATTACHMENT_TYPES,
     processFile,
+    processImages,
     cleanupTempFiles
 };
\ No newline at end of file
@@ -0,0 +1,77 @@
+import { ApiError } from "../utils/ApiError.utils.js";
+import logger from "../utils/logger.utils.js";
+
+/**
+ * Checks whether an admin holds a permission (superadmins hold every permission)
+ * @param {object} admin - Admin document attached by verifyAdminJwt
+ * @param {string} permission - Key of Admin.permissions, e.g. "manageBlog"
+ * @returns {boolean}
+ */
+export const hasPermission = (admin, permission) => {
+    if (!admin) return false;
+    if (admin.role === "superadmin") return true;
+    return admin.permissions?.[permission] === true;
+};
+
+/**
+ * Route middleware requiring every listed permission. Must run after verifyAdminJwt.
+ * @example router.use(verifyAdminJwt, requirePermission("manageBlog"));
+ * @param {...string} permissions - Keys of Admin.permissions
+ */
+export const requirePermission = (...permissions) => (req, res, next) => {
+    if (!req.admin) {
+        return next(new ApiError(401, "Unauthorized request - admin authentication required"));
+    }
+
+    const missing = permissions.filter(permission => !hasPermission(req.admin, permission));
+    if (missing.length > 0) {
+        logger.warn(`Admin ${req.admin._id} denied ${req.method} ${req.originalUrl}`, { missing });
+        return next(new ApiError(
+            403,
+            `Forbidden: missing required permission${missing.length > 1 ? "s" : ""}: ${missing.join(", ")}`,
+            missing.map(permission => ({ permission }))
+        ));
+    }
+
+    next();
+};
+
+/**
+ * Route middleware requiring at least one of the listed permissions. Must run after verifyAdminJwt.
+ * @example router.get("/admins", requireAnyPermission("assignRoles", "managePermissions"), listAdmins);
+ * @param {...string} permissions - Keys of Admin.permissions
+ */
+export const requireAnyPermission = (...permissions) => (req, res, next) => {
+    if (!req.admin) {
+        return next(new ApiError(401, "Unauthorized request - admin authentication required"));
+    }
+
+    if (!permissions.some(permission => hasPermission(req.admin, permission))) {
+        logger.warn(`Admin ${req.admin._id} denied ${req.method} ${req.originalUrl}`, { anyOf: permissions });
+        return next(new ApiError(
+            403,
+            `Forbidden: requires one of the permissions: ${permissions.join(", ")}`,
+            permissions.map(permission => ({ permission }))
+        ));
+    }
+
+    next();
+};
+
+/**
+ * Route middleware requiring one of the listed admin roles. Must run after verifyAdminJwt.
+ * @example router.route("/create-admin").post(requireRole("superadmin"), createAdmin);
+ * @param {...string} roles - Allowed values of Admin.role
+ */
+export const requireRole = (...roles) => (req, res, next) => {
+    if (!req.admin) {
+        return next(new ApiError(401, "Unauthorized request - admin authentication required"));
+    }
+
+    if (!roles.includes(req.admin.role)) {
+        logger.warn(`Admin ${req.admin._id} with role ${req.admin.role} denied ${req.method} ${req.originalUrl}`);
+        return next(new ApiError(403, `Forbidden: requires role ${roles.join(" or ")}`));
+    }
+
+    next();
+};
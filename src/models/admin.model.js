@@ -1,6 +1,8 @@
 import mongoose, { Schema } from "mongoose";
 import bcrypt from "bcrypt";
 import jwt from "jsonwebtoken";
+import crypto from "crypto";
+import { verifyTotp, decryptSecret, hashBackupCode } from "../utils/totp.utils.js";
 
 const adminSchema = new Schema({
     fullName: {
@@ -20,10 +22,6 @@ const adminSchema = new Schema({
         required: true,
         minlength: 8
     },
-    refreshToken: {
-        type: String,
-        select: false // Never returned in queries unless explicitly requested
-    },
     resetToken: String,
     resetTokenExpires: Date,
     role: {
@@ -73,8 +71,27 @@ const adminSchema = new Schema({
         manageSiteSettings: { type: Boolean, default: false }
     }
     ,
+    // TOTP two-factor authentication (secrets are encrypted, backup codes hashed)
+    twoFactor: {
+        enabled: { type: Boolean, default: false },
+        secret: { type: String, select: false },
+        pendingSecret: { type: String, select: false },
+        backupCodes: { type: [String], select: false },
+        lastUsedStep: { type: Number, select: false },
+        enabledAt: Date
+    },
     lastLogin: Date,
     loginIP: String,
+    // Lockout after repeated failed logins (see loginSecurity.utils.js)
+    failedLoginAttempts: {
+        type: Number,
+        default: 0
+    },
+    lockCount: {
+        type: Number,
+        default: 0
+    },
+    lockUntil: Date,
     isActive: {
         type: Boolean,
         default: true
@@ -97,27 +114,161 @@ adminSchema.methods.comparePassword = async function (password) {
     return await bcrypt.compare(password, this.password);
 };
 
-// Generate access token method (keep existing)
-adminSchema.methods.generateAccessToken = function () {
+// Generate access token bound to a login session
+adminSchema.methods.generateAccessToken = function (sessionId) {
     return jwt.sign({
         _id: this._id,
         role: this.role,
-        email: this.email
+        email: this.email,
+        sid: sessionId
     }, process.env.ACCESS_TOKEN_SECRET, {
         expiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || "15m"
     });
 };
 
-// NEW: Generate refresh token method
-adminSchema.methods.generateRefreshToken = function () {
+// Generate refresh token bound to a login session (unique per rotation)
+adminSchema.methods.generateRefreshToken = function (sessionId) {
     return jwt.sign({
-        _id: this._id
+        _id: this._id,
+        sid: sessionId
     }, process.env.REFRESH_TOKEN_SECRET, {
-        expiresIn: process.env.REFRESH_TOKEN_EXPIRES_IN || "7d"
+        expiresIn: process.env.REFRESH_TOKEN_EXPIRES_IN || "7d",
+        jwtid: crypto.randomUUID()
+    });
+};
+
+// Short-lived token proving the password step passed, exchanged for a session after 2FA
+adminSchema.methods.generatePreAuthToken = function (purpose) {
+    return jwt.sign({
+        _id: this._id,
+        purpose
+    }, process.env.ACCESS_TOKEN_SECRET, {
+        expiresIn: "5m",
+        audience: "admin-2fa"
     });
 };
 
+// Find an admin including the select:false two-factor fields
+adminSchema.statics.findByIdWithTwoFactor = function (id) {
+    return this.findById(id)
+        .select("+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes +twoFactor.lastUsedStep");
+};
+
+/**
+ * Checks a second factor: a TOTP code, or a one-time backup code (consumed on use).
+ * Needs a document loaded with findByIdWithTwoFactor. The matched TOTP step and a used
+ * backup code are written to the database right away, so neither can be used twice.
+ * @param {object} params
+ * @param {string} [params.code] - 6-digit authenticator code
+ * @param {string} [params.backupCode] - Backup recovery code
+ * @param {boolean} [params.pending=false] - Check against the secret being enrolled instead
+ * @returns {Promise<"totp"|"backup"|null>} Which factor matched
+ */
+adminSchema.methods.verifyTwoFactor = async function ({ code, backupCode, pending = false } = {}) {
+    const encryptedSecret = pending ? this.twoFactor.pendingSecret : this.twoFactor.secret;
+
+    if (code && encryptedSecret) {
+        const step = verifyTotp(decryptSecret(encryptedSecret), code, { afterStep: this.twoFactor.lastUsedStep });
+
+        // Claimed atomically so a code can't be replayed, even by a concurrent request
+        if (step !== null) {
+            const { modifiedCount } = await this.constructor.updateOne(
+                {
+                    _id: this._id,
+                    $or: [{ "twoFactor.lastUsedStep": { $lt: step } }, { "twoFactor.lastUsedStep": null }]
+                },
+                { $set: { "twoFactor.lastUsedStep": step } }
+            );
+
+            if (modifiedCount === 1) {
+                this.twoFactor.lastUsedStep = step;
+                this.unmarkModified("twoFactor.lastUsedStep");
+                return "totp";
+            }
+        }
+    }
+
+    if (backupCode && !pending) {
+        const hash = hashBackupCode(backupCode);
+
+        // Pulled atomically so two concurrent requests can't both spend the same code
+        const { modifiedCount } = await this.constructor.updateOne(
+            { _id: this._id, "twoFactor.backupCodes": hash },
+            { $pull: { "twoFactor.backupCodes": hash } }
+        );
+
+        if (modifiedCount === 1) {
+            // Mirror the removal without making save() rewrite the stored array
+            const index = (this.twoFactor.backupCodes || []).indexOf(hash);
+            if (index !== -1) {
+                this.twoFactor.backupCodes.splice(index, 1);
+                this.unmarkModified("twoFactor.backupCodes");
+            }
+            return "backup";
+        }
+    }
+
+    return null;
+};
+
+// All permission keys declared under `permissions`
+const PERMISSION_KEYS = Object.keys(adminSchema.paths)
+    .filter(path => path.startsWith("permissions."))
+    .map(path => path.replace("permissions.", ""));
+
+// Default permissions granted when an admin is created with (or moved to) a role
+const ROLE_DEFAULT_PERMISSIONS = {
+    superadmin: Object.fromEntries(PERMISSION_KEYS.map(key => [key, true])),
+    admin: {
+        // Core Site Management
+        manageServices: true,
+        managePortfolio: true,
+        manageClients: true,
+        manageProjects: true,
+
+        // Team & Content
+        manageTeam: true,
+        manageTestimonials: true,
+        manageBlog: true,
+
+        // Communication / CRM
+        manageLeads: true,
+        manageContacts: true, // The "admin" role used to imply it; see scripts/migrate-admin-contact-access.js
+        sendBulkEmails: true,
+
+        // Finance
+        manageInvoices: true,
+        managePayments: true,
+        managePlans: true,
+
+        // Admin & Role Control
+        viewActivityLogs: true
+    },
+    moderator: {
+        // Limited content management
+        manageBlog: true,
+        manageTestimonials: true,
+
+        // Limited client interaction
+        manageLeads: true,
+        manageContacts: true,
+
+        viewActivityLogs: false
+    },
+    client: {
+        // Very limited access
+        manageProjects: false,
+        viewActivityLogs: false
+    }
+};
+
+// Returns a full permissions object (every key present) for the given role
+adminSchema.statics.getDefaultPermissions = function (role) {
+    const defaults = ROLE_DEFAULT_PERMISSIONS[role] || {};
+    return Object.fromEntries(PERMISSION_KEYS.map(key => [key, defaults[key] === true]));
+};
 
+adminSchema.statics.PERMISSION_KEYS = PERMISSION_KEYS;
 
 const Admin = mongoose.model("Admin", adminSchema);
 
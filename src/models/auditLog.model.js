@@ -0,0 +1,70 @@
+import mongoose, { Schema } from "mongoose";
+
+const auditLogSchema = new Schema({
+    actor: {
+        type: Schema.Types.ObjectId,
+        refPath: "actorModel",
+        required: true,
+        index: true
+    },
+    actorModel: {
+        type: String,
+        enum: ["Admin", "Client"],
+        default: "Admin"
+    },
+    // Snapshot so the entry stays readable if the admin is later deleted
+    actorEmail: {
+        type: String,
+        trim: true,
+        lowercase: true
+    },
+    action: {
+        type: String,
+        required: true,
+        trim: true,
+        index: true // e.g. "admin.role.update"
+    },
+    targetModel: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    targetId: {
+        type: Schema.Types.ObjectId,
+        index: true
+    },
+    changes: {
+        before: {
+            type: Schema.Types.Mixed,
+            default: null
+        },
+        after: {
+            type: Schema.Types.Mixed,
+            default: null
+        }
+    },
+    ipAddress: {
+        type: String,
+        trim: true,
+        default: ""
+    },
+    userAgent: {
+        type: String,
+        trim: true,
+        default: ""
+    },
+    metadata: {
+        type: Schema.Types.Mixed,
+        default: {}
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// For common query patterns
+auditLogSchema.index({ targetModel: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+
+export default AuditLog;
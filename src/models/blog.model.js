@@ -1,6 +1,7 @@
 import mongoose, { Schema } from "mongoose";
 import slugify from "slugify";
 import readingTime from "reading-time";
+import { storedImageFields } from "./storedFile.schema.js";
 
 const blogSchema = new Schema({
     title: {
@@ -50,6 +51,7 @@ const blogSchema = new Schema({
         ref: "Client"
     }],
     coverImage: {
+        ...storedImageFields(),
         url: {
             type: String,
             default: ""
@@ -1,4 +1,6 @@
 import mongoose, { Schema } from "mongoose";
+import { storedFileFields } from "./storedFile.schema.js";
+import { SUPPORTED_LOCALES, DEFAULT_LOCALE } from "../utils/emailTemplate.utils.js";
 
 const careerSchema = new Schema({
     // Basic Applicant Information
@@ -24,20 +26,8 @@ const careerSchema = new Schema({
         type: String,
         required: true
     },
-    resume: {
-        url: {
-            type: String,
-            required: true
-        },
-        publicId: {
-            type: String,
-            required: true
-        }
-    },
-    coverLetter: {
-        url: String,
-        publicId: String
-    },
+    resume: storedFileFields({ required: true }),
+    coverLetter: storedFileFields(),
 
     // Application Status
     status: {
@@ -51,6 +41,12 @@ const careerSchema = new Schema({
         type: String,
         enum: ["Website", "LinkedIn", "Referral", "Job Fair", "Other"],
         default: "Website"
+    },
+    // Language of the emails sent to the applicant
+    locale: {
+        type: String,
+        enum: SUPPORTED_LOCALES,
+        default: DEFAULT_LOCALE
     }
 }, {
     timestamps: true
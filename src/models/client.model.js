@@ -1,6 +1,12 @@
 import mongoose, { Schema } from "mongoose";
 import bcrypt from "bcrypt";
 import jwt from "jsonwebtoken";
+import crypto from "crypto";
+import { storedImageFields } from "./storedFile.schema.js";
+import { SUPPORTED_LOCALES, DEFAULT_LOCALE } from "../utils/emailTemplate.utils.js";
+
+// Email verification links stay valid for 24 hours
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000;
 
 const clientSchema = new Schema({
     fullName: {
@@ -15,15 +21,31 @@ const clientSchema = new Schema({
         trim: true,
         lowercase: true
     },
+    // Social (OAuth) accounts may have no password or phone until the client adds them
     password: {
         type: String,
-        required: true,
+        required: function () {
+            return !this.oauthAccounts?.length;
+        },
         minlength: 6
     },
     phone: {
         type: String,
-        required: true,
-        unique: true
+        required: function () {
+            return !this.oauthAccounts?.length;
+        },
+        unique: true,
+        sparse: true
+    },
+    oauthAccounts: {
+        type: [{
+            _id: false,
+            provider: { type: String, required: true },
+            providerId: { type: String, required: true },
+            email: String,
+            linkedAt: { type: Date, default: Date.now }
+        }],
+        default: []
     },
     role: {
         type: String,
@@ -31,25 +53,36 @@ const clientSchema = new Schema({
         default: "client"
     },
     profileImage: {
-        type: String,
-        default: "default-profile.png"
+        ...storedImageFields(),
+        url: {
+            type: String,
+            default: "default-profile.png"
+        }
     },
     address: {
         country: String,
         city: String,
         street: String
     },
+    // Language of the emails we send
+    locale: {
+        type: String,
+        enum: SUPPORTED_LOCALES,
+        default: DEFAULT_LOCALE
+    },
     status: {
         type: String,
-        enum: ["active", "inactive", "banned", "pending"],
+        enum: ["active", "inactive", "banned", "pending", "deleted"],
         default: "active"
     },
     isEmailVerified: {
         type: Boolean,
         default: false
     },
+    // Hash of the current phone OTP, never the code itself
     phoneVerificationToken: {
-        type: String
+        type: String,
+        select: false
     },
     phoneVerificationExpires: {
         type: Date
@@ -58,12 +91,26 @@ const clientSchema = new Schema({
         type: Number,
         default: 0
     },
+    phoneVerificationSentAt: {
+        type: Date
+    },
+    phoneVerificationLockedUntil: {
+        type: Date
+    },
     isPhoneVerified: {
         type: Boolean,
         default: false
     },
+    // SHA-256 hash of the email verification token, never the token itself
     verificationToken: {
-        type: String
+        type: String,
+        select: false
+    },
+    verificationTokenExpires: {
+        type: Date
+    },
+    verificationSentAt: {
+        type: Date
     },
     resetPasswordToken: {
         type: String
@@ -71,11 +118,43 @@ const clientSchema = new Schema({
     resetPasswordExpires: {
         type: Date
     },
-    refreshToken: {
+    lastLogin: {
+        type: Date
+    },
+    loginIP: {
         type: String
+    },
+    // Lockout after repeated failed logins (see loginSecurity.utils.js)
+    failedLoginAttempts: {
+        type: Number,
+        default: 0
+    },
+    lockCount: {
+        type: Number,
+        default: 0
+    },
+    lockUntil: {
+        type: Date
+    },
+    // Self-deletion: the account is purged (anonymized) once the grace period ends
+    deletionRequestedAt: {
+        type: Date
+    },
+    deletionScheduledFor: {
+        type: Date,
+        index: true
+    },
+    deletedAt: {
+        type: Date
     }
 }, { timestamps: true });
 
+// One client per provider identity
+clientSchema.index(
+    { "oauthAccounts.provider": 1, "oauthAccounts.providerId": 1 },
+    { unique: true, partialFilterExpression: { "oauthAccounts.providerId": { $exists: true } } }
+);
+
 // Hash password before saving
 clientSchema.pre("save", async function (next) {
     if (!this.isModified("password")) return next();
@@ -85,17 +164,19 @@ clientSchema.pre("save", async function (next) {
 
 // Compare password
 clientSchema.methods.comparePassword = async function (password) {
+    if (!this.password || !password) return false; // Social-only account
     return await bcrypt.compare(password, this.password);
 };
 
-// Generate access token
-clientSchema.methods.generateAccessToken = function () {
+// Generate access token bound to a login session
+clientSchema.methods.generateAccessToken = function (sessionId) {
     return jwt.sign(
         {
             _id: this._id,
             email: this.email,
             fullName: this.fullName,
-            role: this.role
+            role: this.role,
+            sid: sessionId
         },
         process.env.ACCESS_TOKEN_SECRET,
         {
@@ -104,17 +185,40 @@ clientSchema.methods.generateAccessToken = function () {
     );
 };
 
-// Generate refresh token
-clientSchema.methods.generateRefreshToken = function () {
+// Generate refresh token bound to a login session (unique per rotation)
+clientSchema.methods.generateRefreshToken = function (sessionId) {
     return jwt.sign(
-        { _id: this._id },
+        { _id: this._id, sid: sessionId },
         process.env.REFRESH_TOKEN_SECRET,
         {
-            expiresIn: process.env.REFRESH_TOKEN_EXPIRES_IN || "7d"
+            expiresIn: process.env.REFRESH_TOKEN_EXPIRES_IN || "7d",
+            jwtid: crypto.randomUUID()
         }
     );
 };
 
+/**
+ * Hashes an email verification token for storage and lookup
+ * @param {string} token - Raw token from the verification link
+ * @returns {string}
+ */
+clientSchema.statics.hashVerificationToken = function (token) {
+    return crypto.createHash("sha256").update(String(token)).digest("hex");
+};
+
+/**
+ * Creates a new email verification token, storing only its hash and expiry
+ * @returns {string} Raw token to put in the verification link
+ */
+clientSchema.methods.generateEmailVerificationToken = function () {
+    const token = crypto.randomBytes(32).toString("hex");
+
+    this.verificationToken = this.constructor.hashVerificationToken(token);
+    this.verificationTokenExpires = Date.now() + EMAIL_VERIFICATION_TTL_MS;
+    this.verificationSentAt = Date.now();
+    return token;
+};
+
 const Client = mongoose.model("Client", clientSchema);
 
 export default Client;
\ No newline at end of file
@@ -1,4 +1,45 @@
 import mongoose, { Schema } from "mongoose";
+import { storedFileFields } from "./storedFile.schema.js";
+
+// Allowed status transitions (current status -> statuses it may move to)
+export const STATUS_TRANSITIONS = Object.freeze({
+    "pending": ["under-review", "declined"],
+    "under-review": ["pending", "approved", "declined"],
+    "approved": ["completed"],
+    "declined": ["under-review"],
+    "completed": []
+});
+
+// One entry per status change
+const statusHistorySchema = new Schema({
+    from: {
+        type: String,
+        default: null
+    },
+    to: {
+        type: String,
+        required: true
+    },
+    changedBy: {
+        type: Schema.Types.ObjectId,
+        refPath: "statusHistory.changedByModel",
+        required: true
+    },
+    changedByModel: {
+        type: String,
+        enum: ["Admin", "Client"],
+        required: true
+    },
+    note: {
+        type: String,
+        trim: true,
+        maxlength: [1000, "Note cannot be more than 1000 characters"]
+    },
+    changedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
 
 const clientServiceRequestSchema = new Schema({
     title: {
@@ -33,18 +74,11 @@ const clientServiceRequestSchema = new Schema({
     },
     attachments: {
         type: [{
-            url: {
-                type: String,
-                required: true
-            },
-            publicId: {
-                type: String,
-                required: true
-            },
-            resourceType: {
-                type: String,
-                enum: ["image", "video", "raw", "auto"],
-                required: true
+            ...storedFileFields({ required: true }),
+            // Set only by the upload endpoint; marks a file the server stored for this request
+            uploadedBy: {
+                type: Schema.Types.ObjectId,
+                ref: "Client"
             },
             uploadedAt: {
                 type: Date,
@@ -56,9 +90,26 @@ const clientServiceRequestSchema = new Schema({
 
     status: {
         type: String,
-        enum: ["pending", "under-review", "approved", "declined", "completed"],
+        enum: Object.keys(STATUS_TRANSITIONS),
         default: "pending"
     },
+    statusHistory: {
+        type: [statusHistorySchema],
+        default: []
+    },
+    // Shown to the client when the request is declined
+    rejectionReason: {
+        type: String,
+        trim: true,
+        maxlength: [1000, "Rejection reason cannot be more than 1000 characters"]
+    },
+    // Internal notes, only visible to admins
+    adminNotes: {
+        type: String,
+        trim: true,
+        maxlength: [2000, "Admin notes cannot be more than 2000 characters"],
+        select: false
+    },
     createdBy: {
         type: Schema.Types.ObjectId,
         ref: "Client",
@@ -68,5 +119,96 @@ const clientServiceRequestSchema = new Schema({
     timestamps: true
 });
 
+// Record the initial status when the request is created
+clientServiceRequestSchema.pre("save", function (next) {
+    if (this.isNew && this.statusHistory.length === 0) {
+        this.statusHistory.push({
+            from: null,
+            to: this.status,
+            changedBy: this.createdBy,
+            changedByModel: "Client",
+            note: "Request submitted"
+        });
+    }
+    next();
+});
+
+/**
+ * Checks whether a request may move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean}
+ */
+clientServiceRequestSchema.statics.canTransition = function (from, to) {
+    return (STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+/**
+ * Applies a status change and appends it to statusHistory (does not save).
+ * Callers must check canTransition first.
+ * @param {string} status - New status
+ * @param {object} change
+ * @param {ObjectId} change.changedBy - Admin or client making the change
+ * @param {string} change.changedByModel - "Admin" or "Client"
+ * @param {string} [change.note] - Note visible on the timeline
+ * @param {string} [change.rejectionReason] - Required when declining
+ */
+clientServiceRequestSchema.methods.transitionTo = function (status, { changedBy, changedByModel, note, rejectionReason }) {
+    this.statusHistory.push({
+        from: this.status,
+        to: status,
+        changedBy,
+        changedByModel,
+        note
+    });
+    this.status = status;
+    this.rejectionReason = status === "declined" ? rejectionReason : undefined;
+};
+
+/**
+ * Attachments the server uploaded for this request. Entries without an uploader were
+ * written from request bodies before that was blocked, and may point at files this
+ * request doesn't own, so they are never signed or deleted.
+ * @returns {object[]}
+ */
+clientServiceRequestSchema.methods.getUploadedAttachments = function () {
+    const ownerId = this.createdBy?._id || this.createdBy;
+    return this.attachments.filter(attachment => ownerId && attachment.uploadedBy?.equals(ownerId));
+};
+
+/**
+ * Finds an attachment the server uploaded for this request
+ * @param {string} publicId - Stored file public ID
+ * @returns {object|undefined}
+ */
+clientServiceRequestSchema.methods.findUploadedAttachment = function (publicId) {
+    return this.getUploadedAttachments().find(attachment => attachment.publicId === publicId);
+};
+
+/**
+ * Timeline of status changes, oldest first, with the statuses the request can move to next
+ * @param {object} [options]
+ * @param {boolean} [options.includeActors=false] - Include who made each change (admin views only)
+ */
+clientServiceRequestSchema.methods.getTimeline = function ({ includeActors = false } = {}) {
+    return {
+        currentStatus: this.status,
+        rejectionReason: this.status === "declined" ? this.rejectionReason : undefined,
+        nextStatuses: STATUS_TRANSITIONS[this.status] || [],
+        history: this.statusHistory.map(entry => ({
+            from: entry.from,
+            to: entry.to,
+            note: entry.note,
+            changedAt: entry.changedAt,
+            changedByModel: entry.changedByModel,
+            ...(includeActors && { changedBy: entry.changedBy })
+        }))
+    };
+};
+
+// For admin listing filters
+clientServiceRequestSchema.index({ status: 1, createdAt: -1 });
+clientServiceRequestSchema.index({ createdBy: 1, createdAt: -1 });
+
 const ClientServiceRequest = mongoose.model("ClientServiceRequest", clientServiceRequestSchema);
 export default ClientServiceRequest;
@@ -0,0 +1,32 @@
+import mongoose, { Schema } from "mongoose";
+
+// Named sequences (e.g. "invoice-2025"), incremented atomically so concurrent requests never get the same number
+const counterSchema = new Schema({
+    _id: {
+        type: String,
+        required: true
+    },
+    seq: {
+        type: Number,
+        default: 0
+    }
+}, { versionKey: false });
+
+/**
+ * Increments a sequence and returns the new value, creating the sequence at 1 if needed
+ * @param {string} name - Sequence name
+ * @param {object} [session] - Mongoose session
+ * @returns {Promise<number>}
+ */
+counterSchema.statics.next = async function (name, session) {
+    const counter = await this.findOneAndUpdate(
+        { _id: name },
+        { $inc: { seq: 1 } },
+        { upsert: true, new: true, session: session || null }
+    );
+    return counter.seq;
+};
+
+const Counter = mongoose.model("Counter", counterSchema);
+
+export default Counter;
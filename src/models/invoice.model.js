@@ -0,0 +1,236 @@
+import mongoose, { Schema } from "mongoose";
+import { roundMoney } from "../utils/money.utils.js";
+import Counter from "./counter.model.js";
+
+// Line item schema (embedded in the invoice)
+const lineItemSchema = new Schema({
+    description: {
+        type: String,
+        required: [true, "Line item description is required"],
+        trim: true
+    },
+    quantity: {
+        type: Number,
+        default: 1,
+        min: [0, "Quantity cannot be negative"]
+    },
+    unitPrice: {
+        type: Number,
+        required: [true, "Line item unit price is required"],
+        min: [0, "Unit price cannot be negative"]
+    },
+    amount: {
+        type: Number,
+        min: 0
+    }
+}, { _id: false });
+
+// Payment against the invoice, recorded manually or by the payment gateway (partial payments allowed)
+const paymentSchema = new Schema({
+    amount: {
+        type: Number,
+        required: true,
+        min: [0.01, "Payment amount must be greater than zero"]
+    },
+    method: {
+        type: String,
+        enum: ["bank-transfer", "card", "cash", "cheque", "online", "other"],
+        default: "bank-transfer"
+    },
+    reference: {
+        type: String,
+        trim: true
+    },
+    note: {
+        type: String,
+        trim: true
+    },
+    paidAt: {
+        type: Date,
+        default: Date.now
+    },
+    recordedBy: {
+        type: Schema.Types.ObjectId,
+        ref: "Admin"
+    },
+    // Set for payments made through the payment gateway
+    transaction: {
+        type: Schema.Types.ObjectId,
+        ref: "PaymentTransaction"
+    },
+    refundedAmount: {
+        type: Number,
+        default: 0,
+        min: 0
+    }
+});
+
+const invoiceSchema = new Schema({
+    invoiceNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    client: {
+        type: Schema.Types.ObjectId,
+        ref: "Client",
+        required: [true, "Client is required"]
+    },
+    serviceRequest: {
+        type: Schema.Types.ObjectId,
+        ref: "ClientServiceRequest"
+    },
+    quote: {
+        type: Schema.Types.ObjectId,
+        ref: "Quote"
+    },
+    lineItems: {
+        type: [lineItemSchema],
+        validate: {
+            validator: v => Array.isArray(v) && v.length > 0,
+            message: "An invoice needs at least one line item"
+        }
+    },
+    currency: {
+        type: String,
+        uppercase: true,
+        trim: true,
+        default: "USD"
+    },
+    discount: {
+        type: Number,
+        default: 0,
+        min: [0, "Discount cannot be negative"]
+    },
+    taxRate: {
+        type: Number,
+        default: 0,
+        min: [0, "Tax rate cannot be negative"],
+        max: [100, "Tax rate cannot exceed 100"]
+    },
+    subtotal: {
+        type: Number,
+        default: 0
+    },
+    taxAmount: {
+        type: Number,
+        default: 0
+    },
+    total: {
+        type: Number,
+        default: 0
+    },
+    payments: {
+        type: [paymentSchema],
+        default: []
+    },
+    amountPaid: {
+        type: Number,
+        default: 0
+    },
+    balanceDue: {
+        type: Number,
+        default: 0
+    },
+    status: {
+        type: String,
+        enum: ["draft", "sent", "paid", "overdue", "void"],
+        default: "draft"
+    },
+    issueDate: {
+        type: Date,
+        default: Date.now
+    },
+    dueDate: {
+        type: Date,
+        required: [true, "Due date is required"]
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [2000, "Notes cannot be more than 2000 characters"]
+    },
+    sentAt: {
+        type: Date
+    },
+    paidAt: {
+        type: Date
+    },
+    voidedAt: {
+        type: Date
+    },
+    voidReason: {
+        type: String,
+        trim: true
+    },
+    createdBy: {
+        type: Schema.Types.ObjectId,
+        ref: "Admin",
+        required: true
+    }
+}, { timestamps: true });
+
+// Keep amounts, balance and paid status in sync
+invoiceSchema.pre("validate", function (next) {
+    this.lineItems.forEach(item => {
+        item.amount = roundMoney(item.quantity * item.unitPrice);
+    });
+
+    this.subtotal = roundMoney(this.lineItems.reduce((sum, item) => sum + item.amount, 0));
+    const taxable = Math.max(this.subtotal - (this.discount || 0), 0);
+    this.taxAmount = roundMoney(taxable * (this.taxRate || 0) / 100);
+    this.total = roundMoney(taxable + this.taxAmount);
+
+    this.amountPaid = roundMoney(this.payments.reduce((sum, payment) => sum + payment.amount - (payment.refundedAmount || 0), 0));
+    this.balanceDue = roundMoney(Math.max(this.total - this.amountPaid, 0));
+
+    if (["sent", "overdue"].includes(this.status) && this.total > 0 && this.balanceDue === 0) {
+        this.status = "paid";
+        this.paidAt = this.paidAt || new Date();
+    } else if (this.status === "paid" && this.balanceDue > 0) {
+        // A refund reopened the balance
+        this.status = this.dueDate < new Date() ? "overdue" : "sent";
+        this.paidAt = undefined;
+    }
+    next();
+});
+
+/**
+ * Generates the next sequential invoice number for the current year, e.g. INV-2025-0042.
+ * The number comes from an atomic counter, so concurrent invoices never share one.
+ * @param {object} [session] - Mongoose session
+ * @returns {Promise<string>}
+ */
+invoiceSchema.statics.generateInvoiceNumber = async function (session) {
+    const year = new Date().getFullYear();
+    const prefix = `INV-${year}-`;
+    const counterId = `invoice-${year}`;
+
+    // Invoices numbered before the counter existed are never deleted, so their count is where the year's counter starts
+    if (!(await Counter.exists({ _id: counterId }).session(session || null))) {
+        const issued = await this.countDocuments({ invoiceNumber: { $regex: `^${prefix}` } }).session(session || null);
+        await Counter.updateOne({ _id: counterId }, { $setOnInsert: { seq: issued } }, { upsert: true, session: session || null });
+    }
+
+    const next = await Counter.next(counterId, session);
+    return `${prefix}${String(next).padStart(4, "0")}`;
+};
+
+/**
+ * Flags sent invoices past their due date as overdue. Run on a schedule (see src/index.js), not per request.
+ * @returns {Promise<number>} Number of invoices marked overdue
+ */
+invoiceSchema.statics.markOverdue = async function () {
+    const { modifiedCount } = await this.updateMany(
+        { status: "sent", dueDate: { $lt: new Date() } },
+        { status: "overdue" }
+    );
+    return modifiedCount;
+};
+
+invoiceSchema.index({ client: 1, status: 1, createdAt: -1 });
+invoiceSchema.index({ status: 1, dueDate: 1 });
+
+const Invoice = mongoose.model("Invoice", invoiceSchema);
+
+export default Invoice;
@@ -0,0 +1,66 @@
+import mongoose, { Schema } from "mongoose";
+
+// Background job, run by the worker in utils/jobQueue.utils.js
+const jobSchema = new Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        index: true // e.g. "email.send"
+    },
+    payload: {
+        type: Schema.Types.Mixed,
+        default: {}
+    },
+    // pending -> running -> completed, or back to pending for a retry, or dead once attempts run out
+    status: {
+        type: String,
+        enum: ["pending", "running", "completed", "dead"],
+        default: "pending"
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    maxAttempts: {
+        type: Number,
+        default: 5,
+        min: 1
+    },
+    // Earliest time the job may run (pushed back after each failure)
+    runAt: {
+        type: Date,
+        default: Date.now
+    },
+    lockedAt: {
+        type: Date
+    },
+    lockedBy: {
+        type: String
+    },
+    lastError: {
+        type: String
+    },
+    // Most recent failures, newest last
+    failures: [{
+        attempt: Number,
+        message: String,
+        at: Date
+    }],
+    completedAt: {
+        type: Date
+    },
+    deadAt: {
+        type: Date
+    }
+}, { timestamps: true });
+
+// Worker polling: due pending jobs and running jobs with stale locks
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ status: 1, lockedAt: 1 });
+// Completed jobs are removed by MongoDB after a week; dead jobs stay until retried or deleted
+jobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+const Job = mongoose.model("Job", jobSchema);
+
+export default Job;
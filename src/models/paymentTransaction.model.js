@@ -0,0 +1,132 @@
+import mongoose, { Schema } from "mongoose";
+import { roundMoney } from "../utils/money.utils.js";
+
+// Refund issued against an online payment. It is saved as "processing" before the provider
+// is called (see refundTransaction) and gets its provider ID once the provider answers.
+const refundSchema = new Schema({
+    providerRefundId: {
+        type: String
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: [0.01, "Refund amount must be greater than zero"]
+    },
+    reason: {
+        type: String,
+        trim: true
+    },
+    status: {
+        type: String,
+        enum: ["processing", "pending", "succeeded", "failed", "canceled", "requires_action"],
+        default: "pending"
+    },
+    createdBy: {
+        type: Schema.Types.ObjectId,
+        ref: "Admin",
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// One online checkout attempt for an invoice (full balance or a deposit)
+const paymentTransactionSchema = new Schema({
+    invoice: {
+        type: Schema.Types.ObjectId,
+        ref: "Invoice",
+        required: true
+    },
+    client: {
+        type: Schema.Types.ObjectId,
+        ref: "Client",
+        required: true
+    },
+    provider: {
+        type: String,
+        required: true
+    },
+    kind: {
+        type: String,
+        enum: ["balance", "deposit"],
+        default: "balance"
+    },
+    checkoutSessionId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    checkoutUrl: {
+        type: String
+    },
+    providerPaymentId: {
+        type: String,
+        index: true
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: [0.01, "Amount must be greater than zero"]
+    },
+    currency: {
+        type: String,
+        uppercase: true,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ["pending", "succeeded", "failed", "expired", "refunded", "partially-refunded"],
+        default: "pending"
+    },
+    refunds: {
+        type: [refundSchema],
+        default: []
+    },
+    amountRefunded: {
+        type: Number,
+        default: 0
+    },
+    // Part of the payment that went past the invoice total and has to be refunded
+    overpaidAmount: {
+        type: Number,
+        default: 0
+    },
+    refundRequired: {
+        type: Boolean,
+        default: false
+    },
+    completedAt: {
+        type: Date
+    }
+}, { timestamps: true });
+
+// Keep the refunded total and status in sync with the refunds
+paymentTransactionSchema.pre("validate", function (next) {
+    const refunded = this.refunds
+        .filter(refund => !["failed", "canceled"].includes(refund.status))
+        .reduce((sum, refund) => sum + refund.amount, 0);
+
+    this.amountRefunded = roundMoney(refunded);
+
+    if (["succeeded", "refunded", "partially-refunded"].includes(this.status) && this.amountRefunded > 0) {
+        this.status = this.amountRefunded >= this.amount ? "refunded" : "partially-refunded";
+    }
+
+    if (this.refundRequired && this.amountRefunded >= this.overpaidAmount) {
+        this.refundRequired = false;
+    }
+    next();
+});
+
+paymentTransactionSchema.index({ invoice: 1, createdAt: -1 });
+paymentTransactionSchema.index({ status: 1, createdAt: -1 });
+paymentTransactionSchema.index({ refundRequired: 1 }, { partialFilterExpression: { refundRequired: true } });
+
+// At most one open checkout per invoice, so two can't both be paid in full
+paymentTransactionSchema.index({ invoice: 1 }, { unique: true, partialFilterExpression: { status: "pending" } });
+
+const PaymentTransaction = mongoose.model("PaymentTransaction", paymentTransactionSchema);
+
+export default PaymentTransaction;
@@ -1,11 +1,121 @@
 import mongoose, { Schema } from "mongoose";
+import slugify from "slugify";
+import { storedFileFields } from "./storedFile.schema.js";
 
+// Gallery image schema (embedded in the portfolio entry)
+const galleryImageSchema = new Schema({
+    ...storedFileFields({ required: true }),
+    caption: {
+        type: String,
+        trim: true,
+        default: ""
+    },
+    uploadedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
 
-const portfolioSchema = new Schema({}, { timestamps: true })
+// Outcome / metric schema, e.g. { label: "Conversion rate", value: "+35%" }
+const outcomeSchema = new Schema({
+    label: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    value: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true
+    }
+}, { _id: false });
 
+const portfolioSchema = new Schema({
+    title: {
+        type: String,
+        required: [true, "Portfolio title is required"],
+        trim: true,
+        maxlength: [200, "Title cannot be more than 200 characters"]
+    },
+    slug: {
+        type: String,
+        unique: true,
+        index: true
+    },
+    clientName: {
+        type: String,
+        required: [true, "Client name is required"],
+        trim: true
+    },
+    summary: {
+        type: String,
+        trim: true,
+        maxlength: [300, "Summary cannot be more than 300 characters"]
+    },
+    description: {
+        type: String,
+        required: [true, "Portfolio description is required"],
+        trim: true
+    },
+    services: [{
+        type: Schema.Types.ObjectId,
+        ref: "Services"
+    }],
+    techStack: {
+        type: [String],
+        default: []
+    },
+    gallery: {
+        type: [galleryImageSchema],
+        default: []
+    },
+    outcomes: {
+        type: [outcomeSchema],
+        default: []
+    },
+    projectUrl: {
+        type: String,
+        trim: true
+    },
+    completedAt: {
+        type: Date
+    },
+    status: {
+        type: String,
+        enum: ["draft", "published"],
+        default: "draft"
+    },
+    featured: {
+        type: Boolean,
+        default: false
+    },
+    createdBy: {
+        type: Schema.Types.ObjectId,
+        ref: "Admin",
+        required: true
+    }
+}, { timestamps: true });
 
+// Pre-save hook for slug generation
+portfolioSchema.pre("save", function (next) {
+    if (this.isModified("title")) {
+        this.slug = slugify(this.title, {
+            lower: true,
+            strict: true,
+            remove: /[*+~.()'"!:@]/g
+        });
+    }
+    next();
+});
 
-const Portfolio = mongoose.model("Portfolio", portfolioSchema)
+// For common query patterns
+portfolioSchema.index({ status: 1, createdAt: -1 });
+portfolioSchema.index({ services: 1 });
 
+const Portfolio = mongoose.model("Portfolio", portfolioSchema);
 
 export default Portfolio;
@@ -0,0 +1,156 @@
+import mongoose, { Schema } from "mongoose";
+import { roundMoney } from "../utils/money.utils.js";
+
+// Line item schema (embedded in the quote)
+const lineItemSchema = new Schema({
+    description: {
+        type: String,
+        required: [true, "Line item description is required"],
+        trim: true
+    },
+    quantity: {
+        type: Number,
+        default: 1,
+        min: [0, "Quantity cannot be negative"]
+    },
+    unitPrice: {
+        type: Number,
+        required: [true, "Line item unit price is required"],
+        min: [0, "Unit price cannot be negative"]
+    },
+    amount: {
+        type: Number,
+        min: 0
+    }
+}, { _id: false });
+
+const quoteSchema = new Schema({
+    serviceRequest: {
+        type: Schema.Types.ObjectId,
+        ref: "ClientServiceRequest",
+        required: true
+    },
+    client: {
+        type: Schema.Types.ObjectId,
+        ref: "Client",
+        required: true
+    },
+    // Each revision is a new document; older ones are kept as "superseded"
+    version: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    status: {
+        type: String,
+        enum: ["sent", "accepted", "rejected", "superseded", "expired"],
+        default: "sent"
+    },
+    // Pricing tier the quote was seeded from, if any
+    source: {
+        pricing: {
+            type: Schema.Types.ObjectId,
+            ref: "Pricing"
+        },
+        tierName: {
+            type: String,
+            trim: true
+        }
+    },
+    lineItems: {
+        type: [lineItemSchema],
+        validate: {
+            validator: v => Array.isArray(v) && v.length > 0,
+            message: "A quote needs at least one line item"
+        }
+    },
+    discount: {
+        type: {
+            type: String,
+            enum: ["percentage", "fixed"],
+            default: "fixed"
+        },
+        value: {
+            type: Number,
+            default: 0,
+            min: [0, "Discount cannot be negative"]
+        }
+    },
+    currency: {
+        type: String,
+        uppercase: true,
+        trim: true,
+        default: "USD"
+    },
+    subtotal: {
+        type: Number,
+        default: 0
+    },
+    discountAmount: {
+        type: Number,
+        default: 0
+    },
+    total: {
+        type: Number,
+        default: 0
+    },
+    validUntil: {
+        type: Date,
+        required: [true, "Quote validity date is required"]
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [2000, "Notes cannot be more than 2000 characters"]
+    },
+    issuedBy: {
+        type: Schema.Types.ObjectId,
+        ref: "Admin",
+        required: true
+    },
+    respondedAt: {
+        type: Date
+    },
+    rejectionReason: {
+        type: String,
+        trim: true,
+        maxlength: [1000, "Rejection reason cannot be more than 1000 characters"]
+    }
+}, { timestamps: true });
+
+// Keep line amounts and totals in sync with the line items and discount
+quoteSchema.pre("validate", function (next) {
+    this.lineItems.forEach(item => {
+        item.amount = roundMoney(item.quantity * item.unitPrice);
+    });
+
+    this.subtotal = roundMoney(this.lineItems.reduce((sum, item) => sum + item.amount, 0));
+
+    const discountValue = this.discount?.value || 0;
+    if (this.discount?.type === "percentage" && discountValue > 100) {
+        this.invalidate("discount.value", "Percentage discount cannot exceed 100");
+    }
+
+    const discountAmount = this.discount?.type === "percentage"
+        ? this.subtotal * discountValue / 100
+        : discountValue;
+
+    this.discountAmount = roundMoney(Math.min(discountAmount, this.subtotal));
+    this.total = roundMoney(this.subtotal - this.discountAmount);
+    next();
+});
+
+/**
+ * Whether the quote can no longer be accepted because its validity date has passed
+ * @returns {boolean}
+ */
+quoteSchema.methods.isExpired = function () {
+    return this.validUntil < new Date();
+};
+
+quoteSchema.index({ serviceRequest: 1, version: -1 }, { unique: true });
+quoteSchema.index({ client: 1, status: 1 });
+
+const Quote = mongoose.model("Quote", quoteSchema);
+
+export default Quote;
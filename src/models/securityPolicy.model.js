@@ -0,0 +1,46 @@
+import mongoose, { Schema } from "mongoose";
+
+// Global security settings managed by superadmins (a single document)
+const securityPolicySchema = new Schema({
+    key: {
+        type: String,
+        default: "global",
+        unique: true,
+        immutable: true
+    },
+    // Admins holding manageSecuritySettings (incl. every superadmin) must use 2FA
+    requireTwoFactorForSecurityAdmins: {
+        type: Boolean,
+        default: false
+    },
+    updatedBy: {
+        type: Schema.Types.ObjectId,
+        ref: "Admin"
+    }
+}, { timestamps: true });
+
+/**
+ * Returns the global policy, creating it with defaults on first use
+ * @returns {Promise<object>}
+ */
+securityPolicySchema.statics.getPolicy = async function () {
+    return this.findOneAndUpdate(
+        { key: "global" },
+        { $setOnInsert: { key: "global" } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+};
+
+/**
+ * Whether the policy forces an admin to use 2FA
+ * @param {object} admin - Admin document
+ * @returns {boolean}
+ */
+securityPolicySchema.methods.requiresTwoFactorFor = function (admin) {
+    if (!this.requireTwoFactorForSecurityAdmins || !admin) return false;
+    return admin.role === "superadmin" || admin.permissions?.manageSecuritySettings === true;
+};
+
+const SecurityPolicy = mongoose.model("SecurityPolicy", securityPolicySchema);
+
+export default SecurityPolicy;
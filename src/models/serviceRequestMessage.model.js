@@ -0,0 +1,63 @@
+import mongoose, { Schema } from "mongoose";
+import { storedFileFields } from "./storedFile.schema.js";
+
+// Files attached to a message (see utils/storage.utils.js)
+const messageAttachmentSchema = new Schema({
+    ...storedFileFields({ required: true }),
+    fileName: {
+        type: String,
+        trim: true
+    },
+    size: {
+        type: Number
+    }
+}, { _id: false });
+
+const serviceRequestMessageSchema = new Schema({
+    serviceRequest: {
+        type: Schema.Types.ObjectId,
+        ref: "ClientServiceRequest",
+        required: true
+    },
+    sender: {
+        type: Schema.Types.ObjectId,
+        refPath: "senderModel",
+        required: true
+    },
+    senderModel: {
+        type: String,
+        enum: ["Admin", "Client"],
+        required: true
+    },
+    body: {
+        type: String,
+        trim: true,
+        maxlength: [5000, "Message cannot be more than 5000 characters"],
+        default: ""
+    },
+    attachments: {
+        type: [messageAttachmentSchema],
+        default: []
+    },
+    // Set when the other side (client for admin messages, admins for client messages) reads it
+    readAt: {
+        type: Date,
+        default: null
+    }
+}, { timestamps: true });
+
+// A message needs either text or at least one attachment
+serviceRequestMessageSchema.pre("validate", function (next) {
+    if (!this.body && this.attachments.length === 0) {
+        this.invalidate("body", "Message must have text or at least one attachment");
+    }
+    next();
+});
+
+// Thread listing and unread counts
+serviceRequestMessageSchema.index({ serviceRequest: 1, createdAt: 1 });
+serviceRequestMessageSchema.index({ serviceRequest: 1, senderModel: 1, readAt: 1 });
+
+const ServiceRequestMessage = mongoose.model("ServiceRequestMessage", serviceRequestMessageSchema);
+
+export default ServiceRequestMessage;
@@ -1,4 +1,5 @@
 import mongoose, { Schema } from "mongoose";
+import { storedImageFields } from "./storedFile.schema.js";
 
 const servicesSchema = new Schema({
     title: {
@@ -64,9 +65,7 @@ const servicesSchema = new Schema({
         enum: ["active", "inactive"],
         default: "active"
     },
-    thumbnail: {
-        type: String
-    },
+    thumbnail: storedImageFields(),
     createdBy: {
         type: Schema.Types.ObjectId,
         ref: "Admin",
@@ -0,0 +1,69 @@
+import mongoose, { Schema } from "mongoose";
+
+// One login on one device. Refresh tokens rotate within the session, so a session is a token family.
+const sessionSchema = new Schema({
+    user: {
+        type: Schema.Types.ObjectId,
+        refPath: "userModel",
+        required: true
+    },
+    userModel: {
+        type: String,
+        enum: ["Admin", "Client"],
+        required: true
+    },
+    // SHA-256 hash of the current refresh token, never the token itself
+    refreshTokenHash: {
+        type: String,
+        required: true,
+        select: false
+    },
+    device: {
+        type: String,
+        trim: true,
+        default: "Unknown device"
+    },
+    ipAddress: {
+        type: String,
+        trim: true,
+        default: ""
+    },
+    userAgent: {
+        type: String,
+        trim: true,
+        default: ""
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedReason: {
+        type: String,
+        enum: ["logout", "revoked", "reuse-detected", "password-changed", "account-deactivated", "account-deleted", null],
+        default: null
+    }
+}, { timestamps: true });
+
+/**
+ * Whether the session can still be used to refresh tokens
+ * @returns {boolean}
+ */
+sessionSchema.methods.isActive = function () {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+sessionSchema.index({ user: 1, userModel: 1, revokedAt: 1 });
+// Expired sessions are removed by MongoDB a day after they lapse
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const Session = mongoose.model("Session", sessionSchema);
+
+export default Session;
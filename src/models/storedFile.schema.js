@@ -0,0 +1,73 @@
+import { Schema } from "mongoose";
+
+/**
+ * Fields of an uploaded file descriptor, as returned by uploadFile() in utils/storage.utils.js.
+ * Spread into a schema so each model can add its own fields (altText, caption, ...).
+ * @param {{required?: boolean}} [options] - Whether url and publicId are required
+ * @returns {object} Schema definition
+ */
+export const storedFileFields = ({ required = false } = {}) => ({
+    url: {
+        type: String,
+        required
+    },
+    publicId: {
+        type: String,
+        required
+    },
+    resourceType: {
+        type: String,
+        enum: ["image", "video", "raw", "auto"]
+    },
+    bytes: {
+        type: Number
+    },
+    // Storage driver holding the file; missing on files uploaded before drivers existed (Cloudinary)
+    provider: {
+        type: String,
+        enum: ["cloudinary", "local", "s3"]
+    },
+    // Private files are only served through short-lived signed URLs
+    access: {
+        type: String,
+        enum: ["public", "private"],
+        default: "public"
+    }
+});
+
+/**
+ * Fields of a processed image: the normalized original, as returned by uploadProcessedImage()
+ * in utils/storage.utils.js, plus responsive variants added by the "image.variants" job
+ * (utils/imageVariants.utils.js). The frontend builds `srcset` from `variants` once they are
+ * there and shows `placeholder` while loading.
+ * @returns {object} Schema definition
+ */
+export const storedImageFields = () => ({
+    ...storedFileFields(),
+    width: {
+        type: Number
+    },
+    height: {
+        type: Number
+    },
+    // Tiny blurred WebP as a data URI (LQIP)
+    placeholder: {
+        type: String
+    },
+    variants: {
+        type: [new Schema({
+            ...storedFileFields({ required: true }),
+            format: {
+                type: String,
+                enum: ["webp", "avif"]
+            },
+            width: {
+                type: Number
+            },
+            height: {
+                type: Number
+            }
+        }, { _id: false })],
+        default: []
+    }
+});
@@ -0,0 +1,38 @@
+import mongoose, { Schema } from "mongoose";
+
+// Processed payment webhooks, used to make webhook handling idempotent
+const webhookEventSchema = new Schema({
+    provider: {
+        type: String,
+        required: true
+    },
+    eventId: {
+        type: String,
+        required: true
+    },
+    type: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ["processing", "processed", "ignored", "failed"],
+        default: "processing"
+    },
+    error: {
+        type: String
+    },
+    payload: {
+        type: Schema.Types.Mixed
+    },
+    processedAt: {
+        type: Date
+    }
+}, { timestamps: true });
+
+// Each provider event is handled at most once
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+const WebhookEvent = mongoose.model("WebhookEvent", webhookEventSchema);
+
+export default WebhookEvent;
@@ -3,23 +3,50 @@ import {
     createSuperadmin,
     createAdmin,
     loginAdmin,
+    verifyAdminLoginTwoFactor,
     logoutAdmin,
     refreshAdminToken,
     deleteAdmin,
     changePassword,
     requestPasswordReset,
     resetPassword,
-    getCurrentAdmin
+    getCurrentAdmin,
+    getAllAdmins,
+    getAdminById,
+    updateAdminRole,
+    updateAdminPermissions,
+    deactivateAdmin,
+    reactivateAdmin,
+    unlockAdmin,
+    getAdminAuditTrail
 } from "../controllers/admin.controller.js";
-import { verifyAdminJwt, verifyAdminRefreshToken } from "../middlewares/admin.auth.middlewares.js";
+import { getAuditLogs, getAuditLogById } from "../controllers/auditLog.controller.js";
+import { getJobs, getJobById, retryDeadJob } from "../controllers/job.controller.js";
+import { getEmailTemplates, previewEmailTemplate } from "../controllers/emailTemplate.controller.js";
+import { getMySessions, revokeMySession, revokeOtherSessions } from "../controllers/session.controller.js";
+import {
+    getTwoFactorStatus,
+    startTwoFactorSetup,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateBackupCodes,
+    getSecurityPolicy,
+    updateSecurityPolicy
+} from "../controllers/twoFactor.controller.js";
+import { verifyAdminJwt, verifyAdminPreAuth } from "../middlewares/admin.auth.middlewares.js";
 import { authRateLimiter, strictAuthRateLimiter } from "../middlewares/ratelimit.middleware.js";
+import { requireRole, requirePermission, requireAnyPermission } from "../middlewares/permission.middlewares.js";
 
 const router = express.Router();
 
 // Public routes
-router.route("/init-superadmin").post(createSuperadmin); // Should be protected in production
+router.route("/init-superadmin").post(strictAuthRateLimiter, createSuperadmin); // One-time bootstrap, requires X-Bootstrap-Secret
 router.route("/login").post(authRateLimiter, loginAdmin);
-router.route("/refresh-token").post(verifyAdminRefreshToken, authRateLimiter, refreshAdminToken);
+router.route("/login/2fa")
+    .post(authRateLimiter, verifyAdminPreAuth("2fa-login", "2fa-setup"), verifyAdminLoginTwoFactor); // Second step: preAuthToken + code
+router.route("/login/2fa/setup")
+    .post(authRateLimiter, verifyAdminPreAuth("2fa-setup"), startTwoFactorSetup); // Enrollment required by policy
+router.route("/refresh-token").post(authRateLimiter, refreshAdminToken); // Rotates the refresh token
 
 // Password reset routes (public)
 router.route("/request-password-reset")
@@ -31,10 +58,80 @@ router.route("/reset-password")
 router.use(verifyAdminJwt);
 
 router.route("/me").get(getCurrentAdmin);
-router.route("/create-admin").post(createAdmin);
-router.route("/:adminId").delete(deleteAdmin); // DELETE /api/v1/admin/:adminId
+
+// Own sessions (declared before /:adminId so DELETE /sessions isn't taken as an admin ID)
+router.route("/sessions")
+    .get(getMySessions) // GET /api/v1/admin/sessions
+    .delete(revokeOtherSessions); // DELETE /api/v1/admin/sessions - logout all other devices
+router.route("/sessions/:sessionId")
+    .delete(revokeMySession); // DELETE /api/v1/admin/sessions/:sessionId
+
+router.route("/create-admin").post(requireRole("superadmin"), createAdmin);
+router.route("/:adminId").delete(requireRole("superadmin"), deleteAdmin); // DELETE /api/v1/admin/:adminId
 router.route("/logout").post(logoutAdmin);
 router.route("/change-password")
     .post(strictAuthRateLimiter, changePassword); // POST /api/v1/admin/change-password
 
+// Two-factor authentication (own account)
+router.route("/2fa").get(getTwoFactorStatus); // GET /api/v1/admin/2fa
+router.route("/2fa/setup").post(startTwoFactorSetup); // POST /api/v1/admin/2fa/setup
+router.route("/2fa/enable").post(authRateLimiter, enableTwoFactor); // POST /api/v1/admin/2fa/enable
+router.route("/2fa/disable").post(strictAuthRateLimiter, disableTwoFactor); // POST /api/v1/admin/2fa/disable
+router.route("/2fa/backup-codes").post(strictAuthRateLimiter, regenerateBackupCodes); // POST /api/v1/admin/2fa/backup-codes
+
+// Security policy
+router.route("/security-policy")
+    .get(requireRole("superadmin"), getSecurityPolicy) // GET /api/v1/admin/security-policy
+    .patch(requireRole("superadmin"), updateSecurityPolicy); // PATCH /api/v1/admin/security-policy
+
+// Admin role & permission management
+router.route("/admins")
+    .get(requireAnyPermission("assignRoles", "managePermissions"), getAllAdmins); // GET /api/v1/admin/admins
+
+router.route("/admins/:adminId")
+    .get(requireAnyPermission("assignRoles", "managePermissions"), getAdminById); // GET /api/v1/admin/admins/:adminId
+
+router.route("/admins/:adminId/role")
+    .patch(requirePermission("assignRoles"), updateAdminRole); // PATCH /api/v1/admin/admins/:adminId/role
+
+router.route("/admins/:adminId/permissions")
+    .patch(requirePermission("managePermissions"), updateAdminPermissions); // PATCH /api/v1/admin/admins/:adminId/permissions
+
+router.route("/admins/:adminId/deactivate")
+    .patch(requirePermission("assignRoles"), deactivateAdmin); // PATCH /api/v1/admin/admins/:adminId/deactivate
+
+router.route("/admins/:adminId/reactivate")
+    .patch(requirePermission("assignRoles"), reactivateAdmin); // PATCH /api/v1/admin/admins/:adminId/reactivate
+
+router.route("/admins/:adminId/unlock")
+    .patch(requirePermission("assignRoles"), unlockAdmin); // PATCH /api/v1/admin/admins/:adminId/unlock
+
+router.route("/admins/:adminId/audit-trail")
+    .get(requireAnyPermission("viewActivityLogs", "managePermissions"), getAdminAuditTrail); // GET /api/v1/admin/admins/:adminId/audit-trail
+
+// Audit logs (all admin mutations)
+router.route("/audit-logs")
+    .get(requireAnyPermission("viewActivityLogs", "accessLogs"), getAuditLogs); // GET /api/v1/admin/audit-logs
+
+router.route("/audit-logs/:logId")
+    .get(requireAnyPermission("viewActivityLogs", "accessLogs"), getAuditLogById); // GET /api/v1/admin/audit-logs/:logId
+
+// Background jobs (email delivery, storage cleanup)
+router.route("/jobs")
+    .get(requireAnyPermission("accessLogs", "manageDeployments"), getJobs); // GET /api/v1/admin/jobs?status=dead
+
+router.route("/jobs/:jobId")
+    .get(requireAnyPermission("accessLogs", "manageDeployments"), getJobById); // GET /api/v1/admin/jobs/:jobId
+
+router.route("/jobs/:jobId/retry")
+    .post(requirePermission("manageDeployments"), retryDeadJob); // POST /api/v1/admin/jobs/:jobId/retry
+
+// Transactional email templates
+router.route("/email-templates")
+    .get(requirePermission("manageSiteSettings"), getEmailTemplates); // GET /api/v1/admin/email-templates
+
+router.route("/email-templates/:name/preview")
+    .get(requirePermission("manageSiteSettings"), previewEmailTemplate) // GET /api/v1/admin/email-templates/:name/preview?locale=es&format=html
+    .post(requirePermission("manageSiteSettings"), previewEmailTemplate); // POST with { locale, variables } to preview custom data
+
 export default router;
\ No newline at end of file
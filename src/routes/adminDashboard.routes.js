@@ -1,8 +1,5 @@
 import { Router } from "express";
-import {
-    verifyAdminJwt,
-    verifyAdminRefreshToken
-} from "../middlewares/admin.auth.middlewares.js";
+import { verifyAdminJwt } from "../middlewares/admin.auth.middlewares.js";
 import {
     authRateLimiter,
     strictAuthRateLimiter
@@ -12,12 +9,44 @@ import {
     getClientById,
     updateClient,
     deleteClient,
+    unlockClient,
+    exportClientData,
+    purgeClient,
     getAllBlogs,
     getBlogById,
     deleteBlog,
     changeBlogStatus,
-    toggleBlogFeatured
+    toggleBlogFeatured,
+    getAllServiceRequests,
+    getServiceRequestById,
+    updateServiceRequestStatus,
+    getServiceRequestTimeline,
+    getServiceRequestAttachmentUrl
 } from "../controllers/adminDashboard.controller.js";
+import {
+    getAdminRequestMessages,
+    sendAdminRequestMessage,
+    getAdminMessageAttachmentUrl,
+    getAdminUnreadCounts
+} from "../controllers/serviceRequestMessage.controller.js";
+import { createQuote, getRequestQuotes } from "../controllers/quote.controller.js";
+import {
+    createInvoice,
+    getAllInvoices,
+    getInvoiceById,
+    updateInvoice,
+    sendInvoice,
+    recordPayment,
+    voidInvoice,
+    getInvoiceHtml
+} from "../controllers/invoice.controller.js";
+import {
+    getAllTransactions,
+    getTransactionById,
+    refundTransaction
+} from "../controllers/payment.controller.js";
+import { uploadAttachments } from "../middlewares/multler.middlewares.js";
+import { requirePermission } from "../middlewares/permission.middlewares.js";
 
 const router = Router();
 
@@ -28,6 +57,8 @@ router.use(authRateLimiter);
 router.use(verifyAdminJwt);
 
 // Client management routes
+router.use("/clients", requirePermission("manageClients"));
+
 router.route("/clients")
     .get(getAllClients);
 
@@ -36,7 +67,21 @@ router.route("/clients/:id")
     .patch(updateClient)
     .delete(strictAuthRateLimiter, deleteClient);
 
+router.route("/clients/:id/unlock")
+    .patch(unlockClient); // Clear failed-login lockout
+
+// Privacy requests (GDPR export and erasure)
+router.use("/privacy", requirePermission("managePrivacySettings"));
+
+router.route("/privacy/clients/:id/export")
+    .get(exportClientData);
+
+router.route("/privacy/clients/:id/purge")
+    .delete(strictAuthRateLimiter, purgeClient); // Erase now, without the grace period
+
 // Blog management routes
+router.use("/blogs", requirePermission("manageBlog"));
+
 router.route("/blogs")
     .get(getAllBlogs);
 
@@ -50,4 +95,71 @@ router.route("/blogs/:id/status")
 router.route("/blogs/:id/toggle")
     .patch(toggleBlogFeatured);
 
+// Client service request management routes
+router.use("/service-requests", requirePermission("manageProjects"));
+
+router.route("/service-requests")
+    .get(getAllServiceRequests);
+
+router.route("/service-requests/messages/unread")
+    .get(getAdminUnreadCounts);
+
+router.route("/service-requests/:id")
+    .get(getServiceRequestById);
+
+router.route("/service-requests/:id/status")
+    .patch(updateServiceRequestStatus);
+
+router.route("/service-requests/:id/attachments/:publicId/download")
+    .get(getServiceRequestAttachmentUrl); // Short-lived signed download link
+
+router.route("/service-requests/:id/timeline")
+    .get(getServiceRequestTimeline);
+
+router.route("/service-requests/:id/messages")
+    .get(getAdminRequestMessages)
+    .post(uploadAttachments.array("attachments"), sendAdminRequestMessage);
+
+router.route("/service-requests/:id/messages/:messageId/attachments/:publicId/download")
+    .get(getAdminMessageAttachmentUrl); // Short-lived signed download link
+
+router.route("/service-requests/:id/quotes")
+    .get(getRequestQuotes)
+    .post(createQuote);
+
+// Invoice management routes
+router.use("/invoices", requirePermission("manageInvoices"));
+
+router.route("/invoices")
+    .get(getAllInvoices)
+    .post(createInvoice);
+
+router.route("/invoices/:id")
+    .get(getInvoiceById)
+    .patch(updateInvoice);
+
+router.route("/invoices/:id/html")
+    .get(getInvoiceHtml);
+
+router.route("/invoices/:id/send")
+    .post(strictAuthRateLimiter, sendInvoice);
+
+router.route("/invoices/:id/payments")
+    .post(requirePermission("managePayments"), recordPayment);
+
+router.route("/invoices/:id/void")
+    .patch(voidInvoice);
+
+// Online payment routes
+router.use("/payments", requirePermission("managePayments"));
+
+router.route("/payments")
+    .get(getAllTransactions);
+
+router.route("/payments/:id")
+    .get(getTransactionById);
+
+router.route("/payments/:id/refunds")
+    .post(strictAuthRateLimiter, refundTransaction);
+
 export default router;
\ No newline at end of file
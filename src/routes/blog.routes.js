@@ -9,8 +9,8 @@ import {
     uploadCoverImage,
     getBlogsByAuthor
 } from "../controllers/Blog.controller.js";
-import { upload } from "../middlewares/multler.middlewares.js";
-import { verifyJwt } from "../middlewares/auth.middlewares.js";
+import { uploadImage, processImages, cleanupTempFiles } from "../middlewares/multler.middlewares.js";
+import { verifyJwt, requireVerifiedEmail } from "../middlewares/auth.middlewares.js";
 import { authRateLimiter } from "../middlewares/ratelimit.middleware.js";
 
 const router = Router();
@@ -27,7 +27,7 @@ router.route("/author/:authorId")
 
 // Protected routes (require JWT authentication)
 router.route("/")
-    .post(verifyJwt, authRateLimiter, createBlog); // Create new blog
+    .post(verifyJwt, requireVerifiedEmail, authRateLimiter, createBlog); // Create new blog (verified email only)
 
 router.route("/:blogId")
     .patch(verifyJwt, updateBlog) // Update blog
@@ -39,7 +39,9 @@ router.route("/:blogId/like")
 router.route("/:blogId/cover-image")
     .patch(
         verifyJwt,
-        upload.single("coverImage"),
+        cleanupTempFiles,
+        uploadImage.single("coverImage"),
+        processImages, // Normalize; WebP/AVIF variants are built by a background job
         uploadCoverImage
     ); // Upload/update cover image
 
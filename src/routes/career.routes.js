@@ -4,11 +4,13 @@ import {
     getAllCareerApplications,
     updateApplicationStatus,
     deleteCareerApplication,
+    getResumeDownloadUrl,
 } from "../controllers/career.controller.js";
 import { verifyAdminJwt } from "../middlewares/admin.auth.middlewares.js";
 import { verifyJwt } from "../middlewares/auth.middlewares.js";
-import { upload } from "../middlewares/multler.middlewares.js";
+import { uploadResume } from "../middlewares/multler.middlewares.js";
 import { authRateLimiter } from "../middlewares/ratelimit.middleware.js";
+import { requirePermission } from "../middlewares/permission.middlewares.js";
 
 const router = Router();
 
@@ -16,17 +18,18 @@ const router = Router();
 router.post(
     "/",
     authRateLimiter,
-    upload.single("resume"),
+    uploadResume.single("resume"),
     createCareerApplication
 );
 
 
 
 // Admin protected routes
-router.use(verifyAdminJwt); // Applies to all routes below
+router.use(verifyAdminJwt, requirePermission("manageTeam")); // Applies to all routes below
 
 router.get("/", authRateLimiter, getAllCareerApplications);
 router.patch("/:id/status", authRateLimiter, updateApplicationStatus);
 router.delete("/:id", authRateLimiter, deleteCareerApplication);
+router.get("/:id/resume", authRateLimiter, getResumeDownloadUrl); // Short-lived signed resume link
 
 export default router;
\ No newline at end of file
@@ -11,9 +11,23 @@ import {
     requestClientPasswordReset,
     resetClientPassword,
     uploadClientProfileImage,
-    verifyClientEmail
+    verifyClientEmail,
+    resendVerificationEmail,
+    requestPhoneOtp,
+    verifyPhoneOtp,
+    exportMyData,
+    requestAccountDeletion,
+    cancelAccountDeletion
 } from "../controllers/client.controller.js";
-import { upload } from "../middlewares/multler.middlewares.js";
+import {
+    getMyInvoices,
+    getMyInvoiceById,
+    getMyInvoiceHtml
+} from "../controllers/invoice.controller.js";
+import { createInvoiceCheckout } from "../controllers/payment.controller.js";
+import { getMySessions, revokeMySession, revokeOtherSessions } from "../controllers/session.controller.js";
+import { getOAuthProviders, startOAuthLogin, handleOAuthCallback } from "../controllers/oauth.controller.js";
+import { uploadImage, processImages, cleanupTempFiles } from "../middlewares/multler.middlewares.js";
 import { verifyJwt } from "../middlewares/auth.middlewares.js";
 import { authRateLimiter, strictAuthRateLimiter } from "../middlewares/ratelimit.middleware.js";
 const router = Router();
@@ -25,9 +39,22 @@ router.route("/register")
 router.route("/login")
     .post(authRateLimiter, loginClient); // Login client
 
+// Social login (OAuth 2.0 / OpenID Connect)
+router.route("/oauth/providers")
+    .get(getOAuthProviders); // Enabled providers
+
+router.route("/oauth/:provider")
+    .get(authRateLimiter, startOAuthLogin); // Redirect to the provider
+
+router.route("/oauth/:provider/callback")
+    .get(authRateLimiter, handleOAuthCallback); // Provider redirects back here
+
 router.route("/verify-email")
     .get(authRateLimiter, verifyClientEmail); // Verify email (GET /verify-email?token=...)
 
+router.route("/resend-verification")
+    .post(strictAuthRateLimiter, resendVerificationEmail); // Resend verification email
+
 router.route("/request-password-reset")
     .post(strictAuthRateLimiter, requestClientPasswordReset); // Request password reset
 
@@ -41,6 +68,14 @@ router.route("/logout")
 router.route("/refresh-token")
     .post(authRateLimiter, refreshClientAccessToken); // Refresh access token
 
+// Session (device) management
+router.route("/sessions")
+    .get(verifyJwt, getMySessions) // List active sessions
+    .delete(verifyJwt, revokeOtherSessions); // Logout all other devices
+
+router.route("/sessions/:sessionId")
+    .delete(verifyJwt, revokeMySession); // Revoke one session
+
 // Client profile routes
 router.route("/me")
     .get(verifyJwt, getCurrentClient); // Get current client
@@ -57,8 +92,38 @@ router.route("/change-password")
 router.route("/upload-profile-image")
     .patch(
         verifyJwt,
-        upload.single("profileImage"),
+        cleanupTempFiles,
+        uploadImage.single("profileImage"),
+        processImages, // Normalize; WebP/AVIF variants are built by a background job
         uploadClientProfileImage
     ); // Upload profile image
 
+// Phone verification (OTP by SMS)
+router.route("/verify-phone/request")
+    .post(verifyJwt, strictAuthRateLimiter, requestPhoneOtp); // Send verification code
+
+router.route("/verify-phone/confirm")
+    .post(verifyJwt, authRateLimiter, verifyPhoneOtp); // Confirm verification code
+
+// Privacy: data export and account deletion
+router.route("/account/export")
+    .get(verifyJwt, strictAuthRateLimiter, exportMyData); // Download my data (?format=json|zip)
+
+router.route("/account/delete")
+    .post(verifyJwt, strictAuthRateLimiter, requestAccountDeletion) // Schedule account deletion
+    .delete(verifyJwt, cancelAccountDeletion); // Cancel scheduled deletion
+
+// Client invoice routes
+router.route("/invoices")
+    .get(verifyJwt, getMyInvoices); // Get client's invoices
+
+router.route("/invoices/:invoiceId")
+    .get(verifyJwt, getMyInvoiceById); // Get single invoice
+
+router.route("/invoices/:invoiceId/html")
+    .get(verifyJwt, getMyInvoiceHtml); // Printable HTML invoice
+
+router.route("/invoices/:invoiceId/checkout")
+    .post(verifyJwt, authRateLimiter, createInvoiceCheckout); // Pay invoice online (full balance or deposit)
+
 export default router;
\ No newline at end of file
@@ -2,16 +2,27 @@ import { Router } from "express";
 import {
     uploadServiceRequestAttachments,
     deleteServiceRequestAttachment,
+    getServiceRequestAttachmentUrl,
     createServiceRequest,
     getClientServiceRequests,
     getServiceRequestById,
+    getServiceRequestTimeline,
     updateServiceRequest,
-    deleteServiceRequest,
-    getAllServiceRequests,
-    updateServiceRequestStatus
+    deleteServiceRequest
 } from "../controllers/clientService.controller.js";
-import { upload } from "../middlewares/multler.middlewares.js";
-import { verifyJwt } from "../middlewares/auth.middlewares.js";
+import {
+    getClientRequestMessages,
+    sendClientRequestMessage,
+    getClientMessageAttachmentUrl,
+    getClientUnreadCounts
+} from "../controllers/serviceRequestMessage.controller.js";
+import {
+    getClientRequestQuotes,
+    acceptQuote,
+    rejectQuote
+} from "../controllers/quote.controller.js";
+import { uploadAttachments } from "../middlewares/multler.middlewares.js";
+import { verifyJwt, requireVerifiedEmail } from "../middlewares/auth.middlewares.js";
 import { authRateLimiter } from "../middlewares/ratelimit.middleware.js";
 
 const router = Router();
@@ -20,25 +31,46 @@ const router = Router();
 router.use(verifyJwt);
 
 router.route('/:requestId/attachments')
-    .post(verifyJwt, upload.array('attachments'), uploadServiceRequestAttachments);
+    .post(verifyJwt, uploadAttachments.array('attachments'), uploadServiceRequestAttachments);
 
 router.route('/:requestId/attachments/:publicId')
     .delete(verifyJwt, deleteServiceRequestAttachment);
+
+router.route('/:requestId/attachments/:publicId/download')
+    .get(authRateLimiter, getServiceRequestAttachmentUrl); // Short-lived signed download link
 // Client service request routes
 router.route("/")
-    .post(authRateLimiter, createServiceRequest) // Create new service request
+    .post(authRateLimiter, requireVerifiedEmail, createServiceRequest) // Create new service request (verified email only)
     .get(authRateLimiter, getClientServiceRequests); // Get all client's service requests
 
+router.route("/messages/unread")
+    .get(authRateLimiter, getClientUnreadCounts); // Unread admin messages per request
+
 router.route("/:requestId")
     .get(authRateLimiter, getServiceRequestById) // Get single service request
     .patch(authRateLimiter, updateServiceRequest) // Update service request
     .delete(authRateLimiter, deleteServiceRequest); // Delete service request
 
-// Admin-only routes
-router.route("/admin/all")
-    .get(authRateLimiter, getAllServiceRequests); // Get all service requests (admin)
+router.route("/:requestId/timeline")
+    .get(authRateLimiter, getServiceRequestTimeline); // Status history of a service request
+
+router.route("/:requestId/messages")
+    .get(authRateLimiter, getClientRequestMessages) // Conversation thread (marks admin messages read)
+    .post(authRateLimiter, uploadAttachments.array('attachments'), sendClientRequestMessage); // Send a message
+
+router.route("/:requestId/messages/:messageId/attachments/:publicId/download")
+    .get(authRateLimiter, getClientMessageAttachmentUrl); // Short-lived signed download link
+
+router.route("/:requestId/quotes")
+    .get(authRateLimiter, getClientRequestQuotes); // All quote versions for a request
+
+router.route("/:requestId/quotes/:quoteId/accept")
+    .patch(authRateLimiter, acceptQuote); // Accept quote (approves the request)
+
+router.route("/:requestId/quotes/:quoteId/reject")
+    .patch(authRateLimiter, rejectQuote); // Reject quote with optional reason
 
-router.route("/admin/:requestId/status")
-    .patch(authRateLimiter, updateServiceRequestStatus); // Update request status (admin)
+// Admin management of service requests lives in the admin dashboard:
+// /api/v1/adminDashboard/service-requests (verifyAdminJwt + manageProjects)
 
 export default router;
\ No newline at end of file
@@ -11,6 +11,7 @@ import {
 import { verifyAdminJwt } from "../middlewares/admin.auth.middlewares.js";
 import { authRateLimiter } from "../middlewares/ratelimit.middleware.js";
 import { verifyJwt } from "../middlewares/auth.middlewares.js";
+import { requirePermission } from "../middlewares/permission.middlewares.js";
 
 const router = Router();
 
@@ -24,7 +25,7 @@ router.post("/auth", authRateLimiter, verifyJwt, createAuthenticatedContact);
 router.get("/client/me", authRateLimiter, verifyJwt, getMyContacts);
 
 // Admin protected routes
-router.use(verifyAdminJwt); // Applies to all routes below
+router.use(verifyAdminJwt, requirePermission("manageContacts")); // Applies to all routes below
 
 router.get("/", authRateLimiter, getAllContacts);
 router.route("/:id")
@@ -0,0 +1,11 @@
+import { Router } from "express";
+import { downloadLocalFile } from "../controllers/file.controller.js";
+import { authRateLimiter } from "../middlewares/ratelimit.middleware.js";
+
+const router = Router();
+
+// Signed download links of the local storage driver (see utils/storage.utils.js)
+router.route("/:publicId")
+    .get(authRateLimiter, downloadLocalFile);
+
+export default router;
@@ -0,0 +1,14 @@
+import { Router } from "express";
+import { handlePaymentWebhook, mockCheckout } from "../controllers/payment.controller.js";
+
+const router = Router();
+
+// Provider webhooks (public, authenticated by signature)
+router.route("/webhook/:provider")
+    .post(handlePaymentWebhook); // POST /api/v1/payments/webhook/:provider
+
+// Simulated hosted checkout for the mock provider (disabled in production)
+router.route("/mock/checkout/:sessionId")
+    .get(mockCheckout); // GET /api/v1/payments/mock/checkout/:sessionId?outcome=success|fail|cancel
+
+export default router;
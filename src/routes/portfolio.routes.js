@@ -0,0 +1,53 @@
+import { verifyAdminJwt } from "../middlewares/admin.auth.middlewares.js";
+import express from "express";
+import {
+    createPortfolio,
+    getAllPortfolios,
+    getPortfolioById,
+    updatePortfolio,
+    deletePortfolio,
+    togglePortfolioStatus,
+    uploadPortfolioGallery,
+    deletePortfolioGalleryImage,
+    getPublishedPortfolios,
+    getPublishedPortfolio
+} from "../controllers/portfolio.controller.js";
+import { uploadImage } from "../middlewares/multler.middlewares.js";
+import { requirePermission } from "../middlewares/permission.middlewares.js";
+import { authRateLimiter } from "../middlewares/ratelimit.middleware.js";
+
+const router = express.Router();
+
+// Public routes (no authentication required)
+router.route("/public")
+    .get(authRateLimiter, getPublishedPortfolios); // GET /api/v1/portfolio/public
+
+router.route("/public/:portfolioId")
+    .get(authRateLimiter, getPublishedPortfolio); // GET /api/v1/portfolio/public/:portfolioId (ID or slug)
+
+// Protected routes (require valid admin access token and managePortfolio permission)
+router.use(verifyAdminJwt, requirePermission("managePortfolio"));
+
+router.route("/")
+    .get(getAllPortfolios) // GET /api/v1/portfolio (admin view)
+    .post(createPortfolio); // POST /api/v1/portfolio
+
+router.route("/:portfolioId")
+    .get(getPortfolioById) // GET /api/v1/portfolio/:portfolioId (admin view)
+    .patch(updatePortfolio) // PATCH /api/v1/portfolio/:portfolioId
+    .delete(deletePortfolio); // DELETE /api/v1/portfolio/:portfolioId
+
+router.route("/:portfolioId/toggle-status")
+    .patch(togglePortfolioStatus); // PATCH /api/v1/portfolio/:portfolioId/toggle-status
+
+// Gallery routes
+router.route("/:portfolioId/gallery")
+    .post(
+        uploadImage.array("gallery"),
+        uploadPortfolioGallery
+    ); // POST /api/v1/portfolio/:portfolioId/gallery
+
+router.route("/:portfolioId/gallery/:imageId")
+    .delete(deletePortfolioGalleryImage); // DELETE /api/v1/portfolio/:portfolioId/gallery/:imageId
+
+export default router;
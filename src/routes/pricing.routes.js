@@ -1,5 +1,6 @@
 import { verifyAdminJwt } from "../middlewares/admin.auth.middlewares.js";
 import express from "express";
+import { requirePermission } from "../middlewares/permission.middlewares.js";
 import {
     createPricing,
     getPricingByServiceId,
@@ -14,8 +15,8 @@ const router = express.Router();
 router.route("/service/:serviceId")
     .get(getPricingByServiceId); // GET /api/v1/pricing/service/:serviceId
 
-// Protected routes (require valid admin access token)
-router.use(verifyAdminJwt);
+// Protected routes (require valid admin access token and managePlans permission)
+router.use(verifyAdminJwt, requirePermission("managePlans"));
 
 router.route("/")
     .post(createPricing); // POST /api/v1/pricing
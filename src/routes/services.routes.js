@@ -11,7 +11,8 @@ import {
     getActiveServices,
     getActiveServiceById
 } from "../controllers/services.controller.js";
-import { upload } from "../middlewares/multler.middlewares.js";
+import { uploadImage, processImages, cleanupTempFiles } from "../middlewares/multler.middlewares.js";
+import { requirePermission } from "../middlewares/permission.middlewares.js";
 
 const router = express.Router();
 
@@ -22,8 +23,8 @@ router.route("/public")
 router.route("/public/:serviceId")
     .get(getActiveServiceById); // GET /api/v1/services/public/:serviceId
 
-// Protected routes (require valid admin access token)
-router.use(verifyAdminJwt);
+// Protected routes (require valid admin access token and manageServices permission)
+router.use(verifyAdminJwt, requirePermission("manageServices"));
 
 router.route("/")
     .get(getAllServices) // GET /api/v1/services (admin view)
@@ -40,7 +41,9 @@ router.route("/:serviceId/toggle-status")
 // Thumbnail upload route
 router.route("/:serviceId/thumbnail")
     .post(
-        upload.single("thumbnail"),
+        cleanupTempFiles,
+        uploadImage.single("thumbnail"),
+        processImages, // Normalize; WebP/AVIF variants are built by a background job
         uploadThumbnail
     ); // POST /api/v1/services/:serviceId/thumbnail
 
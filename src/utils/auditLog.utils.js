@@ -0,0 +1,94 @@
+import AuditLog from "../models/auditLog.model.js";
+import logger from "./logger.utils.js";
+
+// Converts documents / ObjectIds / Dates into plain JSON-safe values
+const toPlain = (value) => {
+    if (value === undefined || value === null) return null;
+    if (typeof value.toObject === "function") value = value.toObject();
+    return JSON.parse(JSON.stringify(value));
+};
+
+/**
+ * Picks a subset of fields from a document as a plain object (for before/after snapshots)
+ * @param {object} doc - Mongoose document or plain object
+ * @param {string[]} fields - Field names to keep
+ * @returns {object} Plain object with only the requested fields
+ */
+export const pickFields = (doc, fields) => {
+    if (!doc) return null;
+    const plain = toPlain(doc);
+    return Object.fromEntries(fields.map(field => [field, plain[field] ?? null]));
+};
+
+/**
+ * Returns only the fields that differ between two snapshots
+ * @param {object} before - State before the change
+ * @param {object} after - State after the change
+ * @returns {{before: object, after: object}} Changed fields only
+ */
+export const diffChanges = (before = {}, after = {}) => {
+    const plainBefore = toPlain(before) || {};
+    const plainAfter = toPlain(after) || {};
+    const keys = new Set([...Object.keys(plainBefore), ...Object.keys(plainAfter)]);
+    const diff = { before: {}, after: {} };
+
+    keys.forEach(key => {
+        if (JSON.stringify(plainBefore[key]) !== JSON.stringify(plainAfter[key])) {
+            diff.before[key] = plainBefore[key] ?? null;
+            diff.after[key] = plainAfter[key] ?? null;
+        }
+    });
+
+    return diff;
+};
+
+/**
+ * Records an admin action. Outside a transaction, failures are logged and never break the
+ * request. Inside one (`session` given) they are rethrown: a failed write has already aborted
+ * the transaction, so the caller must abort rather than commit without its audit entry.
+ * @param {object} params
+ * @param {object} params.req - Express request (provides req.admin or req.client, IP and user agent)
+ * @param {string} params.action - Dotted action name, e.g. "admin.role.update"
+ * @param {string} params.targetModel - Name of the affected model
+ * @param {string} [params.targetId] - ID of the affected document
+ * @param {object} [params.before] - State before the change
+ * @param {object} [params.after] - State after the change
+ * @param {object} [params.metadata] - Any extra context
+ * @param {object} [params.session] - Mongoose session to join the caller's transaction
+ * @returns {Promise<object|null>} The created audit log entry (null if it failed outside a transaction)
+ */
+export const recordAuditLog = async ({
+    req,
+    action,
+    targetModel,
+    targetId,
+    before = null,
+    after = null,
+    metadata = {},
+    session
+}) => {
+    try {
+        const actor = req.admin || req.client;
+        const [entry] = await AuditLog.create([{
+            actor: actor._id,
+            actorModel: req.admin ? "Admin" : "Client",
+            actorEmail: actor.email,
+            action,
+            targetModel,
+            targetId,
+            changes: {
+                before: toPlain(before),
+                after: toPlain(after)
+            },
+            ipAddress: req.ip || "",
+            userAgent: req.get?.("user-agent") || "",
+            metadata
+        }], session ? { session } : undefined);
+
+        return entry;
+    } catch (error) {
+        logger.error(`Failed to record audit log for ${action}: ${error.message}`, { stack: error.stack });
+        if (session) throw error;
+        return null;
+    }
+};
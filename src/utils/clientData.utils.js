@@ -0,0 +1,192 @@
+import mongoose from "mongoose";
+import Client from "../models/client.model.js";
+import Blog from "../models/blog.model.js";
+import Contact from "../models/contact.models.js";
+import ClientServiceRequest from "../models/clientServiceRequest.model.js";
+import ServiceRequestMessage from "../models/serviceRequestMessage.model.js";
+import Quote from "../models/quote.model.js";
+import Invoice from "../models/invoice.model.js";
+import Session from "../models/session.model.js";
+import { queueFileDeletion } from "./storage.utils.js";
+import { revokeAllSessions } from "./session.utils.js";
+import logger from "./logger.utils.js";
+
+// Days between a deletion request and the purge, during which the client can cancel
+export const ACCOUNT_DELETION_GRACE_DAYS = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+
+const REDACTED = "[removed at the client's request]";
+
+// Placeholder identity kept on records that must outlive the account (e.g. invoices)
+const tombstoneEmail = (clientId) => `deleted-${clientId}@deleted.invalid`;
+
+/**
+ * Collects everything stored about a client (GDPR data export)
+ * @param {string} clientId - Client ID
+ * @returns {Promise<object|null>} Export bundle, or null if the client doesn't exist
+ */
+export const buildClientExport = async (clientId) => {
+    const profile = await Client.findById(clientId)
+        .select("-password -resetPasswordToken -resetPasswordExpires")
+        .lean();
+    if (!profile) return null;
+
+    const serviceRequests = await ClientServiceRequest.find({ createdBy: clientId }).sort({ createdAt: -1 }).lean();
+    const requestIds = serviceRequests.map(request => request._id);
+
+    const [blogs, likedBlogs, contacts, messages, quotes, invoices, sessions] = await Promise.all([
+        Blog.find({ author: clientId }).select("-likes").lean(),
+        Blog.find({ likes: clientId }).select("title slug status createdAt").lean(),
+        Contact.find({ $or: [{ client: clientId }, { email: profile.email }] }).select("-respondedBy").lean(),
+        ServiceRequestMessage.find({ serviceRequest: { $in: requestIds } }).sort({ createdAt: 1 }).lean(),
+        Quote.find({ serviceRequest: { $in: requestIds } }).select("-issuedBy").sort({ version: 1 }).lean(),
+        Invoice.find({ client: clientId, status: { $ne: "draft" } }).select("-createdBy -payments.recordedBy").lean(),
+        Session.find({ user: clientId, userModel: "Client" }).select("-refreshTokenHash").lean()
+    ]);
+
+    const byRequest = (items, requestId) =>
+        items.filter(item => item.serviceRequest.toString() === requestId.toString());
+
+    return {
+        exportedAt: new Date().toISOString(),
+        profile,
+        sessions,
+        blogs,
+        likedBlogs,
+        contacts,
+        serviceRequests: serviceRequests.map(request => ({
+            ...request,
+            messages: byRequest(messages, request._id),
+            quotes: byRequest(quotes, request._id)
+        })),
+        invoices
+    };
+};
+
+/**
+ * Splits an export bundle into files for the ZIP download
+ * @param {object} data - Result of buildClientExport
+ * @returns {{name: string, content: string}[]}
+ */
+export const toExportFiles = (data) => {
+    const sections = ["profile", "sessions", "blogs", "likedBlogs", "contacts", "serviceRequests", "invoices"];
+
+    return [
+        {
+            name: "README.txt",
+            content: [
+                `Data export generated ${data.exportedAt}`,
+                "",
+                ...sections.map(section => `${section}.json`),
+                "",
+                "Attachments are referenced by URL inside serviceRequests.json (request and message attachments)."
+            ].join("\n")
+        },
+        ...sections.map(section => ({
+            name: `${section}.json`,
+            content: JSON.stringify(data[section], null, 2)
+        }))
+    ];
+};
+
+/**
+ * Permanently removes or anonymizes a client's data. Invoices and payments are kept for
+ * accounting, so the client document stays as an anonymized tombstone they can point to.
+ * @param {string} clientId - Client ID
+ * @returns {Promise<boolean>} False if there was nothing to purge
+ */
+export const purgeClientAccount = async (clientId) => {
+    const client = await Client.findById(clientId);
+    if (!client || client.deletedAt) return false;
+
+    const files = []; // Stored files, queued for deletion in the same transaction
+    let queuedFiles = 0;
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const requests = await ClientServiceRequest.find({ createdBy: clientId }).session(session);
+        const requestIds = requests.map(request => request._id);
+        const messages = await ServiceRequestMessage.find({ serviceRequest: { $in: requestIds } }).session(session);
+        const blogs = await Blog.find({ author: clientId }).select("coverImage").session(session);
+
+        requests.forEach(request => files.push(...request.getUploadedAttachments()));
+        messages.forEach(message => files.push(...message.attachments));
+        blogs.forEach(blog => files.push(blog.coverImage));
+        files.push(client.profileImage);
+
+        // Requests that were invoiced are redacted instead of deleted
+        const invoicedIds = (await Invoice.distinct("serviceRequest", { serviceRequest: { $in: requestIds } }).session(session))
+            .map(id => id.toString());
+        const deletableIds = requestIds.filter(id => !invoicedIds.includes(id.toString()));
+
+        await ServiceRequestMessage.deleteMany({ serviceRequest: { $in: requestIds } }).session(session);
+        await Quote.deleteMany({ serviceRequest: { $in: deletableIds } }).session(session);
+        await ClientServiceRequest.deleteMany({ _id: { $in: deletableIds } }).session(session);
+        await ClientServiceRequest.updateMany(
+            { _id: { $in: invoicedIds } },
+            { $set: { description: REDACTED, features: [], attachments: [] } },
+            { session }
+        );
+
+        await Blog.deleteMany({ author: clientId }).session(session);
+        await Blog.updateMany({ likes: clientId }, { $pull: { likes: clientId } }, { session });
+
+        await Contact.updateMany(
+            { $or: [{ client: clientId }, { email: client.email }] },
+            { $set: { fullName: "Deleted client", email: tombstoneEmail(clientId), phone: "", message: REDACTED, ipAddress: "", client: null } },
+            { session }
+        );
+
+        await revokeAllSessions(clientId, "Client", "account-deleted", { session });
+
+        // Anonymize the client itself
+        client.set({
+            fullName: "Deleted client",
+            email: tombstoneEmail(clientId),
+            profileImage: { url: "default-profile.png" },
+            status: "deleted",
+            isPhoneVerified: false,
+            oauthAccounts: [],
+            deletedAt: new Date()
+        });
+        ["password", "phone", "address", "loginIP", "lastLogin", "verificationToken", "resetPasswordToken",
+            "phoneVerificationToken", "deletionScheduledFor"].forEach(field => {
+            client[field] = undefined;
+        });
+        await client.save({ validateBeforeSave: false, session });
+
+        queuedFiles = await queueFileDeletion(files, { session });
+
+        await session.commitTransaction();
+    } catch (error) {
+        await session.abortTransaction();
+        logger.error(`Failed to purge client ${clientId}: ${error.message}`, { stack: error.stack });
+        throw error;
+    } finally {
+        session.endSession();
+    }
+
+    logger.info(`Client ${clientId} purged (${queuedFiles} stored file(s) queued for deletion)`);
+    return true;
+};
+
+/**
+ * Purges every client whose deletion grace period has ended
+ * @returns {Promise<number>} Number of purged accounts
+ */
+export const purgeDueClientDeletions = async () => {
+    const due = await Client.find({
+        deletionScheduledFor: { $lte: new Date() },
+        deletedAt: null
+    }).select("_id");
+
+    let purged = 0;
+    for (const { _id } of due) {
+        try {
+            if (await purgeClientAccount(_id)) purged++;
+        } catch (error) {
+            // Already logged; retried on the next run
+        }
+    }
+    return purged;
+};
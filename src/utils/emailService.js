@@ -1,5 +1,11 @@
 import nodemailer from "nodemailer";
 import dotenv from "dotenv";
+import Admin from "../models/admin.model.js";
+import { renderInvoiceHtml } from "./invoiceTemplate.utils.js";
+import { renderEmailTemplate } from "./emailTemplate.utils.js";
+import { registerJobHandler, enqueueJob } from "./jobQueue.utils.js";
+import { getBrandName } from "../emails/layout.js";
+import logger from "./logger.utils.js";
 
 // please make sure to add this file it is very 
 // important took me 1 and half hour to just debug it thanks
@@ -42,20 +48,22 @@ const transporter = nodemailer.createTransport({
 // });
 
 /**
- * Send an email using Nodemailer
+ * Send an email using Nodemailer (right away; use queueEmail for retried delivery)
  * @param {string} to - Recipient email address
  * @param {string} subject - Email subject
  * @param {string} html - HTML content of the email
+ * @param {string} [text] - Plain-text alternative
  * @returns {Promise<void>}
  */
-const sendEmail = async (to, subject, html) => {
+const sendEmail = async (to, subject, html, text) => {
     try {
         // Define email options
         const mailOptions = {
-            from: `"555" <${process.env.SMTP_USER}>`, // Sender address
+            from: `"${getBrandName()}" <${process.env.SMTP_USER}>`, // Sender address (EMAIL_FROM_NAME)
             to, // Recipient address
             subject, // Subject line
-            html // HTML body
+            html, // HTML body
+            ...(text && { text }) // Plain-text body
         };
 
         // Send the email
@@ -63,50 +71,205 @@ const sendEmail = async (to, subject, html) => {
         console.log("Email sent: ", info.messageId);
     } catch (error) {
         console.error("Error sending email: ", error);
-        throw new Error("Failed to send email");
+        throw new Error(`Failed to send email: ${error.message}`);
     }
 };
 
+// SMTP delivery runs on the job queue, so a mail server hiccup is retried instead of failing the request
+registerJobHandler("email.send", ({ to, subject, html, text }) => sendEmail(to, subject, html, text), { maxAttempts: 6 });
+
+/**
+ * Queue an email for delivery by the job worker
+ * @param {string} to - Recipient email address
+ * @param {string} subject - Email subject
+ * @param {string} html - HTML content of the email
+ * @param {object} [options]
+ * @param {string} [options.text] - Plain-text alternative
+ * @param {object} [options.session] - Mongoose session; the email is only sent if the transaction commits
+ * @returns {Promise<object>} Queued job
+ */
+const queueEmail = (to, subject, html, { text, session } = {}) =>
+    enqueueJob("email.send", { to, subject, html, ...(text && { text }) }, { session });
+
+/**
+ * Render a registered template (see emailTemplate.utils.js) and queue it
+ * @param {object} recipient - Anything with an email, optionally fullName and locale (e.g. a Client)
+ * @param {string} templateName - Template name, e.g. "auth.verify-email"
+ * @param {object} [variables] - Template variables; `name` defaults to the recipient's fullName
+ * @param {object} [options]
+ * @param {string} [options.locale] - Overrides the recipient's locale
+ * @param {object} [options.session] - Mongoose session; the email is only sent if the transaction commits
+ * @returns {Promise<object>} Queued job
+ */
+const sendTemplatedEmail = async (recipient, templateName, variables = {}, { locale, session } = {}) => {
+    const { subject, html, text } = renderEmailTemplate(
+        templateName,
+        { name: recipient.fullName, ...variables },
+        { locale: locale || recipient.locale }
+    );
+
+    return queueEmail(recipient.email, subject, html, { text, session });
+};
+
 /**
  * Send an email verification link to the user
- * @param {string} email - User's email address
+ * @param {object} recipient - Client (email, fullName, locale)
  * @param {string} verificationToken - Email verification token
- * @returns {Promise<void>}
+ * @param {object} [options] - Passed to sendTemplatedEmail (e.g. { session })
+ * @returns {Promise<object>} Queued job
  */
-const sendVerificationEmail = async (email, verificationToken) => {
-    const verificationUrl = `${process.env.FRONTEND_URL}/verify-email?token=${verificationToken}`;
-    const subject = "Verify Your Email Address";
-    const html = `
-    <p>Hello,</p>
-    <p>Please verify your email address by clicking the link below:</p>
-    <p><a href="${verificationUrl}">Verify Email</a></p>
-    <p>If you did not request this, please ignore this email.</p>
-  `;
-
-    await sendEmail(email, subject, html);
-};
+const sendVerificationEmail = (recipient, verificationToken, options = {}) =>
+    sendTemplatedEmail(recipient, "auth.verify-email", {
+        verificationUrl: `${process.env.FRONTEND_URL}/verify-email?token=${verificationToken}`
+    }, options);
 
 /**
  * Send a password reset link to the user
- * @param {string} email - User's email address
+ * @param {object} recipient - Client (email, fullName, locale)
  * @param {string} resetToken - Password reset token
- * @returns {Promise<void>}
+ * @param {object} [options] - Passed to sendTemplatedEmail
+ * @returns {Promise<object>} Queued job
+ */
+const sendPasswordResetEmail = (recipient, resetToken, options = {}) =>
+    sendTemplatedEmail(recipient, "auth.password-reset", {
+        resetUrl: `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}`
+    }, options);
+
+/**
+ * Send an invoice to the client as an HTML email
+ * @param {object} invoice - Invoice document
+ * @param {object} client - Client with fullName and email
+ * @param {object} [options] - Passed to queueEmail (e.g. { session })
+ * @returns {Promise<object>} Queued job
+ */
+const sendInvoiceEmail = async (invoice, client, options = {}) => {
+    const subject = `Invoice ${invoice.invoiceNumber} - due ${new Date(invoice.dueDate).toISOString().slice(0, 10)}`;
+    const html = renderInvoiceHtml(invoice, client);
+
+    return queueEmail(client.email, subject, html, options);
+};
+
+/**
+ * Tell the user their account was locked after repeated failed logins
+ * @param {object} recipient - Admin or Client (email, fullName, locale)
+ * @param {object} details
+ * @param {Date} details.lockUntil - When the lock expires
+ * @param {string} details.ip - IP address of the last failed attempt
+ * @param {object} [options] - Passed to sendTemplatedEmail
+ * @returns {Promise<object>} Queued job
+ */
+const sendAccountLockedEmail = (recipient, { lockUntil, ip }, options = {}) =>
+    sendTemplatedEmail(recipient, "account.locked", { lockUntil: new Date(lockUntil), ip: ip || "unknown" }, options);
+
+/**
+ * Alert the user about a login from an IP address not seen on their last login
+ * @param {object} recipient - Admin or Client (email, fullName, locale)
+ * @param {object} details
+ * @param {string} details.ip - IP address of the login
+ * @param {string} [details.userAgent] - Browser / device of the login
+ * @param {Date} details.time - Time of the login
+ * @param {object} [options] - Passed to sendTemplatedEmail
+ * @returns {Promise<object>} Queued job
+ */
+const sendNewLoginAlertEmail = (recipient, { ip, userAgent, time }, options = {}) =>
+    sendTemplatedEmail(recipient, "account.new-login", { ip, userAgent: userAgent || "unknown", time: new Date(time) }, options);
+
+/**
+ * Confirm a self-service account deletion request
+ * @param {object} recipient - Client (email, fullName, locale)
+ * @param {Date} scheduledFor - When the account will be deleted
+ * @param {object} [options] - Passed to sendTemplatedEmail
+ * @returns {Promise<object>} Queued job
+ */
+const sendAccountDeletionScheduledEmail = (recipient, scheduledFor, options = {}) =>
+    sendTemplatedEmail(recipient, "account.deletion-scheduled", { scheduledFor: new Date(scheduledFor) }, options);
+
+/**
+ * Acknowledge a contact form submission
+ * @param {object} contact - Contact document
+ * @param {object} [options] - Passed to sendTemplatedEmail (pass the requester's locale)
+ * @returns {Promise<object>} Queued job
+ */
+const sendContactAcknowledgementEmail = (contact, options = {}) =>
+    sendTemplatedEmail(contact, "contact.acknowledgement", { subject: contact.subject, message: contact.message }, options);
+
+/**
+ * Confirm a job application was received
+ * @param {object} application - Career document
+ * @param {object} [options] - Passed to sendTemplatedEmail
+ * @returns {Promise<object>} Queued job
+ */
+const sendCareerApplicationReceivedEmail = (application, options = {}) =>
+    sendTemplatedEmail(application, "career.application-received", { position: application.positionApplied }, options);
+
+/**
+ * Tell an applicant their application moved to a new stage
+ * @param {object} application - Career document (after the status change)
+ * @param {object} [options] - Passed to sendTemplatedEmail
+ * @returns {Promise<object>} Queued job
+ */
+const sendCareerStatusChangedEmail = (application, options = {}) =>
+    sendTemplatedEmail(application, "career.status-changed", {
+        position: application.positionApplied,
+        status: application.status
+    }, options);
+
+/**
+ * Tell a client their service request changed status
+ * @param {object} request - ClientServiceRequest document (after the change)
+ * @param {object} client - Client (email, fullName, locale)
+ * @param {object} [options] - Passed to sendTemplatedEmail (e.g. { session })
+ * @param {string} [options.note] - Note the admin left with the change
+ * @returns {Promise<object>} Queued job
+ */
+const sendServiceRequestStatusEmail = (request, client, { note, ...options } = {}) =>
+    sendTemplatedEmail(client, "service-request.status-changed", {
+        title: request.title,
+        status: request.status,
+        note,
+        rejectionReason: request.status === "declined" ? request.rejectionReason : undefined,
+        requestUrl: process.env.FRONTEND_URL ? `${process.env.FRONTEND_URL}/service-requests/${request._id}` : undefined
+    }, options);
+
+/**
+ * Notify every active admin who holds a permission (superadmins always are)
+ * @param {string} permission - Admin permission, e.g. "manageContacts"
+ * @param {string} templateName - An "admin.*" template
+ * @param {object} variables - Template variables
+ * @param {object} [options]
+ * @param {object} [options.session] - Mongoose session; notifications are only sent if the transaction commits
+ * @returns {Promise<number>} Number of notified admins
  */
-const sendPasswordResetEmail = async (email, resetToken) => {
-    const resetUrl = `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}`;
-    const subject = "Reset Your Password";
-    const html = `
-    <p>Hello,</p>
-    <p>You have requested to reset your password. Click the link below to proceed:</p>
-    <p><a href="${resetUrl}">Reset Password</a></p>
-    <p>If you did not request this, please ignore this email.</p>
-  `;
-
-    await sendEmail(email, subject, html);
+const notifyAdmins = async (permission, templateName, variables, { session } = {}) => {
+    const admins = await Admin.find({
+        isActive: true,
+        $or: [{ role: "superadmin" }, { [`permissions.${permission}`]: true }]
+    }).select("email fullName").session(session || null);
+
+    // Sequential: operations in a transaction can't run in parallel
+    for (const admin of admins) {
+        await sendTemplatedEmail(admin, templateName, variables, { session });
+    }
+
+    if (!admins.length) {
+        logger.warn(`No active admin with ${permission} to notify (${templateName})`);
+    }
+    return admins.length;
 };
 
 export {
     sendEmail,
+    queueEmail,
+    sendTemplatedEmail,
     sendVerificationEmail,
-    sendPasswordResetEmail
+    sendPasswordResetEmail,
+    sendInvoiceEmail,
+    sendAccountLockedEmail,
+    sendNewLoginAlertEmail,
+    sendAccountDeletionScheduledEmail,
+    sendContactAcknowledgementEmail,
+    sendCareerApplicationReceivedEmail,
+    sendCareerStatusChangedEmail,
+    sendServiceRequestStatusEmail,
+    notifyAdmins
 };
@@ -0,0 +1,143 @@
+import { renderLayout, escapeHtml } from "../emails/layout.js";
+import { renderPartial } from "../emails/partials.js";
+import authTemplates from "../emails/auth.templates.js";
+import accountTemplates from "../emails/account.templates.js";
+import contactTemplates from "../emails/contact.templates.js";
+import careerTemplates from "../emails/career.templates.js";
+import serviceRequestTemplates from "../emails/serviceRequest.templates.js";
+import adminTemplates from "../emails/admin.templates.js";
+
+/**
+ * Transactional email template registry. A template is:
+ *
+ *   {
+ *     description,
+ *     variables: [...],          // required variables; rendering fails without them
+ *     sample: {...},             // preview data
+ *     locales: {
+ *       en: { subject, preheader?, labels?, blocks: [...] },
+ *       es: { ... }
+ *     }
+ *   }
+ *
+ * Subjects and blocks use {{variable}} (dotted paths allowed). Blocks are rendered by the
+ * partials in emails/partials.js and wrapped in emails/layout.js, as HTML and as plain text.
+ * A block with `when: "variable"` is only rendered if that variable is set. `labels`
+ * translates enum values, e.g. labels.status["under-review"] = "en revisión".
+ * A locale without its own variant falls back to DEFAULT_LOCALE.
+ */
+
+export const DEFAULT_LOCALE = "en";
+export const SUPPORTED_LOCALES = ["en", "es"];
+
+const templates = {
+    ...authTemplates,
+    ...accountTemplates,
+    ...contactTemplates,
+    ...careerTemplates,
+    ...serviceRequestTemplates,
+    ...adminTemplates
+};
+
+const VARIABLE_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+const lookup = (variables, path) => path.split(".").reduce((value, key) => value?.[key], variables);
+
+const isBlank = (value) => value === undefined || value === null || value === "";
+
+const formatValue = (value, locale) => {
+    if (isBlank(value)) return "";
+    if (value instanceof Date) {
+        return `${value.toLocaleString(locale, { dateStyle: "long", timeStyle: "short", timeZone: "UTC" })} UTC`;
+    }
+    return String(value);
+};
+
+/**
+ * Maps a locale such as "es-MX" to a supported one
+ * @param {string} [locale]
+ * @returns {string} Supported locale (DEFAULT_LOCALE if unsupported)
+ */
+export const resolveLocale = (locale) => {
+    const language = String(locale || "").toLowerCase().split(/[-_]/)[0];
+    return SUPPORTED_LOCALES.includes(language) ? language : DEFAULT_LOCALE;
+};
+
+/**
+ * Picks the locale for emails triggered by a request: an explicit `locale` in the body,
+ * then the logged-in client's preference, then the Accept-Language header
+ * @param {object} req - Express request
+ * @returns {string} Supported locale
+ */
+export const getRequestLocale = (req) => {
+    if (req.body?.locale) return resolveLocale(req.body.locale);
+    if (req.client?.locale) return resolveLocale(req.client.locale);
+    return req.acceptsLanguages(...SUPPORTED_LOCALES) || DEFAULT_LOCALE;
+};
+
+/**
+ * Returns a template definition
+ * @param {string} name - Template name, e.g. "auth.verify-email"
+ * @returns {object|null}
+ */
+export const getEmailTemplate = (name) => templates[name] || null;
+
+/**
+ * Lists the registered templates (for the admin preview)
+ * @returns {{name: string, description: string, variables: string[], locales: string[]}[]}
+ */
+export const listEmailTemplates = () => Object.entries(templates).map(([name, template]) => ({
+    name,
+    description: template.description,
+    variables: template.variables,
+    locales: Object.keys(template.locales)
+}));
+
+/**
+ * Renders a template to a subject, an HTML body and its plain-text alternative
+ * @param {string} name - Template name
+ * @param {object} [variables] - Template variables
+ * @param {object} [options]
+ * @param {string} [options.locale] - Preferred locale
+ * @returns {{subject: string, html: string, text: string, locale: string}}
+ */
+export const renderEmailTemplate = (name, variables = {}, { locale } = {}) => {
+    const template = getEmailTemplate(name);
+    if (!template) {
+        throw new Error(`Unknown email template: ${name}`);
+    }
+
+    const missing = template.variables.filter(variable => isBlank(lookup(variables, variable)));
+    if (missing.length) {
+        throw new Error(`Email template ${name} is missing variable(s): ${missing.join(", ")}`);
+    }
+
+    const preferred = resolveLocale(locale);
+    const usedLocale = template.locales[preferred] ? preferred : DEFAULT_LOCALE;
+    const content = template.locales[usedLocale];
+
+    const interpolate = (text, escape) => String(text).replace(VARIABLE_PATTERN, (match, path) => {
+        const value = lookup(variables, path);
+        const formatted = formatValue(content.labels?.[path]?.[value] ?? value, usedLocale);
+        return escape ? escapeHtml(formatted) : formatted;
+    });
+    const fill = {
+        html: (text) => interpolate(text, true),
+        text: (text) => interpolate(text, false)
+    };
+
+    const parts = content.blocks
+        .filter(block => !block.when || !isBlank(lookup(variables, block.when)))
+        .map(block => renderPartial(block, fill, usedLocale));
+
+    const subject = fill.text(content.subject);
+    const { html, text } = renderLayout({
+        html: parts.map(part => part.html).join("\n"),
+        text: parts.map(part => part.text).join("\n\n"),
+        subject,
+        preheader: content.preheader && fill.text(content.preheader),
+        locale: usedLocale
+    });
+
+    return { subject, html, text, locale: usedLocale };
+};
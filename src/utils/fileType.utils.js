@@ -0,0 +1,78 @@
+import fs from "fs";
+
+// Bytes read from the start of a file for sniffing; enough to see the first ZIP entries of an Office file
+const SNIFF_BYTES = 64 * 1024;
+
+const DOCX = "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+const XLSX = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+const startsWith = (buffer, bytes, offset = 0) =>
+    buffer.length >= offset + bytes.length && bytes.every((byte, index) => buffer[offset + index] === byte);
+
+const ascii = (text) => [...text].map(char => char.charCodeAt(0));
+
+// HEIF family brands (ISO base media "ftyp" box)
+const HEIF_BRANDS = ["heic", "heix", "hevc", "hevx", "heim", "heis", "mif1", "msf1"];
+
+// Plain text: no NUL bytes and valid UTF-8 (a multi-byte character cut off at the end is fine)
+const isText = (buffer) => {
+    if (buffer.length === 0 || buffer.includes(0)) return false;
+    try {
+        new TextDecoder("utf-8", { fatal: true }).decode(buffer, { stream: true });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Works out what a file really is from its first bytes (magic numbers), ignoring its name
+ * and the MIME type the client declared
+ * @param {Buffer} head - Start of the file
+ * @returns {string[]} MIME types the content is consistent with (empty if unrecognised)
+ */
+export const detectFileTypes = (head) => {
+    if (startsWith(head, [0xFF, 0xD8, 0xFF])) return ["image/jpeg"];
+    if (startsWith(head, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) return ["image/png"];
+    if (startsWith(head, ascii("GIF87a")) || startsWith(head, ascii("GIF89a"))) return ["image/gif"];
+    if (startsWith(head, ascii("RIFF")) && startsWith(head, ascii("WEBP"), 8)) return ["image/webp"];
+    if (startsWith(head, ascii("ftyp"), 4) && HEIF_BRANDS.includes(head.toString("latin1", 8, 12))) {
+        return ["image/heic", "image/heif"];
+    }
+    if (startsWith(head, ascii("%PDF-"))) return ["application/pdf"];
+    if (startsWith(head, ascii("Rar!\x1A\x07"))) return ["application/x-rar-compressed"];
+
+    // Legacy Office files are OLE compound documents; Word and Excel look the same here
+    if (startsWith(head, [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1])) {
+        return ["application/msword", "application/vnd.ms-excel"];
+    }
+
+    // Modern Office files are ZIP archives with a known layout
+    if (startsWith(head, [0x50, 0x4B, 0x03, 0x04])) {
+        const names = head.toString("latin1");
+        if (names.includes("word/")) return [DOCX];
+        if (names.includes("xl/")) return [XLSX];
+        if (names.includes("[Content_Types].xml")) return [DOCX, XLSX];
+        return ["application/zip"];
+    }
+
+    if (isText(head)) return ["text/plain", "text/csv"];
+
+    return [];
+};
+
+/**
+ * Reads the start of a file and detects its type
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<string[]>} See detectFileTypes
+ */
+export const detectFileTypesFromPath = async (filePath) => {
+    const handle = await fs.promises.open(filePath, "r");
+    try {
+        const buffer = Buffer.alloc(SNIFF_BYTES);
+        const { bytesRead } = await handle.read(buffer, 0, SNIFF_BYTES, 0);
+        return detectFileTypes(buffer.subarray(0, bytesRead));
+    } finally {
+        await handle.close();
+    }
+};
@@ -0,0 +1,140 @@
+import fs from "fs";
+import path from "path";
+import mongoose from "mongoose";
+import sharp from "sharp";
+import mime from "mime-types";
+import logger from "./logger.utils.js";
+import { registerJobHandler, enqueueJob } from "./jobQueue.utils.js";
+import { uploadFile, readStoredFile, queueFileDeletion } from "./storage.utils.js";
+
+/**
+ * Responsive variants are built by the "image.variants" job, not during the upload request:
+ * the request stores the normalized original (see processFile in multler.middlewares.js),
+ * and the job adds `variants` and `placeholder` to the image field once they are uploaded.
+ * Until then the frontend falls back to the original `url`.
+ */
+
+// Every width up to the original's, in each modern format
+const IMAGE_VARIANT_WIDTHS = [320, 640, 1024, 1600];
+const IMAGE_VARIANT_FORMATS = {
+    webp: { quality: 75 },
+    avif: { quality: 50, effort: 2 } // Low effort keeps encoding time reasonable on small servers
+};
+const PLACEHOLDER_WIDTH = 16;
+
+const variantDir = "./public/processed";
+
+// GIFs are kept as uploaded (animation included), so they get no variants
+const SKIPPED_TYPES = ["image/gif"];
+
+/**
+ * Writes the srcset variants and the LQIP placeholder of a normalized image
+ * @param {object} image - sharp instance of the normalized image
+ * @param {string} baseName - File name prefix for the variants
+ * @param {number} originalWidth - Width of the normalized image
+ * @returns {Promise<{variants: object[], placeholder: string}>}
+ */
+const createImageVariants = async (image, baseName, originalWidth) => {
+    const widths = IMAGE_VARIANT_WIDTHS.filter(width => width < originalWidth);
+    if (widths.length < IMAGE_VARIANT_WIDTHS.length) widths.push(originalWidth); // Largest variant at full size
+
+    await fs.promises.mkdir(variantDir, { recursive: true });
+
+    const variants = [];
+    for (const width of widths) {
+        for (const [format, options] of Object.entries(IMAGE_VARIANT_FORMATS)) {
+            // Format in the name too: Cloudinary public IDs drop the extension
+            const variantPath = path.join(variantDir, `${baseName}-${width}w-${format}.${format}`);
+            const info = await image.clone()
+                .resize({ width, withoutEnlargement: true })
+                .toFormat(format, options)
+                .toFile(variantPath);
+
+            variants.push({ path: variantPath, format, width: info.width, height: info.height });
+        }
+    }
+
+    // Tiny blurred preview shown while the real image loads
+    const placeholder = await image.clone()
+        .resize({ width: PLACEHOLDER_WIDTH })
+        .blur()
+        .webp({ quality: 40 })
+        .toBuffer();
+
+    return { variants, placeholder: `data:image/webp;base64,${placeholder.toString("base64")}` };
+};
+
+/**
+ * Builds and uploads the variants of a stored image, then attaches them to the document field
+ * that still holds that image. Variant names derive from the original's, so a retried job
+ * overwrites instead of duplicating them.
+ */
+const generateImageVariants = async ({ model, id, field, image }) => {
+    const Model = mongoose.model(model);
+    const target = { _id: id, [`${field}.publicId`]: image.publicId };
+
+    // Replaced or deleted since the upload: nothing to do
+    if (!(await Model.exists(target))) return;
+
+    const source = sharp(await readStoredFile(image));
+    const width = image.width || (await source.metadata()).width;
+    const baseName = path.basename(image.publicId, path.extname(image.publicId));
+
+    const { variants, placeholder } = await createImageVariants(source, baseName, width);
+
+    // A failed upload leaves the rest in place: the retry overwrites them under the same names
+    const uploaded = [];
+    try {
+        for (const variant of variants) {
+            const file = await uploadFile(variant.path, { access: image.access, preprocessed: true });
+            uploaded.push({ ...file, format: variant.format, width: variant.width, height: variant.height });
+        }
+    } finally {
+        variants.forEach(variant => fs.rmSync(variant.path, { force: true }));
+    }
+
+    const { matchedCount } = await Model.updateOne(target, {
+        $set: {
+            [`${field}.variants`]: uploaded,
+            [`${field}.placeholder`]: placeholder
+        }
+    });
+
+    // The image was replaced while the variants were being built
+    if (matchedCount === 0) {
+        await queueFileDeletion(uploaded);
+        return;
+    }
+
+    logger.info(`Generated ${uploaded.length} image variants for ${model} ${id} ${field}`);
+};
+
+registerJobHandler("image.variants", generateImageVariants, { maxAttempts: 5 });
+
+/**
+ * Queues the responsive variants of a newly stored image
+ * @param {{model: string, id: object, field: string}} target - Document field holding the image, e.g. { model: "Blog", id, field: "coverImage" }
+ * @param {object} image - Stored image descriptor (uploadProcessedImage result)
+ * @param {object} [options]
+ * @param {object} [options.session] - Mongoose session; the job only runs if the transaction commits
+ * @returns {Promise<object|null>} Job document, or null for images that don't get variants
+ */
+export const queueImageVariants = async ({ model, id, field }, image, { session } = {}) => {
+    if (!image?.publicId || SKIPPED_TYPES.includes(mime.lookup(image.url || image.publicId))) {
+        return null;
+    }
+
+    return enqueueJob("image.variants", {
+        model,
+        id: id.toString(),
+        field,
+        image: {
+            publicId: image.publicId,
+            url: image.url,
+            resourceType: image.resourceType,
+            provider: image.provider,
+            access: image.access,
+            width: image.width
+        }
+    }, { session });
+};
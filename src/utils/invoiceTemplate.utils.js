@@ -0,0 +1,100 @@
+// Escapes user-provided text before it goes into HTML
+const escapeHtml = (value) => String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const formatMoney = (amount, currency) => {
+    try {
+        return new Intl.NumberFormat("en-US", { style: "currency", currency }).format(amount || 0);
+    } catch {
+        return `${currency} ${(amount || 0).toFixed(2)}`;
+    }
+};
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : "-");
+
+/**
+ * Renders an invoice as a self-contained HTML document (inline styles, safe for email clients)
+ * @param {object} invoice - Invoice document
+ * @param {object} client - Client with fullName, email and optional address
+ * @returns {string} HTML
+ */
+export const renderInvoiceHtml = (invoice, client = {}) => {
+    const money = (amount) => escapeHtml(formatMoney(amount, invoice.currency));
+    const cell = 'style="padding:8px;border-bottom:1px solid #eee;"';
+    const right = 'style="padding:8px;border-bottom:1px solid #eee;text-align:right;"';
+
+    const rows = invoice.lineItems.map(item => `
+        <tr>
+            <td ${cell}>${escapeHtml(item.description)}</td>
+            <td ${right}>${escapeHtml(item.quantity)}</td>
+            <td ${right}>${money(item.unitPrice)}</td>
+            <td ${right}>${money(item.amount)}</td>
+        </tr>`).join("");
+
+    const payments = invoice.payments?.length
+        ? `
+    <h3 style="margin-top:24px;">Payments received</h3>
+    <table style="width:100%;border-collapse:collapse;">
+        ${invoice.payments.map(payment => `
+        <tr>
+            <td ${cell}>${formatDate(payment.paidAt)}</td>
+            <td ${cell}>${escapeHtml(payment.method)}${payment.reference ? ` (${escapeHtml(payment.reference)})` : ""}</td>
+            <td ${right}>${money(payment.amount)}</td>
+        </tr>`).join("")}
+    </table>`
+        : "";
+
+    const address = client.address
+        ? [client.address.street, client.address.city, client.address.country].filter(Boolean).map(escapeHtml).join(", ")
+        : "";
+
+    return `<!DOCTYPE html>
+<html>
+<body style="font-family:Arial,Helvetica,sans-serif;color:#222;max-width:680px;margin:0 auto;">
+    <h2 style="margin-bottom:4px;">Invoice ${escapeHtml(invoice.invoiceNumber)}</h2>
+    <p style="margin-top:0;color:#666;">Status: ${escapeHtml(invoice.status)}</p>
+
+    <table style="width:100%;margin-bottom:16px;">
+        <tr>
+            <td style="vertical-align:top;">
+                <strong>Billed to</strong><br>
+                ${escapeHtml(client.fullName)}<br>
+                ${escapeHtml(client.email)}${address ? `<br>${address}` : ""}
+            </td>
+            <td style="vertical-align:top;text-align:right;">
+                Issued: ${formatDate(invoice.issueDate)}<br>
+                Due: ${formatDate(invoice.dueDate)}
+            </td>
+        </tr>
+    </table>
+
+    <table style="width:100%;border-collapse:collapse;">
+        <thead>
+            <tr style="background:#f5f5f5;">
+                <th style="padding:8px;text-align:left;">Description</th>
+                <th style="padding:8px;text-align:right;">Qty</th>
+                <th style="padding:8px;text-align:right;">Unit price</th>
+                <th style="padding:8px;text-align:right;">Amount</th>
+            </tr>
+        </thead>
+        <tbody>${rows}
+        </tbody>
+    </table>
+
+    <table style="width:100%;margin-top:16px;">
+        <tr><td style="text-align:right;">Subtotal</td><td style="text-align:right;width:140px;">${money(invoice.subtotal)}</td></tr>
+        ${invoice.discount ? `<tr><td style="text-align:right;">Discount</td><td style="text-align:right;">-${money(invoice.discount)}</td></tr>` : ""}
+        ${invoice.taxRate ? `<tr><td style="text-align:right;">Tax (${escapeHtml(invoice.taxRate)}%)</td><td style="text-align:right;">${money(invoice.taxAmount)}</td></tr>` : ""}
+        <tr><td style="text-align:right;"><strong>Total</strong></td><td style="text-align:right;"><strong>${money(invoice.total)}</strong></td></tr>
+        <tr><td style="text-align:right;">Paid</td><td style="text-align:right;">${money(invoice.amountPaid)}</td></tr>
+        <tr><td style="text-align:right;"><strong>Balance due</strong></td><td style="text-align:right;"><strong>${money(invoice.balanceDue)}</strong></td></tr>
+    </table>
+    ${payments}
+    ${invoice.notes ? `<p style="margin-top:24px;color:#555;">${escapeHtml(invoice.notes)}</p>` : ""}
+</body>
+</html>`;
+};
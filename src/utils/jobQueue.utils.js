@@ -0,0 +1,243 @@
+import crypto from "crypto";
+import os from "os";
+import Job from "../models/job.model.js";
+import logger from "./logger.utils.js";
+
+/**
+ * MongoDB-backed job queue. Jobs are documents in the `jobs` collection, so enqueueing
+ * can join the caller's transaction and nothing beyond MongoDB is needed.
+ *
+ *   handler(payload, job) -> Promise   (throw to fail the attempt)
+ *
+ * Failed attempts are retried with exponential backoff; after maxAttempts the job is
+ * marked "dead" and kept for inspection until an admin retries it. A handler can throw
+ * an error with `retryable = false` to skip the remaining attempts.
+ */
+
+const POLL_INTERVAL_MS = Number(process.env.JOB_POLL_INTERVAL_MS) || 5 * 1000;
+const CONCURRENCY = Number(process.env.JOB_CONCURRENCY) || 2;
+const DEFAULT_MAX_ATTEMPTS = 5;
+
+// A running job whose lock is older than this is assumed to belong to a crashed worker
+const LOCK_TIMEOUT_MS = Number(process.env.JOB_LOCK_TIMEOUT_MS) || 10 * 60 * 1000;
+
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+const RETRY_MAX_DELAY_MS = 60 * 60 * 1000;
+const MAX_FAILURES_KEPT = 10;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString("hex")}`;
+
+const handlers = new Map();
+
+const worker = {
+    running: false,
+    active: 0,
+    polling: false,
+    pollAgain: false,
+    timer: null,
+    concurrency: CONCURRENCY,
+    pollIntervalMs: POLL_INTERVAL_MS
+};
+
+/**
+ * Registers the function that runs jobs with the given name
+ * @param {string} name - Job name, e.g. "email.send"
+ * @param {Function} handler - async (payload, job) => void
+ * @param {object} [options]
+ * @param {number} [options.maxAttempts] - Default attempts for jobs of this name
+ */
+export const registerJobHandler = (name, handler, { maxAttempts } = {}) => {
+    handlers.set(name, { handler, maxAttempts });
+};
+
+/**
+ * Adds a job to the queue
+ * @param {string} name - Job name
+ * @param {object} [payload] - JSON-serializable job data
+ * @param {object} [options]
+ * @param {Date} [options.runAt] - Don't run before this time
+ * @param {number} [options.delayMs] - Don't run before this many milliseconds from now
+ * @param {number} [options.maxAttempts] - Attempts before the job is marked dead
+ * @param {object} [options.session] - Mongoose session; the job only exists if its transaction commits
+ * @returns {Promise<object>} Job document
+ */
+export const enqueueJob = async (name, payload = {}, { runAt, delayMs = 0, maxAttempts, session } = {}) => {
+    const [job] = await Job.create([{
+        name,
+        payload,
+        runAt: runAt || new Date(Date.now() + delayMs),
+        maxAttempts: maxAttempts || handlers.get(name)?.maxAttempts || DEFAULT_MAX_ATTEMPTS
+    }], { session });
+
+    // Pick it up right away when this process runs the worker (a transaction's job waits for the next poll)
+    if (worker.running && !session && job.runAt <= new Date()) {
+        setImmediate(poll);
+    }
+
+    return job;
+};
+
+/**
+ * Delay before the next attempt: 30s, 1m, 2m, ... capped at an hour, with up to 20% jitter
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Milliseconds
+ */
+export const getRetryDelay = (attempts) => {
+    const delay = Math.min(RETRY_BASE_DELAY_MS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_DELAY_MS);
+    return Math.round(delay * (1 + Math.random() * 0.2));
+};
+
+// Atomically locks the next due job this worker has a handler for
+const claimNextJob = () => {
+    const now = new Date();
+
+    return Job.findOneAndUpdate(
+        {
+            name: { $in: [...handlers.keys()] },
+            $or: [
+                { status: "pending", runAt: { $lte: now } },
+                { status: "running", lockedAt: { $lte: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }
+            ]
+        },
+        {
+            $set: { status: "running", lockedAt: now, lockedBy: WORKER_ID },
+            $inc: { attempts: 1 }
+        },
+        { sort: { runAt: 1 }, new: true }
+    );
+};
+
+const recordFailure = async (job, error) => {
+    const dead = job.attempts >= job.maxAttempts || error.retryable === false;
+    const now = new Date();
+
+    await Job.updateOne(
+        { _id: job._id, lockedBy: WORKER_ID },
+        {
+            $set: dead
+                ? { status: "dead", lastError: error.message, deadAt: now }
+                : { status: "pending", lastError: error.message, runAt: new Date(now.getTime() + getRetryDelay(job.attempts)) },
+            $unset: { lockedAt: 1, lockedBy: 1 },
+            $push: { failures: { $each: [{ attempt: job.attempts, message: error.message, at: now }], $slice: -MAX_FAILURES_KEPT } }
+        }
+    );
+
+    if (dead) {
+        logger.error(`Job ${job.name} ${job._id} is dead after ${job.attempts} attempt(s): ${error.message}`);
+    } else {
+        logger.warn(`Job ${job.name} ${job._id} failed (attempt ${job.attempts}/${job.maxAttempts}): ${error.message}`);
+    }
+};
+
+const runJob = async (job) => {
+    try {
+        // A job that kept crashing its worker is reclaimed past its last attempt
+        if (job.attempts > job.maxAttempts) {
+            throw Object.assign(new Error("Worker stopped while running the job"), { retryable: false });
+        }
+
+        await handlers.get(job.name).handler(job.payload, job);
+
+        // The payload can hold secrets (reset links, signed URLs), so it isn't kept once the job is done
+        await Job.updateOne(
+            { _id: job._id, lockedBy: WORKER_ID },
+            {
+                $set: { status: "completed", completedAt: new Date() },
+                $unset: { lockedAt: 1, lockedBy: 1, payload: 1 }
+            }
+        );
+    } catch (error) {
+        await recordFailure(job, error).catch(updateError => {
+            logger.error(`Failed to record failure of job ${job._id}: ${updateError.message}`);
+        });
+    }
+};
+
+// Claims jobs until the queue is empty or every slot is busy, then waits for the next poll
+const poll = async () => {
+    if (!worker.running) return;
+    if (worker.polling) {
+        worker.pollAgain = true;
+        return;
+    }
+
+    worker.polling = true;
+    clearTimeout(worker.timer);
+
+    try {
+        while (worker.running && worker.active < worker.concurrency) {
+            const job = await claimNextJob();
+            if (!job) break;
+
+            worker.active++;
+            runJob(job).finally(() => {
+                worker.active--;
+                poll();
+            });
+        }
+    } catch (error) {
+        logger.error(`Job worker poll failed: ${error.message}`);
+    } finally {
+        worker.polling = false;
+    }
+
+    if (worker.pollAgain) {
+        worker.pollAgain = false;
+        return poll();
+    }
+
+    if (worker.running) {
+        worker.timer = setTimeout(poll, worker.pollIntervalMs);
+        worker.timer.unref();
+    }
+};
+
+/**
+ * Starts processing jobs in this process (call once the database is connected)
+ * @param {object} [options]
+ * @param {number} [options.concurrency] - Jobs run at the same time (JOB_CONCURRENCY, default 2)
+ * @param {number} [options.pollIntervalMs] - Wait between polls when the queue is empty
+ */
+export const startJobWorker = ({ concurrency = CONCURRENCY, pollIntervalMs = POLL_INTERVAL_MS } = {}) => {
+    if (worker.running) return;
+
+    Object.assign(worker, { running: true, concurrency, pollIntervalMs });
+    logger.info(`Job worker ${WORKER_ID} started (${[...handlers.keys()].join(", ") || "no handlers"})`);
+    poll();
+};
+
+/**
+ * Stops claiming jobs and waits for running ones to finish
+ * @param {number} [timeoutMs] - Give up waiting after this long; unfinished jobs are reclaimed after the lock timeout
+ * @returns {Promise<void>}
+ */
+export const stopJobWorker = async (timeoutMs = 30 * 1000) => {
+    worker.running = false;
+    clearTimeout(worker.timer);
+
+    const deadline = Date.now() + timeoutMs;
+    while (worker.active > 0 && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+};
+
+/**
+ * Puts a dead job back in the queue with a fresh set of attempts
+ * @param {string} jobId - Job ID
+ * @returns {Promise<object|null>} Updated job (without its payload), or null if there is no dead job with that ID
+ */
+export const retryJob = async (jobId) => {
+    const job = await Job.findOneAndUpdate(
+        { _id: jobId, status: "dead" },
+        {
+            $set: { status: "pending", attempts: 0, runAt: new Date() },
+            $unset: { deadAt: 1 }
+        },
+        { new: true, projection: { payload: 0 } } // Returned to admins, so without the payload
+    );
+
+    if (job && worker.running) {
+        setImmediate(poll);
+    }
+    return job;
+};
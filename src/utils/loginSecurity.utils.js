@@ -0,0 +1,99 @@
+import { ApiError } from "./ApiError.utils.js";
+import logger from "./logger.utils.js";
+import { sendAccountLockedEmail, sendNewLoginAlertEmail } from "./emailService.js";
+
+// Failed attempts (password or 2FA code) before the account is locked
+export const MAX_FAILED_LOGIN_ATTEMPTS = 5;
+
+// Lockouts double each time: 15 min, 30 min, 1 h ... capped at 24 h
+const BASE_LOCKOUT_MS = 15 * 60 * 1000;
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000;
+
+const getLockoutDuration = (lockCount) => Math.min(BASE_LOCKOUT_MS * 2 ** lockCount, MAX_LOCKOUT_MS);
+
+/**
+ * Throws 423 if the account is currently locked (sets Retry-After)
+ * @param {object} account - Admin or Client document
+ * @param {object} res - Express response
+ */
+export const assertAccountNotLocked = (account, res) => {
+    if (!account.lockUntil || account.lockUntil <= Date.now()) return;
+
+    const retryAfter = Math.ceil((account.lockUntil - Date.now()) / 1000);
+    res.set("Retry-After", String(retryAfter));
+    throw new ApiError(423, `Account locked after too many failed login attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s)`);
+};
+
+/**
+ * Counts a failed login and locks the account once the limit is reached
+ * @param {object} account - Admin or Client document
+ * @param {object} req - Express request
+ * @returns {Promise<{locked: boolean, attemptsLeft: number}>}
+ */
+export const registerFailedLogin = async (account, req) => {
+    const Model = account.constructor;
+
+    // Atomic so parallel attempts can't slip past the limit
+    const updated = await Model.findByIdAndUpdate(
+        account._id,
+        { $inc: { failedLoginAttempts: 1 } },
+        { new: true, projection: { failedLoginAttempts: 1, lockCount: 1, email: 1, fullName: 1, locale: 1 } }
+    );
+
+    if (!updated || updated.failedLoginAttempts < MAX_FAILED_LOGIN_ATTEMPTS) {
+        return { locked: false, attemptsLeft: MAX_FAILED_LOGIN_ATTEMPTS - (updated?.failedLoginAttempts || 0) };
+    }
+
+    const lockUntil = new Date(Date.now() + getLockoutDuration(updated.lockCount || 0));
+    await Model.updateOne(
+        { _id: account._id },
+        { $set: { lockUntil, failedLoginAttempts: 0 }, $inc: { lockCount: 1 } }
+    );
+
+    logger.warn(`${Model.modelName} ${updated.email} locked until ${lockUntil.toISOString()}`, { ip: req.ip });
+
+    try {
+        await sendAccountLockedEmail(updated, { lockUntil, ip: req.ip });
+    } catch (error) {
+        logger.error(`Failed to send lockout email: ${error.message}`);
+    }
+
+    return { locked: true, attemptsLeft: 0 };
+};
+
+/**
+ * Clears failed attempts after a successful login and alerts the user when the
+ * login comes from a different IP than the previous one. Updates lastLogin / loginIP (call save afterwards).
+ * @param {object} account - Admin or Client document
+ * @param {object} req - Express request
+ */
+export const registerSuccessfulLogin = async (account, req) => {
+    const previousIP = account.loginIP;
+
+    account.failedLoginAttempts = 0;
+    account.lockCount = 0;
+    account.lockUntil = undefined;
+    account.lastLogin = new Date();
+    account.loginIP = req.ip;
+
+    if (previousIP && req.ip && previousIP !== req.ip) {
+        logger.info(`${account.constructor.modelName} ${account.email} logged in from new IP ${req.ip}`);
+
+        // Don't block the login on email delivery
+        sendNewLoginAlertEmail(account, {
+            ip: req.ip,
+            userAgent: req.get("user-agent"),
+            time: account.lastLogin
+        }).catch(error => logger.error(`Failed to send new login alert: ${error.message}`));
+    }
+};
+
+/**
+ * Resets lockout state (admin tooling)
+ * @param {object} account - Admin or Client document
+ */
+export const clearLockout = (account) => {
+    account.failedLoginAttempts = 0;
+    account.lockCount = 0;
+    account.lockUntil = undefined;
+};
@@ -0,0 +1,6 @@
+/**
+ * Rounds a money amount to 2 decimals
+ * @param {number} value
+ * @returns {number}
+ */
+export const roundMoney = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
@@ -0,0 +1,223 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+
+/**
+ * OAuth providers share one interface so controllers never talk to an identity provider directly:
+ *
+ *   getAuthorizationUrl({ state, codeChallenge, nonce, redirectUri }) -> url
+ *   getProfile({ code, codeVerifier, nonce, redirectUri })
+ *       -> { providerId, email, emailVerified, name, picture }
+ *
+ * "google" and "oidc" use OpenID Connect discovery; "oidc" takes any issuer (OIDC_ISSUER),
+ * e.g. a local mock OIDC server during development. "github" is plain OAuth 2.0.
+ * A provider is enabled when its client ID is configured.
+ */
+
+// base64url(sha256(verifier)) for PKCE S256
+export const createCodeChallenge = (codeVerifier) =>
+    crypto.createHash("sha256").update(codeVerifier).digest("base64url");
+
+const postForm = async (url, params) => {
+    const response = await fetch(url, {
+        method: "POST",
+        headers: {
+            Accept: "application/json",
+            "Content-Type": "application/x-www-form-urlencoded"
+        },
+        body: new URLSearchParams(params)
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || data.error) {
+        throw new Error(`Token request failed: ${data.error_description || data.error || response.status}`);
+    }
+    return data;
+};
+
+const getJson = async (url, accessToken) => {
+    const response = await fetch(url, {
+        headers: {
+            Accept: "application/json",
+            Authorization: `Bearer ${accessToken}`,
+            "User-Agent": "555-backend"
+        }
+    });
+
+    if (!response.ok) {
+        throw new Error(`Request to ${url} failed: ${response.status}`);
+    }
+    return response.json();
+};
+
+// Discovery documents are cached per issuer
+const discoveryCache = new Map();
+
+const discover = async (issuer) => {
+    if (!discoveryCache.has(issuer)) {
+        const response = await fetch(`${issuer.replace(/\/$/, "")}/.well-known/openid-configuration`);
+        if (!response.ok) {
+            throw new Error(`OIDC discovery failed for ${issuer}: ${response.status}`);
+        }
+        discoveryCache.set(issuer, await response.json());
+    }
+    return discoveryCache.get(issuer);
+};
+
+/**
+ * Builds an OpenID Connect provider (authorization code flow with PKCE).
+ * The ID token comes straight from the token endpoint over TLS, so its claims are
+ * checked (issuer, audience, nonce) without verifying the signature (OIDC Core 3.1.3.7).
+ */
+const createOidcProvider = (name, getConfig) => ({
+    name,
+
+    isConfigured() {
+        const { issuer, clientId } = getConfig();
+        return Boolean(issuer && clientId);
+    },
+
+    async getAuthorizationUrl({ state, codeChallenge, nonce, redirectUri }) {
+        const { issuer, clientId, scope } = getConfig();
+        const { authorization_endpoint: authorizationEndpoint } = await discover(issuer);
+
+        const params = new URLSearchParams({
+            response_type: "code",
+            client_id: clientId,
+            redirect_uri: redirectUri,
+            scope: scope || "openid email profile",
+            state,
+            nonce,
+            code_challenge: codeChallenge,
+            code_challenge_method: "S256"
+        });
+        return `${authorizationEndpoint}?${params.toString()}`;
+    },
+
+    async getProfile({ code, codeVerifier, nonce, redirectUri }) {
+        const { issuer, clientId, clientSecret } = getConfig();
+        const discovery = await discover(issuer);
+
+        const tokens = await postForm(discovery.token_endpoint, {
+            grant_type: "authorization_code",
+            code,
+            redirect_uri: redirectUri,
+            client_id: clientId,
+            code_verifier: codeVerifier,
+            ...(clientSecret && { client_secret: clientSecret })
+        });
+
+        const claims = tokens.id_token ? jwt.decode(tokens.id_token) || {} : {};
+        if (tokens.id_token) {
+            const audience = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+            if (claims.iss !== discovery.issuer || !audience.includes(clientId)) {
+                throw new Error("ID token issuer or audience mismatch");
+            }
+            if (claims.nonce !== nonce) {
+                throw new Error("ID token nonce mismatch");
+            }
+        }
+
+        // Fill in anything the ID token left out
+        const userInfo = discovery.userinfo_endpoint && (!claims.email || !claims.sub)
+            ? await getJson(discovery.userinfo_endpoint, tokens.access_token)
+            : {};
+        const profile = { ...userInfo, ...claims };
+
+        if (!profile.sub) {
+            throw new Error("Identity provider did not return a subject");
+        }
+
+        return {
+            providerId: String(profile.sub),
+            email: profile.email?.toLowerCase(),
+            emailVerified: profile.email_verified === true || profile.email_verified === "true",
+            name: profile.name || [profile.given_name, profile.family_name].filter(Boolean).join(" "),
+            picture: profile.picture
+        };
+    }
+});
+
+const googleProvider = createOidcProvider("google", () => ({
+    issuer: "https://accounts.google.com",
+    clientId: process.env.GOOGLE_CLIENT_ID,
+    clientSecret: process.env.GOOGLE_CLIENT_SECRET
+}));
+
+const oidcProvider = createOidcProvider("oidc", () => ({
+    issuer: process.env.OIDC_ISSUER,
+    clientId: process.env.OIDC_CLIENT_ID,
+    clientSecret: process.env.OIDC_CLIENT_SECRET,
+    scope: process.env.OIDC_SCOPE
+}));
+
+const githubProvider = {
+    name: "github",
+
+    isConfigured() {
+        return Boolean(process.env.GITHUB_CLIENT_ID);
+    },
+
+    async getAuthorizationUrl({ state, codeChallenge, redirectUri }) {
+        const params = new URLSearchParams({
+            client_id: process.env.GITHUB_CLIENT_ID,
+            redirect_uri: redirectUri,
+            scope: "read:user user:email",
+            state,
+            code_challenge: codeChallenge,
+            code_challenge_method: "S256",
+            allow_signup: "true"
+        });
+        return `https://github.com/login/oauth/authorize?${params.toString()}`;
+    },
+
+    async getProfile({ code, codeVerifier, redirectUri }) {
+        const tokens = await postForm("https://github.com/login/oauth/access_token", {
+            client_id: process.env.GITHUB_CLIENT_ID,
+            client_secret: process.env.GITHUB_CLIENT_SECRET,
+            code,
+            redirect_uri: redirectUri,
+            code_verifier: codeVerifier
+        });
+
+        const [user, emails] = await Promise.all([
+            getJson("https://api.github.com/user", tokens.access_token),
+            getJson("https://api.github.com/user/emails", tokens.access_token)
+        ]);
+
+        // The public profile email may be unverified, so use the primary verified address
+        const primary = emails.find(entry => entry.primary && entry.verified) || emails.find(entry => entry.verified);
+
+        return {
+            providerId: String(user.id),
+            email: (primary?.email || user.email)?.toLowerCase(),
+            emailVerified: Boolean(primary),
+            name: user.name || user.login,
+            picture: user.avatar_url
+        };
+    }
+};
+
+const providers = {
+    google: googleProvider,
+    github: githubProvider,
+    oidc: oidcProvider
+};
+
+/**
+ * Returns an enabled OAuth provider by name
+ * @param {string} name - Provider name
+ * @returns {object|null} Provider implementing the interface described above, or null if unknown / not configured
+ */
+export const getOAuthProvider = (name) => {
+    const provider = providers[name];
+    return provider && provider.isConfigured() ? provider : null;
+};
+
+/**
+ * Names of the providers that are configured
+ * @returns {string[]}
+ */
+export const getEnabledOAuthProviders = () =>
+    Object.values(providers).filter(provider => provider.isConfigured()).map(provider => provider.name);
+
+export const OAUTH_PROVIDERS = Object.keys(providers);
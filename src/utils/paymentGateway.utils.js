@@ -0,0 +1,248 @@
+import crypto from "crypto";
+import { v4 as uuidv4 } from "uuid";
+
+/**
+ * Payment providers share one interface so controllers never talk to a gateway directly:
+ *
+ *   createCheckoutSession({ amount, currency, reference, description, customerEmail, successUrl, cancelUrl, metadata })
+ *       -> { id, url }
+ *   verifyWebhook(rawBody, headers)
+ *       -> { id, type, sessionId, paymentId, amount, currency, metadata }  (throws on a bad signature)
+ *   createRefund({ paymentId, amount, currency, reason, idempotencyKey })
+ *       -> { id, status }                   (the same key never refunds twice)
+ *
+ * Normalized webhook event types: "checkout.completed" (paid), "checkout.expired", "payment.failed".
+ * A checkout whose payment is still processing (e.g. bank debits) only completes once it is paid.
+ * Amounts are always in major units (e.g. 12.50), providers convert as needed.
+ */
+
+// Decimal places of currencies that don't use 2 (Stripe's zero- and three-decimal lists)
+const CURRENCY_EXPONENTS = {
+    BIF: 0, CLP: 0, DJF: 0, GNF: 0, JPY: 0, KMF: 0, KRW: 0, MGA: 0,
+    PYG: 0, RWF: 0, UGX: 0, VND: 0, VUV: 0, XAF: 0, XOF: 0, XPF: 0,
+    BHD: 3, JOD: 3, KWD: 3, OMR: 3, TND: 3
+};
+
+const getCurrencyExponent = (currency) => CURRENCY_EXPONENTS[String(currency).toUpperCase()] ?? 2;
+
+// Amount in the smallest currency unit (cents, or yen for JPY)
+const toMinorUnits = (amount, currency) => Math.round(amount * 10 ** getCurrencyExponent(currency));
+const fromMinorUnits = (amount, currency) => amount / 10 ** getCurrencyExponent(currency);
+
+// Constant-time comparison of two hex signatures
+const signaturesMatch = (expected, provided) => {
+    const a = Buffer.from(expected, "hex");
+    const b = Buffer.from(String(provided || ""), "hex");
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+const signPayload = (secret, timestamp, payload) =>
+    crypto.createHmac("sha256", secret).update(`${timestamp}.${payload}`).digest("hex");
+
+// Webhooks older than this are rejected to limit replays
+const WEBHOOK_TOLERANCE_SECONDS = 5 * 60;
+
+const assertFreshTimestamp = (timestamp) => {
+    const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+    if (!timestamp || isNaN(age) || age > WEBHOOK_TOLERANCE_SECONDS) {
+        throw new Error("Webhook timestamp outside tolerance");
+    }
+};
+
+// Mock checkout sessions and refunds live in memory only
+const mockSessions = new Map();
+const mockRefunds = new Map();
+
+/**
+ * Local provider for development and tests. Checkout URLs point back at this API
+ * (/api/v1/payments/mock/checkout/:sessionId) which simulates the customer paying.
+ */
+const mockProvider = {
+    name: "mock",
+
+    async createCheckoutSession({ amount, currency, reference, successUrl, cancelUrl, metadata = {} }) {
+        const id = `mock_cs_${uuidv4()}`;
+        const baseUrl = process.env.API_BASE_URL || `http://localhost:${process.env.PORT || 8000}`;
+
+        mockSessions.set(id, { amount, currency, reference, successUrl, cancelUrl, metadata });
+        return { id, url: `${baseUrl}/api/v1/payments/mock/checkout/${id}` };
+    },
+
+    verifyWebhook(rawBody, headers) {
+        const secret = process.env.PAYMENT_WEBHOOK_SECRET;
+        if (!secret) throw new Error("PAYMENT_WEBHOOK_SECRET is not configured");
+
+        const timestamp = headers["x-mock-timestamp"];
+        assertFreshTimestamp(timestamp);
+
+        const expected = signPayload(secret, timestamp, rawBody);
+        if (!signaturesMatch(expected, headers["x-mock-signature"])) {
+            throw new Error("Invalid webhook signature");
+        }
+
+        return JSON.parse(rawBody);
+    },
+
+    async createRefund({ amount, idempotencyKey }) {
+        // Like Stripe, a repeated idempotency key returns the first refund
+        if (idempotencyKey && mockRefunds.has(idempotencyKey)) {
+            return mockRefunds.get(idempotencyKey);
+        }
+
+        const refund = { id: `mock_re_${uuidv4()}`, status: "succeeded", amount };
+        if (idempotencyKey) mockRefunds.set(idempotencyKey, refund);
+        return refund;
+    },
+
+    /**
+     * Builds a signed webhook for a mock checkout session (used by the mock checkout page)
+     * @param {string} sessionId - Mock checkout session ID
+     * @param {"checkout.completed"|"checkout.expired"|"payment.failed"} type - Event type
+     * @returns {{rawBody: string, headers: object, checkout: object}|null} Null if the session is unknown
+     */
+    buildWebhook(sessionId, type) {
+        const checkout = mockSessions.get(sessionId);
+        const secret = process.env.PAYMENT_WEBHOOK_SECRET;
+        if (!checkout || !secret) return null;
+
+        const rawBody = JSON.stringify({
+            id: `mock_evt_${uuidv4()}`,
+            type,
+            sessionId,
+            paymentId: `mock_pi_${uuidv4()}`,
+            amount: Number(checkout.amount),
+            currency: checkout.currency,
+            metadata: checkout.metadata
+        });
+        const timestamp = Math.floor(Date.now() / 1000);
+
+        return {
+            rawBody,
+            checkout,
+            headers: {
+                "x-mock-timestamp": String(timestamp),
+                "x-mock-signature": signPayload(secret, timestamp, rawBody)
+            }
+        };
+    }
+};
+
+// Stripe event types mapped to our normalized types. "checkout.session.completed" is only
+// a completion once the session is paid; delayed methods are paid by async_payment_succeeded.
+const STRIPE_EVENT_TYPES = {
+    "checkout.session.completed": "checkout.completed",
+    "checkout.session.async_payment_succeeded": "checkout.completed",
+    "checkout.session.expired": "checkout.expired",
+    "checkout.session.async_payment_failed": "payment.failed"
+};
+
+// Minimal Stripe REST client (form-encoded requests, no SDK dependency)
+const stripeRequest = async (path, params, idempotencyKey) => {
+    const response = await fetch(`https://api.stripe.com/v1/${path}`, {
+        method: "POST",
+        headers: {
+            Authorization: `Bearer ${process.env.STRIPE_SECRET_KEY}`,
+            "Content-Type": "application/x-www-form-urlencoded",
+            ...(idempotencyKey && { "Idempotency-Key": idempotencyKey })
+        },
+        body: new URLSearchParams(params)
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(`Stripe ${path} failed: ${data.error?.message || response.status}`);
+    }
+    return data;
+};
+
+const stripeProvider = {
+    name: "stripe",
+
+    async createCheckoutSession({ amount, currency, reference, description, customerEmail, successUrl, cancelUrl, metadata = {} }) {
+        const params = {
+            mode: "payment",
+            success_url: successUrl,
+            cancel_url: cancelUrl,
+            client_reference_id: reference,
+            "line_items[0][quantity]": "1",
+            "line_items[0][price_data][currency]": currency.toLowerCase(),
+            "line_items[0][price_data][unit_amount]": String(toMinorUnits(amount, currency)),
+            "line_items[0][price_data][product_data][name]": description || reference
+        };
+        if (customerEmail) params.customer_email = customerEmail;
+        Object.entries(metadata).forEach(([key, value]) => {
+            params[`metadata[${key}]`] = String(value);
+        });
+
+        const session = await stripeRequest("checkout/sessions", params, `checkout-${reference}-${uuidv4()}`);
+        return { id: session.id, url: session.url };
+    },
+
+    verifyWebhook(rawBody, headers) {
+        const secret = process.env.STRIPE_WEBHOOK_SECRET;
+        if (!secret) throw new Error("STRIPE_WEBHOOK_SECRET is not configured");
+
+        // Header format: t=timestamp,v1=signature[,v1=...]
+        const parts = String(headers["stripe-signature"] || "").split(",").map(part => part.split("="));
+        const timestamp = parts.find(([key]) => key === "t")?.[1];
+        const signatures = parts.filter(([key]) => key === "v1").map(([, value]) => value);
+
+        assertFreshTimestamp(timestamp);
+
+        const expected = signPayload(secret, timestamp, rawBody);
+        if (!signatures.some(signature => signaturesMatch(expected, signature))) {
+            throw new Error("Invalid webhook signature");
+        }
+
+        const event = JSON.parse(rawBody);
+        const object = event.data?.object || {};
+
+        let type = STRIPE_EVENT_TYPES[event.type] || event.type;
+        if (type === "checkout.completed" && object.payment_status !== "paid") {
+            type = "checkout.payment_pending"; // Ignored; async_payment_succeeded or _failed follows
+        }
+
+        return {
+            id: event.id,
+            type,
+            sessionId: object.id,
+            paymentId: object.payment_intent,
+            amount: object.amount_total !== undefined ? fromMinorUnits(object.amount_total, object.currency) : undefined,
+            currency: object.currency?.toUpperCase(),
+            metadata: object.metadata || {}
+        };
+    },
+
+    async createRefund({ paymentId, amount, currency, reason, idempotencyKey }) {
+        const refund = await stripeRequest("refunds", {
+            payment_intent: paymentId,
+            amount: String(toMinorUnits(amount, currency)),
+            ...(reason && { "metadata[reason]": reason })
+        }, idempotencyKey);
+
+        return { id: refund.id, status: refund.status, amount: fromMinorUnits(refund.amount, refund.currency || currency) };
+    }
+};
+
+const providers = {
+    mock: mockProvider,
+    stripe: stripeProvider
+};
+
+/**
+ * Returns a payment provider by name (defaults to PAYMENT_PROVIDER, then "mock")
+ * @param {string} [name] - Provider name
+ * @returns {object} Provider implementing the interface described above
+ */
+export const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER || "mock") => {
+    const provider = providers[name];
+    if (!provider) {
+        throw new Error(`Unknown payment provider: ${name}`);
+    }
+    if (provider === mockProvider && process.env.NODE_ENV === "production") {
+        throw new Error("The mock payment provider cannot be used in production");
+    }
+    return provider;
+};
+
+export const PAYMENT_PROVIDERS = Object.keys(providers);
@@ -0,0 +1,6 @@
+/**
+ * Escapes user input so it matches literally inside a MongoDB $regex or RegExp
+ * @param {string} value
+ * @returns {string}
+ */
+export const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
@@ -0,0 +1,183 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import Session from "../models/session.model.js";
+import { ApiError } from "./ApiError.utils.js";
+import logger from "./logger.utils.js";
+
+/**
+ * Hashes a refresh token for storage and lookup
+ * @param {string} token - Raw refresh token
+ * @returns {string}
+ */
+export const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+const BROWSERS = [
+    ["Edge", /Edg\//],
+    ["Opera", /OPR\//],
+    ["Chrome", /Chrome\//],
+    ["Firefox", /Firefox\//],
+    ["Safari", /Safari\//],
+    ["Postman", /PostmanRuntime\//]
+];
+
+const OPERATING_SYSTEMS = [
+    ["Windows", /Windows/],
+    ["Android", /Android/],
+    ["iOS", /iPhone|iPad|iPod/],
+    ["macOS", /Mac OS X|Macintosh/],
+    ["Linux", /Linux/]
+];
+
+/**
+ * Short human readable device label from a user agent, e.g. "Chrome on Windows"
+ * @param {string} userAgent - User-Agent header
+ * @returns {string}
+ */
+export const describeDevice = (userAgent = "") => {
+    const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+    const os = OPERATING_SYSTEMS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+    if (browser && os) return `${browser} on ${os}`;
+    return browser || os || "Unknown device";
+};
+
+// Signs an access / refresh token pair bound to a session
+const issueTokens = (user, sessionId) => {
+    const accessToken = user.generateAccessToken(sessionId);
+    const refreshToken = user.generateRefreshToken(sessionId);
+    const { exp } = jwt.decode(refreshToken);
+
+    return { accessToken, refreshToken, expiresAt: new Date(exp * 1000) };
+};
+
+/**
+ * Starts a new session (login) for an admin or client
+ * @param {object} user - Admin or Client document
+ * @param {"Admin"|"Client"} userModel - Model name of the user
+ * @param {object} req - Express request (device name, IP and user agent)
+ * @returns {Promise<{session: object, accessToken: string, refreshToken: string}>}
+ */
+export const createSession = async (user, userModel, req) => {
+    const sessionId = new mongoose.Types.ObjectId();
+    const { accessToken, refreshToken, expiresAt } = issueTokens(user, sessionId);
+    const userAgent = req.get("user-agent") || "";
+
+    const session = await Session.create({
+        _id: sessionId,
+        user: user._id,
+        userModel,
+        refreshTokenHash: hashToken(refreshToken),
+        device: String(req.body?.deviceName || "").trim().slice(0, 100) || describeDevice(userAgent),
+        ipAddress: req.ip || "",
+        userAgent,
+        expiresAt
+    });
+
+    return { session, accessToken, refreshToken };
+};
+
+/**
+ * Revokes a single session
+ * @param {string} sessionId - Session ID
+ * @param {string} reason - One of Session revokedReason values
+ * @returns {Promise<boolean>} False if the session was already revoked
+ */
+export const revokeSession = async (sessionId, reason) => {
+    const { modifiedCount } = await Session.updateOne(
+        { _id: sessionId, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: reason }
+    );
+    return modifiedCount > 0;
+};
+
+/**
+ * Revokes every active session of a user
+ * @param {string} userId - Admin or Client ID
+ * @param {"Admin"|"Client"} userModel - Model name of the user
+ * @param {string} reason - One of Session revokedReason values
+ * @param {object} [options]
+ * @param {string} [options.exceptSessionId] - Session to keep (e.g. the current one)
+ * @param {object} [options.session] - Mongoose session to join the caller's transaction
+ * @returns {Promise<number>} Number of revoked sessions
+ */
+export const revokeAllSessions = async (userId, userModel, reason, { exceptSessionId, session } = {}) => {
+    const query = { user: userId, userModel, revokedAt: null };
+    if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+    const { modifiedCount } = await Session.updateMany(
+        query,
+        { revokedAt: new Date(), revokedReason: reason },
+        { session: session || null }
+    );
+    return modifiedCount;
+};
+
+/**
+ * Whether the session an access token belongs to is still active
+ * @param {string} sessionId - `sid` claim of the access token
+ * @returns {Promise<boolean>}
+ */
+export const isSessionActive = async (sessionId) => {
+    if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) return false;
+    return Boolean(await Session.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } }));
+};
+
+/**
+ * Exchanges a refresh token for a new token pair. The old refresh token stops working;
+ * presenting it again is treated as theft and revokes the whole session (token family).
+ * @param {string} refreshToken - Incoming refresh token
+ * @param {object} Model - Admin or Client model
+ * @param {object} req - Express request
+ * @returns {Promise<{user: object, session: object, accessToken: string, refreshToken: string}>}
+ */
+export const rotateSession = async (refreshToken, Model, req) => {
+    let decodedToken;
+    try {
+        decodedToken = jwt.verify(refreshToken, process.env.REFRESH_TOKEN_SECRET);
+    } catch (error) {
+        throw new ApiError(401, "Invalid or expired refresh token");
+    }
+
+    if (!decodedToken.sid) {
+        throw new ApiError(401, "Invalid refresh token - please login again");
+    }
+
+    const userModel = Model.modelName;
+    const session = await Session.findOne({ _id: decodedToken.sid, user: decodedToken._id, userModel });
+
+    if (!session || !session.isActive()) {
+        throw new ApiError(401, "Session expired or revoked - please login again");
+    }
+
+    const user = await Model.findById(decodedToken._id);
+    if (!user || user.isActive === false) {
+        await revokeSession(session._id, "account-deactivated");
+        throw new ApiError(401, "Account not found or inactive");
+    }
+
+    const tokens = issueTokens(user, session._id);
+
+    // Matching on the old hash makes rotation atomic: of two requests racing with the same token only one wins
+    const rotated = await Session.findOneAndUpdate(
+        { _id: session._id, refreshTokenHash: hashToken(refreshToken), revokedAt: null },
+        {
+            refreshTokenHash: hashToken(tokens.refreshToken),
+            lastUsedAt: new Date(),
+            ipAddress: req.ip || session.ipAddress,
+            expiresAt: tokens.expiresAt
+        },
+        { new: true }
+    );
+
+    if (!rotated) {
+        await revokeSession(session._id, "reuse-detected");
+        logger.warn(`Refresh token reuse detected for ${userModel} ${user._id}, session ${session._id} revoked`, {
+            ip: req.ip,
+            userAgent: req.get("user-agent")
+        });
+        throw new ApiError(401, "Refresh token reuse detected - please login again");
+    }
+
+    return { user, session: rotated, accessToken: tokens.accessToken, refreshToken: tokens.refreshToken };
+};
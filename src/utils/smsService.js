@@ -0,0 +1,107 @@
+import fs from "fs";
+import path from "path";
+import logger from "./logger.utils.js";
+
+/**
+ * SMS transports share one interface so controllers never talk to a provider directly:
+ *
+ *   send({ to, body }) -> { id }
+ *
+ * The "console" and "file" transports are for development only; register a real
+ * provider (Twilio, Vonage, ...) with registerSmsTransport and select it with SMS_PROVIDER.
+ */
+
+// Logs the message instead of sending it
+const consoleTransport = {
+    name: "console",
+
+    async send({ to, body }) {
+        const id = `console_${Date.now()}`;
+        logger.info(`[SMS] to ${to}: ${body}`);
+        return { id };
+    }
+};
+
+// Appends the message to logs/sms.log (or SMS_LOG_FILE)
+const fileTransport = {
+    name: "file",
+
+    async send({ to, body }) {
+        const id = `file_${Date.now()}`;
+        const filePath = process.env.SMS_LOG_FILE || path.join(process.cwd(), "logs", "sms.log");
+
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.appendFile(filePath, `${JSON.stringify({ id, to, body, sentAt: new Date().toISOString() })}\n`);
+        return { id };
+    }
+};
+
+const transports = {
+    console: consoleTransport,
+    file: fileTransport
+};
+
+const DEV_TRANSPORTS = ["console", "file"];
+
+/**
+ * Registers an SMS transport so it can be selected with SMS_PROVIDER
+ * @param {string} name - Transport name
+ * @param {{send: Function}} transport - Object implementing send({ to, body })
+ */
+const registerSmsTransport = (name, transport) => {
+    if (typeof transport?.send !== "function") {
+        throw new Error(`SMS transport "${name}" must implement send({ to, body })`);
+    }
+    transports[name] = { name, ...transport };
+};
+
+/**
+ * Returns an SMS transport by name (defaults to SMS_PROVIDER, then "console")
+ * @param {string} [name] - Transport name
+ * @returns {object} Transport implementing the interface described above
+ */
+const getSmsTransport = (name = process.env.SMS_PROVIDER || "console") => {
+    const transport = transports[name];
+    if (!transport) {
+        throw new Error(`Unknown SMS provider: ${name}`);
+    }
+    if (DEV_TRANSPORTS.includes(name) && process.env.NODE_ENV === "production") {
+        throw new Error(`The ${name} SMS transport cannot be used in production`);
+    }
+    return transport;
+};
+
+/**
+ * Send an SMS through the configured transport
+ * @param {string} to - Recipient phone number
+ * @param {string} body - Message text
+ * @returns {Promise<{id: string}>}
+ */
+const sendSms = async (to, body) => {
+    try {
+        return await getSmsTransport().send({ to, body });
+    } catch (error) {
+        logger.error(`Error sending SMS: ${error.message}`, { stack: error.stack });
+        throw new Error("Failed to send SMS");
+    }
+};
+
+/**
+ * Send a phone verification code
+ * @param {string} phone - Recipient phone number
+ * @param {string} code - One-time code
+ * @param {number} expiresInMinutes - Code lifetime shown to the user
+ * @returns {Promise<{id: string}>}
+ */
+const sendPhoneVerificationSms = async (phone, code, expiresInMinutes) => {
+    const body = `Your 555 verification code is ${code}. It expires in ${expiresInMinutes} minutes. Do not share it with anyone.`;
+
+    return sendSms(phone, body);
+};
+
+export {
+    sendSms,
+    sendPhoneVerificationSms,
+    registerSmsTransport,
+    getSmsTransport
+};
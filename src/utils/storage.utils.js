@@ -0,0 +1,484 @@
+import { v2 as cloudinary } from "cloudinary";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import mime from "mime-types";
+import logger from "./logger.utils.js";
+import { registerJobHandler, enqueueJob } from "./jobQueue.utils.js";
+
+/**
+ * Storage drivers share one interface so controllers never talk to a file host directly:
+ *
+ *   upload(localFilePath, { mimeType, resourceType, access, preprocessed }) -> { url, publicId, resourceType, bytes }
+ *   remove(publicId, { resourceType, access })                 (resolves even if the file is already gone)
+ *   getSignedUrl(file, { expiresIn, fileName })                -> time-limited download URL of a private file
+ *
+ * uploadFile() adds the driver name as `provider` and the `access` level, and that descriptor is
+ * what models store, so a file is always served and deleted by the backend it was uploaded to.
+ *
+ * Private files (access "private") are never reachable through their stored `url`; they are only
+ * handed out as short-lived signed URLs by endpoints that check who is asking.
+ *
+ * The driver is picked by STORAGE_DRIVER ("cloudinary", "local" or "s3"). Without it,
+ * Cloudinary is used when configured and the local filesystem otherwise.
+ */
+
+cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET,
+    secure: true // Always use HTTPS
+});
+
+const RESOURCE_TYPES = ["image", "video", "raw"];
+
+// Lifetime of signed download URLs
+const SIGNED_URL_TTL_SECONDS = Number(process.env.SIGNED_URL_TTL_SECONDS) || 5 * 60;
+
+// Quotes would break the Content-Disposition header
+const toSafeFileName = (fileName) => fileName?.replace(/["\\\r\n]/g, "");
+
+// Cloudinary-style resource type, used by every driver so descriptors look the same
+const detectResourceType = (mimeType) => {
+    if (mimeType?.startsWith("image")) return "image";
+    if (mimeType?.startsWith("video")) return "video";
+    if (mimeType?.startsWith("audio")) return "video"; // Cloudinary treats audio as video
+    return "raw";
+};
+
+const cloudinaryDriver = {
+    name: "cloudinary",
+
+    async upload(localFilePath, { mimeType, resourceType, access, preprocessed }) {
+        const options = {
+            // PDFs are handled better as raw, other documents are left to Cloudinary
+            resource_type: resourceType === "raw" && mimeType !== "application/pdf" ? "auto" : resourceType,
+            // Authenticated assets can only be fetched with a signed URL
+            type: access === "private" ? "authenticated" : "upload",
+            use_filename: true,
+            unique_filename: false,
+            overwrite: true
+        };
+
+        // Default transformations only for images we haven't resized and encoded ourselves
+        if (resourceType === "image" && !preprocessed) {
+            options.transformation = [
+                {
+                    width: 1000,
+                    height: 1000,
+                    crop: "limit", // Keep the aspect ratio
+                    quality: "auto",
+                    fetch_format: "auto"
+                }
+            ];
+        }
+
+        const response = await cloudinary.uploader.upload(localFilePath, options);
+
+        return {
+            url: response.secure_url,
+            publicId: response.public_id,
+            resourceType: response.resource_type,
+            bytes: response.bytes
+        };
+    },
+
+    async remove(publicId, { resourceType, access }) {
+        const result = await cloudinary.uploader.destroy(publicId, {
+            resource_type: resourceType,
+            type: access === "private" ? "authenticated" : "upload",
+            invalidate: true // Invalidate CDN cache
+        });
+
+        if (result.result !== "ok" && result.result !== "not found") {
+            throw new Error(`Deletion failed: ${result.result}`);
+        }
+    },
+
+    async getSignedUrl(file, { expiresIn, fileName }) {
+        // Raw public IDs already include the extension, images and videos need the format
+        const format = file.resourceType === "raw" ? "" : path.extname(new URL(file.url).pathname).slice(1);
+
+        return cloudinary.utils.private_download_url(file.publicId, format, {
+            resource_type: file.resourceType,
+            type: "authenticated",
+            expires_at: Math.floor(Date.now() / 1000) + expiresIn,
+            attachment: fileName || true
+        });
+    }
+};
+
+const getApiBaseUrl = () => process.env.API_BASE_URL || `http://localhost:${process.env.PORT || 8000}`;
+
+// Public files are copied under public/, which express.static already serves; private ones are not
+const getLocalDir = (access) => access === "private"
+    ? process.env.LOCAL_PRIVATE_STORAGE_DIR || "./storage/private"
+    : process.env.LOCAL_STORAGE_DIR || "./public/uploads";
+
+const getLocalBaseUrl = () => process.env.LOCAL_STORAGE_BASE_URL || `${getApiBaseUrl()}/uploads`;
+
+const getLocalSigningSecret = () => process.env.STORAGE_SIGNING_SECRET || process.env.ACCESS_TOKEN_SECRET;
+
+const signLocalDownload = (publicId, expires, fileName = "") =>
+    crypto.createHmac("sha256", getLocalSigningSecret()).update(`${publicId}:${expires}:${fileName}`).digest("hex");
+
+/**
+ * Local filesystem driver for development and single-server setups.
+ * Temp file names are already unique (multer adds a UUID), so they double as the public ID.
+ */
+const localDriver = {
+    name: "local",
+
+    async upload(localFilePath, { resourceType, access }) {
+        const publicId = path.basename(localFilePath);
+        const target = path.join(getLocalDir(access), publicId);
+
+        await fs.promises.mkdir(getLocalDir(access), { recursive: true });
+        await fs.promises.copyFile(localFilePath, target);
+        const { size } = await fs.promises.stat(target);
+
+        // Private files get an API URL that only works with a signature
+        const url = access === "private"
+            ? `${getApiBaseUrl()}/api/v1/files/${encodeURIComponent(publicId)}`
+            : `${getLocalBaseUrl()}/${publicId}`;
+
+        return { url, publicId, resourceType, bytes: size };
+    },
+
+    async remove(publicId, { access }) {
+        // basename() keeps a crafted public ID from escaping the upload directory
+        await fs.promises.unlink(path.join(getLocalDir(access), path.basename(publicId))).catch(error => {
+            if (error.code !== "ENOENT") throw error;
+        });
+    },
+
+    async getSignedUrl(file, { expiresIn, fileName }) {
+        const expires = Math.floor(Date.now() / 1000) + expiresIn;
+        const params = new URLSearchParams({
+            expires: String(expires),
+            ...(fileName && { name: fileName }),
+            signature: signLocalDownload(file.publicId, expires, fileName)
+        });
+        return `${getApiBaseUrl()}/api/v1/files/${encodeURIComponent(file.publicId)}?${params.toString()}`;
+    }
+};
+
+/**
+ * Checks a signed local download link (served by GET /api/v1/files/:publicId)
+ * @param {string} publicId - Public ID from the URL
+ * @param {{expires: string, name?: string, signature: string}} query - Query parameters of the link
+ * @returns {{filePath: string, fileName: string}|null} File to send, or null if the link is invalid or expired
+ */
+export const resolveLocalDownload = (publicId, { expires, name = "", signature } = {}) => {
+    if (!publicId || !signature || !(Number(expires) > Date.now() / 1000)) return null;
+
+    const expected = Buffer.from(signLocalDownload(publicId, expires, name), "hex");
+    const provided = Buffer.from(String(signature), "hex");
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) return null;
+
+    const fileName = path.basename(publicId);
+    return { filePath: path.resolve(getLocalDir("private"), fileName), fileName: name || fileName };
+};
+
+const getS3Config = () => {
+    const region = process.env.S3_REGION || "us-east-1";
+    return {
+        region,
+        bucket: process.env.S3_BUCKET,
+        // Private files go to their own bucket (or the same one if it isn't publicly readable)
+        privateBucket: process.env.S3_PRIVATE_BUCKET || process.env.S3_BUCKET,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        // Any S3-compatible endpoint (MinIO, R2, ...); path-style URLs work everywhere
+        endpoint: (process.env.S3_ENDPOINT || `https://s3.${region}.amazonaws.com`).replace(/\/$/, ""),
+        publicUrl: process.env.S3_PUBLIC_URL?.replace(/\/$/, "")
+    };
+};
+
+const sha256Hex = (data) => crypto.createHash("sha256").update(data).digest("hex");
+const hmac = (key, data) => crypto.createHmac("sha256", key).update(data).digest();
+
+// encodeURIComponent leaves !'()* alone, SigV4 wants them encoded
+const encodeRfc3986 = (value) =>
+    encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const getS3ObjectUrl = (config, bucket, key) => new URL(`${config.endpoint}/${bucket}/${encodeRfc3986(key)}`);
+
+/**
+ * Computes an AWS Signature Version 4 signature
+ * @param {object} params
+ * @param {object} params.config - S3 config (region, secretAccessKey)
+ * @param {string} params.amzDate - Request time as YYYYMMDD'T'HHMMSS'Z'
+ * @param {string} params.canonicalRequest - Canonical request (method, path, query, headers, payload hash)
+ * @returns {{signature: string, scope: string}}
+ */
+const signV4 = ({ config, amzDate, canonicalRequest }) => {
+    const dateStamp = amzDate.slice(0, 8);
+    const scope = `${dateStamp}/${config.region}/s3/aws4_request`;
+    const stringToSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256Hex(canonicalRequest)].join("\n");
+
+    const signingKey = ["s3", "aws4_request"].reduce(
+        (key, part) => hmac(key, part),
+        hmac(hmac(`AWS4${config.secretAccessKey}`, dateStamp), config.region)
+    );
+    return { signature: crypto.createHmac("sha256", signingKey).update(stringToSign).digest("hex"), scope };
+};
+
+const getAmzDate = () => new Date().toISOString().replace(/[:-]|\.\d{3}/g, "");
+
+const assertS3Configured = (config) => {
+    if (!config.bucket || !config.accessKeyId || !config.secretAccessKey) {
+        throw new Error("S3 storage is not configured");
+    }
+};
+
+/**
+ * Sends a request signed with AWS Signature Version 4
+ * @returns {Promise<Response>}
+ */
+const s3Request = async (method, key, { access, body = "", headers = {} } = {}) => {
+    const config = getS3Config();
+    assertS3Configured(config);
+
+    const url = getS3ObjectUrl(config, access === "private" ? config.privateBucket : config.bucket, key);
+    const amzDate = getAmzDate();
+    const payloadHash = sha256Hex(body);
+
+    const signedHeaders = "host;x-amz-content-sha256;x-amz-date";
+    const canonicalRequest = [
+        method,
+        url.pathname,
+        "",
+        `host:${url.host}`,
+        `x-amz-content-sha256:${payloadHash}`,
+        `x-amz-date:${amzDate}`,
+        "",
+        signedHeaders,
+        payloadHash
+    ].join("\n");
+
+    const { signature, scope } = signV4({ config, amzDate, canonicalRequest });
+
+    const response = await fetch(url, {
+        method,
+        headers: {
+            ...headers,
+            "x-amz-content-sha256": payloadHash,
+            "x-amz-date": amzDate,
+            Authorization: `AWS4-HMAC-SHA256 Credential=${config.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+        },
+        ...(method === "PUT" && { body })
+    });
+
+    if (!response.ok) {
+        const text = await response.text().catch(() => "");
+        throw new Error(`S3 ${method} failed: ${response.status} ${text.match(/<Code>(.*?)<\/Code>/)?.[1] || ""}`.trim());
+    }
+    return response;
+};
+
+const s3Driver = {
+    name: "s3",
+
+    async upload(localFilePath, { mimeType, resourceType, access }) {
+        const publicId = path.basename(localFilePath);
+        const body = await fs.promises.readFile(localFilePath);
+
+        await s3Request("PUT", publicId, { access, body, headers: { "Content-Type": mimeType } });
+
+        const config = getS3Config();
+        const url = access === "private"
+            ? getS3ObjectUrl(config, config.privateBucket, publicId).toString()
+            : `${config.publicUrl || `${config.endpoint}/${config.bucket}`}/${encodeRfc3986(publicId)}`;
+
+        return { url, publicId, resourceType, bytes: body.length };
+    },
+
+    async remove(publicId, { access }) {
+        await s3Request("DELETE", publicId, { access }); // S3 answers 204 for missing keys too
+    },
+
+    // Presigned GET (query string authentication)
+    async getSignedUrl(file, { expiresIn, fileName }) {
+        const config = getS3Config();
+        assertS3Configured(config);
+
+        const url = getS3ObjectUrl(config, config.privateBucket, file.publicId);
+        const amzDate = getAmzDate();
+        const scope = `${amzDate.slice(0, 8)}/${config.region}/s3/aws4_request`;
+
+        const params = {
+            "X-Amz-Algorithm": "AWS4-HMAC-SHA256",
+            "X-Amz-Credential": `${config.accessKeyId}/${scope}`,
+            "X-Amz-Date": amzDate,
+            "X-Amz-Expires": String(expiresIn),
+            "X-Amz-SignedHeaders": "host",
+            ...(fileName && { "response-content-disposition": `attachment; filename="${fileName}"` })
+        };
+        const canonicalQuery = Object.keys(params).sort()
+            .map(key => `${encodeRfc3986(key)}=${encodeRfc3986(params[key])}`)
+            .join("&");
+
+        const canonicalRequest = ["GET", url.pathname, canonicalQuery, `host:${url.host}`, "", "host", "UNSIGNED-PAYLOAD"].join("\n");
+        const { signature } = signV4({ config, amzDate, canonicalRequest });
+
+        return `${url.origin}${url.pathname}?${canonicalQuery}&X-Amz-Signature=${signature}`;
+    }
+};
+
+const drivers = {
+    cloudinary: cloudinaryDriver,
+    local: localDriver,
+    s3: s3Driver
+};
+
+/**
+ * Returns a storage driver by name (defaults to STORAGE_DRIVER, see above)
+ * @param {string} [name] - Driver name
+ * @returns {object} Driver implementing the interface described above
+ */
+export const getStorageDriver = (name = process.env.STORAGE_DRIVER || (process.env.CLOUDINARY_CLOUD_NAME ? "cloudinary" : "local")) => {
+    const driver = drivers[name];
+    if (!driver) {
+        throw new Error(`Unknown storage driver: ${name}`);
+    }
+    return driver;
+};
+
+export const STORAGE_DRIVERS = Object.keys(drivers);
+
+/**
+ * Uploads a local (multer temp) file to the configured storage and removes the local copy
+ * @param {string} localFilePath - Path to the local file
+ * @param {object} [options]
+ * @param {"public"|"private"} [options.access="public"] - Private files are only served through signed URLs
+ * @param {boolean} [options.preprocessed=false] - Already resized/encoded (processFile), so the driver must not transform it
+ * @returns {Promise<{url: string, publicId: string, resourceType: string, bytes: number, provider: string, access: string}>}
+ */
+export const uploadFile = async (localFilePath, { access = "public", preprocessed = false } = {}) => {
+    try {
+        if (!localFilePath) {
+            throw new Error("No file path provided");
+        }
+
+        if (!fs.existsSync(localFilePath)) {
+            throw new Error("File not found");
+        }
+
+        const mimeType = mime.lookup(localFilePath) || "application/octet-stream";
+        const driver = getStorageDriver();
+        const file = await driver.upload(localFilePath, { mimeType, resourceType: detectResourceType(mimeType), access, preprocessed });
+
+        return { ...file, provider: driver.name, access };
+    } catch (error) {
+        logger.error(`Storage upload error: ${error.message}`);
+        throw new Error(`Upload failed: ${error.message}`);
+    } finally {
+        // Clean up: remove the local file
+        if (localFilePath && fs.existsSync(localFilePath)) {
+            fs.unlinkSync(localFilePath);
+        }
+    }
+};
+
+/**
+ * Uploads a processed image (see processFile in multler.middlewares.js). Its responsive
+ * variants are added later by the "image.variants" job (see imageVariants.utils.js).
+ * @param {object} processed - processFile result ({ processedPath, width, height })
+ * @param {object} [options] - Passed to uploadFile
+ * @returns {Promise<object>} Image descriptor: the stored file plus `width` and `height`
+ */
+export const uploadProcessedImage = async (processed, options = {}) => {
+    const file = await uploadFile(processed.processedPath, { ...options, preprocessed: true });
+    return { ...file, width: processed.width, height: processed.height };
+};
+
+/**
+ * Reads a stored file back from its backend (used by jobs that derive files from it)
+ * @param {object} file - Stored file descriptor
+ * @returns {Promise<Buffer>}
+ */
+export const readStoredFile = async (file) => {
+    if (file.provider === "local") {
+        return fs.promises.readFile(path.join(getLocalDir(file.access), path.basename(file.publicId)));
+    }
+
+    const { url } = await getSignedFileUrl(file, { expiresIn: 60 });
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Download failed: ${response.status}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+};
+
+/**
+ * Deletes a stored file (and its image variants, if any) from the backend it was uploaded to
+ * @param {object} file - Stored file descriptor ({ publicId, resourceType, provider, access, variants })
+ * @returns {Promise<void>}
+ */
+export const deleteFile = async (file) => {
+    try {
+        if (!file?.publicId) {
+            throw new Error("No public ID provided");
+        }
+
+        if (file.variants?.length) {
+            const results = await Promise.allSettled(file.variants.map(variant => deleteFile(variant)));
+            results.filter(result => result.status === "rejected").forEach(result => {
+                logger.error(`Failed to delete image variant: ${result.reason?.message}`, { publicId: file.publicId });
+            });
+        }
+
+        const resourceType = RESOURCE_TYPES.includes(file.resourceType) ? file.resourceType : "image";
+        // Files stored before storage drivers existed all live on Cloudinary
+        await getStorageDriver(file.provider || "cloudinary").remove(file.publicId, { resourceType, access: file.access });
+    } catch (error) {
+        logger.error(`Storage deletion error: ${error.message}`, { publicId: file?.publicId });
+        throw new Error(`Deletion failed: ${error.message}`);
+    }
+};
+
+// Removals are idempotent on every driver, so a retried deletion is harmless
+registerJobHandler("storage.delete", ({ file }) => deleteFile(file), { maxAttempts: 8 });
+
+/**
+ * Queues stored files for deletion by the job worker, one job per file and image variant,
+ * so a storage outage leaves a retryable job instead of an orphaned asset
+ * @param {object|object[]} files - Stored file descriptor(s); entries without a public ID are skipped
+ * @param {object} [options]
+ * @param {object} [options.session] - Mongoose session; the files are only deleted if the transaction commits
+ * @returns {Promise<number>} Number of queued deletions
+ */
+export const queueFileDeletion = async (files, { session } = {}) => {
+    const targets = [].concat(files)
+        .filter(file => file?.publicId)
+        .flatMap(file => {
+            const { variants = [], ...original } = typeof file.toObject === "function" ? file.toObject() : file;
+            return [original, ...variants];
+        });
+
+    // One at a time: operations in a transaction can't run in parallel
+    for (const file of targets) {
+        await enqueueJob("storage.delete", { file }, { session });
+    }
+    return targets.length;
+};
+
+/**
+ * Returns a short-lived download URL for a stored file. Public files just return their URL.
+ * @param {object} file - Stored file descriptor
+ * @param {object} [options]
+ * @param {number} [options.expiresIn] - Lifetime in seconds (defaults to SIGNED_URL_TTL_SECONDS)
+ * @param {string} [options.fileName] - File name offered to the browser
+ * @returns {Promise<{url: string, expiresAt: Date|null}>}
+ */
+export const getSignedFileUrl = async (file, { expiresIn = SIGNED_URL_TTL_SECONDS, fileName } = {}) => {
+    if (file?.access !== "private") {
+        return { url: file?.url, expiresAt: null };
+    }
+
+    const url = await getStorageDriver(file.provider || "cloudinary")
+        .getSignedUrl(file, { expiresIn, fileName: toSafeFileName(fileName) });
+
+    return { url, expiresAt: new Date(Date.now() + expiresIn * 1000) };
+};
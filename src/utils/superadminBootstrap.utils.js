@@ -0,0 +1,96 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Admin from "../models/admin.model.js";
+import AuditLog from "../models/auditLog.model.js";
+import { ApiError } from "./ApiError.utils.js";
+import logger from "./logger.utils.js";
+import { isPasswordStrong, isEmailValid, areRequiredFieldsProvided } from "./validator.utils.js";
+
+/**
+ * Constant-time comparison of a provided bootstrap secret with SUPERADMIN_BOOTSTRAP_SECRET
+ * @param {string} providedSecret - Secret sent by the caller
+ * @returns {boolean} Whether the secret matches (always false when the env var is unset)
+ */
+export const isBootstrapSecretValid = (providedSecret) => {
+    const expectedSecret = process.env.SUPERADMIN_BOOTSTRAP_SECRET;
+    if (!expectedSecret || !providedSecret || typeof providedSecret !== "string") {
+        return false;
+    }
+
+    const expected = crypto.createHash("sha256").update(expectedSecret).digest();
+    const provided = crypto.createHash("sha256").update(providedSecret).digest();
+    return crypto.timingSafeEqual(expected, provided);
+};
+
+/**
+ * Creates the initial superadmin. Refuses if any superadmin already exists.
+ * Used by POST /api/v1/admin/init-superadmin and scripts/create-superadmin.js
+ * @param {object} details - { fullName, email, password }
+ * @param {object} context - { source: "api" | "cli", ipAddress, userAgent }
+ * @returns {Promise<object>} The created superadmin (without password)
+ */
+export const bootstrapSuperadmin = async ({ fullName, email, password }, { source, ipAddress = "", userAgent = "" }) => {
+    // 1. Input Validation
+    if (!areRequiredFieldsProvided([fullName, email, password])) {
+        throw new ApiError(400, "All fields (fullName, email, password) are required");
+    }
+
+    if (!isEmailValid(email)) {
+        throw new ApiError(400, "Invalid email format");
+    }
+
+    if (!isPasswordStrong(password) || password.length < 8) {
+        throw new ApiError(400, "Password must be at least 8 characters with uppercase, lowercase, number, and special character");
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        // 2. Refuse once any superadmin exists
+        const existingSuperadmin = await Admin.exists({ role: "superadmin" }).session(session);
+        if (existingSuperadmin) {
+            logger.warn(`Superadmin bootstrap refused (${source}): a superadmin already exists`, { ipAddress });
+            throw new ApiError(403, "Superadmin already exists");
+        }
+
+        // 3. Create superadmin with all permissions
+        const [superadmin] = await Admin.create([{
+            fullName,
+            email,
+            password,
+            role: "superadmin",
+            permissions: Admin.getDefaultPermissions("superadmin")
+        }], { session });
+
+        // 4. Record the bootstrap event
+        await AuditLog.create([{
+            actor: superadmin._id,
+            actorEmail: superadmin.email,
+            action: "admin.bootstrap",
+            targetModel: "Admin",
+            targetId: superadmin._id,
+            changes: { before: null, after: { email: superadmin.email, role: "superadmin" } },
+            ipAddress,
+            userAgent,
+            metadata: { source }
+        }], { session });
+
+        await session.commitTransaction();
+        logger.warn(`Initial superadmin ${superadmin.email} bootstrapped via ${source}`, { ipAddress });
+
+        return await Admin.findById(superadmin._id).select("-password -refreshToken");
+    } catch (error) {
+        await session.abortTransaction();
+
+        if (error instanceof ApiError) {
+            throw error;
+        }
+        if (error.code === 11000) {
+            throw new ApiError(409, "Admin with this email already exists");
+        }
+        throw new ApiError(500, error.message || "Failed to bootstrap superadmin");
+    } finally {
+        session.endSession();
+    }
+};
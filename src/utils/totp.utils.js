@@ -0,0 +1,164 @@
+import crypto from "crypto";
+
+/**
+ * RFC 6238 TOTP (SHA-1, 6 digits, 30 second steps) as used by Google Authenticator,
+ * Authy, 1Password etc. Implemented on node:crypto to avoid another dependency.
+ */
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+
+const base32Encode = (buffer) => {
+    let bits = "";
+    buffer.forEach(byte => {
+        bits += byte.toString(2).padStart(8, "0");
+    });
+
+    let output = "";
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+    }
+    return output;
+};
+
+const base32Decode = (input) => {
+    const cleaned = String(input).toUpperCase().replace(/=+$/, "").replace(/\s/g, "");
+    let bits = "";
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error("Invalid base32 secret");
+        bits += index.toString(2).padStart(5, "0");
+    }
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+};
+
+/**
+ * Generates a new random TOTP secret
+ * @returns {string} Base32 secret (160 bits)
+ */
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Computes the code for one time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step (unix seconds / 30)
+ * @returns {string} Zero padded code
+ */
+export const generateTotp = (secret, step = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS)) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+};
+
+/**
+ * Checks a code against the current time step, allowing some clock drift
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {object} [options]
+ * @param {number} [options.window=1] - Steps accepted before / after the current one
+ * @param {number} [options.afterStep] - Reject steps up to and including this one (replay protection)
+ * @returns {number|null} The matched time step, or null
+ */
+export const verifyTotp = (secret, code, { window = 1, afterStep } = {}) => {
+    const normalized = String(code || "").replace(/\s/g, "");
+    if (!/^\d{6}$/.test(normalized)) return null;
+
+    const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+
+    for (let step = currentStep - window; step <= currentStep + window; step++) {
+        if (afterStep !== undefined && afterStep !== null && step <= afterStep) continue;
+
+        const expected = Buffer.from(generateTotp(secret, step));
+        if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+            return step;
+        }
+    }
+    return null;
+};
+
+/**
+ * Builds the otpauth:// URI that authenticator apps import (usually shown as a QR code)
+ * @param {object} params
+ * @param {string} params.secret - Base32 secret
+ * @param {string} params.accountName - Usually the admin's email
+ * @param {string} [params.issuer] - Name shown in the authenticator app
+ * @returns {string}
+ */
+export const buildOtpauthUri = ({ secret, accountName, issuer = process.env.TWO_FACTOR_ISSUER || "555 Admin" }) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: "SHA1",
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// AES-256-GCM key for secrets at rest
+const getEncryptionKey = () =>
+    crypto.createHash("sha256")
+        .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.ACCESS_TOKEN_SECRET || "")
+        .digest();
+
+/**
+ * Encrypts a TOTP secret for storage
+ * @param {string} secret - Base32 secret
+ * @returns {string} iv:tag:ciphertext (hex)
+ */
+export const encryptSecret = (secret) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv("aes-256-gcm", getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString("hex")).join(":");
+};
+
+/**
+ * Decrypts a stored TOTP secret
+ * @param {string} payload - Value produced by encryptSecret
+ * @returns {string} Base32 secret
+ */
+export const decryptSecret = (payload) => {
+    const [iv, tag, encrypted] = String(payload).split(":").map(part => Buffer.from(part, "hex"));
+    const decipher = crypto.createDecipheriv("aes-256-gcm", getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString("utf8");
+};
+
+// Backup codes are compared case- and dash-insensitively
+const normalizeBackupCode = (code) => String(code || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+/**
+ * Hashes a backup code for storage and lookup
+ * @param {string} code - Backup code as shown to the user
+ * @returns {string}
+ */
+export const hashBackupCode = (code) => crypto.createHash("sha256").update(normalizeBackupCode(code)).digest("hex");
+
+/**
+ * Generates one-time backup recovery codes
+ * @param {number} [count=10] - Number of codes
+ * @returns {{codes: string[], hashes: string[]}} Codes to show once, hashes to store
+ */
+export const generateBackupCodes = (count = 10) => {
+    const codes = Array.from({ length: count }, () => {
+        const raw = crypto.randomBytes(5).toString("hex");
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    return { codes, hashes: codes.map(hashBackupCode) };
+};
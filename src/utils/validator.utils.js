@@ -1,4 +1,5 @@
 import validator from "validator";
+import mongoose from "mongoose";
 
 // Function to validate password strength
 export const isPasswordStrong = password => {
@@ -33,4 +34,9 @@ export const isStringEmpty = str => {
 // Function to validate if all required fields are provided
 export const areRequiredFieldsProvided = fields => {
     return fields.every(field => !isStringEmpty(field));
-};
\ No newline at end of file
+};
+
+// Function to validate a MongoDB ObjectId
+export const isValidObjectId = id => {
+    return mongoose.Types.ObjectId.isValid(id);
+};
@@ -0,0 +1,150 @@
+import crypto from "crypto";
+import fs from "fs";
+import net from "net";
+import path from "path";
+import logger from "./logger.utils.js";
+
+/**
+ * Virus scanners share one interface so the upload pipeline never talks to an engine directly:
+ *
+ *   scan(filePath) -> { clean: boolean, threat: string|null }   (throws if the scan could not run)
+ *
+ * "clamav" streams the file to a clamd daemon (CLAMAV_SOCKET, or CLAMAV_HOST / CLAMAV_PORT).
+ * "stub" only recognises the EICAR test file, for development and tests.
+ * VIRUS_SCANNER picks one; without it, clamav is used when configured and the stub otherwise
+ * (outside production only).
+ */
+
+const CLAMAV_TIMEOUT_MS = Number(process.env.CLAMAV_TIMEOUT_MS) || 30 * 1000;
+const CLAMAV_CHUNK_BYTES = 64 * 1024;
+
+// Standard antivirus test string, harmless by design
+const EICAR_SIGNATURE = "X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*";
+
+const stubScanner = {
+    name: "stub",
+
+    async scan(filePath) {
+        const content = await fs.promises.readFile(filePath, "latin1");
+        const infected = content.includes(EICAR_SIGNATURE);
+        return { clean: !infected, threat: infected ? "Eicar-Test-Signature" : null };
+    }
+};
+
+/**
+ * clamd INSTREAM protocol: "zINSTREAM\0", then chunks prefixed with their 4-byte
+ * big-endian length, then a zero-length chunk. The reply is "stream: OK" or
+ * "stream: <threat> FOUND".
+ */
+const clamavScanner = {
+    name: "clamav",
+
+    scan(filePath) {
+        return new Promise((resolve, reject) => {
+            const socket = process.env.CLAMAV_SOCKET
+                ? net.createConnection(process.env.CLAMAV_SOCKET)
+                : net.createConnection(Number(process.env.CLAMAV_PORT) || 3310, process.env.CLAMAV_HOST || "127.0.0.1");
+
+            let reply = "";
+            socket.setTimeout(CLAMAV_TIMEOUT_MS);
+            socket.on("timeout", () => socket.destroy(new Error("ClamAV scan timed out")));
+            socket.on("error", reject);
+            socket.on("data", data => {
+                reply += data.toString();
+            });
+
+            socket.on("connect", async () => {
+                try {
+                    socket.write("zINSTREAM\0");
+                    for await (const chunk of fs.createReadStream(filePath, { highWaterMark: CLAMAV_CHUNK_BYTES })) {
+                        const size = Buffer.alloc(4);
+                        size.writeUInt32BE(chunk.length);
+                        if (!socket.write(Buffer.concat([size, chunk]))) {
+                            await new Promise(resolveDrain => socket.once("drain", resolveDrain));
+                        }
+                    }
+                    socket.end(Buffer.alloc(4)); // Zero-length chunk ends the stream
+                } catch (error) {
+                    socket.destroy(error);
+                }
+            });
+
+            socket.on("close", hadError => {
+                if (hadError) return; // Already rejected by the error handler
+
+                const result = reply.replace(/\0/g, "").trim();
+                if (result.endsWith("OK")) {
+                    resolve({ clean: true, threat: null });
+                } else if (result.endsWith("FOUND")) {
+                    resolve({ clean: false, threat: result.replace(/^stream:\s*/, "").replace(/\s*FOUND$/, "") });
+                } else {
+                    reject(new Error(`Unexpected ClamAV reply: ${result || "(empty)"}`));
+                }
+            });
+        });
+    }
+};
+
+const scanners = {
+    clamav: clamavScanner,
+    stub: stubScanner
+};
+
+/**
+ * Returns a virus scanner by name (defaults to VIRUS_SCANNER, see above).
+ * The stub is refused in production, so a missing ClamAV config fails instead of letting uploads through unscanned.
+ * @param {string} [name] - Scanner name
+ * @returns {object} Scanner implementing the interface described above
+ */
+export const getVirusScanner = (name = process.env.VIRUS_SCANNER ||
+    (process.env.CLAMAV_SOCKET || process.env.CLAMAV_HOST ? "clamav" : "stub")) => {
+    const scanner = scanners[name];
+    if (!scanner) {
+        throw new Error(`Unknown virus scanner: ${name}`);
+    }
+    if (scanner === stubScanner && process.env.NODE_ENV === "production") {
+        throw new Error("The stub virus scanner cannot be used in production; configure ClamAV (CLAMAV_HOST or CLAMAV_SOCKET)");
+    }
+    return scanner;
+};
+
+export const VIRUS_SCANNERS = Object.keys(scanners);
+
+/**
+ * Scans a file with the configured scanner
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<{clean: boolean, threat: string|null, scanner: string}>}
+ */
+export const scanFile = async (filePath) => {
+    const scanner = getVirusScanner();
+    const result = await scanner.scan(filePath);
+    return { ...result, scanner: scanner.name };
+};
+
+const getQuarantineDir = () => process.env.QUARANTINE_DIR || "./quarantine";
+
+/**
+ * Moves a flagged file out of the upload path, next to a JSON report for later review
+ * @param {string} filePath - Path to the flagged file
+ * @param {object} details - Why and by whom it was uploaded (threat, originalName, uploader, ...)
+ * @returns {Promise<string>} Quarantine ID
+ */
+export const quarantineFile = async (filePath, details = {}) => {
+    const quarantineId = `${Date.now()}-${crypto.randomBytes(6).toString("hex")}`;
+    const target = path.join(getQuarantineDir(), `${quarantineId}.bin`);
+    const sha256 = crypto.createHash("sha256").update(await fs.promises.readFile(filePath)).digest("hex");
+
+    await fs.promises.mkdir(getQuarantineDir(), { recursive: true });
+    await fs.promises.rename(filePath, target).catch(async () => {
+        // Different filesystem: copy, then remove the original
+        await fs.promises.copyFile(filePath, target);
+        await fs.promises.unlink(filePath);
+    });
+    await fs.promises.writeFile(
+        path.join(getQuarantineDir(), `${quarantineId}.json`),
+        JSON.stringify({ ...details, sha256, quarantinedAt: new Date().toISOString() }, null, 2)
+    );
+
+    logger.warn(`Quarantined upload ${quarantineId}: ${details.threat || "flagged"}`, { sha256, ...details });
+    return quarantineId;
+};
@@ -0,0 +1,67 @@
+import zlib from "zlib";
+
+// DOS date/time fields used by the ZIP format
+const toDosDateTime = (date) => ({
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+/**
+ * Builds a ZIP archive in memory (deflate, no ZIP64, so keep it well under 4 GB)
+ * @param {{name: string, content: string|Buffer}[]} files - Entries to add
+ * @returns {Buffer}
+ */
+export const createZip = (files) => {
+    const { time, date } = toDosDateTime(new Date());
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(({ name, content }) => {
+        const fileName = Buffer.from(name, "utf8");
+        const data = Buffer.isBuffer(content) ? content : Buffer.from(String(content), "utf8");
+        const compressed = zlib.deflateRawSync(data);
+        const crc = zlib.crc32(data); // Node >= 20.15, see "engines" in package.json
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0); // Local file header signature
+        local.writeUInt16LE(20, 4); // Version needed
+        local.writeUInt16LE(0x0800, 6); // UTF-8 file names
+        local.writeUInt16LE(8, 8); // Deflate
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(date, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(fileName.length, 26);
+        local.writeUInt16LE(0, 28);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0); // Central directory signature
+        central.writeUInt16LE(20, 4); // Version made by
+        central.writeUInt16LE(20, 6); // Version needed
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt16LE(time, 12);
+        central.writeUInt16LE(date, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(fileName.length, 28);
+        central.writeUInt32LE(offset, 42); // Offset of the local header
+
+        localParts.push(local, fileName, compressed);
+        centralParts.push(central, fileName);
+        offset += local.length + fileName.length + compressed.length;
+    });
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0); // End of central directory signature
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, centralDirectory, end]);
+};
@@ -0,0 +1,123 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Client from "../src/models/client.model.js";
+import Session from "../src/models/session.model.js";
+import Job from "../src/models/job.model.js";
+import { query, startServer } from "./helpers.js";
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+describe("email verification", () => {
+    let baseUrl;
+    let client;
+    let emails;
+
+    beforeEach(async (t) => {
+        baseUrl = await startServer(t);
+        emails = [];
+        client = new Client({ fullName: "Jane Doe", email: "jane@example.com" });
+
+        mock.method(Client.prototype, "save", async function () { return this; });
+        mock.method(Job, "create", async ([job]) => {
+            emails.push(job.payload);
+            return [job];
+        });
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    // Token in the link of the last queued email
+    const lastEmailToken = () => emails.at(-1).html.match(/verify-email\?token=([a-f0-9]+)/)[1];
+
+    const resend = (email) => fetch(`${baseUrl}/api/v1/client/resend-verification`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ email })
+    });
+
+    const verify = (token) => fetch(`${baseUrl}/api/v1/client/verify-email?token=${token}`);
+
+    it("emails a link whose token is only stored hashed, replacing the previous one", async () => {
+        client.generateEmailVerificationToken();
+        const previousHash = client.verificationToken;
+        client.verificationSentAt = new Date(Date.now() - 10 * 60 * 1000);
+        mock.method(Client, "findOne", () => query(client));
+
+        assert.equal((await resend("Jane@Example.com ")).status, 200);
+
+        const token = lastEmailToken();
+        assert.equal(emails.at(-1).to, "jane@example.com");
+        assert.equal(client.verificationToken, sha256(token));
+        assert.notEqual(client.verificationToken, previousHash);
+        assert.ok(client.verificationTokenExpires > Date.now());
+    });
+
+    it("enforces the resend cooldown", async () => {
+        client.generateEmailVerificationToken();
+        mock.method(Client, "findOne", () => query(client));
+
+        const response = await resend("jane@example.com");
+
+        assert.equal(response.status, 429);
+        assert.ok(Number(response.headers.get("retry-after")) > 0);
+        assert.equal(emails.length, 0);
+    });
+
+    it("answers the same for unknown emails", async () => {
+        mock.method(Client, "findOne", () => query(null));
+
+        const response = await resend("nobody@example.com");
+
+        assert.equal(response.status, 200);
+        assert.equal(emails.length, 0);
+    });
+
+    it("verifies the email by looking up the token's hash", async () => {
+        const token = client.generateEmailVerificationToken();
+        const findOne = mock.method(Client, "findOne", (filter) => query(filter.verificationToken === client.verificationToken ? client : null));
+
+        const response = await verify(token);
+
+        assert.equal(response.status, 200);
+        assert.deepEqual(findOne.mock.calls[0].arguments[0], { verificationToken: sha256(token) });
+        assert.equal(client.isEmailVerified, true);
+        assert.equal(client.verificationToken, undefined);
+    });
+
+    it("rejects an expired token", async () => {
+        const token = client.generateEmailVerificationToken();
+        client.verificationTokenExpires = Date.now() - 1000;
+        mock.method(Client, "findOne", () => query(client));
+
+        assert.equal((await verify(token)).status, 400);
+        assert.equal(client.isEmailVerified, false);
+    });
+
+    it("rejects the stored hash used as a token", async () => {
+        client.generateEmailVerificationToken();
+        mock.method(Client, "findOne", (filter) => query(filter.verificationToken === client.verificationToken ? client : null));
+
+        assert.equal((await verify(client.verificationToken)).status, 400);
+    });
+
+    it("requires verifying a changed email again", async () => {
+        client.isEmailVerified = true;
+        const accessToken = client.generateAccessToken(new mongoose.Types.ObjectId().toString());
+        mock.method(Client, "findOne", () => query(null));
+        mock.method(Client, "findById", () => query(client));
+        mock.method(Session, "exists", async () => ({ _id: new mongoose.Types.ObjectId() }));
+
+        const response = await fetch(`${baseUrl}/api/v1/client/update-details`, {
+            method: "PATCH",
+            headers: { Authorization: `Bearer ${accessToken}`, "Content-Type": "application/json" },
+            body: JSON.stringify({ email: "jane.new@example.com" })
+        });
+
+        assert.equal(response.status, 200);
+        assert.equal(client.isEmailVerified, false);
+        assert.equal(emails.at(-1).to, "jane.new@example.com");
+        assert.equal(client.verificationToken, sha256(lastEmailToken()));
+    });
+});
@@ -0,0 +1,46 @@
+import mongoose from "mongoose";
+import app from "../src/app.js";
+
+/**
+ * Stand-in for a Mongoose query: chainable like one and resolving to `result`
+ * @param {*} result - What awaiting the query yields
+ * @returns {object}
+ */
+export const query = (result) => {
+    const chain = {
+        then: (resolve, reject) => Promise.resolve(typeof result === "function" ? result() : result).then(resolve, reject)
+    };
+    ["session", "select", "populate", "sort", "skip", "limit", "lean"].forEach(method => {
+        chain[method] = () => chain;
+    });
+    return chain;
+};
+
+/**
+ * Replaces mongoose.startSession for one test; the returned session records what happened
+ * @param {object} t - node:test context
+ * @returns {{committed: boolean, aborted: boolean}}
+ */
+export const stubTransactions = (t) => {
+    const state = { committed: false, aborted: false };
+    t.mock.method(mongoose, "startSession", async () => ({
+        startTransaction() {},
+        async commitTransaction() { state.committed = true; },
+        async abortTransaction() { state.aborted = true; },
+        endSession() {}
+    }));
+    return state;
+};
+
+/**
+ * Starts the app on a free port for the duration of one test
+ * @param {object} t - node:test context
+ * @returns {Promise<string>} Base URL
+ */
+export const startServer = async (t) => {
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+    });
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    return `http://127.0.0.1:${server.address().port}`;
+};
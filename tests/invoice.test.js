@@ -0,0 +1,115 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Client from "../src/models/client.model.js";
+import Counter from "../src/models/counter.model.js";
+import Invoice from "../src/models/invoice.model.js";
+import Session from "../src/models/session.model.js";
+import { query, startServer } from "./helpers.js";
+
+describe("invoice numbers", () => {
+    let counters;
+    let existingInvoices;
+    const prefix = `INV-${new Date().getFullYear()}-`;
+
+    beforeEach(() => {
+        counters = new Map();
+        existingInvoices = 0;
+
+        mock.method(Counter, "exists", (filter) => query(() => counters.has(filter._id) ? { _id: filter._id } : null));
+        mock.method(Invoice, "countDocuments", () => query(() => existingInvoices));
+        mock.method(Counter, "updateOne", async (filter, update) => {
+            if (!counters.has(filter._id)) counters.set(filter._id, update.$setOnInsert.seq);
+            return { acknowledged: true };
+        });
+        // Same result as the atomic $inc with upsert
+        mock.method(Counter, "findOneAndUpdate", async (filter, update, options) => {
+            assert.equal(options.upsert, true);
+            const seq = (counters.get(filter._id) || 0) + update.$inc.seq;
+            counters.set(filter._id, seq);
+            return { _id: filter._id, seq };
+        });
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it("gives concurrent invoices different numbers", async () => {
+        const numbers = await Promise.all([
+            Invoice.generateInvoiceNumber(),
+            Invoice.generateInvoiceNumber(),
+            Invoice.generateInvoiceNumber()
+        ]);
+
+        assert.deepEqual([...numbers].sort(), [`${prefix}0001`, `${prefix}0002`, `${prefix}0003`]);
+    });
+
+    it("continues after the invoices numbered before the counter existed", async () => {
+        existingInvoices = 41;
+
+        assert.equal(await Invoice.generateInvoiceNumber(), `${prefix}0042`);
+        assert.equal(await Invoice.generateInvoiceNumber(), `${prefix}0043`);
+        assert.equal(Invoice.countDocuments.mock.callCount(), 1);
+    });
+
+    it("keeps counting past 9999", async () => {
+        counters.set(`invoice-${new Date().getFullYear()}`, 9999);
+
+        assert.equal(await Invoice.generateInvoiceNumber(), `${prefix}10000`);
+        assert.equal(await Invoice.generateInvoiceNumber(), `${prefix}10001`);
+    });
+});
+
+describe("client invoice reads", () => {
+    let baseUrl;
+    let accessToken;
+    let invoice;
+
+    beforeEach(async (t) => {
+        baseUrl = await startServer(t);
+        const client = new Client({ fullName: "Jane Doe", email: "jane@example.com", isEmailVerified: true });
+        accessToken = client.generateAccessToken(new mongoose.Types.ObjectId().toString());
+        invoice = new Invoice({
+            invoiceNumber: "INV-0001",
+            client: client._id,
+            status: "sent",
+            dueDate: new Date(Date.now() - 24 * 60 * 60 * 1000),
+            lineItems: [{ description: "Website", quantity: 1, unitPrice: 100 }]
+        });
+
+        mock.method(Client, "findById", () => query(client));
+        mock.method(Session, "exists", async () => ({ _id: new mongoose.Types.ObjectId() }));
+        mock.method(Invoice, "find", () => query([invoice]));
+        mock.method(Invoice, "findOne", () => query(invoice));
+        mock.method(Invoice, "countDocuments", () => query(1));
+        mock.method(Invoice, "updateMany", async () => ({ modifiedCount: 1 }));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    const get = (path) => fetch(`${baseUrl}/api/v1/client${path}`, {
+        headers: { Authorization: `Bearer ${accessToken}` }
+    });
+
+    it("does not write to the database when listing or reading invoices", async () => {
+        const list = await get("/invoices");
+        const single = await get(`/invoices/${invoice._id}`);
+
+        assert.equal(list.status, 200);
+        assert.equal(single.status, 200);
+        assert.equal(Invoice.updateMany.mock.callCount(), 0);
+    });
+});
+
+describe("Invoice.markOverdue", () => {
+    afterEach(() => mock.restoreAll());
+
+    it("flags sent invoices past their due date", async (t) => {
+        t.mock.method(Invoice, "updateMany", async () => ({ modifiedCount: 2 }));
+
+        assert.equal(await Invoice.markOverdue(), 2);
+        const [filter, update] = Invoice.updateMany.mock.calls[0].arguments;
+        assert.equal(filter.status, "sent");
+        assert.ok(filter.dueDate.$lt <= new Date());
+        assert.deepEqual(update, { status: "overdue" });
+    });
+});
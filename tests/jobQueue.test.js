@@ -0,0 +1,173 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Job from "../src/models/job.model.js";
+import Admin from "../src/models/admin.model.js";
+import Session from "../src/models/session.model.js";
+import {
+    registerJobHandler,
+    enqueueJob,
+    getRetryDelay,
+    startJobWorker,
+    stopJobWorker,
+    retryJob
+} from "../src/utils/jobQueue.utils.js";
+import { startServer } from "./helpers.js";
+
+const waitFor = async (condition, timeoutMs = 2000) => {
+    const deadline = Date.now() + timeoutMs;
+    while (!condition()) {
+        if (Date.now() > deadline) throw new Error("Timed out waiting for the job worker");
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+};
+
+describe("getRetryDelay", () => {
+    it("backs off exponentially with up to 20% jitter", () => {
+        for (const [attempts, base] of [[1, 30 * 1000], [2, 60 * 1000], [4, 4 * 60 * 1000]]) {
+            const delay = getRetryDelay(attempts);
+            assert.ok(delay >= base && delay <= base * 1.2, `${delay} for attempt ${attempts}`);
+        }
+    });
+
+    it("caps the delay at an hour", () => {
+        const delay = getRetryDelay(30);
+        assert.ok(delay >= 60 * 60 * 1000 && delay <= 72 * 60 * 1000);
+    });
+});
+
+describe("job worker", () => {
+    let handler;
+    let queued;
+    let updates;
+
+    beforeEach(() => {
+        handler = mock.fn(async () => {});
+        registerJobHandler("test.job", (...args) => handler(...args), { maxAttempts: 3 });
+
+        queued = [];
+        updates = [];
+        // Hands out the queued jobs the way claimNextJob's update would
+        mock.method(Job, "findOneAndUpdate", async (filter) => {
+            if (filter.status === "dead") return null;
+            const job = queued.shift();
+            return job ? { ...job, attempts: job.attempts + 1 } : null;
+        });
+        mock.method(Job, "updateOne", async (filter, update) => {
+            updates.push({ filter, update });
+            return { modifiedCount: 1 };
+        });
+    });
+
+    afterEach(async () => {
+        await stopJobWorker(1000);
+        mock.restoreAll();
+    });
+
+    const runQueued = async (job) => {
+        queued.push({ _id: new mongoose.Types.ObjectId(), name: "test.job", payload: { to: "jane@example.com" }, maxAttempts: 3, ...job });
+        startJobWorker({ pollIntervalMs: 60 * 1000 });
+        await waitFor(() => updates.length > 0);
+        return updates[0].update;
+    };
+
+    it("completes a job and drops its payload", async () => {
+        const update = await runQueued({ attempts: 0 });
+
+        assert.deepEqual(handler.mock.calls[0].arguments[0], { to: "jane@example.com" });
+        assert.equal(update.$set.status, "completed");
+        assert.equal(update.$unset.payload, 1);
+    });
+
+    it("schedules a failed attempt for a retry", async () => {
+        handler = mock.fn(async () => { throw new Error("SMTP unavailable"); });
+
+        const update = await runQueued({ attempts: 0 });
+
+        assert.equal(update.$set.status, "pending");
+        assert.equal(update.$set.lastError, "SMTP unavailable");
+        assert.ok(update.$set.runAt > new Date(Date.now() + 25 * 1000));
+        assert.deepEqual(update.$push.failures.$each.map(failure => failure.attempt), [1]);
+    });
+
+    it("marks a job dead after its last attempt", async () => {
+        handler = mock.fn(async () => { throw new Error("SMTP unavailable"); });
+
+        const update = await runQueued({ attempts: 2 });
+
+        assert.equal(update.$set.status, "dead");
+        assert.ok(update.$set.deadAt instanceof Date);
+    });
+
+    it("skips the remaining attempts for errors that aren't retryable", async () => {
+        handler = mock.fn(async () => { throw Object.assign(new Error("Invalid address"), { retryable: false }); });
+
+        const update = await runQueued({ attempts: 0 });
+
+        assert.equal(update.$set.status, "dead");
+    });
+
+    it("fails a reclaimed job that already used up its attempts without running it", async () => {
+        const update = await runQueued({ attempts: 3 });
+
+        assert.equal(handler.mock.callCount(), 0);
+        assert.equal(update.$set.status, "dead");
+    });
+});
+
+describe("enqueueJob and retryJob", () => {
+    afterEach(() => mock.restoreAll());
+
+    it("creates the job in the caller's transaction with the handler's attempts", async () => {
+        registerJobHandler("test.enqueue", async () => {}, { maxAttempts: 7 });
+        const create = mock.method(Job, "create", async (docs) => docs);
+        const session = {};
+
+        const job = await enqueueJob("test.enqueue", { id: 1 }, { session });
+
+        assert.equal(job.maxAttempts, 7);
+        assert.equal(create.mock.calls[0].arguments[1].session, session);
+    });
+
+    it("only puts dead jobs back in the queue", async () => {
+        const update = mock.method(Job, "findOneAndUpdate", async () => null);
+        const jobId = new mongoose.Types.ObjectId();
+
+        assert.equal(await retryJob(jobId), null);
+
+        const [filter, changes, options] = update.mock.calls[0].arguments;
+        assert.deepEqual(filter, { _id: jobId, status: "dead" });
+        assert.equal(changes.$set.attempts, 0);
+        assert.deepEqual(options.projection, { payload: 0 });
+    });
+});
+
+describe("job admin API", () => {
+    afterEach(() => mock.restoreAll());
+
+    it("leaves the payload out of a single job", async (t) => {
+        const baseUrl = await startServer(t);
+        const admin = new Admin({ fullName: "Ada Admin", email: "ada@example.com", role: "admin", permissions: { accessLogs: true } });
+        const accessToken = admin.generateAccessToken(new mongoose.Types.ObjectId().toString());
+        const job = new Job({
+            name: "email.send",
+            payload: { to: "jane@example.com", html: "http://app.test/reset-password?token=secret-reset-token" }
+        });
+
+        mock.method(Admin, "findById", () => ({ select: async () => admin }));
+        mock.method(Session, "exists", async () => ({ _id: new mongoose.Types.ObjectId() }));
+        // Applies the projection the way MongoDB would
+        mock.method(Job, "findById", () => ({
+            select: async (fields) => (fields === "-payload" ? Job.hydrate({ ...job.toObject(), payload: undefined }) : job)
+        }));
+
+        const response = await fetch(`${baseUrl}/api/v1/admin/jobs/${job._id}`, {
+            headers: { Authorization: `Bearer ${accessToken}` }
+        });
+        const body = await response.text();
+
+        assert.equal(response.status, 200);
+        assert.equal(JSON.parse(body).data.name, "email.send");
+        assert.ok(!body.includes("secret-reset-token"));
+    });
+});
@@ -0,0 +1,96 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import Client from "../src/models/client.model.js";
+import Session from "../src/models/session.model.js";
+import Job from "../src/models/job.model.js";
+import { MAX_FAILED_LOGIN_ATTEMPTS } from "../src/utils/loginSecurity.utils.js";
+import { query, startServer } from "./helpers.js";
+
+describe("account lockout", () => {
+    let baseUrl;
+    let client;
+    let lockUpdates;
+    let emails;
+
+    beforeEach(async (t) => {
+        baseUrl = await startServer(t);
+        client = new Client({ fullName: "Jane Doe", email: "jane@example.com", isEmailVerified: true });
+        lockUpdates = [];
+        emails = [];
+
+        mock.method(Client, "findOne", () => query(client));
+        mock.method(Client, "findById", () => query(client));
+        mock.method(Client.prototype, "comparePassword", async (password) => password === "correct-password");
+        mock.method(Client.prototype, "save", async function () { return this; });
+        // Mirrors the atomic $inc on the stored document
+        mock.method(Client, "findByIdAndUpdate", (id, update) => query(() => {
+            client.failedLoginAttempts += update.$inc.failedLoginAttempts;
+            return client;
+        }));
+        mock.method(Client, "updateOne", async (filter, update) => {
+            lockUpdates.push(update);
+            Object.assign(client, update.$set);
+            client.lockCount += update.$inc.lockCount;
+            return { modifiedCount: 1 };
+        });
+        mock.method(Job, "create", async ([job]) => {
+            emails.push(job.payload);
+            return [job];
+        });
+        mock.method(Session, "create", async (doc) => new Session(doc));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    const login = (password) => fetch(`${baseUrl}/api/v1/client/login`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ email: "jane@example.com", password })
+    });
+
+    it("locks the account on the last allowed failed attempt", async () => {
+        for (let attempt = 1; attempt < MAX_FAILED_LOGIN_ATTEMPTS; attempt++) {
+            assert.equal((await login("wrong-password")).status, 401);
+        }
+
+        const response = await login("wrong-password");
+
+        assert.equal(response.status, 423);
+        assert.equal(lockUpdates.length, 1);
+        assert.equal(client.failedLoginAttempts, 0);
+        assert.equal(client.lockCount, 1);
+        assert.ok(client.lockUntil > new Date(Date.now() + 14 * 60 * 1000));
+        assert.equal(emails.length, 1);
+    });
+
+    it("refuses even the right password while locked", async () => {
+        client.lockUntil = new Date(Date.now() + 10 * 60 * 1000);
+
+        const response = await login("correct-password");
+
+        assert.equal(response.status, 423);
+        assert.ok(Number(response.headers.get("retry-after")) > 590);
+        assert.equal(Client.prototype.comparePassword.mock.callCount(), 0);
+    });
+
+    it("doubles the lockout each time the account is locked again", async () => {
+        client.lockCount = 2;
+        client.failedLoginAttempts = MAX_FAILED_LOGIN_ATTEMPTS - 1;
+
+        await login("wrong-password");
+
+        const minutes = (client.lockUntil - Date.now()) / 60 / 1000;
+        assert.ok(minutes > 59 && minutes <= 60, `${minutes} minutes`);
+    });
+
+    it("clears the failed attempts after a successful login", async () => {
+        client.failedLoginAttempts = 3;
+        client.lockUntil = new Date(Date.now() - 1000);
+
+        const response = await login("correct-password");
+
+        assert.equal(response.status, 200);
+        assert.equal(client.failedLoginAttempts, 0);
+        assert.equal(client.lockUntil, undefined);
+    });
+});
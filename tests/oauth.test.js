@@ -0,0 +1,84 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import jwt from "jsonwebtoken";
+import Client from "../src/models/client.model.js";
+import Session from "../src/models/session.model.js";
+import { query, startServer } from "./helpers.js";
+
+const realFetch = globalThis.fetch;
+
+// GitHub's token, user and emails endpoints; everything else (the test server) goes through
+const githubResponses = {
+    "https://github.com/login/oauth/access_token": { access_token: "gho_test", token_type: "bearer" },
+    "https://api.github.com/user": { id: 4242, login: "janedoe", name: "Jane Doe" },
+    "https://api.github.com/user/emails": [{ email: "jane@example.com", primary: true, verified: true }]
+};
+
+const stateCookie = (state) => {
+    const token = jwt.sign(
+        { provider: "github", state, codeVerifier: "verifier", nonce: "nonce" },
+        process.env.ACCESS_TOKEN_SECRET,
+        { expiresIn: 600, audience: "oauth-state" }
+    );
+    return `oauthState=${token}`;
+};
+
+describe("OAuth callback", () => {
+    let baseUrl;
+    let fetchMock;
+
+    beforeEach(async (t) => {
+        baseUrl = await startServer(t);
+        fetchMock = mock.method(globalThis, "fetch", async (url, options) => {
+            const response = githubResponses[String(url)];
+            return response ? Response.json(response) : realFetch(url, options);
+        });
+        mock.method(Session, "create", async (doc) => new Session(doc));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    const callback = (state = "state-1", cookieState = state) =>
+        realFetch(`${baseUrl}/api/v1/client/oauth/github/callback?code=abc&state=${state}`, {
+            headers: { Accept: "application/json", Cookie: stateCookie(cookieState) }
+        });
+
+    it("refuses to link the identity to a client whose email isn't verified", async () => {
+        const existing = new Client({ fullName: "Someone Else", email: "jane@example.com", isEmailVerified: false });
+        mock.method(Client, "findOne", (filter) => query(filter.email ? existing : null));
+        const save = mock.method(Client.prototype, "save", async function () { return this; });
+
+        const response = await callback();
+
+        assert.equal(response.status, 409);
+        assert.match((await response.json()).message, /not verified/);
+        assert.equal(save.mock.callCount(), 0);
+        assert.equal(existing.oauthAccounts.length, 0);
+    });
+
+    it("links the identity to a client with the same verified email", async () => {
+        const existing = new Client({ fullName: "Jane Doe", email: "jane@example.com", isEmailVerified: true });
+        mock.method(Client, "findOne", (filter) => query(filter.email ? existing : null));
+        mock.method(Client, "findById", () => query(existing));
+        mock.method(Client.prototype, "save", async function () { return this; });
+
+        const response = await callback();
+        const { data } = await response.json();
+
+        assert.equal(response.status, 200);
+        assert.equal(data.linked, true);
+        assert.equal(data.isNew, false);
+        assert.deepEqual(
+            existing.oauthAccounts.map(({ provider, providerId }) => ({ provider, providerId })),
+            [{ provider: "github", providerId: "4242" }]
+        );
+        assert.ok(response.headers.getSetCookie().some(cookie => cookie.startsWith("refreshToken=")));
+    });
+
+    it("rejects a state that doesn't match the cookie before calling the provider", async () => {
+        const response = await callback("state-1", "state-2");
+
+        assert.equal(response.status, 400);
+        assert.equal(fetchMock.mock.calls.filter(call => String(call.arguments[0]).includes("github")).length, 0);
+    });
+});
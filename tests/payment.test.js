@@ -0,0 +1,346 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Admin from "../src/models/admin.model.js";
+import AuditLog from "../src/models/auditLog.model.js";
+import Client from "../src/models/client.model.js";
+import Session from "../src/models/session.model.js";
+import Invoice from "../src/models/invoice.model.js";
+import PaymentTransaction from "../src/models/paymentTransaction.model.js";
+import WebhookEvent from "../src/models/webhookEvent.model.js";
+import { getPaymentProvider } from "../src/utils/paymentGateway.utils.js";
+import { query, startServer, stubTransactions } from "./helpers.js";
+
+const duplicateKeyError = () => Object.assign(new Error("E11000 duplicate key error"), { code: 11000 });
+
+const createInvoice = (clientId) => {
+    const invoice = new Invoice({
+        invoiceNumber: "INV-0001",
+        client: clientId,
+        status: "sent",
+        currency: "USD",
+        lineItems: [{ description: "Website", quantity: 1, unitPrice: 100 }]
+    });
+    invoice.balanceDue = 100;
+    return invoice;
+};
+
+describe("payment webhooks", () => {
+    let baseUrl;
+    let invoice;
+    let transaction;
+
+    beforeEach(async (t) => {
+        baseUrl = await startServer(t);
+        invoice = createInvoice(new mongoose.Types.ObjectId());
+        transaction = new PaymentTransaction({
+            invoice: invoice._id,
+            client: invoice.client,
+            provider: "mock",
+            checkoutSessionId: "mock_cs_1",
+            amount: 100,
+            currency: "USD"
+        });
+
+        mock.method(mongoose.Model.prototype, "save", async function () { return this; });
+        mock.method(PaymentTransaction, "findOne", () => query(transaction));
+        mock.method(Invoice, "findById", () => query(invoice));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    // Signed the way the mock provider expects
+    const sendWebhook = (event, { secret = process.env.PAYMENT_WEBHOOK_SECRET } = {}) => {
+        const rawBody = JSON.stringify(event);
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        const signature = crypto.createHmac("sha256", secret).update(`${timestamp}.${rawBody}`).digest("hex");
+
+        return fetch(`${baseUrl}/api/v1/payments/webhook/mock`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json", "x-mock-timestamp": timestamp, "x-mock-signature": signature },
+            body: rawBody
+        });
+    };
+
+    const completedEvent = (amount = 100) => ({
+        id: "mock_evt_1",
+        type: "checkout.completed",
+        sessionId: "mock_cs_1",
+        paymentId: "mock_pi_1",
+        amount
+    });
+
+    it("applies a completed checkout to the invoice", async (t) => {
+        const transactions = stubTransactions(t);
+        mock.method(WebhookEvent, "create", async (doc) => new WebhookEvent(doc));
+
+        const response = await sendWebhook(completedEvent());
+
+        assert.equal(response.status, 200);
+        assert.equal((await response.json()).outcome, "processed");
+        assert.equal(transactions.committed, true);
+        assert.equal(transaction.status, "succeeded");
+        assert.equal(transaction.refundRequired, false);
+        assert.deepEqual(invoice.payments.map(payment => payment.amount), [100]);
+    });
+
+    it("ignores a redelivered event", async (t) => {
+        const startSession = t.mock.method(mongoose, "startSession");
+        mock.method(WebhookEvent, "create", async () => { throw duplicateKeyError(); });
+        const retry = mock.method(WebhookEvent, "findOneAndUpdate", async () => null);
+
+        const response = await sendWebhook(completedEvent());
+
+        assert.equal(response.status, 200);
+        assert.equal((await response.json()).outcome, "duplicate");
+        const [failed, interrupted] = retry.mock.calls[0].arguments[0].$or;
+        assert.deepEqual(failed, { status: "failed" });
+        assert.equal(interrupted.status, "processing");
+        assert.ok(interrupted.updatedAt.$lt < new Date(Date.now() - 60 * 1000));
+        assert.equal(startSession.mock.callCount(), 0);
+        assert.equal(invoice.payments.length, 0);
+    });
+
+    it("retries an event that failed or was interrupted before", async (t) => {
+        stubTransactions(t);
+        const record = new WebhookEvent({ provider: "mock", eventId: "mock_evt_1", type: "checkout.completed", status: "processing" });
+        mock.method(WebhookEvent, "create", async () => { throw duplicateKeyError(); });
+        mock.method(WebhookEvent, "findOneAndUpdate", async () => record);
+
+        const response = await sendWebhook(completedEvent());
+
+        assert.equal((await response.json()).outcome, "processed");
+        assert.equal(record.status, "processed");
+        assert.equal(invoice.payments.length, 1);
+    });
+
+    it("records an overpayment in full and flags it for a refund", async (t) => {
+        stubTransactions(t);
+        mock.method(WebhookEvent, "create", async (doc) => new WebhookEvent(doc));
+
+        await sendWebhook(completedEvent(150));
+
+        assert.equal(transaction.amount, 150);
+        assert.equal(transaction.overpaidAmount, 50);
+        assert.equal(transaction.refundRequired, true);
+        assert.deepEqual(invoice.payments.map(payment => payment.amount), [150]);
+    });
+
+    it("doesn't apply a completed event to a checkout that is no longer pending", async (t) => {
+        stubTransactions(t);
+        transaction.status = "expired";
+        mock.method(WebhookEvent, "create", async (doc) => new WebhookEvent(doc));
+
+        const response = await sendWebhook(completedEvent());
+
+        assert.equal((await response.json()).outcome, "ignored");
+        assert.equal(invoice.payments.length, 0);
+    });
+
+    it("rejects webhooks with an invalid signature", async () => {
+        const create = mock.method(WebhookEvent, "create", async (doc) => new WebhookEvent(doc));
+
+        const response = await sendWebhook(completedEvent(), { secret: "wrong-secret" });
+
+        assert.equal(response.status, 400);
+        assert.equal(create.mock.callCount(), 0);
+    });
+});
+
+describe("invoice checkout", () => {
+    let baseUrl;
+    let accessToken;
+    let invoice;
+
+    beforeEach(async (t) => {
+        baseUrl = await startServer(t);
+        const client = new Client({ fullName: "Jane Doe", email: "jane@example.com", isEmailVerified: true });
+        accessToken = client.generateAccessToken(new mongoose.Types.ObjectId().toString());
+        invoice = createInvoice(client._id);
+
+        mock.method(Client, "findById", () => query(client));
+        mock.method(Session, "exists", async () => ({ _id: new mongoose.Types.ObjectId() }));
+        mock.method(Invoice, "findOne", () => query(invoice));
+        mock.method(PaymentTransaction, "updateMany", async () => ({ modifiedCount: 0 }));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    const startCheckout = () => fetch(`${baseUrl}/api/v1/client/invoices/${invoice._id}/checkout`, {
+        method: "POST",
+        headers: { Authorization: `Bearer ${accessToken}`, "Content-Type": "application/json" },
+        body: "{}"
+    });
+
+    it("opens a checkout for the balance due", async () => {
+        mock.method(PaymentTransaction, "findOne", () => query(null));
+        const create = mock.method(PaymentTransaction, "create", async (doc) => new PaymentTransaction(doc));
+
+        const response = await startCheckout();
+        const { data } = await response.json();
+
+        assert.equal(response.status, 201);
+        assert.equal(data.amount, 100);
+        assert.equal(create.mock.calls[0].arguments[0].kind, "balance");
+    });
+
+    it("hands out the checkout already open instead of opening a second one", async () => {
+        const open = new PaymentTransaction({ invoice: invoice._id, status: "pending", amount: 100, currency: "USD", checkoutUrl: "http://api.test/checkout/1" });
+        mock.method(PaymentTransaction, "findOne", () => query(open));
+        const create = mock.method(PaymentTransaction, "create", async (doc) => new PaymentTransaction(doc));
+
+        const response = await startCheckout();
+        const { data } = await response.json();
+
+        assert.equal(response.status, 200);
+        assert.equal(data.checkoutUrl, "http://api.test/checkout/1");
+        assert.equal(data.transactionId, open._id.toString());
+        assert.equal(create.mock.callCount(), 0);
+    });
+
+    it("hands out the checkout of the request that won a race for the pending slot", async () => {
+        const winner = new PaymentTransaction({ invoice: invoice._id, status: "pending", amount: 100, currency: "USD", checkoutUrl: "http://api.test/checkout/winner" });
+        let lookups = 0;
+        mock.method(PaymentTransaction, "findOne", () => query(() => (lookups++ === 0 ? null : winner)));
+        mock.method(PaymentTransaction, "create", async () => { throw duplicateKeyError(); });
+
+        const response = await startCheckout();
+
+        assert.equal(response.status, 200);
+        assert.equal((await response.json()).data.checkoutUrl, "http://api.test/checkout/winner");
+    });
+});
+
+describe("Stripe webhooks", () => {
+    const secret = "whsec_test";
+
+    // Signed like Stripe's "Stripe-Signature" header
+    const verify = (type, object) => {
+        process.env.STRIPE_WEBHOOK_SECRET = secret;
+        const rawBody = JSON.stringify({ id: "evt_1", type, data: { object: { id: "cs_1", payment_intent: "pi_1", ...object } } });
+        const timestamp = Math.floor(Date.now() / 1000);
+        const signature = crypto.createHmac("sha256", secret).update(`${timestamp}.${rawBody}`).digest("hex");
+
+        return getPaymentProvider("stripe").verifyWebhook(rawBody, { "stripe-signature": `t=${timestamp},v1=${signature}` });
+    };
+
+    it("completes a paid checkout", () => {
+        const event = verify("checkout.session.completed", { payment_status: "paid", amount_total: 12550, currency: "usd" });
+
+        assert.equal(event.type, "checkout.completed");
+        assert.equal(event.amount, 125.5);
+        assert.equal(event.currency, "USD");
+    });
+
+    it("doesn't complete a checkout whose payment is still processing", () => {
+        const completed = verify("checkout.session.completed", { payment_status: "unpaid", amount_total: 12550, currency: "usd" });
+        const succeeded = verify("checkout.session.async_payment_succeeded", { payment_status: "paid", amount_total: 12550, currency: "usd" });
+
+        assert.notEqual(completed.type, "checkout.completed");
+        assert.equal(succeeded.type, "checkout.completed");
+    });
+
+    it("converts amounts with the currency's decimals", () => {
+        assert.equal(verify("checkout.session.completed", { payment_status: "paid", amount_total: 5000, currency: "jpy" }).amount, 5000);
+        assert.equal(verify("checkout.session.completed", { payment_status: "paid", amount_total: 12345, currency: "kwd" }).amount, 12.345);
+    });
+});
+
+describe("refunds", () => {
+    let baseUrl;
+    let accessToken;
+    let admin;
+    let stored;
+    let invoice;
+    let provider;
+
+    beforeEach(async (t) => {
+        baseUrl = await startServer(t);
+        admin = new Admin({ fullName: "Ada Admin", email: "ada@example.com", role: "admin", permissions: { managePayments: true } });
+        accessToken = admin.generateAccessToken(new mongoose.Types.ObjectId().toString());
+        invoice = createInvoice(new mongoose.Types.ObjectId());
+        stored = new PaymentTransaction({
+            invoice: invoice._id,
+            client: invoice.client,
+            provider: "mock",
+            checkoutSessionId: "mock_cs_1",
+            providerPaymentId: "mock_pi_1",
+            amount: 100,
+            currency: "USD",
+            status: "succeeded"
+        });
+        invoice.payments.push({ amount: 100, method: "online", transaction: stored._id });
+        provider = getPaymentProvider("mock");
+
+        mock.method(Admin, "findById", () => ({ select: async () => admin }));
+        mock.method(Session, "exists", async () => ({ _id: new mongoose.Types.ObjectId() }));
+        mock.method(PaymentTransaction, "findById", () => query(stored));
+        mock.method(Invoice, "findById", () => query(invoice));
+        mock.method(Invoice.prototype, "save", async function () { return this; });
+        // Runs the pre-validate hook that recomputes the refunded total and status
+        mock.method(PaymentTransaction.prototype, "save", async function () {
+            await this.validate();
+            return this;
+        });
+        mock.method(AuditLog, "create", async (docs) => docs);
+        // Applies the conditional updates to the stored transaction
+        mock.method(PaymentTransaction, "updateOne", async (filter, update) => {
+            if (filter.amountRefunded !== undefined && filter.amountRefunded !== stored.amountRefunded) {
+                return { matchedCount: 0 };
+            }
+            if (update.$push) stored.refunds.push(update.$push.refunds);
+            if (update.$set) stored.refunds.id(filter["refunds._id"]).status = update.$set["refunds.$.status"];
+            stored.amountRefunded += update.$inc.amountRefunded;
+            return { matchedCount: 1 };
+        });
+        stubTransactions(t);
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    const refund = (amount) => fetch(`${baseUrl}/api/v1/adminDashboard/payments/${stored._id}/refunds`, {
+        method: "POST",
+        headers: { Authorization: `Bearer ${accessToken}`, "Content-Type": "application/json" },
+        body: JSON.stringify({ amount, reason: "Duplicate payment" })
+    });
+
+    it("reserves the amount, refunds with a key tied to the reservation and records the result", async () => {
+        const createRefund = mock.method(provider, "createRefund");
+
+        const response = await refund(40);
+
+        assert.equal(response.status, 200);
+        const [reserved] = stored.refunds;
+        assert.equal(createRefund.mock.calls[0].arguments[0].idempotencyKey, `refund-${stored._id}-${reserved._id}`);
+        assert.equal(reserved.status, "succeeded");
+        assert.match(reserved.providerRefundId, /^mock_re_/);
+        assert.equal(stored.amountRefunded, 40);
+        assert.equal(stored.status, "partially-refunded");
+        assert.equal(invoice.payments[0].refundedAmount, 40);
+    });
+
+    it("doesn't call the provider when another refund changed the transaction first", async () => {
+        const createRefund = mock.method(provider, "createRefund");
+        // A concurrent refund reserved its amount after this request read the transaction
+        const readBefore = PaymentTransaction.hydrate(stored.toObject());
+        mock.method(PaymentTransaction, "findById", () => query(readBefore));
+        stored.amountRefunded = 60;
+
+        const response = await refund(40);
+
+        assert.equal(response.status, 409);
+        assert.equal(createRefund.mock.callCount(), 0);
+        assert.equal(stored.refunds.length, 0);
+    });
+
+    it("releases the reservation when the provider refuses the refund", async () => {
+        mock.method(provider, "createRefund", async () => { throw new Error("Charge already refunded"); });
+
+        const response = await refund(40);
+
+        assert.equal(response.status, 502);
+        assert.equal(stored.refunds[0].status, "failed");
+        assert.equal(stored.amountRefunded, 0);
+    });
+});
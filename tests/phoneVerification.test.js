@@ -0,0 +1,91 @@
+import { describe, it, before, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Client from "../src/models/client.model.js";
+import Session from "../src/models/session.model.js";
+import { registerSmsTransport } from "../src/utils/smsService.js";
+import { query, startServer } from "./helpers.js";
+
+// The request endpoint allows 5 calls per hour and IP; keep this file within that
+describe("phone verification", () => {
+    let baseUrl;
+    let accessToken;
+    let client;
+    let sent;
+
+    before(() => {
+        registerSmsTransport("test", {
+            async send({ to, body }) {
+                sent.push({ to, code: body.match(/\d{6}/)[0] });
+                return { id: `test_${sent.length}` };
+            }
+        });
+        process.env.SMS_PROVIDER = "test";
+    });
+
+    beforeEach(async (t) => {
+        baseUrl = await startServer(t);
+        sent = [];
+        client = new Client({ fullName: "Jane Doe", email: "jane@example.com", phone: "+15555550100", isEmailVerified: true });
+        accessToken = client.generateAccessToken(new mongoose.Types.ObjectId().toString());
+
+        mock.method(Client, "findById", () => query(client));
+        mock.method(Client.prototype, "save", async function () { return this; });
+        mock.method(Session, "exists", async () => ({ _id: new mongoose.Types.ObjectId() }));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    const post = (path, body = {}) => fetch(`${baseUrl}/api/v1/client/verify-phone/${path}`, {
+        method: "POST",
+        headers: { Authorization: `Bearer ${accessToken}`, "Content-Type": "application/json" },
+        body: JSON.stringify(body)
+    });
+
+    it("texts a code, stores only its hash and enforces the resend cooldown", async () => {
+        assert.equal((await post("request")).status, 200);
+        assert.equal(sent.length, 1);
+        assert.equal(sent[0].to, "+15555550100");
+        assert.ok(client.phoneVerificationToken);
+        assert.ok(!client.phoneVerificationToken.includes(sent[0].code));
+
+        const resend = await post("request");
+        assert.equal(resend.status, 429);
+        assert.ok(Number(resend.headers.get("retry-after")) > 0);
+        assert.equal(sent.length, 1);
+    });
+
+    it("verifies the phone with the right code", async () => {
+        await post("request");
+
+        const response = await post("confirm", { code: sent[0].code });
+
+        assert.equal(response.status, 200);
+        assert.equal(client.isPhoneVerified, true);
+        assert.equal(client.phoneVerificationToken, undefined);
+    });
+
+    it("burns the code and locks verification after too many wrong codes", async () => {
+        await post("request");
+        const wrongCode = sent[0].code === "000000" ? "111111" : "000000";
+
+        for (let attempt = 1; attempt < 5; attempt++) {
+            assert.equal((await post("confirm", { code: wrongCode })).status, 400);
+        }
+        assert.equal((await post("confirm", { code: wrongCode })).status, 429);
+
+        assert.equal((await post("confirm", { code: sent[0].code })).status, 429);
+        assert.equal(client.isPhoneVerified, false);
+        assert.equal(client.phoneVerificationToken, undefined);
+    });
+
+    it("rejects an expired code", async () => {
+        await post("request");
+        client.phoneVerificationExpires = Date.now() - 1000;
+
+        const response = await post("confirm", { code: sent[0].code });
+
+        assert.equal(response.status, 400);
+        assert.equal(client.isPhoneVerified, false);
+    });
+});
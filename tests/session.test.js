@@ -0,0 +1,93 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import Client from "../src/models/client.model.js";
+import Session from "../src/models/session.model.js";
+import { createSession, rotateSession, hashToken } from "../src/utils/session.utils.js";
+import { query } from "./helpers.js";
+
+const req = {
+    ip: "203.0.113.7",
+    body: {},
+    get: (header) => (header === "user-agent" ? "Mozilla/5.0 (Windows NT 10.0) Chrome/126.0" : undefined)
+};
+
+describe("session rotation", () => {
+    let client;
+    let stored;
+
+    beforeEach(() => {
+        client = new Client({ fullName: "Jane Doe", email: "jane@example.com", isActive: true });
+        mock.method(Client, "findById", () => query(client));
+        mock.method(Session, "create", async (doc) => {
+            stored = new Session(doc);
+            return stored;
+        });
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it("starts a session that stores only the refresh token hash", async () => {
+        const { session, refreshToken } = await createSession(client, "Client", req);
+
+        assert.equal(session.refreshTokenHash, hashToken(refreshToken));
+        assert.notEqual(session.refreshTokenHash, refreshToken);
+        assert.equal(session.device, "Chrome on Windows");
+    });
+
+    it("issues a new token pair and retires the old refresh token", async (t) => {
+        const { refreshToken } = await createSession(client, "Client", req);
+        t.mock.method(Session, "findOne", () => query(stored));
+        const update = t.mock.method(Session, "findOneAndUpdate", (filter, changes) => query(() => {
+            if (filter.refreshTokenHash !== stored.refreshTokenHash) return null;
+            Object.assign(stored, changes);
+            return stored;
+        }));
+
+        const rotated = await rotateSession(refreshToken, Client, req);
+
+        assert.notEqual(rotated.refreshToken, refreshToken);
+        assert.equal(update.mock.calls[0].arguments[0].refreshTokenHash, hashToken(refreshToken));
+        assert.equal(stored.refreshTokenHash, hashToken(rotated.refreshToken));
+    });
+
+    it("revokes the whole session when a rotated refresh token is used again", async (t) => {
+        const { refreshToken } = await createSession(client, "Client", req);
+        t.mock.method(Session, "findOne", () => query(stored));
+        t.mock.method(Session, "findOneAndUpdate", (filter, changes) => query(() => {
+            if (filter.refreshTokenHash !== stored.refreshTokenHash) return null;
+            Object.assign(stored, changes);
+            return stored;
+        }));
+        const revoke = t.mock.method(Session, "updateOne", async () => ({ modifiedCount: 1 }));
+
+        await rotateSession(refreshToken, Client, req);
+
+        await assert.rejects(rotateSession(refreshToken, Client, req), { statusCode: 401, message: /reuse detected/ });
+        assert.equal(revoke.mock.callCount(), 1);
+        assert.deepEqual(revoke.mock.calls[0].arguments[0], { _id: stored._id, revokedAt: null });
+        assert.equal(revoke.mock.calls[0].arguments[1].revokedReason, "reuse-detected");
+    });
+
+    it("rejects refresh tokens of revoked sessions", async (t) => {
+        const { refreshToken } = await createSession(client, "Client", req);
+        stored.revokedAt = new Date();
+        t.mock.method(Session, "findOne", () => query(stored));
+        const update = t.mock.method(Session, "findOneAndUpdate", () => query(stored));
+
+        await assert.rejects(rotateSession(refreshToken, Client, req), { statusCode: 401, message: /expired or revoked/ });
+        assert.equal(update.mock.callCount(), 0);
+    });
+
+    it("rejects tokens without a session ID", async () => {
+        const legacyToken = client.generateRefreshToken(undefined);
+        await assert.rejects(rotateSession(legacyToken, Client, req), { statusCode: 401 });
+    });
+
+    it("rejects tokens signed with another secret", async () => {
+        const { refreshToken } = await createSession(client, "Client", req);
+        const [header, payload] = refreshToken.split(".");
+        const forged = `${header}.${payload}.${Buffer.from("forged").toString("base64url")}`;
+
+        await assert.rejects(rotateSession(forged, Client, req), { statusCode: 401, message: /Invalid or expired/ });
+    });
+});
@@ -0,0 +1,29 @@
+// Loaded before every test file (see the "test" script in package.json).
+// Tests don't need MongoDB or any external service: models are stubbed per test.
+import os from "os";
+import path from "path";
+
+Object.assign(process.env, {
+    NODE_ENV: "test",
+    ACCESS_TOKEN_SECRET: "test-access-token-secret",
+    REFRESH_TOKEN_SECRET: "test-refresh-token-secret",
+    TWO_FACTOR_ENCRYPTION_KEY: "test-two-factor-key",
+    API_BASE_URL: "http://api.test",
+    FRONTEND_URL: "http://app.test",
+    STORAGE_DRIVER: "local",
+    STORAGE_SIGNING_SECRET: "test-storage-secret",
+    LOCAL_STORAGE_DIR: path.join(os.tmpdir(), "backend-tests", "public"),
+    LOCAL_PRIVATE_STORAGE_DIR: path.join(os.tmpdir(), "backend-tests", "private"),
+    PAYMENT_PROVIDER: "mock",
+    PAYMENT_WEBHOOK_SECRET: "test-webhook-secret",
+    GITHUB_CLIENT_ID: "test-github-client",
+    GITHUB_CLIENT_SECRET: "test-github-secret"
+});
+
+const { default: mongoose } = await import("mongoose");
+const { default: logger } = await import("../src/utils/logger.utils.js");
+
+// A query that wasn't stubbed fails right away instead of waiting for a connection
+mongoose.set("bufferCommands", false);
+
+logger.silent = true;
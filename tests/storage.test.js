@@ -0,0 +1,194 @@
+import { describe, it, before, after, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import mongoose from "mongoose";
+import Client from "../src/models/client.model.js";
+import Session from "../src/models/session.model.js";
+import AuditLog from "../src/models/auditLog.model.js";
+import ClientServiceRequest from "../src/models/clientServiceRequest.model.js";
+import ServiceRequestMessage from "../src/models/serviceRequestMessage.model.js";
+import Job from "../src/models/job.model.js";
+import { uploadFile, getSignedFileUrl, resolveLocalDownload } from "../src/utils/storage.utils.js";
+import { query, startServer, stubTransactions } from "./helpers.js";
+
+const testDir = path.dirname(process.env.LOCAL_PRIVATE_STORAGE_DIR);
+
+// Stands in for a multer temp file (uploadFile removes it)
+const writeTempFile = async (name, content) => {
+    const filePath = path.join(testDir, "temp", name);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, content);
+    return filePath;
+};
+
+describe("signed local downloads", () => {
+    let file;
+
+    before(async () => {
+        file = await uploadFile(await writeTempFile("contract-1234.pdf", "%PDF-1.4 test"), { access: "private" });
+    });
+
+    after(() => fs.promises.rm(testDir, { recursive: true, force: true }));
+
+    // Signed URLs point at API_BASE_URL; send them to the test server instead
+    const download = async (t, url) => {
+        const baseUrl = await startServer(t);
+        return fetch(url.replace(process.env.API_BASE_URL, baseUrl));
+    };
+
+    it("keeps private files out of the public directory", () => {
+        assert.ok(fs.existsSync(path.join(process.env.LOCAL_PRIVATE_STORAGE_DIR, file.publicId)));
+        assert.ok(!fs.existsSync(path.join(process.env.LOCAL_STORAGE_DIR, file.publicId)));
+        assert.equal(file.url, `${process.env.API_BASE_URL}/api/v1/files/${file.publicId}`);
+    });
+
+    it("serves a private file through a signed link", async (t) => {
+        const { url, expiresAt } = await getSignedFileUrl(file, { fileName: "Contract.pdf" });
+        const response = await download(t, url);
+
+        assert.equal(response.status, 200);
+        assert.equal(await response.text(), "%PDF-1.4 test");
+        assert.match(response.headers.get("content-disposition"), /Contract\.pdf/);
+        assert.equal(response.headers.get("cache-control"), "private, no-store");
+        assert.ok(expiresAt > new Date());
+    });
+
+    it("rejects links with a tampered signature or file name", async (t) => {
+        const { url } = await getSignedFileUrl(file, { fileName: "Contract.pdf" });
+
+        const tampered = new URL(url);
+        tampered.searchParams.set("signature", "0".repeat(64));
+        assert.equal((await download(t, tampered.toString())).status, 403);
+
+        const renamed = new URL(url);
+        renamed.searchParams.set("name", "Other.pdf");
+        assert.equal((await download(t, renamed.toString())).status, 403);
+
+        const unsigned = new URL(url);
+        unsigned.search = "";
+        assert.equal((await download(t, unsigned.toString())).status, 403);
+    });
+
+    it("rejects a link for another file", async () => {
+        const { url } = await getSignedFileUrl(file);
+        const query = Object.fromEntries(new URL(url).searchParams);
+
+        assert.equal(resolveLocalDownload("other-file.pdf", query), null);
+    });
+
+    it("rejects expired links", async () => {
+        const { url } = await getSignedFileUrl(file, { expiresIn: -1 });
+        const query = Object.fromEntries(new URL(url).searchParams);
+
+        assert.equal(resolveLocalDownload(file.publicId, query), null);
+    });
+
+    it("returns the stored URL of public files", async () => {
+        const publicFile = await uploadFile(await writeTempFile("logo-1234.png", "png"));
+        const { url, expiresAt } = await getSignedFileUrl(publicFile);
+
+        assert.equal(url, publicFile.url);
+        assert.equal(expiresAt, null);
+    });
+});
+
+describe("message attachments", () => {
+    let baseUrl;
+    let accessToken;
+    let client;
+    let serviceRequest;
+    let audits;
+
+    beforeEach(async (t) => {
+        baseUrl = await startServer(t);
+        client = new Client({ fullName: "Jane Doe", email: "jane@example.com", isEmailVerified: true });
+        accessToken = client.generateAccessToken(new mongoose.Types.ObjectId().toString());
+        serviceRequest = new ClientServiceRequest({ title: "Website", createdBy: client._id });
+        audits = [];
+
+        mock.method(Client, "findById", () => query(client));
+        mock.method(Session, "exists", async () => ({ _id: new mongoose.Types.ObjectId() }));
+        mock.method(ClientServiceRequest, "findOne", () => query(serviceRequest));
+        mock.method(AuditLog, "create", async (docs) => {
+            audits.push(...docs);
+            return docs;
+        });
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    after(() => fs.promises.rm(testDir, { recursive: true, force: true }));
+
+    const request = (path, options = {}) => fetch(`${baseUrl}/api/v1/clientService/${serviceRequest._id}${path}`, {
+        ...options,
+        headers: { Authorization: `Bearer ${accessToken}`, ...options.headers }
+    });
+
+    it("stores message attachments as private files", async () => {
+        mock.method(ServiceRequestMessage, "create", async (doc) => {
+            const message = new ServiceRequestMessage(doc);
+            message.populate = async () => message;
+            return message;
+        });
+
+        const form = new FormData();
+        form.append("body", "Here is the brief");
+        form.append("attachments", new Blob(["Project brief"], { type: "text/plain" }), "brief.txt");
+
+        const response = await request("/messages", { method: "POST", body: form });
+        const { data } = await response.json();
+
+        assert.equal(response.status, 201);
+        const [attachment] = data.attachments;
+        assert.equal(attachment.access, "private");
+        assert.equal(attachment.fileName, "brief.txt");
+        assert.ok(fs.existsSync(path.join(process.env.LOCAL_PRIVATE_STORAGE_DIR, attachment.publicId)));
+        assert.ok(!fs.existsSync(path.join(process.env.LOCAL_STORAGE_DIR, attachment.publicId)));
+    });
+
+    it("hands out an audited signed link for an attachment of the thread", async () => {
+        const attachment = await uploadFile(await writeTempFile("brief-1234.txt", "Project brief"), { access: "private" });
+        const message = new ServiceRequestMessage({
+            serviceRequest: serviceRequest._id,
+            sender: client._id,
+            senderModel: "Client",
+            attachments: [{ ...attachment, fileName: "brief.txt" }]
+        });
+        const findMessage = mock.method(ServiceRequestMessage, "findOne", () => query(message));
+
+        const response = await request(`/messages/${message._id}/attachments/${attachment.publicId}/download`);
+        const { data } = await response.json();
+
+        assert.equal(response.status, 200);
+        assert.deepEqual(findMessage.mock.calls[0].arguments[0], { _id: message._id.toString(), serviceRequest: serviceRequest._id });
+        assert.ok(resolveLocalDownload(attachment.publicId, Object.fromEntries(new URL(data.url).searchParams)));
+        assert.equal(audits[0].action, "serviceRequest.message.attachment.download");
+
+        const missing = await request(`/messages/${message._id}/attachments/another-file.txt/download`);
+        assert.equal(missing.status, 404);
+    });
+
+    it("queues the uploaded request attachments for deletion when they can't be saved", async (t) => {
+        const transactions = stubTransactions(t);
+        mock.method(ClientServiceRequest, "findByIdAndUpdate", async () => {
+            throw new Error("Transaction aborted");
+        });
+        const queued = [];
+        mock.method(Job, "create", async (docs) => {
+            queued.push(...docs);
+            return docs;
+        });
+
+        const form = new FormData();
+        form.append("attachments", new Blob(["Project brief"], { type: "text/plain" }), "brief.txt");
+        form.append("attachments", new Blob(["Site map"], { type: "text/plain" }), "sitemap.txt");
+
+        const response = await request("/attachments", { method: "POST", body: form });
+
+        assert.equal(response.status, 500);
+        assert.equal(transactions.aborted, true);
+        assert.equal(queued.length, 2);
+        assert.ok(queued.every(job => job.name === "storage.delete" && job.payload.file.access === "private"));
+    });
+});
@@ -0,0 +1,126 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Admin from "../src/models/admin.model.js";
+import {
+    generateTotpSecret,
+    generateTotp,
+    verifyTotp,
+    encryptSecret,
+    decryptSecret,
+    hashBackupCode,
+    generateBackupCodes
+} from "../src/utils/totp.utils.js";
+
+const currentStep = () => Math.floor(Date.now() / 1000 / 30);
+
+describe("TOTP", () => {
+    it("accepts the current code and one step of clock drift", () => {
+        const secret = generateTotpSecret();
+        const step = currentStep();
+
+        assert.equal(verifyTotp(secret, generateTotp(secret, step)), step);
+        assert.equal(verifyTotp(secret, generateTotp(secret, step - 1)), step - 1);
+        assert.equal(verifyTotp(secret, generateTotp(secret, step - 3)), null);
+    });
+
+    it("rejects codes of already used steps", () => {
+        const secret = generateTotpSecret();
+        const step = currentStep();
+
+        assert.equal(verifyTotp(secret, generateTotp(secret, step), { afterStep: step }), null);
+    });
+
+    it("rejects malformed codes", () => {
+        const secret = generateTotpSecret();
+        assert.equal(verifyTotp(secret, "12345"), null);
+        assert.equal(verifyTotp(secret, "abcdef"), null);
+    });
+
+    it("round-trips encrypted secrets", () => {
+        const secret = generateTotpSecret();
+        const encrypted = encryptSecret(secret);
+
+        assert.ok(!encrypted.includes(secret));
+        assert.equal(decryptSecret(encrypted), secret);
+    });
+});
+
+describe("Admin.verifyTwoFactor", () => {
+    const createAdmin = () => {
+        const secret = generateTotpSecret();
+        const { codes, hashes } = generateBackupCodes(2);
+        // Hydrated like a document loaded from the database
+        const admin = Admin.hydrate({
+            _id: new mongoose.Types.ObjectId(),
+            fullName: "Ada Admin",
+            email: "ada@example.com",
+            twoFactor: { enabled: true, secret: encryptSecret(secret), backupCodes: hashes }
+        });
+        return { admin, secret, codes };
+    };
+
+    // Applies the conditional step update to a stored lastUsedStep
+    const stubStepClaims = (t, stored = { lastUsedStep: null }) => {
+        t.mock.method(Admin, "updateOne", async (filter, update) => {
+            const step = update.$set["twoFactor.lastUsedStep"];
+            if (stored.lastUsedStep !== null && stored.lastUsedStep >= step) return { modifiedCount: 0 };
+            stored.lastUsedStep = step;
+            return { modifiedCount: 1 };
+        });
+        return stored;
+    };
+
+    it("accepts a TOTP code once", async (t) => {
+        const { admin, secret } = createAdmin();
+        const stored = stubStepClaims(t);
+        const step = currentStep();
+        const code = generateTotp(secret, step);
+
+        assert.equal(await admin.verifyTwoFactor({ code }), "totp");
+        assert.equal(admin.twoFactor.lastUsedStep, step);
+        assert.equal(stored.lastUsedStep, step);
+        assert.equal(await admin.verifyTwoFactor({ code }), null);
+    });
+
+    it("accepts a TOTP code only once across concurrent requests", async (t) => {
+        const { admin, secret } = createAdmin();
+        stubStepClaims(t);
+        // A second request that loaded the admin before the first one used the code
+        const concurrent = Admin.hydrate(admin.toObject());
+        const code = generateTotp(secret, currentStep());
+
+        const results = await Promise.all([admin.verifyTwoFactor({ code }), concurrent.verifyTwoFactor({ code })]);
+
+        assert.deepEqual(results.sort(), ["totp", null].sort());
+    });
+
+    it("spends a backup code atomically", async (t) => {
+        const { admin, codes } = createAdmin();
+        const pull = t.mock.method(Admin, "updateOne", async () => ({ modifiedCount: 1 }));
+
+        assert.equal(await admin.verifyTwoFactor({ backupCode: codes[0] }), "backup");
+
+        const [filter, update] = pull.mock.calls[0].arguments;
+        assert.deepEqual(filter, { _id: admin._id, "twoFactor.backupCodes": hashBackupCode(codes[0]) });
+        assert.deepEqual(update, { $pull: { "twoFactor.backupCodes": hashBackupCode(codes[0]) } });
+        assert.equal(admin.twoFactor.backupCodes.length, 1);
+        assert.ok(!admin.isModified("twoFactor.backupCodes"));
+    });
+
+    it("rejects a backup code another request already spent", async (t) => {
+        const { admin, codes } = createAdmin();
+        t.mock.method(Admin, "updateOne", async () => ({ modifiedCount: 0 }));
+
+        assert.equal(await admin.verifyTwoFactor({ backupCode: codes[0] }), null);
+        assert.equal(admin.twoFactor.backupCodes.length, 2);
+    });
+
+    it("doesn't accept backup codes while confirming setup", async (t) => {
+        const { admin, codes } = createAdmin();
+        const pull = t.mock.method(Admin, "updateOne", async () => ({ modifiedCount: 1 }));
+
+        assert.equal(await admin.verifyTwoFactor({ backupCode: codes[0], pending: true }), null);
+        assert.equal(pull.mock.callCount(), 0);
+    });
+});
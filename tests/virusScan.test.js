@@ -0,0 +1,45 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { getVirusScanner } from "../src/utils/virusScan.utils.js";
+
+describe("virus scanner selection", () => {
+    const keys = ["NODE_ENV", "VIRUS_SCANNER", "CLAMAV_HOST", "CLAMAV_SOCKET"];
+    let saved;
+
+    beforeEach(() => {
+        saved = Object.fromEntries(keys.map(key => [key, process.env[key]]));
+        keys.filter(key => key !== "NODE_ENV").forEach(key => delete process.env[key]);
+    });
+
+    afterEach(() => {
+        keys.forEach(key => {
+            if (saved[key] === undefined) delete process.env[key];
+            else process.env[key] = saved[key];
+        });
+    });
+
+    it("falls back to the stub scanner outside production", () => {
+        assert.equal(getVirusScanner().name, "stub");
+    });
+
+    it("refuses the stub scanner in production", () => {
+        process.env.NODE_ENV = "production";
+
+        assert.throws(() => getVirusScanner(), /cannot be used in production/);
+        process.env.VIRUS_SCANNER = "stub";
+        assert.throws(() => getVirusScanner(), /cannot be used in production/);
+    });
+
+    it("uses ClamAV in production when it is configured", () => {
+        process.env.NODE_ENV = "production";
+        process.env.CLAMAV_HOST = "clamav.internal";
+
+        assert.equal(getVirusScanner().name, "clamav");
+    });
+
+    it("rejects an unknown scanner name", () => {
+        process.env.VIRUS_SCANNER = "clamd";
+
+        assert.throws(() => getVirusScanner(), /Unknown virus scanner: clamd/);
+    });
+});